@@ -1,122 +1,216 @@
 import db from '../database/db.js'
-import { generateContent } from '../services/aiService.js'
+import { generateContent, DOCUMENT_GROUNDED_TYPES } from '../services/aiService.js'
+import { openEventStream } from '../utils/eventStream.js'
+
+// Most document text sent along with a generation prompt
+const MAX_SOURCE_TEXT = 15000
 
 /**
  * Generate new activity using AI
  * POST /api/ai/generate
- * Body: { sessionId, prompt, type, subject, difficulty, length, count }
+ * Body: { sessionId, prompt, type, subject, difficulty, length, count, fresh }
+ *   fresh: true skips the AI cache and generates new content
  * Protected: Teacher only
  */
 export async function generateActivity(req, res) {
   try {
-    const {
-      sessionId,
-      prompt,
-      type = 'reading',
-      subject = 'English',
-      difficulty = 'medium',
-      length,
-      count
-    } = req.body
+    const request = await checkGenerateRequest(req)
+    if (request.error) {
+      return res.status(request.error.status).json({ message: request.error.message })
+    }
 
-    const teacherId = req.user.userId
+    res.json(await createGeneratedActivity(request))
 
-    // Validation
-    if (!sessionId || !prompt) {
-      return res.status(400).json({
-        message: 'Session ID and prompt are required'
-      })
+  } catch (error) {
+    if (error.code === 'AI_QUOTA_EXCEEDED') {
+      return res.status(429).json({ message: error.message, code: error.code })
     }
+    console.error('Generate activity error:', error)
+    res.status(500).json({
+      message: `Failed to generate activity: ${error.message}`
+    })
+  }
+}
 
-    // Verify teacher owns this session
-    const sessionCheck = await db.query(
-      'SELECT id FROM sessions WHERE id = $1 AND teacher_id = $2 AND status = $3',
-      [sessionId, teacherId, 'active']
-    )
+/**
+ * Generate new activity using AI, streaming a live preview
+ * POST /api/ai/generate/stream
+ * Body: same as /api/ai/generate
+ * Response: Server-Sent Events
+ *   text { delta }      - next piece of a plain-text activity (reading)
+ *   partial { content } - the JSON activity so far, finished items only
+ *   retry { errors }    - the reply failed validation and is being regenerated
+ *   done { activity, metadata, message } - same body as /api/ai/generate
+ *   error { message }
+ * Closing the request cancels the generation; nothing is saved.
+ * Protected: Teacher only
+ */
+export async function generateActivityStream(req, res) {
+  let request
+  try {
+    request = await checkGenerateRequest(req)
+    if (request.error) {
+      return res.status(request.error.status).json({ message: request.error.message })
+    }
+  } catch (error) {
+    console.error('Generate activity stream error:', error)
+    return res.status(500).json({ message: `Failed to generate activity: ${error.message}` })
+  }
 
-    if (sessionCheck.rows.length === 0) {
-      return res.status(404).json({
-        message: 'Session not found or not active'
-      })
+  const stream = openEventStream(req, res)
+  try {
+    const result = await createGeneratedActivity(request, {
+      onProgress: ({ type, ...data }) => stream.send(type, data),
+      signal: stream.signal
+    })
+    stream.send('done', result)
+  } catch (error) {
+    if (error.code === 'GENERATION_CANCELLED') {
+      console.log(`Activity generation cancelled by teacher ${request.teacherId}`)
+    } else if (error.code === 'AI_QUOTA_EXCEEDED') {
+      stream.send('error', { message: error.message, code: error.code })
+    } else {
+      console.error('Generate activity stream error:', error)
+      stream.send('error', { message: `Failed to generate activity: ${error.message}` })
     }
+  } finally {
+    stream.end()
+  }
+}
 
-    // Generate content with AI
-    const startTime = Date.now()
+/**
+ * Check a generation request and gather what it needs
+ * @returns {Object} The generation parameters, or { error: { status, message } }
+ */
+async function checkGenerateRequest(req) {
+  const {
+    sessionId,
+    prompt,
+    type = 'reading',
+    subject = 'English',
+    difficulty = 'medium',
+    length,
+    count,
+    fresh = false
+  } = req.body
+
+  const teacherId = req.user.userId
+
+  // Validation
+  if (!sessionId || !prompt) {
+    return { error: { status: 400, message: 'Session ID and prompt are required' } }
+  }
 
-    const aiResult = await generateContent(prompt, {
-      type,
-      subject,
-      difficulty,
-      length,
-      count
-    })
+  // Verify teacher owns this session
+  const sessionCheck = await db.query(
+    'SELECT id FROM sessions WHERE id = $1 AND teacher_id = $2 AND status = $3',
+    [sessionId, teacherId, 'active']
+  )
 
-    const generationTime = Date.now() - startTime
+  if (sessionCheck.rows.length === 0) {
+    return { error: { status: 404, message: 'Session not found or not active' } }
+  }
 
-    // Save activity to database
-    const result = await db.query(
-      `INSERT INTO activities (
-        session_id,
-        type,
-        prompt,
-        ai_generated,
-        generation_time_ms,
-        cached,
-        content,
-        difficulty_level,
-        pushed_to
-      )
-      VALUES ($1, $2, $3, true, $4, $5, $6, $7, 'none')
-      RETURNING *`,
-      [
-        sessionId,
-        type,
-        prompt,
-        generationTime,
-        aiResult.cached,
-        JSON.stringify(aiResult.content),
-        difficulty
-      ]
-    )
+  // Some types are written from the session's documents, not just the prompt
+  let sourceText = ''
+  if (DOCUMENT_GROUNDED_TYPES.includes(type)) {
+    sourceText = await getSessionDocumentText(sessionId)
 
-    const activity = result.rows[0]
+    if (!sourceText) {
+      return {
+        error: {
+          status: 400,
+          message: 'Upload a document to this session first - this activity is written from your documents'
+        }
+      }
+    }
+  }
 
-    // Log analytics
-    await db.query(
-      `INSERT INTO analytics_events (event_type, user_id, session_id, properties)
-       VALUES ($1, $2, $3, $4)`,
-      [
-        'ai_content_generated',
-        teacherId,
-        sessionId,
-        JSON.stringify({
-          type,
-          subject,
-          difficulty,
-          cached: aiResult.cached,
-          generationTime
-        })
-      ]
-    )
+  return { teacherId, sessionId, prompt, type, subject, difficulty, length, count, sourceText, fresh: fresh === true }
+}
 
-    res.json({
-      activity: {
-        ...activity,
-        content: aiResult.content // Return parsed content, not stringified
-      },
-      metadata: {
+/**
+ * Generate the content, save the activity and log it
+ * @param {Object} request - From checkGenerateRequest
+ * @param {Object} stream - Optional { onProgress, signal } passed to generateContent
+ * @returns {Object} Response body: { activity, metadata, message }
+ */
+async function createGeneratedActivity(request, stream = {}) {
+  const { teacherId, sessionId, prompt, type, subject, difficulty, length, count, sourceText, fresh } = request
+
+  // Generate content with AI
+  const startTime = Date.now()
+
+  const aiResult = await generateContent(prompt, {
+    type,
+    subject,
+    difficulty,
+    length,
+    count,
+    ...(sourceText && { sourceText }),
+    teacherId,
+    fresh
+  }, stream)
+
+  const generationTime = Date.now() - startTime
+
+  // Save activity to database
+  const result = await db.query(
+    `INSERT INTO activities (
+      session_id,
+      type,
+      prompt,
+      ai_generated,
+      generation_time_ms,
+      cached,
+      content,
+      difficulty_level,
+      pushed_to
+    )
+    VALUES ($1, $2, $3, true, $4, $5, $6, $7, 'none')
+    RETURNING *`,
+    [
+      sessionId,
+      type,
+      prompt,
+      generationTime,
+      aiResult.cached,
+      JSON.stringify(aiResult.content),
+      difficulty
+    ]
+  )
+
+  const activity = result.rows[0]
+
+  // Log analytics
+  await db.query(
+    `INSERT INTO analytics_events (event_type, user_id, session_id, properties)
+     VALUES ($1, $2, $3, $4)`,
+    [
+      'ai_content_generated',
+      teacherId,
+      sessionId,
+      JSON.stringify({
+        type,
+        subject,
+        difficulty,
         cached: aiResult.cached,
-        generationTime: aiResult.generationTime,
-        model: aiResult.model
-      },
-      message: 'Activity generated successfully'
-    })
-
-  } catch (error) {
-    console.error('Generate activity error:', error)
-    res.status(500).json({
-      message: `Failed to generate activity: ${error.message}`
-    })
+        generationTime
+      })
+    ]
+  )
+
+  return {
+    activity: {
+      ...activity,
+      content: aiResult.content // Return parsed content, not stringified
+    },
+    metadata: {
+      cached: aiResult.cached,
+      generationTime: aiResult.generationTime,
+      model: aiResult.model
+    },
+    message: 'Activity generated successfully'
   }
 }
 
@@ -965,3 +1059,19 @@ export async function deleteActivity(req, res) {
     res.status(500).json({ message: 'Failed to delete activity' })
   }
 }
+
+// Helper function to combine the text of a session's uploaded documents, newest first
+async function getSessionDocumentText(sessionId) {
+  const documents = await db.query(
+    `SELECT prompt, content FROM activities
+     WHERE session_id = $1 AND type = 'document'
+     ORDER BY created_at DESC`,
+    [sessionId]
+  )
+
+  return documents.rows
+    .filter(doc => doc.content?.extractedText)
+    .map(doc => `[${doc.prompt}]\n${doc.content.extractedText}`)
+    .join('\n\n')
+    .substring(0, MAX_SOURCE_TEXT)
+}
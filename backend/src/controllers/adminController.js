@@ -0,0 +1,337 @@
+import db from '../database/db.js'
+import { defaultDailyLimits } from '../services/llm/usage.js'
+import { getCacheStats, clearCache, evictExpiredCache } from '../services/aiCacheService.js'
+
+// Longest reporting window for the usage dashboard
+const MAX_USAGE_DAYS = 365
+
+const QUOTA_SCOPES = ['teacher', 'school']
+
+/**
+ * AI usage and estimated spend
+ * GET /api/admin/ai-usage?days=30
+ * Returns totals, spend by feature, model, day, teacher and school
+ * (from ai_usage_events, see services/llm/usage.js)
+ * Protected: Admin only
+ */
+export async function getAIUsage(req, res) {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_USAGE_DAYS)
+    const since = `CURRENT_DATE - ($1::int - 1)`
+
+    const [totals, byFeature, byModel, byDay, byTeacher, bySchool] = await Promise.all([
+      db.query(
+        `SELECT COUNT(*) AS calls,
+                COUNT(*) FILTER (WHERE cached) AS cached_calls,
+                COUNT(*) FILTER (WHERE NOT succeeded) AS failed_calls,
+                COALESCE(SUM(cost_usd), 0) AS cost,
+                COALESCE(SUM(input_tokens), 0) AS input_tokens,
+                COALESCE(SUM(output_tokens), 0) AS output_tokens,
+                COALESCE(SUM(images), 0) AS images,
+                COALESCE(SUM(audio_seconds), 0) AS audio_seconds
+         FROM ai_usage_events
+         WHERE created_at >= ${since}`,
+        [days]
+      ),
+      db.query(
+        `SELECT feature, capability,
+                COUNT(*) AS calls,
+                COUNT(*) FILTER (WHERE cached) AS cached_calls,
+                COALESCE(SUM(cost_usd), 0) AS cost,
+                COALESCE(SUM(input_tokens), 0) AS input_tokens,
+                COALESCE(SUM(output_tokens), 0) AS output_tokens,
+                COALESCE(SUM(images), 0) AS images,
+                COALESCE(SUM(audio_seconds), 0) AS audio_seconds,
+                AVG(latency_ms) FILTER (WHERE NOT cached) AS avg_latency_ms
+         FROM ai_usage_events
+         WHERE created_at >= ${since}
+         GROUP BY feature, capability
+         ORDER BY cost DESC, calls DESC`,
+        [days]
+      ),
+      db.query(
+        `SELECT provider, model, capability,
+                COUNT(*) FILTER (WHERE NOT cached) AS calls,
+                COALESCE(SUM(cost_usd), 0) AS cost
+         FROM ai_usage_events
+         WHERE created_at >= ${since}
+         GROUP BY provider, model, capability
+         ORDER BY cost DESC, calls DESC`,
+        [days]
+      ),
+      db.query(
+        `SELECT DATE(created_at) AS day, COUNT(*) AS calls, COALESCE(SUM(cost_usd), 0) AS cost
+         FROM ai_usage_events
+         WHERE created_at >= ${since}
+         GROUP BY DATE(created_at)
+         ORDER BY day`,
+        [days]
+      ),
+      db.query(
+        `SELECT e.teacher_id, u.name, u.email, u.school,
+                COUNT(*) AS calls,
+                COALESCE(SUM(e.cost_usd), 0) AS cost,
+                COALESCE(SUM(e.cost_usd) FILTER (WHERE e.created_at >= CURRENT_DATE), 0) AS cost_today
+         FROM ai_usage_events e
+         JOIN users u ON u.id = e.teacher_id
+         WHERE e.created_at >= ${since}
+         GROUP BY e.teacher_id, u.name, u.email, u.school
+         ORDER BY cost DESC
+         LIMIT 50`,
+        [days]
+      ),
+      db.query(
+        `SELECT school,
+                COUNT(*) AS calls,
+                COUNT(DISTINCT teacher_id) AS teachers,
+                COALESCE(SUM(cost_usd), 0) AS cost,
+                COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= CURRENT_DATE), 0) AS cost_today
+         FROM ai_usage_events
+         WHERE created_at >= ${since} AND school IS NOT NULL
+         GROUP BY school
+         ORDER BY cost DESC`,
+        [days]
+      )
+    ])
+
+    const total = totals.rows[0]
+
+    res.json({
+      days,
+      totals: {
+        calls: parseInt(total.calls),
+        cachedCalls: parseInt(total.cached_calls),
+        failedCalls: parseInt(total.failed_calls),
+        cost: parseFloat(total.cost),
+        inputTokens: parseInt(total.input_tokens),
+        outputTokens: parseInt(total.output_tokens),
+        images: parseInt(total.images),
+        audioSeconds: parseFloat(total.audio_seconds)
+      },
+      byFeature: byFeature.rows.map(row => ({
+        feature: row.feature,
+        capability: row.capability,
+        calls: parseInt(row.calls),
+        cachedCalls: parseInt(row.cached_calls),
+        cost: parseFloat(row.cost),
+        inputTokens: parseInt(row.input_tokens),
+        outputTokens: parseInt(row.output_tokens),
+        images: parseInt(row.images),
+        audioSeconds: parseFloat(row.audio_seconds),
+        avgLatencyMs: row.avg_latency_ms === null ? null : Math.round(parseFloat(row.avg_latency_ms))
+      })),
+      byModel: byModel.rows.map(row => ({
+        provider: row.provider,
+        model: row.model,
+        capability: row.capability,
+        calls: parseInt(row.calls),
+        cost: parseFloat(row.cost)
+      })),
+      byDay: byDay.rows.map(row => ({
+        day: row.day,
+        calls: parseInt(row.calls),
+        cost: parseFloat(row.cost)
+      })),
+      byTeacher: byTeacher.rows.map(row => ({
+        teacherId: row.teacher_id,
+        name: row.name,
+        email: row.email,
+        school: row.school,
+        calls: parseInt(row.calls),
+        cost: parseFloat(row.cost),
+        costToday: parseFloat(row.cost_today)
+      })),
+      bySchool: bySchool.rows.map(row => ({
+        school: row.school,
+        teachers: parseInt(row.teachers),
+        calls: parseInt(row.calls),
+        cost: parseFloat(row.cost),
+        costToday: parseFloat(row.cost_today)
+      }))
+    })
+
+  } catch (error) {
+    console.error('Get AI usage error:', error)
+    res.status(500).json({
+      message: 'Failed to get AI usage'
+    })
+  }
+}
+
+/**
+ * Daily AI limits
+ * GET /api/admin/ai-quotas
+ * Returns the defaults from the environment and every teacher/school override
+ * Protected: Admin only
+ */
+export async function getAIQuotas(req, res) {
+  try {
+    const result = await db.query(
+      `SELECT q.scope, q.scope_key, q.daily_limit_usd, q.updated_at,
+              u.name AS teacher_name, u.email AS teacher_email
+       FROM ai_quotas q
+       LEFT JOIN users u ON q.scope = 'teacher' AND u.id::text = q.scope_key
+       ORDER BY q.scope, COALESCE(u.name, q.scope_key)`
+    )
+
+    res.json({
+      defaults: defaultDailyLimits(),
+      quotas: result.rows.map(row => ({
+        scope: row.scope,
+        scopeKey: row.scope_key,
+        label: row.scope === 'teacher' ? (row.teacher_name || row.scope_key) : row.scope_key,
+        email: row.teacher_email || null,
+        dailyLimitUsd: row.daily_limit_usd === null ? null : parseFloat(row.daily_limit_usd),
+        updatedAt: row.updated_at
+      }))
+    })
+
+  } catch (error) {
+    console.error('Get AI quotas error:', error)
+    res.status(500).json({
+      message: 'Failed to get AI quotas'
+    })
+  }
+}
+
+/**
+ * Set the daily AI limit for one teacher or school
+ * PUT /api/admin/ai-quotas
+ * Body: { scope: 'teacher' | 'school', scopeKey, dailyLimitUsd } - scopeKey is a
+ *   teacher's user id or a school name; dailyLimitUsd null = no limit
+ * Protected: Admin only
+ */
+export async function setAIQuota(req, res) {
+  try {
+    const { scope, scopeKey, dailyLimitUsd } = req.body
+
+    if (!QUOTA_SCOPES.includes(scope) || !scopeKey) {
+      return res.status(400).json({
+        message: 'scope (teacher or school) and scopeKey are required'
+      })
+    }
+
+    const limit = dailyLimitUsd === null || dailyLimitUsd === '' ? null : Number(dailyLimitUsd)
+    if (limit !== null && (!Number.isFinite(limit) || limit < 0)) {
+      return res.status(400).json({
+        message: 'dailyLimitUsd must be a positive number or null'
+      })
+    }
+
+    if (scope === 'teacher') {
+      const teacher = await db.query('SELECT id FROM users WHERE id::text = $1', [scopeKey])
+      if (teacher.rows.length === 0) {
+        return res.status(404).json({ message: 'Teacher not found' })
+      }
+    }
+
+    const result = await db.query(
+      `INSERT INTO ai_quotas (scope, scope_key, daily_limit_usd, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (scope, scope_key)
+       DO UPDATE SET daily_limit_usd = $3, updated_by = $4, updated_at = NOW()
+       RETURNING scope, scope_key, daily_limit_usd, updated_at`,
+      [scope, scopeKey, limit, req.user.userId]
+    )
+
+    const quota = result.rows[0]
+    res.json({
+      quota: {
+        scope: quota.scope,
+        scopeKey: quota.scope_key,
+        dailyLimitUsd: quota.daily_limit_usd === null ? null : parseFloat(quota.daily_limit_usd),
+        updatedAt: quota.updated_at
+      },
+      message: 'AI limit saved'
+    })
+
+  } catch (error) {
+    console.error('Set AI quota error:', error)
+    res.status(500).json({
+      message: 'Failed to save AI limit'
+    })
+  }
+}
+
+/**
+ * Remove a teacher or school override, going back to the default limit
+ * DELETE /api/admin/ai-quotas/:scope/:scopeKey
+ * Protected: Admin only
+ */
+export async function deleteAIQuota(req, res) {
+  try {
+    const { scope, scopeKey } = req.params
+
+    const result = await db.query(
+      'DELETE FROM ai_quotas WHERE scope = $1 AND scope_key = $2 RETURNING id',
+      [scope, scopeKey]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'AI limit not found' })
+    }
+
+    res.json({ message: 'AI limit removed' })
+
+  } catch (error) {
+    console.error('Delete AI quota error:', error)
+    res.status(500).json({
+      message: 'Failed to remove AI limit'
+    })
+  }
+}
+
+/**
+ * AI cache hit rates and entries per content type
+ * GET /api/admin/ai-cache?days=30
+ * Protected: Admin only
+ */
+export async function getAICacheStats(req, res) {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_USAGE_DAYS)
+    res.json({ days, ...(await getCacheStats(days)) })
+
+  } catch (error) {
+    console.error('Get AI cache stats error:', error)
+    res.status(500).json({
+      message: 'Failed to get AI cache stats'
+    })
+  }
+}
+
+/**
+ * Invalidate cached AI content
+ * DELETE /api/admin/ai-cache?type=quiz&teacherId=xxx
+ * Both filters are optional; without them the whole cache is cleared
+ * Protected: Admin only
+ */
+export async function clearAICache(req, res) {
+  try {
+    const { type, teacherId } = req.query
+    const deleted = await clearCache({ type, teacherId })
+
+    res.json({
+      deleted,
+      message: `Cleared ${deleted} cached ${deleted === 1 ? 'entry' : 'entries'}`
+    })
+
+  } catch (error) {
+    console.error('Clear AI cache error:', error)
+    res.status(500).json({
+      message: 'Failed to clear AI cache'
+    })
+  }
+}
+
+/**
+ * Evict expired AI cache entries now instead of waiting for the hourly run
+ * POST /api/admin/ai-cache/evict
+ * Protected: Admin only
+ */
+export async function evictAICache(req, res) {
+  const evicted = await evictExpiredCache()
+  res.json({
+    ...evicted,
+    message: `Evicted ${evicted.expired + evicted.overCapacity} cached entries`
+  })
+}
@@ -0,0 +1,200 @@
+import db from '../database/db.js'
+
+/**
+ * Submit cause & effect links
+ * POST /api/activities/:activityId/cause-effect/submit
+ *
+ * Body: { studentId, links: { causeId: effectId } }
+ * Each cause is worth one link, so partial credit = correct links / total causes.
+ */
+export async function submitCauseEffect(req, res) {
+  const { activityId } = req.params
+  const { studentId, links = {}, timeSpent = 0 } = req.body
+
+  try {
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student ID is required' })
+    }
+
+    if (typeof links !== 'object' || Array.isArray(links)) {
+      return res.status(400).json({ message: 'Links must be an object of causeId -> effectId' })
+    }
+
+    // Get activity
+    const activityResult = await db.query(
+      'SELECT * FROM activities WHERE id = $1',
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.type !== 'cause_effect') {
+      return res.status(400).json({ message: 'Activity is not a cause and effect activity' })
+    }
+
+    // Verify student belongs to the activity's session
+    const studentCheck = await db.query(
+      'SELECT id FROM session_students WHERE id = $1 AND session_id = $2',
+      [studentId, activity.session_id]
+    )
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this session' })
+    }
+
+    const content = activity.content
+    const causes = content.causes || []
+
+    if (causes.length === 0) {
+      return res.status(400).json({ message: 'Activity has no causes to link' })
+    }
+
+    let correctLinks = 0
+    const totalLinks = causes.length
+    const correctAnswers = {}
+
+    causes.forEach(cause => {
+      correctAnswers[cause.id] = cause.effectId
+
+      if (links[cause.id] === cause.effectId) {
+        correctLinks++
+      }
+    })
+
+    const score = (correctLinks / totalLinks) * 100
+    const isCorrect = correctLinks === totalLinks
+
+    // Prepare response data
+    const responseData = {
+      type: 'cause_effect',
+      links,
+      score,
+      correctLinks,
+      totalLinks,
+      isCorrect,
+      correctAnswers
+    }
+
+    await db.query(
+      `INSERT INTO student_responses (activity_id, student_id, session_id, response, is_correct, time_spent_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [activityId, studentId, activity.session_id, JSON.stringify(responseData), isCorrect, parseInt(timeSpent) || 0]
+    )
+
+    res.json({
+      message: 'Response submitted successfully',
+      response: responseData
+    })
+  } catch (error) {
+    console.error('Submit cause effect response error:', error)
+    res.status(500).json({ message: 'Failed to submit response' })
+  }
+}
+
+/**
+ * Get cause & effect analytics (most common wrong links)
+ * GET /api/activities/:activityId/cause-effect/analytics
+ */
+export async function getCauseEffectAnalytics(req, res) {
+  const { activityId } = req.params
+  const teacherId = req.user.userId
+
+  try {
+    // Verify ownership
+    const activityResult = await db.query(
+      `SELECT a.* FROM activities a
+       JOIN sessions s ON a.session_id = s.id
+       WHERE a.id = $1 AND s.teacher_id = $2`,
+      [activityId, teacherId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const content = activityResult.rows[0].content
+    const causes = content.causes || []
+    const effects = content.effects || []
+    const causeText = Object.fromEntries(causes.map(c => [c.id, c.text]))
+    const effectText = Object.fromEntries(effects.map(e => [e.id, e.text]))
+
+    // Latest submission per student
+    const responses = await db.query(
+      `SELECT DISTINCT ON (sr.student_id)
+        sr.student_id,
+        ss.student_name,
+        sr.response,
+        sr.is_correct,
+        sr.created_at
+       FROM student_responses sr
+       JOIN session_students ss ON sr.student_id = ss.id
+       WHERE sr.activity_id = $1
+       ORDER BY sr.student_id, sr.created_at DESC`,
+      [activityId]
+    )
+
+    const totalResponses = responses.rows.length
+    const correctResponses = responses.rows.filter(r => r.is_correct).length
+    const averageScore = responses.rows.reduce((sum, r) => sum + (r.response.score || 0), 0) / (totalResponses || 1)
+
+    // Per-cause accuracy and wrong link counts
+    const causeStats = causes.map(cause => ({
+      causeId: cause.id,
+      causeText: cause.text,
+      correctEffectId: cause.effectId,
+      correct: 0,
+      attempted: 0
+    }))
+    const statsById = Object.fromEntries(causeStats.map(s => [s.causeId, s]))
+    const wrongLinkCount = {}
+
+    responses.rows.forEach(r => {
+      Object.entries(r.response.links || {}).forEach(([causeId, effectId]) => {
+        const stats = statsById[causeId]
+        if (!stats) return
+
+        stats.attempted++
+        if (effectId === stats.correctEffectId) {
+          stats.correct++
+        } else {
+          const key = `${causeId}:${effectId}`
+          wrongLinkCount[key] = (wrongLinkCount[key] || 0) + 1
+        }
+      })
+    })
+
+    const commonWrongLinks = Object.entries(wrongLinkCount)
+      .map(([key, count]) => {
+        const [causeId, effectId] = key.split(':')
+        return {
+          causeId,
+          causeText: causeText[causeId],
+          effectId,
+          effectText: effectText[effectId],
+          correctEffectText: effectText[statsById[causeId].correctEffectId],
+          count,
+          percentage: Math.round((count / totalResponses) * 100)
+        }
+      })
+      .sort((a, b) => b.count - a.count)
+
+    res.json({
+      totalResponses,
+      correctResponses,
+      averageScore: Math.round(averageScore * 100) / 100,
+      causeStats: causeStats.map(s => ({
+        ...s,
+        accuracy: s.attempted > 0 ? Math.round((s.correct / s.attempted) * 100) : null
+      })),
+      commonWrongLinks,
+      responses: responses.rows
+    })
+  } catch (error) {
+    console.error('Get cause effect analytics error:', error)
+    res.status(500).json({ message: 'Failed to get analytics' })
+  }
+}
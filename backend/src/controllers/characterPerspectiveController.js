@@ -0,0 +1,262 @@
+import db from '../database/db.js'
+import { scorePerspectiveJustification } from '../services/rubricScoringService.js'
+import { normalizeRubric, meetsRubric } from '../utils/rubric.js'
+
+/**
+ * Submit character perspective answers
+ * POST /api/activities/:activityId/character-perspective/submit
+ *
+ * Body: { studentId, answers: { questionId: { selected, justification } }, timeSpent }
+ * Each justification is scored against the activity's rubric by the AI. One row
+ * is stored per passage, with the rubric score and feedback on the response.
+ * Passages the AI couldn't score wait for the teacher and are left out of the
+ * score, which is null when none were scored.
+ */
+export async function submitCharacterPerspective(req, res) {
+  const { activityId } = req.params
+  const { studentId, answers = {}, timeSpent = 0 } = req.body
+
+  try {
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student ID is required' })
+    }
+
+    if (typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({ message: 'Answers must be an object' })
+    }
+
+    // Get activity
+    const activityResult = await db.query(
+      'SELECT * FROM activities WHERE id = $1',
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.type !== 'character_perspective') {
+      return res.status(400).json({ message: 'Activity is not a character perspective activity' })
+    }
+
+    // Verify student belongs to the activity's session
+    const studentCheck = await db.query(
+      'SELECT id FROM session_students WHERE id = $1 AND session_id = $2',
+      [studentId, activity.session_id]
+    )
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this session' })
+    }
+
+    const questions = activity.content.questions || []
+    const rubric = normalizeRubric(activity.content.rubric)
+
+    if (questions.length === 0) {
+      return res.status(400).json({ message: 'Activity has no passages' })
+    }
+
+    const readAnswer = (question) => {
+      const answer = answers[question.id] || {}
+      return {
+        selected: Number.isInteger(answer.selected) ? answer.selected : null,
+        justification: typeof answer.justification === 'string' ? answer.justification.trim().substring(0, 1000) : ''
+      }
+    }
+
+    if (questions.some(q => !readAnswer(q).justification)) {
+      return res.status(400).json({ message: 'Every passage needs a justification' })
+    }
+
+    // Get next attempt number
+    const attemptResult = await db.query(
+      `SELECT COALESCE(MAX(attempt_number), 0) as last_attempt
+       FROM student_responses
+       WHERE activity_id = $1 AND student_id = $2`,
+      [activityId, studentId]
+    )
+    const attemptNumber = parseInt(attemptResult.rows[0].last_attempt) + 1
+
+    // Justifications are independent, so score them together
+    const rubricScores = await Promise.all(questions.map(question => {
+      const { selected, justification } = readAnswer(question)
+      return scorePerspectiveJustification({
+        passage: question.passage,
+        selectedPerspective: question.options[selected],
+        correctPerspective: question.options[question.correct],
+        justification,
+        rubric,
+        lookFor: question.lookFor
+      })
+    }))
+
+    // Split time evenly across passages so per-question totals add up
+    const timePerQuestion = Math.round((parseInt(timeSpent) || 0) / questions.length)
+
+    let earnedPoints = 0
+    let possiblePoints = 0
+    const results = []
+
+    for (let i = 0; i < questions.length; i++) {
+      const question = questions[i]
+      const { selected, justification } = readAnswer(question)
+      const rubricScore = rubricScores[i]
+      const identifiedCorrectly = selected === question.correct
+      const rubricMet = meetsRubric(rubricScore.points, rubricScore.maxPoints)
+
+      if (rubricScore.points !== null) {
+        earnedPoints += rubricScore.points
+        possiblePoints += rubricScore.maxPoints
+      }
+
+      const result = {
+        questionId: question.id,
+        questionNumber: i + 1,
+        selectedAnswer: selected,
+        correctAnswer: question.correct,
+        identifiedCorrectly,
+        justification,
+        rubricScore,
+        // Correct needs the right character and a justification that meets the rubric
+        isCorrect: identifiedCorrectly ? rubricMet : false
+      }
+
+      results.push(result)
+
+      await db.query(
+        `INSERT INTO student_responses (
+          activity_id,
+          student_id,
+          session_id,
+          question_number,
+          is_correct,
+          attempt_number,
+          time_spent_seconds,
+          response
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          activityId,
+          studentId,
+          activity.session_id,
+          i + 1,
+          result.isCorrect,
+          attemptNumber,
+          timePerQuestion,
+          JSON.stringify({ type: 'character_perspective', ...result })
+        ]
+      )
+    }
+
+    const score = possiblePoints > 0 ? Math.round((earnedPoints / possiblePoints) * 100) : null
+    const pendingReview = results.filter(r => r.rubricScore.points === null).length
+
+    // Log analytics event
+    await db.query(
+      `INSERT INTO analytics_events (event_type, session_id, properties)
+       VALUES ($1, $2, $3)`,
+      [
+        'student_response_submitted',
+        activity.session_id,
+        JSON.stringify({
+          activityType: activity.type,
+          activityId,
+          score,
+          identifiedCount: results.filter(r => r.identifiedCorrectly).length,
+          totalQuestions: questions.length
+        })
+      ]
+    )
+
+    res.json({
+      message: 'Response submitted successfully',
+      response: {
+        score,
+        pendingReview,
+        attemptNumber,
+        results
+      }
+    })
+  } catch (error) {
+    console.error('Submit character perspective error:', error)
+    res.status(500).json({ message: 'Failed to submit response' })
+  }
+}
+
+/**
+ * Override the rubric score on a student response
+ * PUT /api/responses/:responseId/rubric-score
+ *
+ * Body: { points, note }
+ * The AI's criterion breakdown is kept; the total is replaced and the
+ * response is re-marked correct or incorrect from the new total.
+ */
+export async function overrideRubricScore(req, res) {
+  const { responseId } = req.params
+  const { points, note = '' } = req.body
+  const teacherId = req.user.userId
+
+  try {
+    // Verify the response belongs to one of the teacher's sessions
+    const responseResult = await db.query(
+      `SELECT sr.*
+       FROM student_responses sr
+       JOIN sessions s ON s.id = sr.session_id
+       WHERE sr.id = $1 AND s.teacher_id = $2`,
+      [responseId, teacherId]
+    )
+
+    if (responseResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Response not found' })
+    }
+
+    const row = responseResult.rows[0]
+    const rubricScore = row.response?.rubricScore
+
+    if (!rubricScore) {
+      return res.status(400).json({ message: 'Response has no rubric score' })
+    }
+
+    const newPoints = Number(points)
+    if (!Number.isInteger(newPoints) || newPoints < 0 || newPoints > rubricScore.maxPoints) {
+      return res.status(400).json({ message: `Score must be a whole number from 0 to ${rubricScore.maxPoints}` })
+    }
+
+    const updatedResponse = {
+      ...row.response,
+      rubricScore: {
+        ...rubricScore,
+        // Keep the original AI total the first time it is overridden
+        aiPoints: rubricScore.scoredBy === 'teacher' ? rubricScore.aiPoints : rubricScore.points,
+        points: newPoints,
+        scoredBy: 'teacher',
+        teacherNote: typeof note === 'string' ? note.trim().substring(0, 500) : '',
+        overriddenAt: new Date().toISOString()
+      }
+    }
+
+    const isCorrect = row.response.identifiedCorrectly === false
+      ? false
+      : meetsRubric(newPoints, rubricScore.maxPoints)
+
+    const result = await db.query(
+      `UPDATE student_responses
+       SET response = $1, is_correct = $2
+       WHERE id = $3
+       RETURNING id, question_number, is_correct, response`,
+      [JSON.stringify(updatedResponse), isCorrect, responseId]
+    )
+
+    console.log(`✏️ Rubric score overridden for response ${responseId}: ${newPoints}/${rubricScore.maxPoints}`)
+
+    res.json({
+      message: 'Score updated',
+      response: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Override rubric score error:', error)
+    res.status(500).json({ message: 'Failed to update score' })
+  }
+}
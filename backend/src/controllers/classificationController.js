@@ -0,0 +1,181 @@
+import db from '../database/db.js'
+import {
+  CLASSIFICATION_TYPES,
+  isClassificationType,
+  normalizeBucketId,
+  scoreClassification,
+  aggregateMisclassifications
+} from '../utils/classification.js'
+
+/**
+ * Submit a classification activity (fact_opinion, perspective_sort, ...)
+ * POST /api/activities/:activityId/classification/submit
+ *
+ * Body: { studentId, placements: { statementId: bucketId }, timeSpent }
+ */
+export async function submitClassification(req, res) {
+  const { activityId } = req.params
+  const { studentId, placements = {}, timeSpent = 0 } = req.body
+
+  try {
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student ID is required' })
+    }
+
+    if (typeof placements !== 'object' || Array.isArray(placements)) {
+      return res.status(400).json({ message: 'Placements must be an object of statementId -> bucket' })
+    }
+
+    // Get activity
+    const activityResult = await db.query(
+      'SELECT * FROM activities WHERE id = $1',
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (!isClassificationType(activity.type)) {
+      return res.status(400).json({ message: 'Activity is not a classification activity' })
+    }
+
+    // Verify student belongs to the activity's session
+    const studentCheck = await db.query(
+      'SELECT id FROM session_students WHERE id = $1 AND session_id = $2',
+      [studentId, activity.session_id]
+    )
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this session' })
+    }
+
+    const content = activity.content
+    const statements = content.statements || []
+    const bucketIds = (content.buckets || []).map(b => b.id)
+
+    const unplaced = statements.filter(s => !bucketIds.includes(normalizeBucketId(placements[s.id])))
+    if (unplaced.length > 0) {
+      return res.status(400).json({ message: 'Every statement must be sorted into a category' })
+    }
+
+    const normalizedPlacements = Object.fromEntries(
+      statements.map(s => [s.id, normalizeBucketId(placements[s.id])])
+    )
+
+    const { score, correctCount, statementResults, bucketResults } = scoreClassification(content, normalizedPlacements)
+    const isCorrect = correctCount === statements.length
+
+    // Prepare response data
+    const responseData = {
+      type: activity.type,
+      placements: normalizedPlacements,
+      score,
+      correctCount,
+      totalStatements: statements.length,
+      isCorrect,
+      bucketResults
+    }
+
+    await db.query(
+      `INSERT INTO student_responses (activity_id, student_id, session_id, response, is_correct, time_spent_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [activityId, studentId, activity.session_id, JSON.stringify(responseData), isCorrect, parseInt(timeSpent) || 0]
+    )
+
+    // Log analytics event
+    await db.query(
+      `INSERT INTO analytics_events (event_type, session_id, properties)
+       VALUES ($1, $2, $3)`,
+      [
+        'student_response_submitted',
+        activity.session_id,
+        JSON.stringify({
+          activityType: activity.type,
+          activityId,
+          score,
+          misclassified: statementResults.filter(r => !r.isCorrect).map(r => r.id)
+        })
+      ]
+    )
+
+    res.json({
+      message: 'Response submitted successfully',
+      response: {
+        ...responseData,
+        statements: statementResults
+      }
+    })
+  } catch (error) {
+    console.error('Submit classification response error:', error)
+    res.status(500).json({ message: 'Failed to submit response' })
+  }
+}
+
+/**
+ * Get per-statement misclassification rates for every classification
+ * activity in a session
+ * GET /api/sessions/:sessionId/classification/misclassifications?instanceId=xxx
+ * Protected: Teacher only
+ */
+export async function getClassificationMisclassifications(req, res) {
+  const { sessionId } = req.params
+  const { instanceId } = req.query
+  const teacherId = req.user.userId
+
+  try {
+    // Verify teacher owns this session
+    const sessionCheck = await db.query(
+      'SELECT id FROM sessions WHERE id = $1 AND teacher_id = $2',
+      [sessionId, teacherId]
+    )
+
+    if (sessionCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Session not found' })
+    }
+
+    const activitiesResult = await db.query(
+      `SELECT id, type, content, created_at FROM activities
+       WHERE session_id = $1 AND type = ANY($2)
+       ORDER BY created_at DESC`,
+      [sessionId, Object.keys(CLASSIFICATION_TYPES)]
+    )
+
+    const activities = await Promise.all(activitiesResult.rows.map(async (activity) => {
+      // Latest attempt per student, optionally limited to one class period
+      let query = `SELECT DISTINCT ON (sr.student_id) sr.response
+         FROM student_responses sr
+         JOIN session_students ss ON sr.student_id = ss.id
+         WHERE sr.activity_id = $1`
+      const params = [activity.id]
+
+      if (instanceId) {
+        query += ' AND ss.instance_id = $2'
+        params.push(instanceId)
+      }
+
+      query += ' ORDER BY sr.student_id, sr.created_at DESC'
+
+      const responses = await db.query(query, params)
+
+      return {
+        activityId: activity.id,
+        type: activity.type,
+        title: activity.content?.title || CLASSIFICATION_TYPES[activity.type].label,
+        buckets: activity.content?.buckets || [],
+        totalResponses: responses.rows.length,
+        statements: aggregateMisclassifications(
+          activity.content || {},
+          responses.rows.map(r => r.response.placements)
+        )
+      }
+    }))
+
+    res.json({ activities: activities.filter(a => a.totalResponses > 0) })
+  } catch (error) {
+    console.error('Get classification misclassifications error:', error)
+    res.status(500).json({ message: 'Failed to get misclassification analytics' })
+  }
+}
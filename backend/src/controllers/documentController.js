@@ -4,8 +4,11 @@ import { fileURLToPath } from 'url'
 import { createRequire } from 'module'
 import fs from 'fs/promises'
 import mammoth from 'mammoth'
-import Anthropic from '@anthropic-ai/sdk'
 import db from '../database/db.js'
+import { openEventStream } from '../utils/eventStream.js'
+import { buildPrimarySourcePrompt } from '../services/primarySourceService.js'
+import { generateText, generateJSON, extractJSON } from '../services/llm/index.js'
+import { DOCUMENT_ACTIVITY_SCHEMAS, contentReferenceErrors } from '../services/llm/schemas.js'
 
 const require = createRequire(import.meta.url)
 const pdfParse = require('pdf-parse')
@@ -13,11 +16,6 @@ const pdfParse = require('pdf-parse')
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-// Initialize Claude API
-const anthropic = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY
-})
-
 // Configure multer for document uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -93,8 +91,9 @@ async function extractTextFromFile(filePath, mimetype, originalname) {
 
 /**
  * Generate activity from document content using Claude AI
+ * @param {Object} stream - Optional live preview: { onProgress, signal }, as for aiService.generateContent
  */
-async function generateActivityFromContent(content, options = {}) {
+async function generateActivityFromContent(content, options = {}, stream = {}) {
   const {
     activityType = 'quiz',
     difficulty = 'medium',
@@ -208,6 +207,32 @@ Format as JSON:
 }
 
 Content:
+${content.substring(0, 15000)}`
+        break
+
+      case 'cause_effect':
+        prompt = `Based on the following content, create a cause and effect linking activity. Identify 3-4 important effects described in the content and 5-8 causes that lead to them. Every cause leads to exactly one effect; several causes may share the same effect. Only use relationships the content actually supports.
+
+Format as JSON:
+{
+  "title": "Activity title",
+  "instructions": "Drag each cause onto the effect it leads to",
+  "effects": [
+    {"id": "e1", "text": "Effect text"}
+  ],
+  "causes": [
+    {"id": "c1", "text": "Cause text", "effectId": "e1", "explanation": "How the content links this cause to the effect"}
+  ]
+}
+
+Content:
+${content.substring(0, 15000)}`
+        break
+
+      case 'primary_source':
+        prompt = `${buildPrimarySourcePrompt({ difficulty })}
+
+Source:
 ${content.substring(0, 15000)}`
         break
 
@@ -222,53 +247,86 @@ ${content.substring(0, 15000)}`
   try {
     const startTime = Date.now()
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 4096,
-      temperature: 0.7,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    })
-
-    const generationTime = Date.now() - startTime
-    const responseText = message.content[0].text
+    // Known formats are validated (and re-prompted if needed); a custom
+    // prompt's reply is kept as it comes
+    const schema = customPrompt ? null : DOCUMENT_ACTIVITY_SCHEMAS[activityType]
+    const { onProgress, signal } = stream
 
-    // Try to extract JSON from response
+    let message
     let parsedContent
-    try {
-      // Look for JSON in the response
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/)
-      if (jsonMatch) {
-        parsedContent = JSON.parse(jsonMatch[0])
-      } else {
-        parsedContent = { text: responseText }
+    if (schema) {
+      message = await generateJSON({
+        feature: 'document_activity',
+        prompt,
+        maxTokens: 4096,
+        temperature: 0.7,
+        schema,
+        check: data => contentReferenceErrors(activityType, data),
+        signal,
+        ...(onProgress && {
+          onPartial: content => onProgress({ type: 'partial', content }),
+          onRetry: errors => onProgress({ type: 'retry', errors })
+        })
+      })
+      parsedContent = message.data
+    } else {
+      message = await generateText({
+        feature: 'document_activity',
+        prompt,
+        maxTokens: 4096,
+        temperature: 0.7,
+        signal,
+        ...(onProgress && { onText: delta => onProgress({ type: 'text', delta }) })
+      })
+
+      // Try to extract JSON from response
+      try {
+        parsedContent = extractJSON(message.text)
+      } catch (parseError) {
+        // If parsing fails, return as plain text
+        parsedContent = { text: message.text }
       }
-    } catch (parseError) {
-      // If parsing fails, return as plain text
-      parsedContent = { text: responseText }
     }
 
+    const generationTime = Date.now() - startTime
+
     return {
       content: parsedContent,
       generationTime,
       cached: false,
-      tokens: message.usage.input_tokens + message.usage.output_tokens
+      tokens: message.usage.inputTokens + message.usage.outputTokens
     }
 
   } catch (error) {
+    if (error.code === 'GENERATION_CANCELLED' || error.code === 'AI_QUOTA_EXCEEDED') throw error
     console.error('AI generation error:', error)
     throw new Error(`Failed to generate activity: ${error.message}`)
   }
 }
 
+/**
+ * Keep the source text with a primary source activity so students can annotate it
+ */
+function attachPrimarySource(activityContent, { text, filename, documentId = null }) {
+  return {
+    ...activityContent,
+    source: {
+      kind: 'document',
+      title: filename,
+      documentId,
+      text: text.substring(0, 15000),
+      citation: '',
+      description: activityContent.sourceDescription || ''
+    }
+  }
+}
+
 /**
  * Upload document and generate activity
  * POST /api/documents/upload
  * Body (multipart/form-data):
  *   - file: Document file
- *   - activityType: 'quiz' | 'questions' | 'discussion' | 'reading'
+ *   - activityType: 'quiz' | 'questions' | 'discussion' | 'reading' | 'cause_effect' | 'primary_source'
  *   - difficulty: 'easy' | 'medium' | 'hard'
  *   - subject: string
  *   - sessionId: string
@@ -315,6 +373,13 @@ export async function uploadAndGenerateActivity(req, res) {
 
     console.log(`✅ Activity generated in ${aiResult.generationTime}ms`)
 
+    if (activityType === 'primary_source') {
+      aiResult.content = attachPrimarySource(aiResult.content, {
+        text: extractedText,
+        filename: file.originalname
+      })
+    }
+
     // Save activity to database
     console.log('💾 Saving activity to database...')
     const result = await db.query(
@@ -373,9 +438,10 @@ export async function uploadAndGenerateActivity(req, res) {
       }
     }
 
-    res.status(500).json({
+    res.status(error.code === 'AI_QUOTA_EXCEEDED' ? 429 : 500).json({
       success: false,
-      message: error.message || 'Failed to process document'
+      message: error.message || 'Failed to process document',
+      ...(error.code === 'AI_QUOTA_EXCEEDED' && { code: error.code })
     })
   }
 }
@@ -655,107 +721,184 @@ export async function getSessionDocuments(req, res) {
  * Generate activity from previously saved document
  * POST /api/documents/generate/:activityId
  * Body:
- *   - activityType: 'quiz' | 'questions' | 'discussion' | 'reading'
+ *   - activityType: 'quiz' | 'questions' | 'discussion' | 'reading' | 'cause_effect' | 'primary_source'
  *   - difficulty: 'easy' | 'medium' | 'hard'
  */
 export async function generateFromSavedDocument(req, res) {
   try {
-    const { activityId } = req.params
-    const { activityType, difficulty } = req.body
-    const teacherId = req.user.userId
+    const request = await checkSavedDocumentRequest(req)
+    if (request.error) {
+      return res.status(request.error.status).json({ message: request.error.message })
+    }
 
-    console.log('🤖 Generating activity from saved document:', {
-      activityId,
-      activityType,
-      difficulty
+    res.json(await createActivityFromSavedDocument(request))
+
+  } catch (error) {
+    console.error('Generate from document error:', error)
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate activity'
     })
+  }
+}
 
-    // Get the saved document
-    const documentResult = await db.query(
-      `SELECT a.*, s.teacher_id
-       FROM activities a
-       JOIN sessions s ON a.session_id = s.id
-       WHERE a.id = $1 AND a.type = 'document'`,
-      [activityId]
-    )
+/**
+ * Generate activity from previously saved document, streaming a live preview
+ * POST /api/documents/generate/:activityId/stream
+ * Body: same as /api/documents/generate/:activityId
+ * Response: Server-Sent Events, as for POST /api/ai/generate/stream; the
+ * done event carries the same body as the non-streaming route.
+ * Closing the request cancels the generation; nothing is saved.
+ */
+export async function generateFromSavedDocumentStream(req, res) {
+  let request
+  try {
+    request = await checkSavedDocumentRequest(req)
+    if (request.error) {
+      return res.status(request.error.status).json({ message: request.error.message })
+    }
+  } catch (error) {
+    console.error('Generate from document stream error:', error)
+    return res.status(500).json({ message: error.message || 'Failed to generate activity' })
+  }
 
-    if (documentResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Document not found' })
+  const stream = openEventStream(req, res)
+  try {
+    const result = await createActivityFromSavedDocument(request, {
+      onProgress: ({ type, ...data }) => stream.send(type, data),
+      signal: stream.signal
+    })
+    stream.send('done', result)
+  } catch (error) {
+    if (error.code === 'GENERATION_CANCELLED') {
+      console.log('⏹️ Generation from document cancelled:', request.document.id)
+    } else {
+      console.error('Generate from document stream error:', error)
+      stream.send('error', { message: error.message || 'Failed to generate activity' })
     }
+  } finally {
+    stream.end()
+  }
+}
 
-    const document = documentResult.rows[0]
+/**
+ * Load the saved document a generation request is for and check ownership
+ * @returns {Object} { document, documentContent, activityType, difficulty }, or { error: { status, message } }
+ */
+async function checkSavedDocumentRequest(req) {
+  const { activityId } = req.params
+  const { activityType, difficulty } = req.body
+  const teacherId = req.user.userId
+
+  console.log('🤖 Generating activity from saved document:', {
+    activityId,
+    activityType,
+    difficulty
+  })
+
+  // Get the saved document
+  const documentResult = await db.query(
+    `SELECT a.*, s.teacher_id
+     FROM activities a
+     JOIN sessions s ON a.session_id = s.id
+     WHERE a.id = $1 AND a.type = 'document'`,
+    [activityId]
+  )
+
+  if (documentResult.rows.length === 0) {
+    return { error: { status: 404, message: 'Document not found' } }
+  }
 
-    // Verify ownership
-    if (document.teacher_id !== teacherId) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
+  const document = documentResult.rows[0]
 
-    // Parse the document content
-    const documentContent = typeof document.content === 'string'
-      ? JSON.parse(document.content)
-      : document.content
+  // Verify ownership
+  if (document.teacher_id !== teacherId) {
+    return { error: { status: 403, message: 'Unauthorized' } }
+  }
 
-    if (!documentContent.extractedText) {
-      return res.status(400).json({ message: 'Document has no extractable text' })
-    }
+  // Parse the document content
+  const documentContent = typeof document.content === 'string'
+    ? JSON.parse(document.content)
+    : document.content
 
-    console.log('📖 Generating activity from extracted text...')
+  if (!documentContent.extractedText) {
+    return { error: { status: 400, message: 'Document has no extractable text' } }
+  }
 
-    // Generate activity using AI
-    const aiResult = await generateActivityFromContent(documentContent.extractedText, {
-      activityType: activityType || 'quiz',
-      difficulty: difficulty || 'medium'
-    })
+  return {
+    document,
+    documentContent,
+    activityType: activityType || 'quiz',
+    difficulty: difficulty || 'medium'
+  }
+}
 
-    console.log(`✅ Activity generated in ${aiResult.generationTime}ms`)
+/**
+ * Generate and save a new activity from a saved document (the original document is kept separate)
+ * @param {Object} request - From checkSavedDocumentRequest
+ * @param {Object} stream - Optional { onProgress, signal }
+ * @returns {Object} Response body: { success, activity, message }
+ */
+async function createActivityFromSavedDocument(request, stream = {}) {
+  const { document, documentContent, activityType, difficulty } = request
 
-    // Create a new activity (keep original document separate)
-    const result = await db.query(
-      `INSERT INTO activities (
-        session_id,
-        type,
-        prompt,
-        ai_generated,
-        generation_time_ms,
-        cached,
-        content,
-        difficulty_level,
-        pushed_to
-      )
-      VALUES ($1, $2, $3, true, $4, $5, $6, $7, 'none')
-      RETURNING *`,
-      [
-        document.session_id,
-        activityType || 'quiz',
-        `Generated from: ${documentContent.filename}`,
-        aiResult.generationTime,
-        aiResult.cached || false,
-        JSON.stringify(aiResult.content),
-        difficulty || 'medium'
-      ]
-    )
+  console.log('📖 Generating activity from extracted text...')
 
-    const newActivity = result.rows[0]
-    console.log('✅ New activity created with ID:', newActivity.id)
+  // Generate activity using AI
+  const aiResult = await generateActivityFromContent(documentContent.extractedText, {
+    activityType,
+    difficulty
+  }, stream)
 
-    res.json({
-      success: true,
-      activity: {
-        ...newActivity,
-        content: aiResult.content,
-        sourceDocument: documentContent.filename,
-        tokens: aiResult.tokens
-      },
-      message: 'Activity generated successfully'
-    })
+  console.log(`✅ Activity generated in ${aiResult.generationTime}ms`)
 
-  } catch (error) {
-    console.error('Generate from document error:', error)
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to generate activity'
+  if (activityType === 'primary_source') {
+    aiResult.content = attachPrimarySource(aiResult.content, {
+      text: documentContent.extractedText,
+      filename: documentContent.filename,
+      documentId: document.id
     })
   }
+
+  // Create a new activity (keep original document separate)
+  const result = await db.query(
+    `INSERT INTO activities (
+      session_id,
+      type,
+      prompt,
+      ai_generated,
+      generation_time_ms,
+      cached,
+      content,
+      difficulty_level,
+      pushed_to
+    )
+    VALUES ($1, $2, $3, true, $4, $5, $6, $7, 'none')
+    RETURNING *`,
+    [
+      document.session_id,
+      activityType,
+      `Generated from: ${documentContent.filename}`,
+      aiResult.generationTime,
+      aiResult.cached || false,
+      JSON.stringify(aiResult.content),
+      difficulty
+    ]
+  )
+
+  const newActivity = result.rows[0]
+  console.log('✅ New activity created with ID:', newActivity.id)
+
+  return {
+    success: true,
+    activity: {
+      ...newActivity,
+      content: aiResult.content,
+      sourceDocument: documentContent.filename,
+      tokens: aiResult.tokens
+    },
+    message: 'Activity generated successfully'
+  }
 }
 
 export const documentUploadMiddleware = documentUpload.single('document')
@@ -1,8 +1,53 @@
 import db from '../database/db.js'
+import multer from 'multer'
 import { getIO } from '../services/ioInstance.js'
 import { generateJoinCode } from '../utils/generateCode.js'
 import { generateActivityContent, generateImage, generateImageBatch, generateCharacterProfile, generateCharacterAvatar } from '../services/aiService.js'
 import { isAzureDalleUrl, isLocalUrl } from '../services/imageStorageService.js'
+import { generateNarrationAudio, generateVocabularyAudio, generateCharacterSpeech, SPEED_BY_AGE_LEVEL } from '../services/ttsService.js'
+import { buildSpellingItems, buildClozeItems, summarizeMistakes } from '../utils/spelling.js'
+import { normalizeSentenceItems } from '../utils/sentenceVariants.js'
+import { scoreDictation } from '../utils/dictation.js'
+import { scoreDialogueReply, replyKeyWords } from '../utils/dialogue.js'
+import { transcribeStudentSpeech } from '../services/reverseTutoringService.js'
+import { getStoryFeedback } from '../services/storyFeedbackService.js'
+import { recordDiscovery, recordVocabularyAttempt, recordWordResults } from '../services/vocabularyDiscoveryService.js'
+import { REVIEW_WORDS, rankReviewWords, buildReviewContent } from '../utils/reviewSchedule.js'
+import { buildWorldPackage, importWorldPackage } from '../services/worldPackageService.js'
+
+// Spoken dialogue replies are transcribed straight from memory
+const dialogueAudio = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB max
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('audio/') || file.mimetype === 'application/octet-stream') {
+      cb(null, true)
+    } else {
+      cb(new Error('Only audio files are allowed'))
+    }
+  }
+})
+
+export const dialogueAudioMiddleware = dialogueAudio.single('audio')
+
+// World packages are unzipped from memory
+const worldPackage = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB max - packages carry images and audio
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.zip')) {
+      cb(null, true)
+    } else {
+      cb(new Error('Only .zip world packages are allowed'))
+    }
+  }
+})
+
+export const worldPackageMiddleware = worldPackage.single('package')
 
 // ============================================================================
 // LEARNING WORLDS CRUD
@@ -60,7 +105,7 @@ export async function getWorlds(req, res) {
         COUNT(DISTINCT l.id) as land_count,
         COUNT(DISTINCT a.id) as activity_count
       FROM learning_worlds w
-      LEFT JOIN world_lands l ON w.id = l.world_id
+      LEFT JOIN world_lands l ON w.id = l.world_id AND COALESCE(l.is_review_land, false) = false
       LEFT JOIN land_activities a ON l.id = a.land_id
       WHERE w.teacher_id = $1 AND w.is_archived = false
       GROUP BY w.id
@@ -77,10 +122,17 @@ export async function getWorlds(req, res) {
 
 /**
  * Get a single learning world with lands
- * GET /api/learning-worlds/:worldId
+ * GET /api/learning-worlds/:worldId?sessionId=xxx&studentId=xxx
+ *
+ * Review lands are only part of `lands` (the world map and land sequence)
+ * for the class session they were generated for (`sessionId`, the class
+ * session behind the world session), and one student's only when that
+ * student is given. Every student review land of that class is listed in
+ * `reviewLands` for the teacher.
  */
 export async function getWorld(req, res) {
   const { worldId } = req.params
+  const { sessionId = null, studentId = null } = req.query
   const userId = req.user.userId
 
   try {
@@ -108,9 +160,28 @@ export async function getWorld(req, res) {
       LEFT JOIN world_characters c ON l.mascot_character_id = c.id
       LEFT JOIN land_activities a ON l.id = a.land_id
       WHERE l.world_id = $1
+        AND (
+          COALESCE(l.is_review_land, false) = false
+          OR (l.review_session_id::text = $2 AND (l.review_student_id IS NULL OR l.review_student_id::text = $3))
+        )
       GROUP BY l.id, c.id
       ORDER BY l.sequence_order`,
-      [worldId]
+      [worldId, sessionId, studentId]
+    )
+
+    // Students' own review lands
+    const reviewLandsResult = await db.query(
+      `SELECT
+        l.*,
+        s.student_name,
+        COUNT(a.id) as activity_count
+      FROM world_lands l
+      JOIN session_students s ON l.review_student_id = s.id
+      LEFT JOIN land_activities a ON l.id = a.land_id
+      WHERE l.world_id = $1 AND l.is_review_land = true AND l.review_session_id::text = $2
+      GROUP BY l.id, s.student_name
+      ORDER BY s.student_name`,
+      [worldId, sessionId]
     )
 
     // Get characters
@@ -122,6 +193,7 @@ export async function getWorld(req, res) {
     res.json({
       world,
       lands: landsResult.rows,
+      reviewLands: reviewLandsResult.rows,
       characters: charactersResult.rows
     })
   } catch (error) {
@@ -201,6 +273,67 @@ export async function deleteWorld(req, res) {
   }
 }
 
+/**
+ * Download a world as a zip package (data plus local images and audio)
+ * GET /api/learning-worlds/:worldId/export
+ */
+export async function exportWorld(req, res) {
+  const { worldId } = req.params
+  const userId = req.user.userId
+
+  try {
+    const check = await db.query(
+      `SELECT name FROM learning_worlds WHERE id = $1 AND teacher_id = $2`,
+      [worldId, userId]
+    )
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ message: 'Learning world not found' })
+    }
+
+    const zip = await buildWorldPackage(worldId)
+    const filename = check.rows[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'world'
+
+    res.setHeader('Content-Type', 'application/zip')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`)
+    res.send(zip)
+  } catch (error) {
+    console.error('Export world error:', error)
+    res.status(500).json({ message: 'Failed to export learning world' })
+  }
+}
+
+/**
+ * Rebuild a world from an exported package, owned by this teacher
+ * POST /api/learning-worlds/import
+ *
+ * Multipart field: package (.zip from exportWorld)
+ * The copy gets new ids and starts unpublished.
+ */
+export async function importWorld(req, res) {
+  const userId = req.user.userId
+
+  if (!req.file) {
+    return res.status(400).json({ message: 'A world package (.zip) is required' })
+  }
+
+  try {
+    const { world, counts } = await importWorldPackage(req.file.buffer, userId)
+
+    res.status(201).json({
+      message: 'Learning world imported successfully',
+      world,
+      counts
+    })
+  } catch (error) {
+    if (error.invalidPackage) {
+      return res.status(400).json({ message: error.message })
+    }
+    console.error('Import world error:', error)
+    res.status(500).json({ message: 'Failed to import learning world' })
+  }
+}
+
 // ============================================================================
 // WORLD CHARACTERS
 // ============================================================================
@@ -497,7 +630,8 @@ export async function getLand(req, res) {
     res.json({
       land,
       activities: activitiesResult.rows,
-      vocabulary: vocabularyResult.rows
+      vocabulary: vocabularyResult.rows,
+      sceneItems: await fetchSceneItems(landId)
     })
   } catch (error) {
     console.error('Get land error:', error)
@@ -599,10 +733,427 @@ export async function deleteLand(req, res) {
   }
 }
 
+// ============================================================================
+// LAND SCENE ITEMS
+// ============================================================================
+
+const IDLE_ANIMATIONS = ['none', 'bounce', 'sway', 'float', 'breathe', 'blink', 'custom']
+const TOUCH_ANIMATIONS = ['bounce', 'grow', 'shake', 'spin', 'wiggle', 'jump', 'custom']
+
+/**
+ * Scene items for a land, each with the word it teaches
+ */
+async function fetchSceneItems(landId) {
+  const result = await db.query(
+    `SELECT lsi.*,
+            lsi.position_x::float AS position_x,
+            lsi.position_y::float AS position_y,
+            lsi.scale::float AS scale,
+            json_build_object(
+              'id', v.id,
+              'word', v.word,
+              'image_url', v.image_url,
+              'audio_url', v.audio_url,
+              'translation', v.translation_zh_tw
+            ) AS vocabulary
+     FROM land_scene_items lsi
+     JOIN world_vocabulary v ON lsi.vocabulary_id = v.id
+     WHERE lsi.land_id = $1
+     ORDER BY lsi.sequence_order, lsi.created_at`,
+    [landId]
+  )
+  return result.rows
+}
+
+/**
+ * Keep a scene position inside the scene (percent, 0-100)
+ */
+function clampScenePosition(value) {
+  if (value === undefined || value === null || value === '') return null
+  const number = Number(value)
+  if (Number.isNaN(number)) return null
+  return Math.max(0, Math.min(100, Math.round(number * 100) / 100))
+}
+
+/**
+ * Validate scene item fields shared by create and update
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSceneItemFields({ idleAnimation, touchAnimation, scale, minAgeLevel, maxAgeLevel }) {
+  if (idleAnimation && !IDLE_ANIMATIONS.includes(idleAnimation)) {
+    return `idleAnimation must be one of: ${IDLE_ANIMATIONS.join(', ')}`
+  }
+  if (touchAnimation && !TOUCH_ANIMATIONS.includes(touchAnimation)) {
+    return `touchAnimation must be one of: ${TOUCH_ANIMATIONS.join(', ')}`
+  }
+  if (scale !== undefined && scale !== null && !(Number(scale) >= 0.25 && Number(scale) <= 3)) {
+    return 'scale must be between 0.25 and 3'
+  }
+  if (minAgeLevel && maxAgeLevel && Number(minAgeLevel) > Number(maxAgeLevel)) {
+    return 'minAgeLevel cannot be above maxAgeLevel'
+  }
+  return null
+}
+
+/**
+ * Check that an item can unlock after another item in the same land
+ * without the chain looping back to itself
+ * @returns {string|null} Error message, or null when valid
+ */
+async function validateUnlockAfter(itemId, unlockAfterItemId, landId) {
+  if (!unlockAfterItemId) return null
+  if (unlockAfterItemId === itemId) {
+    return 'An item cannot unlock after itself'
+  }
+
+  const prerequisite = await db.query(
+    `SELECT id FROM land_scene_items WHERE id = $1 AND land_id = $2`,
+    [unlockAfterItemId, landId]
+  )
+  if (prerequisite.rows.length === 0) {
+    return 'unlockAfterItemId must be an item in the same land'
+  }
+
+  if (itemId) {
+    const cycle = await db.query(
+      `WITH RECURSIVE chain AS (
+         SELECT id, unlock_after_item_id FROM land_scene_items WHERE id = $1
+         UNION
+         SELECT i.id, i.unlock_after_item_id
+         FROM land_scene_items i
+         JOIN chain c ON i.id = c.unlock_after_item_id
+       )
+       SELECT 1 FROM chain WHERE id = $2`,
+      [unlockAfterItemId, itemId]
+    )
+    if (cycle.rows.length > 0) {
+      return 'That unlock order would loop back to this item'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Get the scene items placed in a land
+ * GET /api/lands/:landId/scene-items
+ */
+export async function getSceneItems(req, res) {
+  const { landId } = req.params
+  const userId = req.user.userId
+
+  try {
+    const check = await db.query(
+      `SELECT l.id FROM world_lands l
+       JOIN learning_worlds w ON l.world_id = w.id
+       WHERE l.id = $1 AND w.teacher_id = $2`,
+      [landId, userId]
+    )
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ message: 'Land not found' })
+    }
+
+    res.json({ sceneItems: await fetchSceneItems(landId) })
+  } catch (error) {
+    console.error('Get scene items error:', error)
+    res.status(500).json({ message: 'Failed to get scene items' })
+  }
+}
+
+/**
+ * Place a vocabulary word in a land's scene
+ * POST /api/lands/:landId/scene-items
+ */
+export async function createSceneItem(req, res) {
+  const { landId } = req.params
+  const {
+    vocabularyId, positionX, positionY, scale, zIndex,
+    spriteUrl, spriteIdleUrl, spriteWidth, spriteHeight,
+    idleAnimation, touchAnimation,
+    touchSoundUrl, touchResponseText, touchResponseAudioUrl,
+    glowWhenUndiscovered, glowColor, discoveryPoints,
+    minAgeLevel, maxAgeLevel, isHidden, unlockAfterItemId, sequenceOrder
+  } = req.body
+  const userId = req.user.userId
+
+  if (!vocabularyId) {
+    return res.status(400).json({ message: 'vocabularyId is required' })
+  }
+
+  const fieldError = validateSceneItemFields(req.body)
+  if (fieldError) {
+    return res.status(400).json({ message: fieldError })
+  }
+
+  try {
+    // Verify ownership through world
+    const landCheck = await db.query(
+      `SELECT l.id, l.world_id FROM world_lands l
+       JOIN learning_worlds w ON l.world_id = w.id
+       WHERE l.id = $1 AND w.teacher_id = $2`,
+      [landId, userId]
+    )
+
+    if (landCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Land not found' })
+    }
+
+    // The word must belong to this world
+    const vocabCheck = await db.query(
+      `SELECT id FROM world_vocabulary WHERE id = $1 AND world_id = $2`,
+      [vocabularyId, landCheck.rows[0].world_id]
+    )
+
+    if (vocabCheck.rows.length === 0) {
+      return res.status(400).json({ message: 'Vocabulary word not found in this world' })
+    }
+
+    const unlockError = await validateUnlockAfter(null, unlockAfterItemId, landId)
+    if (unlockError) {
+      return res.status(400).json({ message: unlockError })
+    }
+
+    // New items go to the end of the suggested discovery order
+    let order = sequenceOrder
+    if (order === undefined || order === null) {
+      const orderResult = await db.query(
+        `SELECT COALESCE(MAX(sequence_order), 0) + 1 AS next_order
+         FROM land_scene_items WHERE land_id = $1`,
+        [landId]
+      )
+      order = orderResult.rows[0].next_order
+    }
+
+    const result = await db.query(
+      `INSERT INTO land_scene_items (
+        land_id, vocabulary_id, position_x, position_y, scale, z_index,
+        sprite_url, sprite_idle_url, sprite_width, sprite_height,
+        idle_animation, touch_animation,
+        touch_sound_url, touch_response_text, touch_response_audio_url,
+        glow_when_undiscovered, glow_color, discovery_points,
+        min_age_level, max_age_level, is_hidden, unlock_after_item_id, sequence_order
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+      RETURNING id`,
+      [
+        landId, vocabularyId,
+        clampScenePosition(positionX) ?? 50, clampScenePosition(positionY) ?? 50,
+        scale || 1, zIndex || 10,
+        spriteUrl || null, spriteIdleUrl || null, spriteWidth || null, spriteHeight || null,
+        idleAnimation || 'none', touchAnimation || 'bounce',
+        touchSoundUrl || null, touchResponseText || null, touchResponseAudioUrl || null,
+        glowWhenUndiscovered !== false, glowColor || '#FFD700', discoveryPoints ?? 10,
+        minAgeLevel || 1, maxAgeLevel || 3, isHidden === true, unlockAfterItemId || null, order
+      ]
+    )
+
+    const sceneItems = await fetchSceneItems(landId)
+
+    res.status(201).json({
+      message: 'Scene item created successfully',
+      sceneItem: sceneItems.find(item => item.id === result.rows[0].id)
+    })
+  } catch (error) {
+    console.error('Create scene item error:', error)
+    res.status(500).json({ message: 'Failed to create scene item' })
+  }
+}
+
+/**
+ * Update a scene item (position, look, or discovery settings)
+ * PUT /api/scene-items/:itemId
+ */
+export async function updateSceneItem(req, res) {
+  const { itemId } = req.params
+  const {
+    vocabularyId, positionX, positionY, scale, zIndex,
+    spriteUrl, spriteIdleUrl, spriteWidth, spriteHeight,
+    idleAnimation, touchAnimation,
+    touchSoundUrl, touchResponseText, touchResponseAudioUrl,
+    glowWhenUndiscovered, glowColor, discoveryPoints,
+    minAgeLevel, maxAgeLevel, isHidden, unlockAfterItemId, sequenceOrder
+  } = req.body
+  const userId = req.user.userId
+
+  const fieldError = validateSceneItemFields(req.body)
+  if (fieldError) {
+    return res.status(400).json({ message: fieldError })
+  }
+
+  try {
+    // Verify ownership through land and world
+    const check = await db.query(
+      `SELECT lsi.id, lsi.land_id, l.world_id FROM land_scene_items lsi
+       JOIN world_lands l ON lsi.land_id = l.id
+       JOIN learning_worlds w ON l.world_id = w.id
+       WHERE lsi.id = $1 AND w.teacher_id = $2`,
+      [itemId, userId]
+    )
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ message: 'Scene item not found' })
+    }
+
+    const { land_id: landId, world_id: worldId } = check.rows[0]
+
+    if (vocabularyId) {
+      const vocabCheck = await db.query(
+        `SELECT id FROM world_vocabulary WHERE id = $1 AND world_id = $2`,
+        [vocabularyId, worldId]
+      )
+      if (vocabCheck.rows.length === 0) {
+        return res.status(400).json({ message: 'Vocabulary word not found in this world' })
+      }
+    }
+
+    // unlockAfterItemId can be cleared with null, so only touch it when sent
+    const setsUnlockAfter = Object.prototype.hasOwnProperty.call(req.body, 'unlockAfterItemId')
+    if (setsUnlockAfter) {
+      const unlockError = await validateUnlockAfter(itemId, unlockAfterItemId, landId)
+      if (unlockError) {
+        return res.status(400).json({ message: unlockError })
+      }
+    }
+
+    await db.query(
+      `UPDATE land_scene_items SET
+        vocabulary_id = COALESCE($1, vocabulary_id),
+        position_x = COALESCE($2, position_x),
+        position_y = COALESCE($3, position_y),
+        scale = COALESCE($4, scale),
+        z_index = COALESCE($5, z_index),
+        sprite_url = COALESCE($6, sprite_url),
+        sprite_idle_url = COALESCE($7, sprite_idle_url),
+        sprite_width = COALESCE($8, sprite_width),
+        sprite_height = COALESCE($9, sprite_height),
+        idle_animation = COALESCE($10, idle_animation),
+        touch_animation = COALESCE($11, touch_animation),
+        touch_sound_url = COALESCE($12, touch_sound_url),
+        touch_response_text = COALESCE($13, touch_response_text),
+        touch_response_audio_url = COALESCE($14, touch_response_audio_url),
+        glow_when_undiscovered = COALESCE($15, glow_when_undiscovered),
+        glow_color = COALESCE($16, glow_color),
+        discovery_points = COALESCE($17, discovery_points),
+        min_age_level = COALESCE($18, min_age_level),
+        max_age_level = COALESCE($19, max_age_level),
+        is_hidden = COALESCE($20, is_hidden),
+        unlock_after_item_id = CASE WHEN $21 THEN $22::uuid ELSE unlock_after_item_id END,
+        sequence_order = COALESCE($23, sequence_order),
+        updated_at = NOW()
+      WHERE id = $24`,
+      [
+        vocabularyId, clampScenePosition(positionX), clampScenePosition(positionY), scale, zIndex,
+        spriteUrl, spriteIdleUrl, spriteWidth, spriteHeight,
+        idleAnimation, touchAnimation,
+        touchSoundUrl, touchResponseText, touchResponseAudioUrl,
+        glowWhenUndiscovered, glowColor, discoveryPoints,
+        minAgeLevel, maxAgeLevel, isHidden,
+        setsUnlockAfter, unlockAfterItemId || null,
+        sequenceOrder, itemId
+      ]
+    )
+
+    const sceneItems = await fetchSceneItems(landId)
+
+    res.json({
+      message: 'Scene item updated successfully',
+      sceneItem: sceneItems.find(item => item.id === itemId)
+    })
+  } catch (error) {
+    console.error('Update scene item error:', error)
+    res.status(500).json({ message: 'Failed to update scene item' })
+  }
+}
+
+/**
+ * Remove an item from a land's scene
+ * DELETE /api/scene-items/:itemId
+ */
+export async function deleteSceneItem(req, res) {
+  const { itemId } = req.params
+  const userId = req.user.userId
+
+  try {
+    const check = await db.query(
+      `SELECT lsi.id FROM land_scene_items lsi
+       JOIN world_lands l ON lsi.land_id = l.id
+       JOIN learning_worlds w ON l.world_id = w.id
+       WHERE lsi.id = $1 AND w.teacher_id = $2`,
+      [itemId, userId]
+    )
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ message: 'Scene item not found' })
+    }
+
+    // Items that waited for this one are unlocked from the start instead
+    await db.query(
+      `UPDATE land_scene_items SET unlock_after_item_id = NULL, updated_at = NOW()
+       WHERE unlock_after_item_id = $1`,
+      [itemId]
+    )
+
+    await db.query(`DELETE FROM land_scene_items WHERE id = $1`, [itemId])
+
+    res.json({ message: 'Scene item deleted successfully' })
+  } catch (error) {
+    console.error('Delete scene item error:', error)
+    res.status(500).json({ message: 'Failed to delete scene item' })
+  }
+}
+
+/**
+ * Record a student touching a scene item
+ * POST /api/scene-items/:itemId/discover
+ * Body: { worldSessionId, studentId (teacher only) }
+ */
+export async function discoverSceneItem(req, res) {
+  const { itemId } = req.params
+  const { worldSessionId } = req.body
+
+  try {
+    const studentId = await resolveProgressStudent(req, worldSessionId, req.body.studentId)
+
+    if (!studentId) {
+      return res.status(400).json({ message: 'A student in this world session is required' })
+    }
+
+    const itemResult = await db.query(
+      `SELECT id, land_id, vocabulary_id FROM land_scene_items WHERE id = $1`,
+      [itemId]
+    )
+
+    if (itemResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Scene item not found' })
+    }
+
+    const item = itemResult.rows[0]
+    const discovery = await recordDiscovery({
+      studentId,
+      vocabularyId: item.vocabulary_id,
+      landId: item.land_id,
+      sceneItemId: item.id,
+      worldSessionId: worldSessionId || null,
+      method: 'touch'
+    })
+
+    res.json({
+      discovery,
+      isNew: discovery.times_seen === 1
+    })
+  } catch (error) {
+    console.error('Discover scene item error:', error)
+    res.status(500).json({ message: 'Failed to record discovery' })
+  }
+}
+
 // ============================================================================
 // LAND ACTIVITIES CRUD
 // ============================================================================
 
+// Writing and reading activities are only offered at ages 9-10
+const LEVEL_3_ACTIVITY_TYPES = ['story_writing', 'reading_comprehension']
+
 /**
  * Create an activity in a land
  * POST /api/lands/:landId/activities
@@ -639,6 +1190,8 @@ export async function createActivity(req, res) {
       return res.status(404).json({ message: 'Land not found' })
     }
 
+    const levelThreeOnly = LEVEL_3_ACTIVITY_TYPES.includes(activityType)
+
     // Get next sequence order if not provided
     let order = sequenceOrder
     if (!order) {
@@ -661,7 +1214,8 @@ export async function createActivity(req, res) {
       [
         landId, title, activityType, instructions, studentPrompt,
         introNarrative, successNarrative, content || {},
-        minAgeLevel || 1, maxAgeLevel || 3, level1Content, level2Content, level3Content,
+        levelThreeOnly ? 3 : minAgeLevel || 1, levelThreeOnly ? 3 : maxAgeLevel || 3,
+        level1Content, level2Content, level3Content,
         tprPrompts || [], estimatedDurationSeconds || 180, requiresAudio !== false, allowsStudentTouch !== false,
         order
       ]
@@ -725,7 +1279,7 @@ export async function updateActivity(req, res) {
   try {
     // Verify ownership through land and world
     const check = await db.query(
-      `SELECT a.id FROM land_activities a
+      `SELECT a.id, a.activity_type FROM land_activities a
        JOIN world_lands l ON a.land_id = l.id
        JOIN learning_worlds w ON l.world_id = w.id
        WHERE a.id = $1 AND w.teacher_id = $2`,
@@ -736,6 +1290,8 @@ export async function updateActivity(req, res) {
       return res.status(404).json({ message: 'Activity not found' })
     }
 
+    const levelThreeOnly = LEVEL_3_ACTIVITY_TYPES.includes(check.rows[0].activity_type)
+
     const result = await db.query(
       `UPDATE land_activities SET
         title = COALESCE($1, title),
@@ -760,7 +1316,8 @@ export async function updateActivity(req, res) {
       [
         title, instructions, studentPrompt,
         introNarrative, successNarrative, content,
-        minAgeLevel, maxAgeLevel, level1Content, level2Content, level3Content,
+        levelThreeOnly ? 3 : minAgeLevel, levelThreeOnly ? 3 : maxAgeLevel,
+        level1Content, level2Content, level3Content,
         tprPrompts, estimatedDurationSeconds, requiresAudio, allowsStudentTouch,
         sequenceOrder, activityId
       ]
@@ -1255,20 +1812,41 @@ export async function endWorldSession(req, res) {
 // STUDENT PROGRESS
 // ============================================================================
 
+/**
+ * The student a world request records progress for: the signed-in student,
+ * or, when the teacher plays the world on the class screen, the student they
+ * picked (`studentId`), who must have joined that teacher's world session.
+ * Null when there is neither.
+ */
+async function resolveProgressStudent(req, worldSessionId, studentId) {
+  if (req.student) return req.student.studentId
+  if (!req.user || !worldSessionId || !studentId) return null
+
+  const result = await db.query(
+    `SELECT s.id FROM world_sessions ws
+     JOIN session_students s ON s.session_id = ws.session_id
+     WHERE ws.id = $1 AND ws.teacher_id = $2 AND s.id = $3`,
+    [worldSessionId, req.user.userId, studentId]
+  )
+  return result.rows[0]?.id || null
+}
+
 /**
  * Record activity response/progress
  * POST /api/world-activities/:activityId/respond
+ * Body: { worldSessionId, studentId (teacher only), responseData, score, ... }
  */
 export async function recordActivityResponse(req, res) {
   const { activityId } = req.params
-  const { worldSessionId, responseData, score, maxScore, isCompleted, timeSpentSeconds } = req.body
-  const studentId = req.student?.studentId
-
-  if (!studentId) {
-    return res.status(401).json({ message: 'Student authentication required' })
-  }
+  const { worldSessionId, responseData, score, maxScore, isCompleted, timeSpentSeconds, wordResults } = req.body
 
   try {
+    const studentId = await resolveProgressStudent(req, worldSessionId, req.body.studentId)
+
+    if (!studentId) {
+      return res.status(400).json({ message: 'A student in this world session is required' })
+    }
+
     // Check if progress exists
     const existing = await db.query(
       `SELECT id, attempt_count FROM land_activity_progress
@@ -1322,6 +1900,27 @@ export async function recordActivityResponse(req, res) {
       )
     }
 
+    // Words practised in the activity go into the student's word bank
+    if (Array.isArray(wordResults) && wordResults.length > 0) {
+      try {
+        const activityResult = await db.query(
+          `SELECT land_id FROM land_activities WHERE id = $1`,
+          [activityId]
+        )
+        if (activityResult.rows.length > 0) {
+          await recordWordResults({
+            studentId,
+            landId: activityResult.rows[0].land_id,
+            worldSessionId: worldSessionId || null,
+            wordResults
+          })
+        }
+      } catch (error) {
+        // Progress is saved either way
+        console.error('Record word results error:', error)
+      }
+    }
+
     // Emit progress update via socket
     const io = getIO()
     if (io && worldSessionId) {
@@ -1349,21 +1948,349 @@ export async function recordActivityResponse(req, res) {
 }
 
 // ============================================================================
-// LAND TEMPLATES
+// VOCABULARY DISCOVERY
 // ============================================================================
 
+// Mastery level (1-5) from which a word counts as mastered
+const MASTERED_LEVEL = 4
+
 /**
- * Get available land templates
- * GET /api/land-templates
+ * Get the words a student has discovered in a world session's world
+ * GET /api/world-sessions/:sessionId/my-words?studentId=xxx (teacher only)
  */
-export async function getLandTemplates(req, res) {
-  const { category } = req.query
+export async function getMyWords(req, res) {
+  const { sessionId } = req.params
 
   try {
-    let query = `SELECT * FROM land_templates WHERE is_published = true`
-    const params = []
+    const studentId = await resolveProgressStudent(req, sessionId, req.query.studentId)
 
-    if (category) {
+    if (!studentId) {
+      return res.status(400).json({ message: 'A student in this world session is required' })
+    }
+
+    const sessionResult = await db.query(
+      `SELECT world_id FROM world_sessions WHERE id = $1`,
+      [sessionId]
+    )
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'World session not found' })
+    }
+
+    const result = await db.query(
+      `SELECT
+        d.vocabulary_id, d.land_id, d.discovered_at, d.discovery_method,
+        d.times_seen, d.times_correct, d.times_spoken, d.mastery_level,
+        d.mastery_level >= $3 AS mastered,
+        v.word, v.image_url, v.audio_url, v.translation_zh_tw AS translation,
+        l.name AS land_name
+      FROM vocabulary_discovery d
+      JOIN world_vocabulary v ON d.vocabulary_id = v.id
+      JOIN world_lands l ON d.land_id = l.id
+      WHERE d.student_id = $1 AND l.world_id = $2
+      ORDER BY d.discovered_at DESC`,
+      [studentId, sessionResult.rows[0].world_id, MASTERED_LEVEL]
+    )
+
+    res.json({
+      words: result.rows,
+      masteredLevel: MASTERED_LEVEL
+    })
+  } catch (error) {
+    console.error('Get my words error:', error)
+    res.status(500).json({ message: 'Failed to get words' })
+  }
+}
+
+/**
+ * Which words each student in the class has discovered or mastered
+ * GET /api/world-sessions/:sessionId/vocabulary-heatmap
+ */
+export async function getVocabularyHeatmap(req, res) {
+  const { sessionId } = req.params
+  const userId = req.user.userId
+
+  try {
+    const sessionResult = await db.query(
+      `SELECT world_id, session_id FROM world_sessions WHERE id = $1 AND teacher_id = $2`,
+      [sessionId, userId]
+    )
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'World session not found' })
+    }
+
+    const { world_id: worldId, session_id: classSessionId } = sessionResult.rows[0]
+
+    const [studentsResult, wordsResult, cellsResult] = await Promise.all([
+      db.query(
+        `SELECT id, student_name FROM session_students
+         WHERE session_id = $1 ORDER BY student_name`,
+        [classSessionId]
+      ),
+      db.query(
+        `SELECT v.id, v.word, v.land_id, l.name AS land_name
+         FROM world_vocabulary v
+         LEFT JOIN world_lands l ON v.land_id = l.id
+         WHERE v.world_id = $1
+         ORDER BY l.sequence_order NULLS LAST, v.word`,
+        [worldId]
+      ),
+      db.query(
+        `SELECT d.student_id, d.vocabulary_id,
+                MAX(d.mastery_level) AS mastery_level,
+                SUM(d.times_seen) AS times_seen,
+                SUM(d.times_correct) AS times_correct
+         FROM vocabulary_discovery d
+         JOIN session_students s ON d.student_id = s.id
+         JOIN world_vocabulary v ON d.vocabulary_id = v.id
+         WHERE s.session_id = $1 AND v.world_id = $2
+         GROUP BY d.student_id, d.vocabulary_id`,
+        [classSessionId, worldId]
+      )
+    ])
+
+    // Per-word totals help pick what the next land should teach
+    const words = wordsResult.rows.map(word => {
+      const cells = cellsResult.rows.filter(cell => cell.vocabulary_id === word.id)
+      return {
+        ...word,
+        discoveredCount: cells.length,
+        masteredCount: cells.filter(cell => cell.mastery_level >= MASTERED_LEVEL).length
+      }
+    })
+
+    res.json({
+      students: studentsResult.rows,
+      words,
+      cells: cellsResult.rows.map(cell => ({
+        ...cell,
+        times_seen: Number(cell.times_seen),
+        times_correct: Number(cell.times_correct)
+      })),
+      masteredLevel: MASTERED_LEVEL
+    })
+  } catch (error) {
+    console.error('Get vocabulary heatmap error:', error)
+    res.status(500).json({ message: 'Failed to get vocabulary heatmap' })
+  }
+}
+
+/**
+ * Generate (or regenerate) a review land from words that are due for review
+ * POST /api/world-sessions/:sessionId/review-land
+ *
+ * Body: { studentId, maxWords }
+ * With a studentId the land reviews that student's words; without one it
+ * reviews the words most due across the class. Schedules live in
+ * vocabulary_discovery per student, so words due from earlier lessons are
+ * included. Each student/class keeps one review land whose activities are
+ * replaced on every call.
+ */
+export async function generateReviewLand(req, res) {
+  const { sessionId } = req.params
+  const { studentId = null, maxWords } = req.body
+  const userId = req.user.userId
+
+  const limit = Math.min(REVIEW_WORDS.max, Math.max(REVIEW_WORDS.min, parseInt(maxWords) || REVIEW_WORDS.default))
+
+  try {
+    const sessionResult = await db.query(
+      `SELECT ws.world_id, ws.session_id, ws.age_level
+       FROM world_sessions ws
+       WHERE ws.id = $1 AND ws.teacher_id = $2`,
+      [sessionId, userId]
+    )
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'World session not found' })
+    }
+
+    const { world_id: worldId, session_id: classSessionId, age_level: ageLevel } = sessionResult.rows[0]
+
+    const studentsResult = await db.query(
+      `SELECT id, student_name FROM session_students
+       WHERE session_id = $1 AND ($2::uuid IS NULL OR id = $2::uuid)`,
+      [classSessionId, studentId]
+    )
+
+    if (studentId && studentsResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this class' })
+    }
+
+    const studentIds = studentsResult.rows.map(s => s.id)
+
+    // Schedule state per word, combined across the chosen students
+    const [wordsResult, missesResult] = await Promise.all([
+      db.query(
+        `SELECT v.id, v.word, v.image_url, v.audio_url, v.translation_zh_tw,
+                SUM(d.times_seen) AS times_seen,
+                SUM(d.times_correct) AS times_correct,
+                MIN(d.mastery_level) AS mastery_level,
+                BOOL_OR(COALESCE(d.next_review_at, d.last_seen_at + INTERVAL '1 day') <= NOW()) AS due,
+                MAX(EXTRACT(EPOCH FROM NOW() - COALESCE(d.next_review_at, d.last_seen_at + INTERVAL '1 day'))) AS overdue_seconds
+         FROM vocabulary_discovery d
+         JOIN world_vocabulary v ON d.vocabulary_id = v.id
+         JOIN world_lands l ON d.land_id = l.id
+         WHERE d.student_id = ANY($1::uuid[]) AND v.world_id = $2
+           AND COALESCE(l.is_review_land, false) = false
+         GROUP BY v.id`,
+        [studentIds, worldId]
+      ),
+      // Misspelled or missed words saved by word_spelling and fill_in_blank
+      db.query(
+        `SELECT LOWER(TRIM(w->>'word')) AS word, COUNT(*) AS misses
+         FROM land_activity_progress p
+         JOIN land_activities a ON p.activity_id = a.id
+         JOIN world_lands l ON a.land_id = l.id
+         CROSS JOIN LATERAL jsonb_array_elements(
+           CASE WHEN jsonb_typeof(p.response_data->'words') = 'array'
+                THEN p.response_data->'words' ELSE '[]'::jsonb END
+         ) w
+         WHERE p.student_id = ANY($1::uuid[]) AND l.world_id = $2
+           AND jsonb_typeof(w->'mistakes') = 'array'
+           AND jsonb_array_length(w->'mistakes') > 0
+         GROUP BY 1`,
+        [studentIds, worldId]
+      )
+    ])
+
+    const missesByWord = new Map(missesResult.rows.map(row => [row.word, Number(row.misses)]))
+    const words = rankReviewWords(wordsResult.rows.map(word => ({
+      ...word,
+      times_seen: Number(word.times_seen),
+      times_correct: Number(word.times_correct),
+      misses: missesByWord.get(word.word.toLowerCase().trim()) || 0
+    }))).slice(0, limit)
+
+    if (words.length < REVIEW_WORDS.min) {
+      return res.status(400).json({ message: 'Not enough words are due for review yet' })
+    }
+
+    const { matching, listenPoint } = buildReviewContent(words)
+
+    if (matching.pairs.length < REVIEW_WORDS.min && listenPoint.items.length < REVIEW_WORDS.min) {
+      return res.status(400).json({ message: 'Words due for review need a picture or translation to be practised' })
+    }
+
+    // Listening needs every word to be heard
+    for (const item of listenPoint.items) {
+      if (item.audioUrl) continue
+      try {
+        const { audioUrl } = await generateVocabularyAudio(item.word, { ageLevel: ageLevel || 2 })
+        item.audioUrl = audioUrl
+      } catch (error) {
+        console.error(`Review audio error for "${item.word}":`, error.message)
+      }
+    }
+
+    const student = studentId ? studentsResult.rows[0] : null
+    const name = student ? `${student.student_name}'s Review` : 'Class Review'
+    const targetVocabulary = JSON.stringify(words.map(word => word.word))
+
+    const activities = []
+    if (matching.pairs.length >= REVIEW_WORDS.min) {
+      activities.push({ title: 'Review: Match', activityType: 'matching_game', content: matching })
+    }
+    if (listenPoint.items.length >= REVIEW_WORDS.min) {
+      activities.push({ title: 'Review: Listen and Point', activityType: 'listen_point', content: listenPoint })
+    }
+
+    // The land and its activities are replaced together, so a failure
+    // never leaves an empty review land
+    const client = await db.connect()
+    let existing
+    let land
+    const createdActivities = []
+    try {
+      await client.query('BEGIN')
+
+      existing = await client.query(
+        `SELECT id FROM world_lands
+         WHERE world_id = $1 AND is_review_land = true
+           AND review_session_id = $2
+           AND review_student_id IS NOT DISTINCT FROM $3::uuid
+         FOR UPDATE`,
+        [worldId, classSessionId, studentId]
+      )
+
+      if (existing.rows.length > 0) {
+        const landResult = await client.query(
+          `UPDATE world_lands SET
+            name = $1, target_vocabulary = $2, review_generated_at = NOW(), updated_at = NOW()
+          WHERE id = $3
+          RETURNING *`,
+          [name, targetVocabulary, existing.rows[0].id]
+        )
+        land = landResult.rows[0]
+        await client.query(`DELETE FROM land_activities WHERE land_id = $1`, [land.id])
+      } else {
+        const orderResult = await client.query(
+          `SELECT COALESCE(MAX(sequence_order), 0) + 1 as next_order FROM world_lands WHERE world_id = $1`,
+          [worldId]
+        )
+        const landResult = await client.query(
+          `INSERT INTO world_lands (
+            world_id, name, slug, description, sequence_order, target_vocabulary,
+            is_review_land, review_session_id, review_student_id, review_generated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, true, $7, $8, NOW())
+          RETURNING *`,
+          [
+            worldId, name, studentId ? `review-${studentId}` : `review-class-${classSessionId}`,
+            'Words that are ready to practise again', orderResult.rows[0].next_order,
+            targetVocabulary, classSessionId, studentId
+          ]
+        )
+        land = landResult.rows[0]
+      }
+
+      for (const [index, activity] of activities.entries()) {
+        const result = await client.query(
+          `INSERT INTO land_activities (
+            land_id, title, activity_type, instructions, content, sequence_order
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *`,
+          [land.id, activity.title, activity.activityType, activity.content.instructions, activity.content, index + 1]
+        )
+        createdActivities.push(result.rows[0])
+      }
+
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+
+    res.status(existing.rows.length > 0 ? 200 : 201).json({
+      message: 'Review land generated',
+      land,
+      activities: createdActivities,
+      words: words.map(({ id, word, mastery_level, accuracy, misses }) => ({ id, word, mastery_level, accuracy, misses }))
+    })
+  } catch (error) {
+    console.error('Generate review land error:', error)
+    res.status(500).json({ message: 'Failed to generate review land' })
+  }
+}
+
+// ============================================================================
+// LAND TEMPLATES
+// ============================================================================
+
+/**
+ * Get available land templates
+ * GET /api/land-templates
+ */
+export async function getLandTemplates(req, res) {
+  const { category } = req.query
+
+  try {
+    let query = `SELECT * FROM land_templates WHERE is_published = true`
+    const params = []
+
+    if (category) {
       query += ` AND category = $1`
       params.push(category)
     }
@@ -1518,6 +2445,166 @@ export async function importLandTemplate(req, res) {
 // AI CONTENT GENERATION
 // ============================================================================
 
+/**
+ * Add TTS narration to each story_sequence panel
+ * Audio is cached by text, voice and age level, so unchanged panels are free.
+ * A panel whose narration fails keeps no audio; the player then shows its
+ * text instead.
+ */
+async function narrateStoryPanels(content, voiceStyle, ageLevel) {
+  if (!Array.isArray(content?.panels)) return content
+
+  const panels = []
+  for (const panel of content.panels) {
+    const text = panel.text?.trim()
+    if (!text) {
+      panels.push({ ...panel, audioUrl: null })
+      continue
+    }
+
+    try {
+      const { audioUrl } = await generateNarrationAudio(text, voiceStyle || 'calm', ageLevel)
+      panels.push({ ...panel, audioUrl })
+    } catch (error) {
+      console.error('Story panel narration error:', error.message)
+      panels.push({ ...panel, audioUrl: null })
+    }
+  }
+
+  return { ...content, panels }
+}
+
+/**
+ * Voice each dictation item and link it to the land's vocabulary.
+ * Audio is made at the speed of every age level the activity is for, plus
+ * the slowest speed for the "slower" button, so the player can follow the
+ * session's age level.
+ */
+async function voiceDictationItems(content, { landId, voiceStyle, minAgeLevel, maxAgeLevel }) {
+  if (!Array.isArray(content?.items)) return content
+
+  const vocabularyResult = await db.query(
+    `SELECT id, word FROM world_vocabulary WHERE land_id = $1`,
+    [landId]
+  )
+  const vocabularyIds = new Map(vocabularyResult.rows.map(v => [v.word.trim().toLowerCase(), v.id]))
+
+  const levels = Object.keys(SPEED_BY_AGE_LEVEL)
+    .map(Number)
+    .filter(level => level === 1 || (level >= (minAgeLevel || 1) && level <= (maxAgeLevel || 3)))
+
+  const items = []
+  for (const item of content.items) {
+    const text = item.text?.trim()
+    if (!text) continue
+
+    const audioUrls = {}
+    for (const level of levels) {
+      try {
+        const { audioUrl } = await generateCharacterSpeech(text, {
+          voiceStyle: voiceStyle || 'clear',
+          ageLevel: level,
+          characterName: 'dictation'
+        })
+        audioUrls[level] = audioUrl
+      } catch (error) {
+        console.error(`Dictation audio error for "${text}":`, error.message)
+      }
+    }
+
+    items.push({
+      ...item,
+      text,
+      audioUrls,
+      vocabularyId: vocabularyIds.get(text.toLowerCase()) || null
+    })
+  }
+
+  return { ...content, items }
+}
+
+/**
+ * Voice the character's side of a dialogue.
+ * The speaker is the character chosen in the content, or the land mascot,
+ * speaking in its own voice style. Key words are linked to the land's
+ * vocabulary so spoken replies can be logged against them.
+ */
+async function voiceDialogueItems(content, { landId, ageLevel }) {
+  if (!Array.isArray(content?.items)) return content
+
+  const characterResult = await db.query(
+    `SELECT c.id, c.name, c.voice_style
+     FROM world_lands l
+     JOIN world_characters c ON c.world_id = l.world_id
+     WHERE l.id = $1
+     ORDER BY COALESCE(c.id = $2::uuid, false) DESC,
+              COALESCE(c.id = l.mascot_character_id, false) DESC,
+              c.created_at ASC
+     LIMIT 1`,
+    [landId, content.characterId || null]
+  )
+  const character = characterResult.rows[0]
+
+  const vocabularyResult = await db.query(
+    `SELECT id, word FROM world_vocabulary WHERE land_id = $1`,
+    [landId]
+  )
+  const vocabularyIds = new Map(vocabularyResult.rows.map(v => [v.word.trim().toLowerCase(), v.id]))
+
+  const items = []
+  for (const item of content.items) {
+    const characterLine = item.characterLine?.trim()
+    if (!characterLine) continue
+
+    let audioUrl = null
+    try {
+      const speech = await generateCharacterSpeech(characterLine, {
+        voiceStyle: character?.voice_style || 'friendly',
+        ageLevel: ageLevel || 3,
+        characterName: character?.name || 'dialogue'
+      })
+      audioUrl = speech.audioUrl
+    } catch (error) {
+      console.error(`Dialogue audio error for "${characterLine}":`, error.message)
+    }
+
+    const keyWords = replyKeyWords(item)
+    const vocabulary = {}
+    for (const keyWord of keyWords) {
+      if (vocabularyIds.has(keyWord)) vocabulary[keyWord] = vocabularyIds.get(keyWord)
+    }
+
+    items.push({
+      ...item,
+      characterLine,
+      keyWords,
+      audioUrl,
+      vocabulary
+    })
+  }
+
+  return { ...content, characterId: character?.id || null, items }
+}
+
+/**
+ * Offer the land's vocabulary as the story word bank when the teacher
+ * hasn't picked words
+ */
+async function fillStoryWordBank(content, landId) {
+  const wordBank = (Array.isArray(content?.wordBank) ? content.wordBank : [])
+    .map(word => String(word).trim())
+    .filter(Boolean)
+
+  if (wordBank.length > 0) return { ...content, wordBank }
+
+  const vocabularyResult = await db.query(
+    `SELECT word FROM world_vocabulary WHERE land_id = $1 ORDER BY created_at LIMIT 16`,
+    [landId]
+  )
+
+  return { ...content, wordBank: vocabularyResult.rows.map(v => v.word) }
+}
+
 /**
  * Generate activity content using AI
  * POST /api/activities/:activityId/generate-content
@@ -1531,10 +2618,11 @@ export async function generateAIActivityContent(req, res) {
     // Get activity with land and world info
     const activityResult = await db.query(
       `SELECT a.*, l.name as land_name, l.slug as land_slug, w.theme as world_theme,
-              w.target_language, w.support_language
+              w.target_language, w.support_language, c.voice_style as mascot_voice_style
        FROM land_activities a
        JOIN world_lands l ON a.land_id = l.id
        JOIN learning_worlds w ON l.world_id = w.id
+       LEFT JOIN world_characters c ON l.mascot_character_id = c.id
        WHERE a.id = $1 AND w.teacher_id = $2`,
       [activityId, userId]
     )
@@ -1561,13 +2649,45 @@ export async function generateAIActivityContent(req, res) {
     })
 
     if (result.error) {
-      return res.status(500).json({
-        message: 'AI generation produced invalid content',
-        error: result.error,
-        rawContent: result.rawContent
+      return res.status(502).json({
+        message: result.error,
+        validationErrors: result.validationErrors
+      })
+    }
+
+    // Story panels are read aloud in the land mascot's voice
+    if (activity.activity_type === 'story_sequence') {
+      result.content = await narrateStoryPanels(result.content, activity.mascot_voice_style, ageLevel)
+    }
+
+    if (activity.activity_type === 'dictation') {
+      result.content = await voiceDictationItems(result.content, {
+        landId: activity.land_id,
+        voiceStyle: activity.mascot_voice_style,
+        minAgeLevel: activity.min_age_level,
+        maxAgeLevel: activity.max_age_level
+      })
+    }
+
+    if (activity.activity_type === 'dialogue_practice') {
+      result.content = await voiceDialogueItems(result.content, {
+        landId: activity.land_id,
+        ageLevel
       })
     }
 
+    if (activity.activity_type === 'story_writing') {
+      result.content = await fillStoryWordBank(result.content, activity.land_id)
+    }
+
+    // Keep only sentence orders that really use the blocks, so scoring can trust them
+    if (activity.activity_type === 'sentence_builder') {
+      result.content = {
+        ...result.content,
+        items: normalizeSentenceItems(result.content.items)
+      }
+    }
+
     res.json({
       message: 'Content generated successfully',
       content: result.content,
@@ -1592,9 +2712,12 @@ export async function saveActivityContent(req, res) {
   try {
     // Verify ownership through land and world
     const check = await db.query(
-      `SELECT a.id FROM land_activities a
+      `SELECT a.id, a.land_id, a.activity_type, a.min_age_level, a.max_age_level,
+              c.voice_style as mascot_voice_style
+       FROM land_activities a
        JOIN world_lands l ON a.land_id = l.id
        JOIN learning_worlds w ON l.world_id = w.id
+       LEFT JOIN world_characters c ON l.mascot_character_id = c.id
        WHERE a.id = $1 AND w.teacher_id = $2`,
       [activityId, userId]
     )
@@ -1603,10 +2726,47 @@ export async function saveActivityContent(req, res) {
       return res.status(404).json({ message: 'Activity not found' })
     }
 
+    const activity = check.rows[0]
+
+    // Re-narrate so edited panel text never plays stale audio
+    let savedContent = activity.activity_type === 'story_sequence'
+      ? await narrateStoryPanels(content, activity.mascot_voice_style, activity.min_age_level || 2)
+      : content
+
+    if (activity.activity_type === 'sentence_builder') {
+      const items = normalizeSentenceItems(content?.items)
+      if (items.length !== (content?.items || []).length) {
+        return res.status(400).json({
+          message: 'Each sentence needs at least two words and must include its target word'
+        })
+      }
+      savedContent = { ...content, items }
+    }
+
+    if (activity.activity_type === 'dictation') {
+      savedContent = await voiceDictationItems(content, {
+        landId: activity.land_id,
+        voiceStyle: activity.mascot_voice_style,
+        minAgeLevel: activity.min_age_level,
+        maxAgeLevel: activity.max_age_level
+      })
+    }
+
+    if (activity.activity_type === 'story_writing') {
+      savedContent = await fillStoryWordBank(content, activity.land_id)
+    }
+
+    if (activity.activity_type === 'dialogue_practice') {
+      savedContent = await voiceDialogueItems(content, {
+        landId: activity.land_id,
+        ageLevel: activity.min_age_level
+      })
+    }
+
     const result = await db.query(
       `UPDATE land_activities SET content = $1, updated_at = NOW()
        WHERE id = $2 RETURNING *`,
-      [content, activityId]
+      [savedContent, activityId]
     )
 
     res.json({
@@ -1620,6 +2780,365 @@ export async function saveActivityContent(req, res) {
   }
 }
 
+/**
+ * Build spelling or fill-in-the-blank content from the land's vocabulary
+ * POST /api/world-activities/:activityId/vocabulary-content
+ *
+ * Returns the content for the editor to review; nothing is saved here.
+ * Spelling words without a recording get TTS pronunciation audio.
+ */
+export async function buildVocabularyActivityContent(req, res) {
+  const { activityId } = req.params
+  const userId = req.user.userId
+
+  try {
+    const activityResult = await db.query(
+      `SELECT a.id, a.land_id, a.activity_type, a.min_age_level FROM land_activities a
+       JOIN world_lands l ON a.land_id = l.id
+       JOIN learning_worlds w ON l.world_id = w.id
+       WHERE a.id = $1 AND w.teacher_id = $2`,
+      [activityId, userId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (!['word_spelling', 'fill_in_blank'].includes(activity.activity_type)) {
+      return res.status(400).json({ message: 'Only spelling and fill-in-the-blank activities are built from vocabulary' })
+    }
+
+    const vocabularyResult = await db.query(
+      `SELECT * FROM world_vocabulary WHERE land_id = $1 ORDER BY word`,
+      [activity.land_id]
+    )
+
+    let content
+    if (activity.activity_type === 'word_spelling') {
+      const items = buildSpellingItems(vocabularyResult.rows)
+
+      for (const item of items) {
+        if (item.audioUrl) continue
+        try {
+          const { audioUrl } = await generateVocabularyAudio(item.word, { ageLevel: activity.min_age_level || 2 })
+          item.audioUrl = audioUrl
+        } catch (error) {
+          console.error(`Spelling audio error for "${item.word}":`, error.message)
+        }
+      }
+
+      content = { items, instructions: 'Listen, then spell the word!' }
+    } else {
+      content = {
+        items: buildClozeItems(vocabularyResult.rows),
+        instructions: 'Find the missing word!'
+      }
+    }
+
+    if (content.items.length === 0) {
+      return res.status(400).json({
+        message: activity.activity_type === 'word_spelling'
+          ? 'This land has no single-word vocabulary to spell'
+          : 'No vocabulary in this land has a phrase or sentence using the word'
+      })
+    }
+
+    res.json({
+      message: 'Content built from vocabulary',
+      content
+    })
+
+  } catch (error) {
+    console.error('Build vocabulary content error:', error)
+    res.status(500).json({ message: 'Failed to build content from vocabulary' })
+  }
+}
+
+/**
+ * Check a dictation answer
+ * POST /api/world-activities/:activityId/dictation/check
+ *
+ * Body: { itemIndex, answer, worldSessionId, studentId (teacher only) }
+ * Scored here with near-miss credit. When a student is signed in, or the
+ * teacher is playing for one, the attempt is logged against the word in
+ * vocabulary_discovery.
+ */
+export async function checkDictationAnswer(req, res) {
+  const { activityId } = req.params
+  const { itemIndex, answer = '', worldSessionId } = req.body
+
+  try {
+    const studentId = await resolveProgressStudent(req, worldSessionId, req.body.studentId)
+
+    const activityResult = await db.query(
+      `SELECT id, land_id, activity_type, content FROM land_activities WHERE id = $1`,
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.activity_type !== 'dictation') {
+      return res.status(400).json({ message: 'Activity is not a dictation activity' })
+    }
+
+    const item = activity.content?.items?.[parseInt(itemIndex)]
+    if (!item?.text) {
+      return res.status(400).json({ message: 'Dictation item not found' })
+    }
+
+    const score = scoreDictation(item.text, answer)
+
+    if (studentId && item.vocabularyId) {
+      await recordVocabularyAttempt({
+        studentId,
+        vocabularyId: item.vocabularyId,
+        landId: activity.land_id,
+        worldSessionId: worldSessionId || null,
+        correct: score.result !== 'miss'
+      })
+    }
+
+    res.json({
+      ...score,
+      expected: item.text
+    })
+
+  } catch (error) {
+    console.error('Check dictation answer error:', error)
+    res.status(500).json({ message: 'Failed to check answer' })
+  }
+}
+
+/**
+ * Check a dialogue reply - spoken (multipart `audio`) or chosen from the
+ * answer buttons (`choice`) in classrooms without microphones
+ * POST /api/world-activities/:activityId/dialogue/reply
+ * Body: { itemIndex, worldSessionId, studentId (teacher only), choice? }
+ */
+export async function checkDialogueReply(req, res) {
+  const { activityId } = req.params
+  const { itemIndex, worldSessionId, choice } = req.body
+
+  try {
+    const studentId = await resolveProgressStudent(req, worldSessionId, req.body.studentId)
+
+    const activityResult = await db.query(
+      `SELECT a.id, a.land_id, a.activity_type, a.content, w.target_language
+       FROM land_activities a
+       JOIN world_lands l ON a.land_id = l.id
+       JOIN learning_worlds w ON l.world_id = w.id
+       WHERE a.id = $1`,
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.activity_type !== 'dialogue_practice') {
+      return res.status(400).json({ message: 'Activity is not a dialogue activity' })
+    }
+
+    const item = activity.content?.items?.[parseInt(itemIndex)]
+    if (!item?.characterLine) {
+      return res.status(400).json({ message: 'Dialogue line not found' })
+    }
+
+    const spoken = !!req.file
+    if (!spoken && typeof choice !== 'string') {
+      return res.status(400).json({ message: 'A recording or a chosen reply is required' })
+    }
+
+    let transcript = null
+    let score
+
+    if (spoken) {
+      const transcription = await transcribeStudentSpeech(
+        req.file.buffer,
+        (activity.target_language || 'en').split('-')[0],
+        `A child answering: "${item.characterLine}"`
+      )
+      transcript = transcription.text
+      score = scoreDialogueReply(item, transcript)
+    } else {
+      const correct = choice.trim() === (item.expectedReply || '').trim()
+      score = {
+        ...scoreDialogueReply(item, correct ? item.expectedReply : ''),
+        result: correct ? 'great' : 'try_again',
+        points: correct ? 2 : 0
+      }
+    }
+
+    // Log the key words against the land's vocabulary
+    if (studentId) {
+      for (const [keyWord, vocabularyId] of Object.entries(item.vocabulary || {})) {
+        await recordVocabularyAttempt({
+          studentId,
+          vocabularyId,
+          landId: activity.land_id,
+          worldSessionId: worldSessionId || null,
+          correct: score.matched.includes(keyWord),
+          spoken
+        })
+      }
+    }
+
+    res.json({
+      ...score,
+      mode: spoken ? 'speech' : 'choice',
+      transcript,
+      expectedReply: item.expectedReply
+    })
+
+  } catch (error) {
+    if (error.code === 'AI_QUOTA_EXCEEDED') {
+      return res.status(429).json({ message: error.message, code: error.code })
+    }
+    console.error('Check dialogue reply error:', error)
+    res.status(500).json({ message: 'Failed to check reply' })
+  }
+}
+
+/**
+ * Gentle AI feedback on a story before the student finishes it
+ * POST /api/world-activities/:activityId/story-feedback
+ * Body: { story }
+ */
+export async function getStoryWritingFeedback(req, res) {
+  try {
+    const { activityId } = req.params
+    const { story } = req.body
+
+    if (typeof story !== 'string' || !story.trim()) {
+      return res.status(400).json({ message: 'Story is required' })
+    }
+    if (story.length > 3000) {
+      return res.status(400).json({ message: 'Story is too long' })
+    }
+
+    const activityResult = await db.query(
+      `SELECT a.activity_type, a.content, w.target_language
+       FROM land_activities a
+       JOIN world_lands l ON a.land_id = l.id
+       JOIN learning_worlds w ON l.world_id = w.id
+       WHERE a.id = $1`,
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.activity_type !== 'story_writing') {
+      return res.status(400).json({ message: 'Activity is not a story writing activity' })
+    }
+
+    const feedback = await getStoryFeedback({
+      story: story.trim(),
+      storyStarter: activity.content?.storyStarter,
+      prompt: activity.content?.prompt,
+      wordBank: activity.content?.wordBank || [],
+      language: activity.target_language === 'en' ? 'English' : activity.target_language || 'English'
+    })
+
+    res.json({ feedback })
+
+  } catch (error) {
+    console.error('Story feedback error:', error)
+    res.status(500).json({ message: 'Failed to get feedback' })
+  }
+}
+
+/**
+ * Get students' stories and reading answers in a world session
+ * GET /api/world-sessions/:sessionId/written-responses
+ */
+export async function getWrittenResponses(req, res) {
+  const { sessionId } = req.params
+  const userId = req.user.userId
+
+  try {
+    const check = await db.query(
+      `SELECT id FROM world_sessions WHERE id = $1 AND teacher_id = $2`,
+      [sessionId, userId]
+    )
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ message: 'World session not found' })
+    }
+
+    const result = await db.query(
+      `SELECT
+        p.id, p.activity_id, p.student_id, p.score, p.max_score,
+        p.response_data, p.is_completed, p.completed_at,
+        a.title as activity_title, a.activity_type,
+        s.student_name
+      FROM land_activity_progress p
+      JOIN land_activities a ON p.activity_id = a.id
+      JOIN session_students s ON p.student_id = s.id
+      WHERE p.world_session_id = $1 AND a.activity_type = ANY($2)
+      ORDER BY p.completed_at DESC NULLS LAST`,
+      [sessionId, LEVEL_3_ACTIVITY_TYPES]
+    )
+
+    res.json({ responses: result.rows })
+
+  } catch (error) {
+    console.error('Get written responses error:', error)
+    res.status(500).json({ message: 'Failed to get written responses' })
+  }
+}
+
+/**
+ * Get the letters (or words) students most often mix up in an activity
+ * GET /api/world-activities/:activityId/spelling-patterns?worldSessionId=
+ */
+export async function getSpellingPatterns(req, res) {
+  const { activityId } = req.params
+  const { worldSessionId } = req.query
+  const userId = req.user.userId
+
+  try {
+    const check = await db.query(
+      `SELECT a.id FROM land_activities a
+       JOIN world_lands l ON a.land_id = l.id
+       JOIN learning_worlds w ON l.world_id = w.id
+       WHERE a.id = $1 AND w.teacher_id = $2`,
+      [activityId, userId]
+    )
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    let query = `SELECT response_data FROM land_activity_progress WHERE activity_id = $1`
+    const params = [activityId]
+
+    if (worldSessionId) {
+      query += ` AND world_session_id = $2`
+      params.push(worldSessionId)
+    }
+
+    const result = await db.query(query, params)
+
+    res.json(summarizeMistakes(result.rows))
+
+  } catch (error) {
+    console.error('Get spelling patterns error:', error)
+    res.status(500).json({ message: 'Failed to get spelling patterns' })
+  }
+}
+
 /**
  * Generate an image using DALL-E 3
  * POST /api/generate-image
@@ -0,0 +1,194 @@
+import db from '../database/db.js'
+import { MAP_MODES, normalizeHotspots, scoreMapAnswers } from '../utils/mapHotspots.js'
+
+/**
+ * Create a map interaction activity from an uploaded map image
+ * POST /api/sessions/:sessionId/activities/map
+ *
+ * Body: { imageId, title, mode }
+ * The image comes from POST /api/upload/image. The activity starts with no
+ * hotspots; the teacher places them in the map editor.
+ */
+export async function createMapActivity(req, res) {
+  const { sessionId } = req.params
+  const { imageId, title, mode = 'label' } = req.body
+  const teacherId = req.user.userId
+
+  try {
+    if (!imageId) {
+      return res.status(400).json({ message: 'Image ID is required' })
+    }
+
+    if (!MAP_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Mode must be one of: ${MAP_MODES.join(', ')}` })
+    }
+
+    // Verify session belongs to teacher
+    const session = await db.query(
+      'SELECT id FROM sessions WHERE id = $1 AND teacher_id = $2',
+      [sessionId, teacherId]
+    )
+
+    if (session.rows.length === 0) {
+      return res.status(404).json({ message: 'Session not found' })
+    }
+
+    const imageResult = await db.query(
+      'SELECT * FROM uploaded_images WHERE id = $1 AND user_id = $2',
+      [imageId, teacherId]
+    )
+
+    if (imageResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Image not found' })
+    }
+
+    const image = imageResult.rows[0]
+    const mapTitle = (title || image.alt_text || 'Map').trim()
+
+    const content = {
+      title: mapTitle,
+      instructions: mode === 'locate'
+        ? 'Click the place on the map for each location'
+        : 'Drag each label to the right place on the map',
+      mode,
+      map: {
+        imageId: image.id,
+        imageUrl: image.url,
+        width: image.width,
+        height: image.height
+      },
+      hotspots: []
+    }
+
+    const result = await db.query(
+      `INSERT INTO activities (
+        session_id,
+        type,
+        prompt,
+        ai_generated,
+        content,
+        pushed_to
+      )
+      VALUES ($1, $2, $3, false, $4, 'none')
+      RETURNING *`,
+      [sessionId, 'map_interaction', `Map: ${mapTitle}`, JSON.stringify(content)]
+    )
+
+    console.log('🗺️ Map activity created:', result.rows[0].id)
+
+    res.status(201).json({
+      success: true,
+      activity: result.rows[0],
+      message: 'Map activity created - place hotspots to finish it'
+    })
+  } catch (error) {
+    console.error('Create map activity error:', error)
+    res.status(500).json({ message: 'Failed to create map activity' })
+  }
+}
+
+/**
+ * Submit a map interaction activity
+ * POST /api/activities/:activityId/map/submit
+ *
+ * Body: { studentId, answers: { hotspotId: { x, y } }, timeSpent }
+ * Points are in map image pixels - where the student dropped each label, or
+ * clicked for each location. Whether a point is inside its region is decided
+ * here, never by the client.
+ */
+export async function submitMapInteraction(req, res) {
+  const { activityId } = req.params
+  const { studentId, answers = {}, timeSpent = 0 } = req.body
+
+  try {
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student ID is required' })
+    }
+
+    if (typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({ message: 'Answers must be an object of hotspotId -> { x, y }' })
+    }
+
+    // Get activity
+    const activityResult = await db.query(
+      'SELECT * FROM activities WHERE id = $1',
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.type !== 'map_interaction') {
+      return res.status(400).json({ message: 'Activity is not a map activity' })
+    }
+
+    // Verify student belongs to the activity's session
+    const studentCheck = await db.query(
+      'SELECT id FROM session_students WHERE id = $1 AND session_id = $2',
+      [studentId, activity.session_id]
+    )
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this session' })
+    }
+
+    const content = {
+      ...activity.content,
+      hotspots: normalizeHotspots(activity.content.hotspots, activity.content.map)
+    }
+
+    if (content.hotspots.length === 0) {
+      return res.status(400).json({ message: 'Map has no hotspots' })
+    }
+
+    const { score, correctCount, hotspotResults } = scoreMapAnswers(content, answers)
+    const isCorrect = correctCount === content.hotspots.length
+
+    // Prepare response data
+    const responseData = {
+      type: activity.type,
+      mode: content.mode,
+      answers: Object.fromEntries(hotspotResults.map(r => [r.id, r.point])),
+      score,
+      correctCount,
+      totalHotspots: content.hotspots.length,
+      isCorrect
+    }
+
+    await db.query(
+      `INSERT INTO student_responses (activity_id, student_id, session_id, response, is_correct, time_spent_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [activityId, studentId, activity.session_id, JSON.stringify(responseData), isCorrect, parseInt(timeSpent) || 0]
+    )
+
+    // Log analytics event
+    await db.query(
+      `INSERT INTO analytics_events (event_type, session_id, properties)
+       VALUES ($1, $2, $3)`,
+      [
+        'student_response_submitted',
+        activity.session_id,
+        JSON.stringify({
+          activityType: activity.type,
+          activityId,
+          score,
+          missed: hotspotResults.filter(r => !r.isCorrect).map(r => r.id)
+        })
+      ]
+    )
+
+    res.json({
+      message: 'Response submitted successfully',
+      response: {
+        ...responseData,
+        hotspots: hotspotResults
+      }
+    })
+  } catch (error) {
+    console.error('Submit map interaction error:', error)
+    res.status(500).json({ message: 'Failed to submit response' })
+  }
+}
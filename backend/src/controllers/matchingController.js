@@ -1,5 +1,6 @@
-import axios from 'axios'
 import db from '../database/db.js'
+import { generateJSON } from '../services/llm/index.js'
+import { MATCHING_SCHEMAS, matchingReferenceErrors } from '../services/llm/schemas.js'
 
 /**
  * Generate matching activity using AI
@@ -71,46 +72,35 @@ Respond ONLY with valid JSON in this exact format:
 }`
     }
 
-    // Call Claude AI
-    const aiResponse = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 2048,
-        messages: [{
-          role: 'user',
-          content: aiPrompt
-        }]
-      },
-      {
-        headers: {
-          'x-api-key': process.env.CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'content-type': 'application/json'
-        }
-      }
-    )
-
-    const aiContent = aiResponse.data.content[0].text
-
-    // Extract JSON from response
-    let matchingData
-    try {
-      const jsonMatch = aiContent.match(/\{[\s\S]*\}/)
-      matchingData = JSON.parse(jsonMatch ? jsonMatch[0] : aiContent)
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', aiContent)
-      throw new Error('AI generated invalid response format')
-    }
+    // Generate with the configured AI provider; the reply is checked against
+    // the schema for this mode and re-prompted if it doesn't match
+    const schemaMode = mode === 'pairs' ? 'pairs' : 'categories'
+    const aiResponse = await generateJSON({
+      feature: 'matching_generation',
+      maxTokens: 2048,
+      messages: [{
+        role: 'user',
+        content: aiPrompt
+      }],
+      schema: MATCHING_SCHEMAS[schemaMode],
+      check: data => matchingReferenceErrors(schemaMode, data)
+    })
 
-    res.json(matchingData)
+    res.json(aiResponse.data)
 
   } catch (error) {
-    console.error('Matching generation error:', error.response?.data || error.message)
+    console.error('Matching generation error:', error.message)
+
+    if (error.code === 'INVALID_AI_OUTPUT') {
+      return res.status(502).json({
+        message: 'The AI could not produce a valid matching activity. Please try again.',
+        validationErrors: error.validationErrors
+      })
+    }
 
-    if (error.response?.status === 401) {
+    if (error.status === 401) {
       return res.status(500).json({
-        message: 'Claude API key not configured or invalid'
+        message: 'AI provider API key not configured or invalid'
       })
     }
 
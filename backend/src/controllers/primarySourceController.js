@@ -0,0 +1,296 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
+import db from '../database/db.js'
+import { generatePrimarySourceFromImage, generateAnswerFeedback } from '../services/primarySourceService.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Credit for AI-rated open answers
+const RATING_CREDIT = { strong: 1, developing: 0.5, beginning: 0 }
+
+/**
+ * Create a primary source activity from an uploaded image
+ * POST /api/sessions/:sessionId/activities/primary-source
+ *
+ * Body: { imageId, citation, difficulty }
+ * The image comes from POST /api/upload/image. Documents go through
+ * POST /api/documents/upload with activityType 'primary_source' instead.
+ */
+export async function createPrimarySourceFromImage(req, res) {
+  const { sessionId } = req.params
+  const { imageId, citation = '', difficulty = 'medium' } = req.body
+  const teacherId = req.user.userId
+
+  try {
+    if (!imageId) {
+      return res.status(400).json({ message: 'Image ID is required' })
+    }
+
+    // Verify session belongs to teacher
+    const session = await db.query(
+      'SELECT id FROM sessions WHERE id = $1 AND teacher_id = $2',
+      [sessionId, teacherId]
+    )
+
+    if (session.rows.length === 0) {
+      return res.status(404).json({ message: 'Session not found' })
+    }
+
+    const imageResult = await db.query(
+      'SELECT * FROM uploaded_images WHERE id = $1 AND user_id = $2',
+      [imageId, teacherId]
+    )
+
+    if (imageResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Image not found' })
+    }
+
+    const image = imageResult.rows[0]
+
+    console.log('📜 Generating primary source activity from image:', image.filename)
+
+    const aiResult = await generatePrimarySourceFromImage({
+      imagePath: path.join(__dirname, '../../public', image.url),
+      citation,
+      difficulty
+    })
+
+    console.log(`✅ Primary source questions generated in ${aiResult.generationTime}ms`)
+
+    const content = {
+      ...aiResult.content,
+      source: {
+        kind: 'image',
+        title: image.alt_text,
+        imageId: image.id,
+        imageUrl: image.url,
+        width: image.width,
+        height: image.height,
+        citation,
+        description: aiResult.content.sourceDescription || ''
+      }
+    }
+
+    const result = await db.query(
+      `INSERT INTO activities (
+        session_id,
+        type,
+        prompt,
+        ai_generated,
+        generation_time_ms,
+        cached,
+        content,
+        difficulty_level,
+        pushed_to
+      )
+      VALUES ($1, $2, $3, true, $4, false, $5, $6, 'none')
+      RETURNING *`,
+      [
+        sessionId,
+        'primary_source',
+        `Source analysis: ${image.alt_text}`,
+        aiResult.generationTime,
+        JSON.stringify(content),
+        difficulty
+      ]
+    )
+
+    res.status(201).json({
+      success: true,
+      activity: result.rows[0],
+      message: 'Primary source activity created'
+    })
+  } catch (error) {
+    console.error('Create primary source error:', error)
+    res.status(500).json({ message: 'Failed to create primary source activity' })
+  }
+}
+
+/**
+ * Submit primary source annotations and answers
+ * POST /api/activities/:activityId/primary-source/submit
+ *
+ * Body: { studentId, annotations: [{ start, end, text, note } | { x, y, note }], answers: { questionId: value } }
+ * Multiple choice answers are an option index; open answers are text and get AI feedback.
+ * One row is stored per question so progress and grade exports work like quizzes.
+ */
+export async function submitPrimarySource(req, res) {
+  const { activityId } = req.params
+  const { studentId, annotations = [], answers = {}, timeSpent = 0 } = req.body
+
+  try {
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student ID is required' })
+    }
+
+    if (!Array.isArray(annotations) || typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({ message: 'Annotations must be an array and answers an object' })
+    }
+
+    // Get activity
+    const activityResult = await db.query(
+      'SELECT * FROM activities WHERE id = $1',
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.type !== 'primary_source') {
+      return res.status(400).json({ message: 'Activity is not a primary source activity' })
+    }
+
+    // Verify student belongs to the activity's session
+    const studentCheck = await db.query(
+      'SELECT id FROM session_students WHERE id = $1 AND session_id = $2',
+      [studentId, activity.session_id]
+    )
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this session' })
+    }
+
+    const content = activity.content
+    const questions = content.questions || []
+
+    if (questions.length === 0) {
+      return res.status(400).json({ message: 'Activity has no questions' })
+    }
+
+    const cleanAnnotations = annotations
+      .filter(a => a && typeof a.note === 'string' && a.note.trim())
+      .slice(0, 50)
+
+    // Get next attempt number
+    const attemptResult = await db.query(
+      `SELECT COALESCE(MAX(attempt_number), 0) as last_attempt
+       FROM student_responses
+       WHERE activity_id = $1 AND student_id = $2`,
+      [activityId, studentId]
+    )
+    const attemptNumber = parseInt(attemptResult.rows[0].last_attempt) + 1
+
+    // Open answers are independent, so request their feedback together
+    const feedbackByQuestion = {}
+    await Promise.all(questions.map(async (question) => {
+      const answer = typeof answers[question.id] === 'string' ? answers[question.id].trim() : ''
+      if (question.type !== 'open' || !answer) return
+
+      feedbackByQuestion[question.id] = await generateAnswerFeedback({
+        source: content.source || {},
+        question,
+        answer,
+        annotations: cleanAnnotations
+      })
+    }))
+
+    // Split time evenly across questions so per-question totals add up
+    const timePerQuestion = Math.round((parseInt(timeSpent) || 0) / questions.length)
+
+    let credit = 0
+    const results = []
+
+    for (let i = 0; i < questions.length; i++) {
+      const question = questions[i]
+      let result
+
+      if (question.type === 'open') {
+        const answer = typeof answers[question.id] === 'string' ? answers[question.id].trim() : ''
+        const feedback = feedbackByQuestion[question.id] || null
+        credit += RATING_CREDIT[feedback?.rating] || 0
+
+        result = {
+          questionId: question.id,
+          questionNumber: i + 1,
+          category: question.category,
+          type: 'open',
+          answer,
+          isCorrect: feedback?.rating ? feedback.rating === 'strong' : null,
+          feedback
+        }
+      } else {
+        const selected = Number.isInteger(answers[question.id]) ? answers[question.id] : null
+        const isCorrect = selected !== null && selected === question.correct
+        if (isCorrect) credit++
+
+        result = {
+          questionId: question.id,
+          questionNumber: i + 1,
+          category: question.category,
+          type: 'multiple_choice',
+          selectedAnswer: selected,
+          correctAnswer: question.correct,
+          isCorrect,
+          explanation: question.explanation || null
+        }
+      }
+
+      results.push(result)
+
+      await db.query(
+        `INSERT INTO student_responses (
+          activity_id,
+          student_id,
+          session_id,
+          question_number,
+          is_correct,
+          attempt_number,
+          time_spent_seconds,
+          response
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          activityId,
+          studentId,
+          activity.session_id,
+          i + 1,
+          result.isCorrect,
+          attemptNumber,
+          timePerQuestion,
+          JSON.stringify({
+            type: 'primary_source',
+            ...result,
+            // Annotations belong to the whole submission; keep them with the first question
+            ...(i === 0 ? { annotations: cleanAnnotations } : {})
+          })
+        ]
+      )
+    }
+
+    const score = Math.round((credit / questions.length) * 100)
+
+    // Log analytics event
+    await db.query(
+      `INSERT INTO analytics_events (event_type, session_id, properties)
+       VALUES ($1, $2, $3)`,
+      [
+        'student_response_submitted',
+        activity.session_id,
+        JSON.stringify({
+          activityType: activity.type,
+          activityId,
+          score,
+          annotationCount: cleanAnnotations.length,
+          totalQuestions: questions.length
+        })
+      ]
+    )
+
+    res.json({
+      message: 'Response submitted successfully',
+      response: {
+        score,
+        attemptNumber,
+        annotations: cleanAnnotations,
+        results
+      }
+    })
+  } catch (error) {
+    console.error('Submit primary source error:', error)
+    res.status(500).json({ message: 'Failed to submit response' })
+  }
+}
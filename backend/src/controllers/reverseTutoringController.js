@@ -72,6 +72,9 @@ export async function transcribeAudio(req, res) {
     })
 
   } catch (error) {
+    if (error.code === 'AI_QUOTA_EXCEEDED') {
+      return res.status(429).json({ message: error.message, code: error.code })
+    }
     console.error('Transcribe audio error:', error)
     res.status(500).json({
       message: `Transcription failed: ${error.message}`
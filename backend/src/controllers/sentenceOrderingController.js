@@ -1,5 +1,6 @@
-import axios from 'axios'
 import db from '../database/db.js'
+import { generateJSON } from '../services/llm/index.js'
+import { SENTENCE_ORDERING_SCHEMA } from '../services/llm/schemas.js'
 import { getIO } from '../services/ioInstance.js'
 
 /**
@@ -25,15 +26,13 @@ export async function generateSentenceOrdering(req, res) {
       return res.status(404).json({ message: 'Session not found or unauthorized' })
     }
 
-    // Call Claude AI to generate sentences
-    const aiResponse = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 2048,
-        messages: [{
-          role: 'user',
-          content: `You are an expert educator creating a sentence ordering exercise. Generate ${sentenceCount} sentences about "${prompt}" that tell a coherent story or explain a concept in logical order.
+    // Generate sentences with the configured AI provider
+    const aiResponse = await generateJSON({
+      feature: 'sentence_ordering_generation',
+      maxTokens: 2048,
+      messages: [{
+        role: 'user',
+        content: `You are an expert educator creating a sentence ordering exercise. Generate ${sentenceCount} sentences about "${prompt}" that tell a coherent story or explain a concept in logical order.
 
 Difficulty: ${difficulty}
 
@@ -54,28 +53,11 @@ Respond ONLY with valid JSON in this exact format:
   "instructions": "A brief instruction for students (e.g., 'Arrange these sentences to tell the story chronologically')",
   "topic": "${prompt}"
 }`
-        }]
-      },
-      {
-        headers: {
-          'x-api-key': process.env.CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'content-type': 'application/json'
-        }
-      }
-    )
+      }],
+      schema: SENTENCE_ORDERING_SCHEMA
+    })
 
-    const aiContent = aiResponse.data.content[0].text
-
-    // Extract JSON from response
-    let sentenceData
-    try {
-      const jsonMatch = aiContent.match(/\{[\s\S]*\}/)
-      sentenceData = JSON.parse(jsonMatch ? jsonMatch[0] : aiContent)
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', aiContent)
-      throw new Error('AI generated invalid response format')
-    }
+    const sentenceData = aiResponse.data
 
     // Add IDs and correct positions to sentences
     const sentences = sentenceData.sentences.map((sentence, index) => ({
@@ -117,11 +99,18 @@ Respond ONLY with valid JSON in this exact format:
     })
 
   } catch (error) {
-    console.error('Sentence ordering generation error:', error.response?.data || error.message)
+    console.error('Sentence ordering generation error:', error.message)
+
+    if (error.code === 'INVALID_AI_OUTPUT') {
+      return res.status(502).json({
+        message: 'The AI could not produce valid sentences. Please try again.',
+        validationErrors: error.validationErrors
+      })
+    }
 
-    if (error.response?.status === 401) {
+    if (error.status === 401) {
       return res.status(500).json({
-        message: 'Claude API key not configured or invalid'
+        message: 'AI provider API key not configured or invalid'
       })
     }
 
@@ -940,7 +940,7 @@ export async function getActivityProgress(req, res) {
     }
 
     const activity = activityCheck.rows[0]
-    const totalQuestions = activity.content?.questions?.length || activity.content?.quiz?.length || 0
+    const totalQuestions = activity.content?.questions?.length || activity.content?.quiz?.length || activity.content?.items?.length || activity.content?.evidence?.length || 0
 
     // Get students in session - filter by instance if provided
     let studentsQuery = `
@@ -1005,7 +1005,11 @@ export async function getActivityProgress(req, res) {
             attemptNumber: response.attempt_number,
             helpReceived: response.help_received,
             timeSpent: response.time_spent_seconds,
-            lastAttemptAt: response.created_at
+            lastAttemptAt: response.created_at,
+            responseId: response.id,
+            // Written answers scored against a rubric (teachers can override)
+            rubricScore: response.response?.rubricScore || null,
+            justification: response.response?.justification || null
           }
         }
       })
@@ -88,6 +88,9 @@ export async function requestHelp(req, res) {
       helpEventId
     })
   } catch (error) {
+    if (error.code === 'AI_QUOTA_EXCEEDED') {
+      return res.status(429).json({ success: false, message: error.message, code: error.code })
+    }
     console.error('Error in requestHelp:', error)
     res.status(500).json({
       success: false,
@@ -139,6 +142,9 @@ export async function acceptSimplerVersion(req, res) {
       simplerQuestion: simplerVersion
     })
   } catch (error) {
+    if (error.code === 'AI_QUOTA_EXCEEDED') {
+      return res.status(429).json({ success: false, message: error.message, code: error.code })
+    }
     console.error('Error in acceptSimplerVersion:', error)
     res.status(500).json({
       success: false,
@@ -0,0 +1,131 @@
+import db from '../database/db.js'
+import { locateEvidenceSpans, scoreEvidenceHighlights, snapToSentences } from '../utils/textSpans.js'
+
+/**
+ * Submit text evidence highlights
+ * POST /api/activities/:activityId/text-evidence/submit
+ *
+ * Body: { studentId, highlights: [{ start, end }], timeSpent }
+ * Each accepted evidence span is stored as its own question row
+ * (question_number = span index + 1) so progress shows evidence found.
+ */
+export async function submitTextEvidence(req, res) {
+  try {
+    const { activityId } = req.params
+    const { studentId, highlights, timeSpent = 0 } = req.body
+
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student ID is required' })
+    }
+
+    if (!highlights || !Array.isArray(highlights)) {
+      return res.status(400).json({ message: 'Highlights array is required' })
+    }
+
+    // Get activity
+    const activityResult = await db.query(
+      'SELECT * FROM activities WHERE id = $1',
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.type !== 'text_evidence') {
+      return res.status(400).json({ message: 'Activity is not a text evidence activity' })
+    }
+
+    // Verify student belongs to the activity's session
+    const studentCheck = await db.query(
+      'SELECT id FROM session_students WHERE id = $1 AND session_id = $2',
+      [studentId, activity.session_id]
+    )
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this session' })
+    }
+
+    const content = activity.content
+    const passage = content.passage || ''
+    const evidence = locateEvidenceSpans(passage, content.evidence)
+
+    if (evidence.length === 0) {
+      return res.status(400).json({ message: 'Activity has no accepted evidence' })
+    }
+
+    // Keep only well-formed spans, as the passage sentences they cover -
+    // highlighting the whole passage then counts every other sentence as extra
+    const validHighlights = snapToSentences(
+      passage,
+      highlights.filter(h => Number.isInteger(h?.start) && Number.isInteger(h?.end) && h.end > h.start)
+    )
+
+    const tolerance = typeof content.tolerance === 'number' ? content.tolerance : 0.5
+    const { evidenceResults, extraHighlights, foundCount, score } =
+      scoreEvidenceHighlights(evidence, validHighlights, tolerance)
+
+    // Next attempt number for this student
+    const attemptResult = await db.query(
+      `SELECT COALESCE(MAX(attempt_number), 0) as last_attempt
+       FROM student_responses
+       WHERE activity_id = $1 AND student_id = $2`,
+      [activityId, studentId]
+    )
+    const attemptNumber = parseInt(attemptResult.rows[0].last_attempt) + 1
+    const timePerSpan = Math.round((parseInt(timeSpent) || 0) / evidence.length)
+
+    for (let i = 0; i < evidenceResults.length; i++) {
+      const result = evidenceResults[i]
+
+      await db.query(
+        `INSERT INTO student_responses (
+          activity_id,
+          student_id,
+          session_id,
+          question_number,
+          is_correct,
+          attempt_number,
+          time_spent_seconds,
+          response
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          activityId,
+          studentId,
+          activity.session_id,
+          i + 1,
+          result.found,
+          attemptNumber,
+          timePerSpan,
+          JSON.stringify({
+            type: 'text_evidence',
+            questionNumber: i + 1,
+            coverage: result.coverage,
+            highlights: validHighlights,
+            extraHighlights: extraHighlights.length,
+            score
+          })
+        ]
+      )
+    }
+
+    res.json({
+      message: 'Response submitted successfully',
+      response: {
+        score,
+        foundCount,
+        totalEvidence: evidence.length,
+        extraHighlights,
+        isCorrect: foundCount === evidence.length && extraHighlights.length === 0,
+        attemptNumber,
+        evidence: evidenceResults
+      }
+    })
+  } catch (error) {
+    console.error('Submit text evidence error:', error)
+    res.status(500).json({ message: 'Failed to submit response' })
+  }
+}
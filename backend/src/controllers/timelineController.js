@@ -0,0 +1,137 @@
+import db from '../database/db.js'
+import { getIO } from '../services/ioInstance.js'
+import { scoreTimeline } from '../utils/timeline.js'
+
+/**
+ * Submit timeline placements
+ * POST /api/activities/:activityId/timeline/submit
+ *
+ * Body: { studentId, placements: { eventId: year } }
+ * Scored for both relative order and distance from each event's true year.
+ * The score is stored in the response JSON so it counts on the leaderboard.
+ */
+export async function submitTimeline(req, res) {
+  try {
+    const { activityId } = req.params
+    const { studentId, placements, timeSpent = 0 } = req.body
+
+    if (!placements || typeof placements !== 'object' || Array.isArray(placements)) {
+      return res.status(400).json({ message: 'Placements object is required' })
+    }
+
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student ID is required' })
+    }
+
+    // Get activity
+    const activityResult = await db.query(
+      'SELECT * FROM activities WHERE id = $1',
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.type !== 'timeline') {
+      return res.status(400).json({ message: 'Activity is not a timeline activity' })
+    }
+
+    // Verify student belongs to the activity's session
+    const studentCheck = await db.query(
+      'SELECT id FROM session_students WHERE id = $1 AND session_id = $2',
+      [studentId, activity.session_id]
+    )
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this session' })
+    }
+
+    const content = activity.content
+    const events = content.events || []
+
+    if (events.length === 0) {
+      return res.status(400).json({ message: 'Activity has no events to place' })
+    }
+
+    const missing = events.filter(e => !Number.isFinite(Number(placements[e.id])))
+    if (missing.length > 0) {
+      return res.status(400).json({ message: 'Every event must be placed on the timeline' })
+    }
+
+    const numericPlacements = Object.fromEntries(events.map(e => [e.id, Number(placements[e.id])]))
+
+    const { score, orderScore, distanceScore, eventResults } = scoreTimeline(content, numericPlacements, {
+      orderWeight: content.scoring?.orderWeight ?? 0.5,
+      tolerance: content.scoring?.tolerance ?? 0.25
+    })
+
+    // A perfect relative order counts as correct; distance only affects the score
+    const isCorrect = orderScore === 100
+
+    const correctOrder = [...events]
+      .sort((a, b) => a.year - b.year)
+      .map(e => e.id)
+
+    // Save response
+    const responseResult = await db.query(
+      `INSERT INTO student_responses
+       (student_id, activity_id, session_id, response, is_correct, time_spent_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        studentId,
+        activityId,
+        activity.session_id,
+        JSON.stringify({
+          type: 'timeline',
+          placements: numericPlacements,
+          score,
+          orderScore,
+          distanceScore,
+          totalEvents: events.length,
+          correctOrder
+        }),
+        isCorrect,
+        parseInt(timeSpent) || 0
+      ]
+    )
+
+    // Emit WebSocket event for real-time leaderboard update
+    try {
+      const io = getIO()
+      const sessionId = activity.session_id
+
+      io.to(`session-${sessionId}`).emit('leaderboard-updated', {
+        sessionId,
+        studentId,
+        activityId,
+        score,
+        timestamp: new Date().toISOString()
+      })
+
+      console.log(`📊 Leaderboard update emitted for session ${sessionId}`)
+    } catch (error) {
+      console.error('Failed to emit leaderboard update:', error)
+      // Don't fail the request if WebSocket emission fails
+    }
+
+    res.json({
+      message: 'Response submitted successfully',
+      response: {
+        id: responseResult.rows[0].id,
+        score,
+        orderScore,
+        distanceScore,
+        isCorrect,
+        events: eventResults
+      }
+    })
+
+  } catch (error) {
+    console.error('Submit timeline error:', error)
+    res.status(500).json({ message: 'Failed to submit response' })
+  }
+}
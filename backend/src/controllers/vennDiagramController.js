@@ -0,0 +1,161 @@
+import db from '../database/db.js'
+import { getIO } from '../services/ioInstance.js'
+import { getVennRegions, normalizeRegion, scoreVennDiagram, aggregateVennPlacements } from '../utils/venn.js'
+
+/**
+ * Submit Venn diagram placements
+ * POST /api/activities/:activityId/venn-diagram/submit
+ *
+ * Body: { studentId, placements: { statementId: region } }
+ * Regions are the ids of the sets a statement belongs to, e.g. "A" or "AB".
+ */
+export async function submitVennDiagram(req, res) {
+  const { activityId } = req.params
+  const { studentId, placements = {}, timeSpent = 0 } = req.body
+
+  try {
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student ID is required' })
+    }
+
+    if (typeof placements !== 'object' || Array.isArray(placements)) {
+      return res.status(400).json({ message: 'Placements must be an object of statementId -> region' })
+    }
+
+    // Get activity
+    const activityResult = await db.query(
+      'SELECT * FROM activities WHERE id = $1',
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.type !== 'venn_diagram') {
+      return res.status(400).json({ message: 'Activity is not a Venn diagram activity' })
+    }
+
+    // Verify student belongs to the activity's session
+    const studentCheck = await db.query(
+      'SELECT id FROM session_students WHERE id = $1 AND session_id = $2',
+      [studentId, activity.session_id]
+    )
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this session' })
+    }
+
+    const content = activity.content
+    const statements = content.statements || []
+    const regions = getVennRegions(content.sets)
+
+    const unplaced = statements.filter(s => !regions.includes(normalizeRegion(placements[s.id])))
+    if (unplaced.length > 0) {
+      return res.status(400).json({ message: 'Every statement must be placed in a region of the diagram' })
+    }
+
+    const normalizedPlacements = Object.fromEntries(
+      statements.map(s => [s.id, normalizeRegion(placements[s.id])])
+    )
+
+    const { score, correctCount, statementResults, regionResults } = scoreVennDiagram(content, normalizedPlacements)
+    const isCorrect = correctCount === statements.length
+
+    // Prepare response data
+    const responseData = {
+      type: 'venn_diagram',
+      placements: normalizedPlacements,
+      score,
+      correctCount,
+      totalStatements: statements.length,
+      isCorrect,
+      regionResults
+    }
+
+    await db.query(
+      `INSERT INTO student_responses (activity_id, student_id, session_id, response, is_correct, time_spent_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [activityId, studentId, activity.session_id, JSON.stringify(responseData), isCorrect, parseInt(timeSpent) || 0]
+    )
+
+    // Broadcast updated class placements to the teacher's live view
+    try {
+      const resultsData = await getVennResults(activityId, content)
+      const io = getIO()
+      const sessionId = activity.session_id
+
+      io.to(`session-${sessionId}`).emit('venn-updated', {
+        activityId,
+        regions: resultsData.regions,
+        totalResponses: resultsData.totalResponses
+      })
+    } catch (error) {
+      console.error('Failed to emit Venn diagram update:', error)
+      // Don't fail the request if WebSocket emission fails
+    }
+
+    res.json({
+      message: 'Response submitted successfully',
+      response: {
+        ...responseData,
+        statements: statementResults
+      }
+    })
+  } catch (error) {
+    console.error('Submit Venn diagram response error:', error)
+    res.status(500).json({ message: 'Failed to submit response' })
+  }
+}
+
+/**
+ * Get live Venn diagram results (class placements per region)
+ * GET /api/activities/:activityId/venn-diagram/results
+ */
+export async function getVennDiagramResults(req, res) {
+  const { activityId } = req.params
+  const teacherId = req.user.userId
+
+  try {
+    // Verify ownership
+    const activityResult = await db.query(
+      `SELECT a.* FROM activities a
+       JOIN sessions s ON a.session_id = s.id
+       WHERE a.id = $1 AND s.teacher_id = $2`,
+      [activityId, teacherId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const resultsData = await getVennResults(activityId, activityResult.rows[0].content)
+
+    res.json(resultsData)
+  } catch (error) {
+    console.error('Get Venn diagram results error:', error)
+    res.status(500).json({ message: 'Failed to get results' })
+  }
+}
+
+// Helper function to aggregate the latest placements per student
+async function getVennResults(activityId, content) {
+  const responses = await db.query(
+    `SELECT DISTINCT ON (student_id) response
+     FROM student_responses
+     WHERE activity_id = $1
+     ORDER BY student_id, created_at DESC`,
+    [activityId]
+  )
+
+  const totalResponses = responses.rows.length
+  const averageScore = responses.rows.reduce((sum, r) => sum + (r.response.score || 0), 0) / (totalResponses || 1)
+
+  return {
+    regions: aggregateVennPlacements(content, responses.rows.map(r => r.response.placements)),
+    totalResponses,
+    averageScore: Math.round(averageScore * 100) / 100
+  }
+}
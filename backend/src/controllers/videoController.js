@@ -5,26 +5,12 @@ import fs from 'fs/promises'
 import fsSync from 'fs'
 import { exec } from 'child_process'
 import { promisify } from 'util'
-import axios from 'axios'
-import OpenAI from 'openai'
 import db from '../database/db.js'
+import { generateJSON, transcribeAudio } from '../services/llm/index.js'
+import { VIDEO_QUESTIONS_SCHEMA } from '../services/llm/schemas.js'
 
 const execAsync = promisify(exec)
 
-// Lazy initialize OpenAI client (same pattern as reverseTutoringService)
-let openai = null
-function getOpenAIClient() {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is required for video transcription')
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    })
-  }
-  return openai
-}
-
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
@@ -323,9 +309,6 @@ export async function transcribeVideo(req, res) {
 
     console.log('📝 Starting transcription with OpenAI Whisper...')
 
-    // Get OpenAI client (will throw if API key not configured)
-    const client = getOpenAIClient()
-
     console.log('📝 Checking file for transcription...', {
       filename: video.filename,
       contentType: video.mime_type,
@@ -363,19 +346,17 @@ export async function transcribeVideo(req, res) {
       }
     }
 
-    // Read file into buffer and convert to File object for OpenAI SDK
     const fileBuffer = await fs.readFile(transcribeFilePath)
-    const audioFile = await OpenAI.toFile(fileBuffer, fileToSend.name, {
-      type: fileToSend.type
-    })
 
-    console.log('📝 Sending to OpenAI Whisper API...')
+    console.log('📝 Sending for transcription...')
 
-    // Call OpenAI Whisper API using the SDK (same pattern as reverse tutoring)
-    const transcription = await client.audio.transcriptions.create({
-      file: audioFile,
-      model: 'whisper-1',
-      response_format: 'verbose_json' // Get timestamps
+    // Same transcription provider setup as reverse tutoring
+    const transcription = await transcribeAudio({
+      feature: 'video_transcription',
+      audio: fileBuffer,
+      filename: fileToSend.name,
+      mimeType: fileToSend.type,
+      timestamps: true
     })
 
     const transcriptData = transcription
@@ -504,15 +485,13 @@ export async function generateQuestionsFromTranscript(req, res) {
 
     const fullText = transcript.text || transcriptWithTimestamps
 
-    // Call Claude AI to generate questions
-    const aiResponse = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 4096,
-        messages: [{
-          role: 'user',
-          content: `You are an expert educator creating interactive video questions. Analyze this video transcript and generate ${count} engaging questions at key moments.
+    // Generate questions with the configured AI provider
+    const aiResponse = await generateJSON({
+      feature: 'video_questions',
+      maxTokens: 4096,
+      messages: [{
+        role: 'user',
+        content: `You are an expert educator creating interactive video questions. Analyze this video transcript and generate ${count} engaging questions at key moments.
 
 Video Duration: ${video.duration_seconds} seconds
 Difficulty: ${difficulty}
@@ -545,29 +524,11 @@ Respond ONLY with valid JSON in this exact format:
     }
   ]
 }`
-        }]
-      },
-      {
-        headers: {
-          'x-api-key': process.env.CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'content-type': 'application/json'
-        }
-      }
-    )
-
-    // Parse Claude's response
-    const aiContent = aiResponse.data.content[0].text
+      }],
+      schema: VIDEO_QUESTIONS_SCHEMA
+    })
 
-    // Extract JSON from response (handle markdown code blocks if present)
-    let questionsData
-    try {
-      const jsonMatch = aiContent.match(/\{[\s\S]*\}/)
-      questionsData = JSON.parse(jsonMatch ? jsonMatch[0] : aiContent)
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', aiContent)
-      throw new Error('AI generated invalid response format')
-    }
+    const questionsData = aiResponse.data
 
     // Validate and clean questions
     const validQuestions = questionsData.questions.filter(q => {
@@ -588,11 +549,18 @@ Respond ONLY with valid JSON in this exact format:
     })
 
   } catch (error) {
-    console.error('Question generation error:', error.response?.data || error.message)
+    console.error('Question generation error:', error.message)
 
-    if (error.response?.status === 401) {
+    if (error.code === 'INVALID_AI_OUTPUT') {
+      return res.status(502).json({
+        message: 'The AI could not produce valid questions for this video. Please try again.',
+        validationErrors: error.validationErrors
+      })
+    }
+
+    if (error.status === 401) {
       return res.status(500).json({
-        message: 'Claude API key not configured or invalid'
+        message: 'AI provider API key not configured or invalid'
       })
     }
 
@@ -0,0 +1,148 @@
+import db from '../database/db.js'
+
+/**
+ * Submit vocabulary in context answers
+ * POST /api/activities/:activityId/vocabulary-context/submit
+ *
+ * Scored server-side. Each item is stored as its own question row
+ * (question_number = item index + 1, matching quiz responses) so it shows up in progress, analytics
+ * and grade export exactly like quiz questions.
+ */
+export async function submitVocabularyContext(req, res) {
+  try {
+    const { activityId } = req.params
+    const { studentId, answers, timeSpent = 0 } = req.body // answers: array of selected option indexes
+
+    if (!studentId) {
+      return res.status(400).json({ message: 'Student ID is required' })
+    }
+
+    if (!answers || !Array.isArray(answers)) {
+      return res.status(400).json({ message: 'Answers array is required' })
+    }
+
+    // Get activity
+    const activityResult = await db.query(
+      'SELECT * FROM activities WHERE id = $1',
+      [activityId]
+    )
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Activity not found' })
+    }
+
+    const activity = activityResult.rows[0]
+
+    if (activity.type !== 'vocabulary_context') {
+      return res.status(400).json({ message: 'Activity is not a vocabulary in context activity' })
+    }
+
+    // Verify student belongs to the activity's session
+    const studentCheck = await db.query(
+      'SELECT id FROM session_students WHERE id = $1 AND session_id = $2',
+      [studentId, activity.session_id]
+    )
+
+    if (studentCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Student not found in this session' })
+    }
+
+    const content = typeof activity.content === 'string'
+      ? JSON.parse(activity.content)
+      : activity.content
+    const items = content?.items || []
+
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'Activity has no vocabulary items' })
+    }
+
+    // Next attempt number for this student
+    const attemptResult = await db.query(
+      `SELECT COALESCE(MAX(attempt_number), 0) as last_attempt
+       FROM student_responses
+       WHERE activity_id = $1 AND student_id = $2`,
+      [activityId, studentId]
+    )
+    const attemptNumber = parseInt(attemptResult.rows[0].last_attempt) + 1
+
+    // Split time evenly across items so per-question totals add up
+    const timePerItem = Math.round((parseInt(timeSpent) || 0) / items.length)
+
+    let correctCount = 0
+    const results = []
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i]
+      const selected = Number.isInteger(answers[i]) ? answers[i] : null
+      const isCorrect = selected !== null && selected === item.correct
+
+      if (isCorrect) correctCount++
+
+      results.push({
+        questionNumber: i + 1,
+        word: item.word,
+        selectedAnswer: selected,
+        correctAnswer: item.correct,
+        isCorrect,
+        explanation: item.explanation || null
+      })
+
+      await db.query(
+        `INSERT INTO student_responses (
+          activity_id,
+          student_id,
+          session_id,
+          question_number,
+          is_correct,
+          attempt_number,
+          time_spent_seconds,
+          response
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          activityId,
+          studentId,
+          activity.session_id,
+          i + 1,
+          isCorrect,
+          attemptNumber,
+          timePerItem,
+          JSON.stringify({
+            type: 'vocabulary_context',
+            word: item.word,
+            selectedAnswer: selected,
+            questionNumber: i + 1
+          })
+        ]
+      )
+    }
+
+    const score = Math.round((correctCount / items.length) * 100)
+
+    // Log analytics event
+    await db.query(
+      `INSERT INTO analytics_events (event_type, session_id, properties)
+       VALUES ($1, $2, $3)`,
+      [
+        'student_response_submitted',
+        activity.session_id,
+        JSON.stringify({ activityType: activity.type, activityId, score, correctCount, totalItems: items.length })
+      ]
+    )
+
+    res.json({
+      message: 'Response submitted successfully',
+      response: {
+        score,
+        correctCount,
+        totalItems: items.length,
+        isCorrect: correctCount === items.length,
+        attemptNumber,
+        results
+      }
+    })
+  } catch (error) {
+    console.error('Submit vocabulary context error:', error)
+    res.status(500).json({ message: 'Failed to submit response' })
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * AI Quota Middleware
+ *
+ * Stops AI requests from teachers (or schools) that have reached their daily
+ * AI spend limit before any work is done, with a 429 the app can show as is.
+ * AI calls also check the limit themselves (services/llm/usage.js); this
+ * gives the requests that start generations a clear answer up front.
+ *
+ * Use after authentication, or after a middleware that attaches req.session
+ * (student requests, which are charged to the session's teacher). Student
+ * routes that only carry an activity id use attributeSessionActivity or
+ * attributeWorldActivity first to find the teacher.
+ */
+
+import db from '../database/db.js'
+import { attributionFor, checkQuota, quotaMessage } from '../services/llm/usage.js'
+
+/**
+ * Charge a student request to the teacher who owns the session activity
+ * Expects: req.params.activityId (activities)
+ * Attaches: req.aiAttribution { teacherId, sessionId }
+ */
+export async function attributeSessionActivity(req, res, next) {
+  try {
+    const result = await db.query(
+      `SELECT s.id AS session_id, s.teacher_id
+       FROM activities a
+       JOIN sessions s ON a.session_id = s.id
+       WHERE a.id = $1`,
+      [req.params.activityId]
+    )
+
+    if (result.rows.length > 0) {
+      req.aiAttribution = {
+        teacherId: result.rows[0].teacher_id,
+        sessionId: result.rows[0].session_id
+      }
+    }
+  } catch (error) {
+    // Unknown activities are reported by the controller
+    console.error('AI attribution error:', error)
+  }
+  next()
+}
+
+/**
+ * Charge a student request to the teacher who owns the Learning World
+ * Expects: req.params.activityId (land_activities)
+ * Attaches: req.aiAttribution { teacherId, sessionId }
+ */
+export async function attributeWorldActivity(req, res, next) {
+  try {
+    const result = await db.query(
+      `SELECT w.teacher_id
+       FROM land_activities a
+       JOIN world_lands l ON a.land_id = l.id
+       JOIN learning_worlds w ON l.world_id = w.id
+       WHERE a.id = $1`,
+      [req.params.activityId]
+    )
+
+    if (result.rows.length > 0) {
+      req.aiAttribution = { teacherId: result.rows[0].teacher_id, sessionId: null }
+    }
+  } catch (error) {
+    console.error('AI attribution error:', error)
+  }
+  next()
+}
+
+export async function requireAIQuota(req, res, next) {
+  const quota = await checkQuota(attributionFor(req))
+  if (quota.allowed) {
+    return next()
+  }
+
+  res.set('Retry-After', String(quota.resetsInSeconds))
+  res.status(429).json({
+    message: quotaMessage(quota, { student: !req.user || req.user.role === 'student' }),
+    code: 'AI_QUOTA_EXCEEDED',
+    quota: {
+      scope: quota.scope,
+      limit: quota.limit,
+      spent: quota.spent,
+      resetsInSeconds: quota.resetsInSeconds
+    }
+  })
+}
@@ -149,6 +149,35 @@ export function optionalStudentAuth(req, res, next) {
   }
 }
 
+/**
+ * Optional teacher or student authentication middleware
+ * Attaches req.student or req.user if the token is valid, but doesn't require it
+ */
+export function optionalTeacherOrStudentAuth(req, res, next) {
+  try {
+    const authHeader = req.headers['authorization']
+    const token = authHeader && authHeader.split(' ')[1]
+
+    if (!token) {
+      return next()
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+      if (!err) {
+        if (decoded.role === 'student') {
+          req.student = decoded
+        } else {
+          req.user = decoded
+        }
+      }
+      next()
+    })
+
+  } catch (error) {
+    next()
+  }
+}
+
 /**
  * Either teacher or student authentication middleware
  * Accepts both types of tokens and attaches appropriate user info
@@ -193,3 +222,17 @@ export function authenticateTeacherOrStudent(req, res, next) {
     })
   }
 }
+
+/**
+ * Admin authorization middleware
+ * Use after authenticateToken; only users with the 'admin' role pass
+ */
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      message: 'Admin access required'
+    })
+  }
+
+  next()
+}
@@ -14,6 +14,9 @@ import {
   getLeaderboard,
   getMyScore
 } from '../controllers/sentenceOrderingController.js'
+import { submitVocabularyContext } from '../controllers/vocabularyContextController.js'
+import { submitTextEvidence } from '../controllers/textEvidenceController.js'
+import { submitTimeline } from '../controllers/timelineController.js'
 import { authenticateToken, optionalStudentAuth } from '../middleware/auth.js'
 
 const router = express.Router()
@@ -32,5 +35,12 @@ router.post('/:activityId/submit-question', submitQuestionResponse)
 
 // Sentence ordering routes (optional auth - lesson flow students may not have token)
 router.post('/:activityId/sentence-ordering/submit', optionalStudentAuth, submitSentenceOrdering)
+router.post('/:activityId/timeline/submit', optionalStudentAuth, submitTimeline)
+
+// Vocabulary in context (scored server-side, one row per item)
+router.post('/:activityId/vocabulary-context/submit', submitVocabularyContext)
+
+// Text evidence (highlights compared against accepted spans, one row per span)
+router.post('/:activityId/text-evidence/submit', submitTextEvidence)
 
 export default router
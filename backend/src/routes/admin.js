@@ -0,0 +1,31 @@
+import express from 'express'
+import {
+  getAIUsage,
+  getAIQuotas,
+  setAIQuota,
+  deleteAIQuota,
+  getAICacheStats,
+  clearAICache,
+  evictAICache
+} from '../controllers/adminController.js'
+import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// All admin routes require an admin account
+router.use(authenticateToken, requireAdmin)
+
+// AI usage and spend
+router.get('/ai-usage', getAIUsage)
+
+// Daily AI limits
+router.get('/ai-quotas', getAIQuotas)
+router.put('/ai-quotas', setAIQuota)
+router.delete('/ai-quotas/:scope/:scopeKey', deleteAIQuota)
+
+// AI cache
+router.get('/ai-cache', getAICacheStats)
+router.delete('/ai-cache', clearAICache)
+router.post('/ai-cache/evict', evictAICache)
+
+export default router
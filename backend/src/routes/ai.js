@@ -1,15 +1,17 @@
 import express from 'express'
-import { generateActivity } from '../controllers/activityController.js'
+import { generateActivity, generateActivityStream } from '../controllers/activityController.js'
 import { generateSentenceOrdering } from '../controllers/sentenceOrderingController.js'
 import { generateMatching } from '../controllers/matchingController.js'
 import { authenticateToken } from '../middleware/auth.js'
+import { requireAIQuota } from '../middleware/aiQuota.js'
 
 const router = express.Router()
 
 // Protected routes (teacher only)
-router.post('/generate', authenticateToken, generateActivity)
-router.post('/generate-sentence-ordering', authenticateToken, generateSentenceOrdering)
-router.post('/generate-matching', authenticateToken, generateMatching)
+router.post('/generate', authenticateToken, requireAIQuota, generateActivity)
+router.post('/generate/stream', authenticateToken, requireAIQuota, generateActivityStream)
+router.post('/generate-sentence-ordering', authenticateToken, requireAIQuota, generateSentenceOrdering)
+router.post('/generate-matching', authenticateToken, requireAIQuota, generateMatching)
 
 // TODO: Week 3 - Add adaptive content generation
 // router.post('/adapt', authenticateToken, adaptContent)
@@ -0,0 +1,23 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import {
+  submitCauseEffect,
+  getCauseEffectAnalytics
+} from '../controllers/causeEffectController.js'
+
+const router = express.Router()
+
+// Teacher routes
+router.get(
+  '/activities/:activityId/cause-effect/analytics',
+  authenticateToken,
+  getCauseEffectAnalytics
+)
+
+// Student routes
+router.post(
+  '/activities/:activityId/cause-effect/submit',
+  submitCauseEffect
+)
+
+export default router
@@ -0,0 +1,26 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireAIQuota, attributeSessionActivity } from '../middleware/aiQuota.js'
+import {
+  submitCharacterPerspective,
+  overrideRubricScore
+} from '../controllers/characterPerspectiveController.js'
+
+const router = express.Router()
+
+// Student routes
+router.post(
+  '/activities/:activityId/character-perspective/submit',
+  attributeSessionActivity,
+  requireAIQuota,
+  submitCharacterPerspective
+)
+
+// Teacher routes
+router.put(
+  '/responses/:responseId/rubric-score',
+  authenticateToken,
+  overrideRubricScore
+)
+
+export default router
@@ -0,0 +1,23 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import {
+  submitClassification,
+  getClassificationMisclassifications
+} from '../controllers/classificationController.js'
+
+const router = express.Router()
+
+// Teacher routes
+router.get(
+  '/sessions/:sessionId/classification/misclassifications',
+  authenticateToken,
+  getClassificationMisclassifications
+)
+
+// Student routes
+router.post(
+  '/activities/:activityId/classification/submit',
+  submitClassification
+)
+
+export default router
@@ -1,17 +1,12 @@
 import express from 'express'
-import Anthropic from '@anthropic-ai/sdk'
 import db from '../database/db.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { validateActiveSession } from '../middleware/sessionStatus.js'
 import { getIO } from '../services/ioInstance.js'
+import { generateText } from '../services/llm/index.js'
 
 const router = express.Router()
 
-// Initialize Claude for generating initial AI messages
-const claude = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY
-})
-
 // Simple in-memory cache for initial AI messages per topic (prevents redundant API calls)
 const initialMessageCache = new Map()
 const CACHE_TTL = 5 * 60 * 1000 // 5 minutes
@@ -57,9 +52,9 @@ Example good responses:
 ${isCollaborative ? '- "Hi team! I need your help with ' + topic + '. Where should we start?"' : ''}`
 
   try {
-    const response = await claude.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 100, // Reduced from 200
+    const response = await generateText({
+      feature: 'collaboration',
+      maxTokens: 100, // Reduced from 200
       system: systemPrompt,
       messages: [{
         role: 'user',
@@ -67,7 +62,7 @@ ${isCollaborative ? '- "Hi team! I need your help with ' + topic + '. Where shou
       }]
     })
 
-    const message = response.content[0].text
+    const message = response.text
 
     // Cache the message
     initialMessageCache.set(cacheKey, { message, timestamp: Date.now() })
@@ -3,12 +3,15 @@ import {
   uploadAndGenerateActivity,
   saveDocument,
   generateFromSavedDocument,
+  generateFromSavedDocumentStream,
   getSessionDocuments,
   updateDocumentContent,
   deleteDocument,
   documentUploadMiddleware
 } from '../controllers/documentController.js'
 import { authenticateToken } from '../middleware/auth.js'
+import { requireAIQuota } from '../middleware/aiQuota.js'
+import { trackAIUsage } from '../services/llm/usage.js'
 
 const router = express.Router()
 
@@ -25,7 +28,7 @@ router.use(authenticateToken)
  *   - subject: string
  *   - sessionId: string
  */
-router.post('/upload', documentUploadMiddleware, uploadAndGenerateActivity)
+router.post('/upload', requireAIQuota, documentUploadMiddleware, trackAIUsage, uploadAndGenerateActivity)
 
 /**
  * Save document without generating activity
@@ -64,6 +67,12 @@ router.delete('/:documentId', deleteDocument)
  *   - activityType: quiz | questions | discussion | reading
  *   - difficulty: easy | medium | hard
  */
-router.post('/generate/:activityId', generateFromSavedDocument)
+router.post('/generate/:activityId', requireAIQuota, generateFromSavedDocument)
+
+/**
+ * Same as above, streaming a live preview as Server-Sent Events
+ * POST /api/documents/generate/:activityId/stream
+ */
+router.post('/generate/:activityId/stream', requireAIQuota, generateFromSavedDocumentStream)
 
 export default router
@@ -1,5 +1,7 @@
 import express from 'express'
-import { authenticateToken, optionalStudentAuth, authenticateStudent } from '../middleware/auth.js'
+import { authenticateToken, optionalStudentAuth, authenticateTeacherOrStudent, optionalTeacherOrStudentAuth } from '../middleware/auth.js'
+import { requireAIQuota, attributeWorldActivity } from '../middleware/aiQuota.js'
+import { trackAIUsage } from '../services/llm/usage.js'
 import {
   // Worlds
   createWorld,
@@ -7,6 +9,9 @@ import {
   getWorld,
   updateWorld,
   deleteWorld,
+  exportWorld,
+  importWorld,
+  worldPackageMiddleware,
 
   // Characters
   createCharacter,
@@ -19,6 +24,13 @@ import {
   updateLand,
   deleteLand,
 
+  // Scene items
+  getSceneItems,
+  createSceneItem,
+  updateSceneItem,
+  deleteSceneItem,
+  discoverSceneItem,
+
   // Activities
   createActivity,
   updateActivity,
@@ -39,6 +51,11 @@ import {
   // Progress
   recordActivityResponse,
 
+  // Vocabulary discovery
+  getMyWords,
+  getVocabularyHeatmap,
+  generateReviewLand,
+
   // Templates
   getLandTemplates,
   importLandTemplate,
@@ -46,6 +63,13 @@ import {
   // AI Content Generation
   generateAIActivityContent,
   saveActivityContent,
+  buildVocabularyActivityContent,
+  getSpellingPatterns,
+  checkDictationAnswer,
+  checkDialogueReply,
+  getStoryWritingFeedback,
+  getWrittenResponses,
+  dialogueAudioMiddleware,
 
   // Image Generation
   generateImageController,
@@ -72,9 +96,13 @@ router.get('/learning-worlds/:worldId', authenticateToken, getWorld)
 router.put('/learning-worlds/:worldId', authenticateToken, updateWorld)
 router.delete('/learning-worlds/:worldId', authenticateToken, deleteWorld)
 
+// World packages (teacher only)
+router.get('/learning-worlds/:worldId/export', authenticateToken, exportWorld)
+router.post('/learning-worlds/import', authenticateToken, worldPackageMiddleware, importWorld)
+
 // Characters (teacher only)
 router.post('/learning-worlds/:worldId/characters', authenticateToken, createCharacter)
-router.post('/learning-worlds/:worldId/generate-character', authenticateToken, generateCharacter)
+router.post('/learning-worlds/:worldId/generate-character', authenticateToken, requireAIQuota, generateCharacter)
 router.put('/characters/:characterId', authenticateToken, updateCharacter)
 
 // Lands CRUD (teacher only)
@@ -83,6 +111,12 @@ router.get('/lands/:landId', authenticateToken, getLand)
 router.put('/lands/:landId', authenticateToken, updateLand)
 router.delete('/lands/:landId', authenticateToken, deleteLand)
 
+// Land scene items (teacher only)
+router.get('/lands/:landId/scene-items', authenticateToken, getSceneItems)
+router.post('/lands/:landId/scene-items', authenticateToken, createSceneItem)
+router.put('/scene-items/:itemId', authenticateToken, updateSceneItem)
+router.delete('/scene-items/:itemId', authenticateToken, deleteSceneItem)
+
 // Activities CRUD (teacher only)
 router.post('/lands/:landId/activities', authenticateToken, createActivity)
 router.put('/activities/:activityId/world', authenticateToken, updateActivity)
@@ -99,9 +133,18 @@ router.get('/world-sessions/:sessionId/state', optionalStudentAuth, getWorldSess
 router.post('/world-sessions/:sessionId/navigate', authenticateToken, navigateWorldSession)
 router.post('/world-sessions/:sessionId/set-control', authenticateToken, setControlMode)
 router.post('/world-sessions/:sessionId/end', authenticateToken, endWorldSession)
+router.get('/world-sessions/:sessionId/written-responses', authenticateToken, getWrittenResponses)
+
+// Student progress (the student, or the teacher playing for a student in their session)
+router.post('/world-activities/:activityId/respond', authenticateTeacherOrStudent, recordActivityResponse)
+router.post('/scene-items/:itemId/discover', authenticateTeacherOrStudent, discoverSceneItem)
+router.get('/world-sessions/:sessionId/my-words', authenticateTeacherOrStudent, getMyWords)
+
+// Class vocabulary heatmap (teacher only)
+router.get('/world-sessions/:sessionId/vocabulary-heatmap', authenticateToken, getVocabularyHeatmap)
 
-// Student progress (student auth required)
-router.post('/world-activities/:activityId/respond', authenticateStudent, recordActivityResponse)
+// Spaced-repetition review lands (teacher only)
+router.post('/world-sessions/:sessionId/review-land', authenticateToken, requireAIQuota, generateReviewLand)
 
 // Templates (public read, teacher import)
 router.get('/land-templates', getLandTemplates)
@@ -109,15 +152,20 @@ router.post('/learning-worlds/:worldId/import-template', authenticateToken, impo
 
 // World Activities - uses /world-activities to avoid conflict with general /activities routes
 router.get('/world-activities/:activityId', optionalStudentAuth, getActivity)
-router.post('/world-activities/:activityId/generate-content', authenticateToken, generateAIActivityContent)
+router.post('/world-activities/:activityId/generate-content', authenticateToken, requireAIQuota, generateAIActivityContent)
 router.put('/world-activities/:activityId/content', authenticateToken, saveActivityContent)
+router.post('/world-activities/:activityId/vocabulary-content', authenticateToken, buildVocabularyActivityContent)
+router.get('/world-activities/:activityId/spelling-patterns', authenticateToken, getSpellingPatterns)
+router.post('/world-activities/:activityId/dictation/check', optionalTeacherOrStudentAuth, checkDictationAnswer)
+router.post('/world-activities/:activityId/dialogue/reply', optionalTeacherOrStudentAuth, attributeWorldActivity, requireAIQuota, dialogueAudioMiddleware, trackAIUsage, checkDialogueReply)
+router.post('/world-activities/:activityId/story-feedback', optionalStudentAuth, attributeWorldActivity, requireAIQuota, getStoryWritingFeedback)
 
 // DALL-E Image Generation (teacher only)
-router.post('/generate-image', authenticateToken, generateImageController)
-router.post('/generate-images-batch', authenticateToken, generateImageBatchController)
+router.post('/generate-image', authenticateToken, requireAIQuota, generateImageController)
+router.post('/generate-images-batch', authenticateToken, requireAIQuota, generateImageBatchController)
 
 // Image Management (teacher only)
 router.get('/learning-worlds/:worldId/image-status', authenticateToken, getImageStatus)
-router.post('/learning-worlds/:worldId/regenerate-images', authenticateToken, regenerateExpiredImages)
+router.post('/learning-worlds/:worldId/regenerate-images', authenticateToken, requireAIQuota, regenerateExpiredImages)
 
 export default router
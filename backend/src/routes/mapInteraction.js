@@ -0,0 +1,23 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import {
+  createMapActivity,
+  submitMapInteraction
+} from '../controllers/mapInteractionController.js'
+
+const router = express.Router()
+
+// Teacher routes
+router.post(
+  '/sessions/:sessionId/activities/map',
+  authenticateToken,
+  createMapActivity
+)
+
+// Student routes
+router.post(
+  '/activities/:activityId/map/submit',
+  submitMapInteraction
+)
+
+export default router
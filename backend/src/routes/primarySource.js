@@ -0,0 +1,27 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireAIQuota, attributeSessionActivity } from '../middleware/aiQuota.js'
+import {
+  createPrimarySourceFromImage,
+  submitPrimarySource
+} from '../controllers/primarySourceController.js'
+
+const router = express.Router()
+
+// Teacher routes
+router.post(
+  '/sessions/:sessionId/activities/primary-source',
+  authenticateToken,
+  requireAIQuota,
+  createPrimarySourceFromImage
+)
+
+// Student routes
+router.post(
+  '/activities/:activityId/primary-source/submit',
+  attributeSessionActivity,
+  requireAIQuota,
+  submitPrimarySource
+)
+
+export default router
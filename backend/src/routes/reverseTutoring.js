@@ -21,6 +21,8 @@ import {
 } from '../controllers/reverseTutoringController.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { validateActiveSession, validateSessionFromConversation } from '../middleware/sessionStatus.js'
+import { requireAIQuota } from '../middleware/aiQuota.js'
+import { trackAIUsage } from '../services/llm/usage.js'
 
 const router = express.Router()
 
@@ -28,9 +30,9 @@ const router = express.Router()
 
 /**
  * Transcribe speech to text
- * POST /api/reverse-tutoring/transcribe?language=en&topic=photosynthesis
+ * POST /api/reverse-tutoring/transcribe?sessionId=xxx&language=en&topic=photosynthesis
  */
-router.post('/transcribe', upload.single('audio'), transcribeAudio)
+router.post('/transcribe', validateActiveSession, requireAIQuota, upload.single('audio'), trackAIUsage, transcribeAudio)
 
 /**
  * Get available topics for a session (filtered by student if provided)
@@ -44,7 +46,7 @@ router.get('/session/:sessionId/topics', validateActiveSession, getSessionTopics
  * Body: { sessionId, studentId, topic, subject, gradeLevel, keyVocabulary }
  * PROTECTED: Validates session is active or in grace period
  */
-router.post('/start', validateActiveSession, startConversation)
+router.post('/start', validateActiveSession, requireAIQuota, startConversation)
 
 /**
  * Send message in conversation
@@ -52,7 +54,7 @@ router.post('/start', validateActiveSession, startConversation)
  * Body: { studentMessage, language, helpNeeded, vocabularyUsed }
  * PROTECTED: Validates session is active or in grace period
  */
-router.post('/:conversationId/message', validateSessionFromConversation, sendMessage)
+router.post('/:conversationId/message', validateSessionFromConversation, requireAIQuota, sendMessage)
 
 /**
  * Request scaffolding/help
@@ -60,7 +62,7 @@ router.post('/:conversationId/message', validateSessionFromConversation, sendMes
  * Body: { struggleArea }
  * PROTECTED: Validates session is active or in grace period
  */
-router.post('/:conversationId/help', validateSessionFromConversation, requestHelp)
+router.post('/:conversationId/help', validateSessionFromConversation, requireAIQuota, requestHelp)
 
 /**
  * Get student's own conversation
@@ -5,12 +5,13 @@ import {
   getHelpHistory
 } from '../controllers/studentHelpController.js'
 import { authenticateToken } from '../middleware/auth.js'
+import { requireAIQuota } from '../middleware/aiQuota.js'
 
 const router = express.Router()
 
 // Public routes (students don't need auth)
-router.post('/request', requestHelp)
-router.post('/accept-simpler', acceptSimplerVersion)
+router.post('/request', requireAIQuota, requestHelp)
+router.post('/accept-simpler', requireAIQuota, acceptSimplerVersion)
 
 // Protected routes (teacher only)
 router.get('/history/:sessionId', authenticateToken, getHelpHistory)
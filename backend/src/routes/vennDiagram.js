@@ -0,0 +1,23 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import {
+  submitVennDiagram,
+  getVennDiagramResults
+} from '../controllers/vennDiagramController.js'
+
+const router = express.Router()
+
+// Teacher routes
+router.get(
+  '/activities/:activityId/venn-diagram/results',
+  authenticateToken,
+  getVennDiagramResults
+)
+
+// Student routes
+router.post(
+  '/activities/:activityId/venn-diagram/submit',
+  submitVennDiagram
+)
+
+export default router
@@ -1,5 +1,6 @@
 import express from 'express'
 import { authenticateToken } from '../middleware/auth.js'
+import { requireAIQuota } from '../middleware/aiQuota.js'
 import {
   uploadVideo,
   getUserVideos,
@@ -24,9 +25,9 @@ router.get('/', getUserVideos)
 router.delete('/:videoId', deleteVideo)
 
 // Transcribe video
-router.post('/:videoId/transcribe', transcribeVideo)
+router.post('/:videoId/transcribe', requireAIQuota, transcribeVideo)
 
 // Generate AI questions from transcript
-router.post('/:videoId/generate-questions', generateQuestionsFromTranscript)
+router.post('/:videoId/generate-questions', requireAIQuota, generateQuestionsFromTranscript)
 
 export default router
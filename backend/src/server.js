@@ -41,12 +41,21 @@ import videoRoutes from './routes/videos.js'
 import mediaRoutes from './routes/media.js'
 import interactiveVideoRoutes from './routes/interactiveVideo.js'
 import matchingRoutes from './routes/matching.js'
+import causeEffectRoutes from './routes/causeEffect.js'
+import vennDiagramRoutes from './routes/vennDiagram.js'
+import primarySourceRoutes from './routes/primarySource.js'
+import classificationRoutes from './routes/classification.js'
+import characterPerspectiveRoutes from './routes/characterPerspective.js'
+import mapInteractionRoutes from './routes/mapInteraction.js'
 import pollRoutes from './routes/poll.js'
 import lessonFlowRoutes from './routes/lessonFlow.js'
 import learningWorldsRoutes from './routes/learningWorlds.js'
+import adminRoutes from './routes/admin.js'
 
 // Import socket handler
 import { setupSocketIO } from './services/socketService.js'
+import { trackAIUsage } from './services/llm/usage.js'
+import { evictExpiredCache } from './services/aiCacheService.js'
 import { setIO } from './services/ioInstance.js'
 
 const app = express()
@@ -87,6 +96,9 @@ app.use(express.json())
 // Handle preflight requests
 app.options('*', cors(corsOptions))
 
+// Charge AI calls to the teacher behind each request (services/llm/usage.js)
+app.use(trackAIUsage)
+
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`📨 ${req.method} ${req.path}`)
@@ -170,9 +182,16 @@ app.use('/api/videos', videoRoutes)
 app.use('/api/media', mediaRoutes)
 app.use('/api', interactiveVideoRoutes)
 app.use('/api', matchingRoutes)
+app.use('/api', causeEffectRoutes)
+app.use('/api', vennDiagramRoutes)
+app.use('/api', primarySourceRoutes)
+app.use('/api', classificationRoutes)
+app.use('/api', characterPerspectiveRoutes)
+app.use('/api', mapInteractionRoutes)
 app.use('/api', pollRoutes)
 app.use('/api', lessonFlowRoutes)
 app.use('/api', learningWorldsRoutes)
+app.use('/api/admin', adminRoutes)
 
 // Setup WebSocket
 setIO(io)
@@ -195,4 +214,9 @@ httpServer.listen(PORT, () => {
   console.log(`🔌 WebSocket ready`)
 })
 
+// Evict expired AI cache entries now and every hour
+const AI_CACHE_EVICTION_INTERVAL = 60 * 60 * 1000
+evictExpiredCache()
+setInterval(evictExpiredCache, AI_CACHE_EVICTION_INTERVAL).unref()
+
 export { io }
@@ -0,0 +1,231 @@
+import crypto from 'crypto'
+import db from '../database/db.js'
+
+/**
+ * AI Cache Service
+ * Reuses generated session activities (aiService.generateContent) when a
+ * teacher asks for the same thing again.
+ *
+ * - Entries belong to the teacher who generated them
+ * - Keys include the model and prompt-template version, so a new model or a
+ *   prompt change never serves content written for the old one
+ * - Entries expire after the TTL for their content type; expired entries are
+ *   misses and are evicted by evictExpiredCache (run hourly from server.js)
+ * - Hits, misses and "generate fresh" bypasses are counted per day and type
+ *   in ai_cache_stats
+ *
+ * TTLs (hours), most specific first:
+ *   AI_CACHE_TTL_HOURS_<TYPE>   e.g. AI_CACHE_TTL_HOURS_QUIZ=48 (0 = never cache)
+ *   the built-in TTL for the type
+ *   AI_CACHE_TTL_HOURS          default for every other type
+ * AI_CACHE_MAX_ENTRIES caps the table; the least recently used entries go first.
+ */
+
+const DEFAULT_TTL_HOURS = 24 * 7
+const DEFAULT_MAX_ENTRIES = 10000
+
+// Passages and question sets on a topic stay good for longer than the default
+const TTL_HOURS_BY_TYPE = {
+  reading: 24 * 30,
+  questions: 24 * 14,
+  quiz: 24 * 14,
+  mixed: 24 * 14,
+  discussion: 24 * 14
+}
+
+const STAT_COLUMNS = ['hits', 'misses', 'bypasses']
+
+function hoursFromEnv(name) {
+  const hours = parseFloat(process.env[name])
+  return Number.isFinite(hours) && hours >= 0 ? hours : null
+}
+
+/**
+ * How long generated content of a type is reused
+ * @param {string} type - Activity type
+ * @returns {number} Hours (0 = not cached)
+ */
+export function cacheTTLHours(type) {
+  return hoursFromEnv(`AI_CACHE_TTL_HOURS_${type.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`) ??
+    TTL_HOURS_BY_TYPE[type] ??
+    hoursFromEnv('AI_CACHE_TTL_HOURS') ??
+    DEFAULT_TTL_HOURS
+}
+
+/**
+ * Cache key for a generation request
+ * @param {Object} params - { prompt, options, teacherId, model, templateVersion }
+ * @returns {string} SHA-256 hex digest
+ */
+export function cacheKey({ prompt, options, teacherId, model, templateVersion }) {
+  const keyString = JSON.stringify({ prompt, ...options, teacherId, model, templateVersion })
+  return crypto.createHash('sha256').update(keyString).digest('hex')
+}
+
+/**
+ * Look up an entry that hasn't expired, counting the hit or miss
+ * @param {string} key - From cacheKey
+ * @param {string} type - Activity type
+ * @returns {*} The cached response, or null
+ */
+export async function getCachedResponse(key, type) {
+  try {
+    const result = await db.query(
+      `UPDATE ai_cache SET usage_count = usage_count + 1, last_used = NOW()
+       WHERE prompt_hash = $1 AND expires_at > NOW()
+       RETURNING response`,
+      [key]
+    )
+
+    const hit = result.rows.length > 0
+    countLookup(type, hit ? 'hits' : 'misses')
+    return hit ? result.rows[0].response : null
+  } catch (error) {
+    console.error('Cache check error:', error)
+    return null // Don't fail if cache check fails
+  }
+}
+
+/**
+ * Save a response, replacing any earlier (or expired) entry with the same key
+ * @param {string} key - From cacheKey
+ * @param {Object} entry - { prompt, response, type, teacherId, model, templateVersion }
+ */
+export async function saveCachedResponse(key, { prompt, response, type, teacherId = null, model, templateVersion }) {
+  const ttlHours = cacheTTLHours(type)
+  if (ttlHours === 0) return
+
+  try {
+    await db.query(
+      `INSERT INTO ai_cache
+         (prompt_hash, prompt, response, usage_count, created_at, last_used,
+          teacher_id, content_type, model, template_version, expires_at)
+       VALUES ($1, $2, $3, 1, NOW(), NOW(), $4, $5, $6, $7, NOW() + $8 * INTERVAL '1 hour')
+       ON CONFLICT (prompt_hash) DO UPDATE SET
+         response = EXCLUDED.response,
+         usage_count = 1,
+         created_at = NOW(),
+         last_used = NOW(),
+         expires_at = EXCLUDED.expires_at`,
+      [key, prompt, JSON.stringify(response), teacherId, type, model, templateVersion, ttlHours]
+    )
+  } catch (error) {
+    console.error('Cache save error:', error)
+    // Don't fail generation if caching fails
+  }
+}
+
+/**
+ * Count a request that skipped the cache to generate fresh content
+ */
+export function countCacheBypass(type) {
+  countLookup(type, 'bypasses')
+}
+
+function countLookup(type, column) {
+  if (!STAT_COLUMNS.includes(column)) return
+
+  db.query(
+    `INSERT INTO ai_cache_stats (day, content_type, ${column})
+     VALUES (CURRENT_DATE, $1, 1)
+     ON CONFLICT (day, content_type) DO UPDATE SET ${column} = ai_cache_stats.${column} + 1`,
+    [type]
+  ).catch(error => console.error('Cache stats error:', error))
+}
+
+/**
+ * Delete expired entries, then the least recently used ones over AI_CACHE_MAX_ENTRIES
+ * @returns {Object} { expired, overCapacity } - entries deleted
+ */
+export async function evictExpiredCache() {
+  const configured = parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10)
+  const maxEntries = Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_MAX_ENTRIES
+
+  try {
+    const expired = await db.query('DELETE FROM ai_cache WHERE expires_at IS NULL OR expires_at <= NOW()')
+    const overCapacity = await db.query(
+      `DELETE FROM ai_cache WHERE id IN (
+         SELECT id FROM ai_cache ORDER BY last_used DESC OFFSET $1
+       )`,
+      [maxEntries]
+    )
+
+    if (expired.rowCount + overCapacity.rowCount > 0) {
+      console.log(`🧹 AI cache: evicted ${expired.rowCount} expired and ${overCapacity.rowCount} least recently used entries`)
+    }
+    return { expired: expired.rowCount, overCapacity: overCapacity.rowCount }
+  } catch (error) {
+    console.error('Cache eviction error:', error)
+    return { expired: 0, overCapacity: 0 }
+  }
+}
+
+/**
+ * Invalidate cached content
+ * @param {Object} filter - { type, teacherId } - both optional; no filter clears everything
+ * @returns {number} Entries deleted
+ */
+export async function clearCache({ type, teacherId } = {}) {
+  const result = await db.query(
+    `DELETE FROM ai_cache
+     WHERE ($1::text IS NULL OR content_type = $1)
+       AND ($2::uuid IS NULL OR teacher_id = $2)`,
+    [type || null, teacherId || null]
+  )
+  return result.rowCount
+}
+
+/**
+ * Hit rates and entries per content type
+ * @param {number} days - Reporting window
+ * @returns {Object} { totals, byType } - hitRate is hits / (hits + misses), or null
+ */
+export async function getCacheStats(days) {
+  const [lookups, entries] = await Promise.all([
+    db.query(
+      `SELECT content_type, SUM(hits) AS hits, SUM(misses) AS misses, SUM(bypasses) AS bypasses
+       FROM ai_cache_stats
+       WHERE day >= CURRENT_DATE - ($1::int - 1)
+       GROUP BY content_type`,
+      [days]
+    ),
+    db.query(
+      `SELECT content_type,
+              COUNT(*) FILTER (WHERE expires_at > NOW()) AS entries,
+              COUNT(*) FILTER (WHERE expires_at <= NOW()) AS expired_entries
+       FROM ai_cache
+       GROUP BY content_type`
+    )
+  ])
+
+  const byType = {}
+  const typeRow = (type) => (byType[type] ??= { type, hits: 0, misses: 0, bypasses: 0, entries: 0, expiredEntries: 0 })
+
+  for (const row of lookups.rows) {
+    Object.assign(typeRow(row.content_type), {
+      hits: parseInt(row.hits),
+      misses: parseInt(row.misses),
+      bypasses: parseInt(row.bypasses)
+    })
+  }
+  for (const row of entries.rows) {
+    Object.assign(typeRow(row.content_type || 'unknown'), {
+      entries: parseInt(row.entries),
+      expiredEntries: parseInt(row.expired_entries)
+    })
+  }
+
+  const hitRate = ({ hits, misses }) => (hits + misses > 0 ? hits / (hits + misses) : null)
+  const rows = Object.values(byType)
+    .map(row => ({ ...row, ttlHours: cacheTTLHours(row.type), hitRate: hitRate(row) }))
+    .sort((a, b) => (b.hits + b.misses) - (a.hits + a.misses))
+
+  const totals = rows.reduce((sum, row) => ({
+    hits: sum.hits + row.hits,
+    misses: sum.misses + row.misses,
+    bypasses: sum.bypasses + row.bypasses,
+    entries: sum.entries + row.entries
+  }), { hits: 0, misses: 0, bypasses: 0, entries: 0 })
+
+  return { totals: { ...totals, hitRate: hitRate(totals) }, byType: rows }
+}
@@ -1,24 +1,31 @@
-import Anthropic from '@anthropic-ai/sdk'
-import OpenAI from 'openai'
-import crypto from 'crypto'
-import db from '../database/db.js'
 import { downloadAndStoreImage } from './imageStorageService.js'
-
-// Initialize Claude client
-const client = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY
-})
-
-// Initialize OpenAI client for DALL-E
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-})
+import { locateEvidenceSpans } from '../utils/textSpans.js'
+import { normalizeRegion } from '../utils/venn.js'
+import { CLASSIFICATION_TYPES, isClassificationType, normalizeClassificationContent } from '../utils/classification.js'
+import { buildAnalogyQuestions, buildQuoteAttributionQuestions } from '../utils/choiceItems.js'
+import { normalizeRubric } from '../utils/rubric.js'
+import { generateText, generateJSON, createImage, recordCacheHit, resolveFeature } from './llm/index.js'
+import { cacheKey, getCachedResponse, saveCachedResponse, countCacheBypass } from './aiCacheService.js'
+import {
+  contentSchema,
+  contentReferenceErrors,
+  worldActivitySchema,
+  CHARACTER_PROFILE_SCHEMA
+} from './llm/schemas.js'
+
+// Types generated from the session's uploaded documents rather than a topic alone
+export const DOCUMENT_GROUNDED_TYPES = ['analogy', 'quote_attribution']
+
+// Part of every cache key for generateContent. Bump it when buildPrompt or
+// normalizeContent changes what is generated, so cached activities written
+// from the old prompts stop being served.
+const PROMPT_TEMPLATE_VERSION = 2
 
 /**
  * AI Service
  *
  * Architecture designed to be modular:
- * - Text generation: Claude API
+ * - Text and image generation: the configured provider (see ./llm)
  * - Voice input (FUTURE): OpenAI Whisper API
  * - Voice output (FUTURE): OpenAI TTS API
  *
@@ -27,66 +34,105 @@ const openai = new OpenAI({
 
 /**
  * Generate content using Claude AI
+ * Identical requests from the same teacher are served from the AI cache
+ * (see aiCacheService.js) unless options.fresh is set.
  * @param {string} prompt - The content to generate
- * @param {object} options - Generation options
+ * @param {object} options - Generation options, plus teacherId (whose cache
+ *   to use) and fresh (skip the cache; the new content replaces the cached entry)
+ * @param {object} stream - Optional live preview: { onProgress, signal }
+ *   onProgress gets { type: 'text', delta } for plain-text types,
+ *   { type: 'partial', content } for JSON types, and { type: 'retry', errors }
+ *   when a reply is re-requested; aborting signal cancels the generation
  * @returns {object} Generated content + metadata
  */
-export async function generateContent(prompt, options = {}) {
+export async function generateContent(prompt, options = {}, stream = {}) {
   const {
     type = 'reading',        // reading, questions, quiz, discussion
     subject = 'English',      // English, History, Social Studies, Government, Biology
     difficulty = 'medium',    // easy, medium, hard
     length = 500,             // For reading passages
     count = 5,                // For questions/quizzes
-    maxTokens = 2000
+    sourceText = '',          // Document text for types in DOCUMENT_GROUNDED_TYPES
+    maxTokens = 2000,
+    teacherId = null,
+    fresh = false
   } = options
 
   try {
-    // Generate cache key
-    const cacheKey = generateCacheKey(prompt, options)
+    // Cache key - the model and prompt version are part of it, so switching
+    // either never serves content written for the old one
+    const { provider, model } = resolveFeature('activity_generation')
+    const cacheEntry = {
+      type,
+      teacherId,
+      model: `${provider}/${model}`,
+      templateVersion: PROMPT_TEMPLATE_VERSION
+    }
+    // (fresh is left out: a fresh result replaces the entry it skipped)
+    const key = cacheKey({ prompt, options: { ...options, fresh: undefined }, ...cacheEntry })
 
     // Check cache first
-    const cached = await checkCache(cacheKey)
-    if (cached) {
-      return {
-        content: cached.response,
-        cached: true,
-        generationTime: 0
+    if (fresh) {
+      countCacheBypass(type)
+    } else {
+      const cached = await getCachedResponse(key, type)
+      if (cached) {
+        recordCacheHit('activity_generation')
+        return {
+          content: cached,
+          cached: true,
+          generationTime: 0
+        }
       }
     }
 
     // Build prompt based on type
-    const fullPrompt = buildPrompt(prompt, type, subject, difficulty, length, count)
+    const fullPrompt = buildPrompt(prompt, type, subject, difficulty, length, count, sourceText)
 
-    // Generate with Claude
+    // Generate with the configured text provider
     const startTime = Date.now()
 
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: maxTokens,
-      messages: [{
-        role: 'user',
-        content: fullPrompt
-      }]
-    })
+    // JSON types are validated against their schema (re-prompting if needed),
+    // so a broken reply never becomes an activity
+    const { onProgress, signal } = stream
+    const schema = contentSchema(type)
+    const message = schema
+      ? await generateJSON({
+        feature: 'activity_generation',
+        prompt: fullPrompt,
+        maxTokens,
+        schema,
+        check: data => contentReferenceErrors(type, data),
+        signal,
+        ...(onProgress && {
+          onPartial: content => onProgress({ type: 'partial', content }),
+          onRetry: errors => onProgress({ type: 'retry', errors })
+        })
+      })
+      : await generateText({
+        feature: 'activity_generation',
+        prompt: fullPrompt,
+        maxTokens,
+        signal,
+        ...(onProgress && { onText: delta => onProgress({ type: 'text', delta }) })
+      })
 
     const generationTime = Date.now() - startTime
-    const content = message.content[0].text
 
-    // Parse response based on type
-    const parsedContent = parseResponse(content, type)
+    const parsedContent = schema ? normalizeContent(message.data, type, sourceText) : message.text
 
     // Cache the result
-    await saveToCache(cacheKey, prompt, parsedContent)
+    await saveCachedResponse(key, { prompt, response: parsedContent, ...cacheEntry })
 
     return {
       content: parsedContent,
       cached: false,
       generationTime,
-      model: 'claude-3-5-sonnet'
+      model: message.model
     }
 
   } catch (error) {
+    if (error.code === 'GENERATION_CANCELLED' || error.code === 'AI_QUOTA_EXCEEDED') throw error
     console.error('AI generation error:', error)
     throw new Error(`AI generation failed: ${error.message}`)
   }
@@ -140,7 +186,7 @@ export async function textToSpeech(text) {
 /**
  * Build subject-specific prompt
  */
-function buildPrompt(basePrompt, type, subject, difficulty, length, count) {
+function buildPrompt(basePrompt, type, subject, difficulty, length, count, sourceText = '') {
   // Subject context
   const subjectContext = {
     'English': 'You are an expert English teacher creating engaging content for high school students.',
@@ -276,86 +322,285 @@ Return as JSON in this format:
 }`
   }
 
-  // Default fallback
-  return `${systemPrompt}${basePrompt}`
-}
+  if (type === 'vocabulary_context') {
+    return `${systemPrompt}Generate ${count} "vocabulary in context" items about: ${basePrompt}
 
-/**
- * Parse AI response based on content type
- */
-function parseResponse(content, type) {
-  // For JSON types, try to parse
-  if (['questions', 'quiz', 'mixed', 'discussion'].includes(type)) {
-    try {
-      // Extract JSON from response (in case AI added explanatory text)
-      const jsonMatch = content.match(/\{[\s\S]*\}/)
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0])
-      }
-      return JSON.parse(content)
-    } catch (e) {
-      // If parsing fails, return as plain text with error flag
-      return {
-        error: 'Failed to parse AI response as JSON',
-        rawContent: content
-      }
+Requirements:
+- Each item is one sentence that uses a key vocabulary word naturally
+- The target word must appear in the sentence exactly as written in "word"
+- The sentence should give enough context clues to infer the meaning
+- Provide 4 possible meanings; only one fits the word as used in this sentence
+- Distractors should be plausible (e.g. other meanings of the same word)
+- Difficulty: ${difficulty}
+- Include a brief explanation pointing to the context clues
+
+Return as JSON in this exact format:
+{
+  "items": [
+    {
+      "word": "...",
+      "sentence": "...",
+      "options": ["Meaning A", "Meaning B", "Meaning C", "Meaning D"],
+      "correct": 0,
+      "explanation": "..."
     }
+  ]
+}`
+  }
+
+  if (type === 'cause_effect') {
+    return `${systemPrompt}Generate a cause and effect linking activity about: ${basePrompt}
+
+Requirements:
+- Create 3-4 effects (outcomes or consequences)
+- Create 5-8 causes; every cause leads to exactly ONE of the effects
+- Several causes may lead to the same effect, but every effect needs at least one cause
+- Each link should be clearly supported by the topic, not a matter of opinion
+- Keep each cause and effect to one short sentence
+- Difficulty: ${difficulty}
+
+Return as JSON in this exact format:
+{
+  "title": "A descriptive title for the activity",
+  "instructions": "Drag each cause onto the effect it leads to",
+  "effects": [
+    {"id": "e1", "text": "First effect"},
+    {"id": "e2", "text": "Second effect"}
+  ],
+  "causes": [
+    {"id": "c1", "text": "First cause", "effectId": "e1", "explanation": "Why this cause leads to that effect"},
+    {"id": "c2", "text": "Second cause", "effectId": "e1", "explanation": "..."},
+    {"id": "c3", "text": "Third cause", "effectId": "e2", "explanation": "..."}
+  ]
+}`
+  }
+
+  if (type === 'text_evidence') {
+    return `${systemPrompt}Generate a text evidence activity about: ${basePrompt}
+
+Requirements:
+- Write a reading passage of approximately ${length} words, in paragraphs
+- Write one clear, arguable claim that the passage supports
+- Choose 2-4 sentences from the passage that are the strongest evidence for the claim
+- Evidence quotes must be copied EXACTLY from the passage, character for character
+- Include some sentences that are on-topic but do NOT support the claim
+- Difficulty: ${difficulty}
+
+Return as JSON in this exact format:
+{
+  "title": "A descriptive title",
+  "claim": "The claim students must find evidence for",
+  "passage": "The full passage text...",
+  "evidence": [
+    {"text": "An exact sentence copied from the passage.", "reason": "Why it supports the claim"}
+  ]
+}`
+  }
+
+  if (type === 'timeline') {
+    return `${systemPrompt}Generate a timeline activity with ${count} events about: ${basePrompt}
+
+Requirements:
+- Each event has a short description and the year it happened
+- Use negative years for BCE (e.g. -490 for 490 BCE)
+- For events known only by era or approximate date, give a representative year and describe the era in "dateLabel" (e.g. "c. 3000 BCE", "Late Jurassic")
+- No two events should share the same year
+- Spread events across the period so their spacing is meaningful
+- Difficulty: ${difficulty}
+
+Return as JSON in this exact format:
+{
+  "title": "A descriptive title",
+  "instructions": "Drag each event to where it belongs on the timeline",
+  "events": [
+    {"id": "ev1", "text": "Event description", "year": 1776, "dateLabel": "July 4, 1776"}
+  ]
+}`
+  }
+
+  if (type === 'venn_diagram') {
+    return `${systemPrompt}Generate a Venn diagram sorting activity with ${count} statements about: ${basePrompt}
+
+Requirements:
+- Choose 2 or 3 categories to compare (use 3 only if the topic naturally has three things to compare)
+- Give the categories the ids "A", "B" and "C"
+- Each statement belongs to exactly one region: a single category ("A"), or an overlap of the categories it is true for ("AB", "AC", "BC", "ABC")
+- Every region should have at least one statement where possible, and include statements for the overlaps
+- Statements must be clearly true or false for each category, not a matter of opinion
+- Keep each statement short (under 15 words)
+- Difficulty: ${difficulty}
+
+Return as JSON in this exact format:
+{
+  "title": "A descriptive title",
+  "instructions": "Drag each statement into the region where it belongs",
+  "sets": [
+    {"id": "A", "label": "First category"},
+    {"id": "B", "label": "Second category"}
+  ],
+  "statements": [
+    {"id": "s1", "text": "A statement true only of A", "region": "A", "explanation": "Why it belongs there"},
+    {"id": "s2", "text": "A statement true of both", "region": "AB", "explanation": "..."}
+  ]
+}`
+  }
+
+  if (isClassificationType(type)) {
+    const config = CLASSIFICATION_TYPES[type]
+    const bucketsJson = config.buckets
+      ? config.buckets.map(b => `    {"id": "${b.id}", "label": "${b.label}"}`).join(',\n')
+      : `    {"id": "first_perspective", "label": "First perspective", "description": "Who they are"},
+    {"id": "second_perspective", "label": "Second perspective", "description": "Who they are"}`
+    const bucketRule = config.buckets
+      ? `- Sort statements into these categories: ${config.buckets.map(b => `"${b.id}" (${b.label}: ${b.description})`).join(', ')}`
+      : `- Choose ${config.minBuckets}-${config.maxBuckets} categories; give each a short snake_case id`
+
+    return `${systemPrompt}Generate a "${config.label}" sorting activity with ${count} statements about: ${basePrompt}
+
+Requirements:
+${bucketRule}
+${config.promptGuide}
+- Every category gets a similar number of statements
+- Each statement belongs to exactly one category
+- Keep each statement short (under 20 words)
+- Difficulty: ${difficulty}
+
+Return as JSON in this exact format:
+{
+  "title": "A descriptive title",
+  "instructions": "${config.instructions}",
+  "buckets": [
+${bucketsJson}
+  ],
+  "statements": [
+    {"id": "s1", "text": "Statement text", "bucket": "category id", "explanation": "Why it belongs there"}
+  ]
+}`
   }
 
-  // For plain text (reading passages), return as is
-  return content
+  if (type === 'analogy') {
+    return `${systemPrompt}Generate ${count} analogy completion items (A is to B as C is to ?) about: ${basePrompt}
+
+Base every item on the text from the class's documents below.
+
+Requirements:
+- Every term (A, B, C and the answer) must be a person, place, idea or word that appears in the text
+- Use a clear relationship between A and B (cause/effect, part/whole, person/role, event/result, etc.) and the same relationship between C and the answer
+- For each item list 3 distractors: other terms from the same text that a student might confuse with the answer
+- The explanation names the relationship and why the answer fits
+- Difficulty: ${difficulty}
+
+Return as JSON in this exact format:
+{
+  "title": "A descriptive title",
+  "instructions": "Choose the word that completes each analogy",
+  "items": [
+    {"id": "an1", "a": "Term A", "b": "Term B", "c": "Term C", "answer": "Term D", "relationship": "leader of", "distractors": ["Term", "Term", "Term"], "explanation": "Why the answer completes the analogy"}
+  ]
 }
 
-/**
- * Generate cache key from prompt + options
- */
-function generateCacheKey(prompt, options) {
-  const cacheString = JSON.stringify({ prompt, ...options })
-  return crypto.createHash('md5').update(cacheString).digest('hex')
+Text:
+${sourceText}`
+  }
+
+  if (type === 'quote_attribution') {
+    return `${systemPrompt}Generate a quote attribution activity with ${count} quotes about: ${basePrompt}
+
+Use only quotes from the text from the class's documents below.
+
+Requirements:
+- Copy each quote exactly as it appears in the text (a sentence or two, not a whole paragraph)
+- Each quote is said or written by a speaker, author or character named in the text
+- List every speaker or character in the text who has a quote, so they can be used as answer choices; include at least 3 if the text has them
+- Pick quotes that show something about the speaker's point of view, so students can reason about who said it
+- The explanation points to what in the quote reveals the speaker
+- Difficulty: ${difficulty}
+
+Return as JSON in this exact format:
+{
+  "title": "A descriptive title",
+  "instructions": "Decide who said each quote",
+  "speakers": ["Speaker one", "Speaker two", "Speaker three"],
+  "quotes": [
+    {"id": "qa1", "quote": "Exact words from the text", "speaker": "Speaker one", "context": "Optional: when or where it was said", "explanation": "What gives the speaker away"}
+  ]
 }
 
-/**
- * Check if content exists in cache
- */
-async function checkCache(cacheKey) {
-  try {
-    const result = await db.query(
-      'SELECT response, usage_count FROM ai_cache WHERE prompt_hash = $1',
-      [cacheKey]
-    )
+Text:
+${sourceText}`
+  }
 
-    if (result.rows.length > 0) {
-      // Update usage count and last used timestamp
-      await db.query(
-        'UPDATE ai_cache SET usage_count = usage_count + 1, last_used = NOW() WHERE prompt_hash = $1',
-        [cacheKey]
-      )
+  if (type === 'character_perspective') {
+    return `${systemPrompt}Generate a character perspective activity with ${count} short passages about: ${basePrompt}
 
-      return result.rows[0]
-    }
+Requirements:
+- Each passage (3-5 sentences) is written from one character's point of view, shown through their thoughts, feelings, word choice or what they notice - never name the narrator outright
+- Use 3-4 characters, and give every passage the same list of characters as options
+- Each character should narrate at least one passage where possible
+- "lookFor" lists the clues in the passage a strong justification would point to
+- Difficulty: ${difficulty}
 
-    return null
-  } catch (error) {
-    console.error('Cache check error:', error)
-    return null // Don't fail if cache check fails
+Return as JSON in this exact format:
+{
+  "title": "A descriptive title",
+  "instructions": "Decide whose perspective each passage shows, then explain how you know in a sentence or two",
+  "characters": ["Character one", "Character two", "Character three"],
+  "questions": [
+    {"id": "cp1", "passage": "Passage text", "options": ["Character one", "Character two", "Character three"], "correct": 0, "lookFor": "The clues that reveal the viewpoint"}
+  ]
+}`
   }
+
+  // Default fallback
+  return `${systemPrompt}${basePrompt}`
 }
 
 /**
- * Save generated content to cache
+ * Shape validated AI content for storage, based on content type
  */
-async function saveToCache(cacheKey, prompt, response) {
-  try {
-    await db.query(
-      `INSERT INTO ai_cache (prompt_hash, prompt, response, usage_count, created_at, last_used)
-       VALUES ($1, $2, $3, 1, NOW(), NOW())
-       ON CONFLICT (prompt_hash) DO NOTHING`,
-      [cacheKey, prompt, JSON.stringify(response)]
-    )
-  } catch (error) {
-    console.error('Cache save error:', error)
-    // Don't fail generation if caching fails
+function normalizeContent(parsed, type, sourceText = '') {
+  // Evidence comes back as quotes; store it as character spans on the passage
+  if (type === 'text_evidence' && parsed.passage) {
+    parsed.evidence = locateEvidenceSpans(parsed.passage, parsed.evidence)
   }
+
+  // Region keys may come back in any letter order ("BA")
+  if (type === 'venn_diagram' && Array.isArray(parsed.statements)) {
+    parsed.statements = parsed.statements.map(s => ({ ...s, region: normalizeRegion(s.region) }))
+  }
+
+  if (isClassificationType(type)) {
+    return normalizeClassificationContent(type, parsed)
+  }
+
+  // Stored as quiz-style questions so answers go through the quiz flow
+  if (type === 'analogy') {
+    const { items, ...rest } = parsed
+    return { ...rest, questions: buildAnalogyQuestions(items, sourceText) }
+  }
+
+  if (type === 'quote_attribution') {
+    const { quotes, ...rest } = parsed
+    return { ...rest, questions: buildQuoteAttributionQuestions(quotes, parsed.speakers) }
+  }
+
+  // Passages share one question so help requests and reports read naturally;
+  // the rubric starts from the default and is edited by the teacher
+  if (type === 'character_perspective') {
+    return {
+      ...parsed,
+      rubric: normalizeRubric(parsed.rubric),
+      questions: (parsed.questions || [])
+        .filter(q => q.passage && Array.isArray(q.options) && q.options[q.correct])
+        .map((q, i) => ({
+          ...q,
+          id: q.id || `cp${i + 1}`,
+          question: 'Whose perspective does this passage show?'
+        }))
+    }
+  }
+
+  return parsed
 }
 
 /**
@@ -577,6 +822,256 @@ Requirements:
 - Include Traditional Chinese translation`
   }
 
+  else if (activityType === 'story_sequence') {
+    // Longer stories are too much to hold in mind for the youngest learners
+    const maxPanels = { 1: 3, 2: 4, 3: 6 }[ageLevel] || 4
+    const panelCount = Math.max(3, Math.min(itemCount, maxPanels))
+
+    prompt = `You are creating a picture story for a "Put the story in order" activity for young ${language} learners (${ageLevelGuide[ageLevel]}).
+
+Land: ${landName}
+Theme: ${landTheme || 'General'}
+Topic: ${topic || landName}
+
+Write a very short story told in exactly ${panelCount} picture panels. Students see the panels shuffled, hear each one read aloud, and put them back in order.
+
+Return as JSON in this exact format, with the panels in the correct story order:
+{
+  "title": "The Hungry Frog",
+  "panels": [
+    {
+      "text": "A frog sits on a log.",
+      "emoji": "🐸",
+      "translation": "一隻青蛙坐在木頭上。"
+    }
+  ],
+  "instructions": "Listen to each picture and put the story in order!"
+}
+
+Requirements:
+- One short sentence per panel that will be read aloud
+- For age level 1, use 3-5 word sentences with words they already know
+- Each step must clearly follow from the one before (beginning, middle, end) so there is only one sensible order
+- Each panel needs a different emoji that shows what happens in it
+- Include Traditional Chinese translation
+- The story should fit the theme of ${landName}`
+  }
+
+  else if (activityType === 'word_spelling') {
+    prompt = `You are creating a letter-tile spelling activity for young ${language} learners (${ageLevelGuide[ageLevel]}).
+
+Land: ${landName}
+Theme: ${landTheme || 'General'}
+Topic: ${topic || landName}
+
+Generate ${itemCount} words for students to spell. Students hear the word, see a picture, and spell it by touching letter tiles.
+
+Return as JSON in this exact format:
+{
+  "items": [
+    {
+      "word": "cat",
+      "emoji": "🐱",
+      "translation": "貓"
+    }
+  ],
+  "instructions": "Listen, then spell the word!"
+}
+
+Requirements:
+- Single words only, lowercase letters, no spaces or punctuation
+- Age level 2: 3-5 letter words; age level 3: up to 7 letters
+- Each word must be easy to show with an emoji
+- Include Traditional Chinese translation`
+  }
+
+  else if (activityType === 'fill_in_blank') {
+    prompt = `You are creating a fill-in-the-blank activity for young ${language} learners (${ageLevelGuide[ageLevel]}).
+
+Land: ${landName}
+Theme: ${landTheme || 'General'}
+Topic: ${topic || landName}
+
+Generate ${itemCount} short sentences, each missing one word. Students see a picture of the missing word and choose it from a few options.
+
+Return as JSON in this exact format:
+{
+  "items": [
+    {
+      "sentence": "The ___ says moo.",
+      "sentenceLevel3": "The big brown ___ says moo in the field.",
+      "answer": "cow",
+      "emoji": "🐄",
+      "translation": "牛"
+    }
+  ],
+  "instructions": "Find the missing word!"
+}
+
+Requirements:
+- Mark the missing word with exactly "___" once in each sentence
+- "sentence" is short and simple; "sentenceLevel3" is a longer version for ages 9-10
+- The answer is a concrete word that the emoji shows
+- Every answer is different, so the other answers can be used as wrong options
+- Include Traditional Chinese translation of the answer`
+  }
+
+  else if (activityType === 'sentence_builder') {
+    prompt = `You are creating a sentence builder activity for young ${language} learners (${ageLevelGuide[ageLevel]}).
+
+Land: ${landName}
+Theme: ${landTheme || 'General'}
+Topic: ${topic || landName}
+
+Generate ${itemCount} sentences. Each sentence is cut into word blocks that students drag into order. Each sentence uses one target vocabulary word from the theme.
+
+Students are scored against "acceptedVariants" only, so list EVERY grammatically correct sentence that can be made from exactly the same blocks and still uses the target word - not just the main one. For example, "The cat is on the mat" can also be "On the mat is the cat".
+
+Return as JSON in this exact format:
+{
+  "items": [
+    {
+      "sentence": "The big dog runs fast.",
+      "blocks": ["the", "big", "dog", "runs", "fast"],
+      "targetWord": "dog",
+      "acceptedVariants": ["The big dog runs fast.", "Fast runs the big dog."],
+      "emoji": "🐕",
+      "translation": "大狗跑得很快。"
+    }
+  ],
+  "instructions": "Put the words in order to make a sentence!"
+}
+
+Requirements:
+- Age level 2: 3-5 blocks; age level 3: 5-8 blocks
+- Blocks are lowercase unless the word is always capitalized (like "I" or a name), with no punctuation
+- Every variant uses every block exactly once
+- Only include variants a teacher would mark correct; avoid odd or poetic orders for younger learners
+- Include Traditional Chinese translation of the main sentence`
+  }
+
+  else if (activityType === 'dictation') {
+    prompt = `You are creating a dictation activity for young ${language} learners (${ageLevelGuide[ageLevel]}).
+
+Land: ${landName}
+Theme: ${landTheme || 'General'}
+Topic: ${topic || landName}
+
+Generate ${itemCount} words or short phrases. A character reads each one aloud and students write down what they hear.
+
+Return as JSON in this exact format:
+{
+  "items": [
+    {
+      "text": "rainbow",
+      "emoji": "🌈",
+      "translation": "彩虹"
+    }
+  ],
+  "instructions": "Listen carefully and write what you hear!"
+}
+
+Requirements:
+- Start with single words and end with 2-4 word phrases
+- Words must be spelled the way they sound as much as possible for younger learners
+- Avoid names and words with more than one common spelling
+- Include Traditional Chinese translation`
+  }
+
+  else if (activityType === 'dialogue_practice') {
+    prompt = `You are creating a speaking dialogue for young ${language} learners (${ageLevelGuide[ageLevel]}).
+
+Land: ${landName}
+Theme: ${landTheme || 'General'}
+Topic: ${topic || landName}
+
+Generate a conversation of ${itemCount} turns between a friendly character and a student. In each turn the character says one line and the student answers out loud.
+
+Return as JSON in this exact format:
+{
+  "items": [
+    {
+      "characterLine": "Hello! What animal do you like?",
+      "expectedReply": "I like lions.",
+      "keyWords": ["lions"],
+      "choices": ["I am six.", "It is red."],
+      "emoji": "🦁",
+      "translation": "你好！你喜歡什麼動物？"
+    }
+  ],
+  "instructions": "Listen to your friend and answer!"
+}
+
+Requirements:
+- The turns must follow on from each other like a real conversation
+- expectedReply is one short, natural answer the student could give
+- keyWords are the 1-2 words the reply must contain to make sense
+- choices are 2 wrong replies that don't answer the character's line
+- translation is the Traditional Chinese translation of the character's line`
+  }
+
+  else if (activityType === 'story_writing') {
+    prompt = `You are creating a story writing activity for ${language} learners aged 9-10.
+
+Land: ${landName}
+Theme: ${landTheme || 'General'}
+Topic: ${topic || landName}
+
+Write a story starter the students continue, a writing prompt, ${itemCount} sentence starters to help them keep going, and a word bank.
+
+Return as JSON in this exact format:
+{
+  "storyStarter": "One sunny morning, Mia found a tiny door under the old tree.",
+  "prompt": "What was behind the door? Write what happened next.",
+  "emoji": "🚪",
+  "minWords": 30,
+  "wordBank": ["tree", "tiny", "surprised", "friend"],
+  "items": [
+    { "text": "When she opened the door," },
+    { "text": "Suddenly," }
+  ],
+  "instructions": "Finish the story! Use words from the word bank."
+}
+
+Requirements:
+- The story starter is 1-2 simple sentences that set up something exciting
+- Sentence starters are short and help with order (first, then, in the end)
+- The word bank has 6-10 words from the topic
+- minWords is between 20 and 60`
+  }
+
+  else if (activityType === 'reading_comprehension') {
+    prompt = `You are creating a short reading with comprehension questions for ${language} learners aged 9-10.
+
+Land: ${landName}
+Theme: ${landTheme || 'General'}
+Topic: ${topic || landName}
+
+Write a short reading of 2-3 paragraphs and ${itemCount} multiple-choice questions about it.
+
+Return as JSON in this exact format:
+{
+  "title": "Leo's Big Day",
+  "passage": "Leo the lion woke up early...\n\nAfter breakfast, he...",
+  "emoji": "🦁",
+  "items": [
+    {
+      "question": "When did Leo wake up?",
+      "answer": "Early in the morning",
+      "choices": ["At night", "At lunchtime"]
+    }
+  ],
+  "instructions": "Read the story, then answer the questions!"
+}
+
+Requirements:
+- 80-150 words in total, in short, clear sentences
+- Separate paragraphs with a blank line
+- Every answer must be found in the reading
+- choices are 2 wrong answers that are clearly wrong to a careful reader
+- Mix "who/what/where" questions with one "why" question`
+  }
+
   else {
     // Generic activity content
     prompt = `You are creating content for a "${activityType}" learning activity for young ${language} learners (${ageLevelGuide[ageLevel]}).
@@ -597,44 +1092,26 @@ Return as JSON with items appropriate for the activity type. Include:
   try {
     const startTime = Date.now()
 
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 2000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    const message = await generateJSON({
+      feature: 'world_activity_content',
+      prompt,
+      maxTokens: 2000,
+      schema: worldActivitySchema(activityType)
     })
 
-    const generationTime = Date.now() - startTime
-    const content = message.content[0].text
+    return {
+      content: message.data,
+      generationTime: Date.now() - startTime,
+      model: message.model
+    }
 
-    // Parse JSON response
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/)
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0])
-        return {
-          content: parsed,
-          generationTime,
-          model: 'claude-sonnet-4-5'
-        }
-      }
-      return {
-        content: JSON.parse(content),
-        generationTime,
-        model: 'claude-sonnet-4-5'
-      }
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', parseError)
+  } catch (error) {
+    if (error.code === 'INVALID_AI_OUTPUT') {
       return {
-        error: 'Failed to parse AI response',
-        rawContent: content,
-        generationTime
+        error: 'The AI could not produce valid content for this activity. Please try again.',
+        validationErrors: error.validationErrors
       }
     }
-
-  } catch (error) {
     console.error('Activity content generation error:', error)
     throw new Error(`AI generation failed: ${error.message}`)
   }
@@ -681,17 +1158,16 @@ Keep it SIMPLE, FLAT, and RECOGNIZABLE.`
   try {
     console.log('🎨 Generating DALL-E image for:', word)
 
-    const response = await openai.images.generate({
-      model: 'dall-e-3',
+    const response = await createImage({
+      feature: 'vocabulary_image',
       prompt: prompt,
-      n: 1,
       size: size,
       quality: 'hd',      // HD quality for cleaner lines
       style: 'natural'    // Natural style is more predictable than vivid
     })
 
-    const tempUrl = response.data[0].url
-    const revisedPrompt = response.data[0].revised_prompt
+    const tempUrl = response.url
+    const revisedPrompt = response.revisedPrompt
 
     console.log('✅ Image generated successfully')
     console.log('📝 Revised prompt:', revisedPrompt?.substring(0, 100) + '...')
@@ -707,7 +1183,7 @@ Keep it SIMPLE, FLAT, and RECOGNIZABLE.`
         word: word,
         prompt: prompt,
         revisedPrompt: revisedPrompt,
-        model: 'dall-e-3',
+        model: response.model,
         warning: 'Image not stored locally - URL may expire'
       }
     }
@@ -720,7 +1196,7 @@ Keep it SIMPLE, FLAT, and RECOGNIZABLE.`
       word: word,
       prompt: prompt,
       revisedPrompt: revisedPrompt,
-      model: 'dall-e-3',
+      model: response.model,
       stored: true
     }
 
@@ -818,44 +1294,18 @@ Make the character unique and memorable. The visual description should be specif
   try {
     const startTime = Date.now()
 
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 1000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    const message = await generateJSON({
+      feature: 'world_character_profile',
+      prompt,
+      maxTokens: 1000,
+      schema: CHARACTER_PROFILE_SCHEMA
     })
 
-    const generationTime = Date.now() - startTime
-    const content = message.content[0].text
-
-    // Parse JSON response
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/)
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0])
-        return {
-          success: true,
-          character: parsed,
-          generationTime,
-          model: 'claude-sonnet-4-5'
-        }
-      }
-      return {
-        success: true,
-        character: JSON.parse(content),
-        generationTime,
-        model: 'claude-sonnet-4-5'
-      }
-    } catch (parseError) {
-      console.error('Failed to parse character profile:', parseError)
-      return {
-        success: false,
-        error: 'Failed to parse AI response',
-        rawContent: content,
-        generationTime
-      }
+    return {
+      success: true,
+      character: message.data,
+      generationTime: Date.now() - startTime,
+      model: message.model
     }
 
   } catch (error) {
@@ -912,17 +1362,16 @@ RESTRICTIONS:
   try {
     console.log('🎨 Generating character avatar for:', name)
 
-    const response = await openai.images.generate({
-      model: 'dall-e-3',
+    const response = await createImage({
+      feature: 'character_avatar',
       prompt: prompt,
-      n: 1,
       size: '1024x1024',
       quality: 'hd',
       style: 'natural'
     })
 
-    const tempUrl = response.data[0].url
-    const revisedPrompt = response.data[0].revised_prompt
+    const tempUrl = response.url
+    const revisedPrompt = response.revisedPrompt
 
     console.log('✅ Character avatar generated successfully')
 
@@ -937,7 +1386,7 @@ RESTRICTIONS:
         characterName: name,
         prompt: prompt,
         revisedPrompt: revisedPrompt,
-        model: 'dall-e-3',
+        model: response.model,
         warning: 'Image not stored locally - URL may expire'
       }
     }
@@ -950,7 +1399,7 @@ RESTRICTIONS:
       characterName: name,
       prompt: prompt,
       revisedPrompt: revisedPrompt,
-      model: 'dall-e-3',
+      model: response.model,
       stored: true
     }
 
@@ -1,8 +1,4 @@
-import Anthropic from '@anthropic-ai/sdk'
-
-const claude = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY
-})
+import { generateText } from './llm/index.js'
 
 // Threshold for triggering summarization (characters)
 const SUMMARIZATION_THRESHOLD = 10000
@@ -48,13 +44,13 @@ Document content:
 ${text.substring(0, 30000)}`
 
   try {
-    const response = await claude.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 1500,
-      messages: [{ role: 'user', content: prompt }]
+    const response = await generateText({
+      feature: 'document_summary',
+      prompt,
+      maxTokens: 1500
     })
 
-    return response.content[0].text
+    return response.text
   } catch (error) {
     console.error('Document summarization failed:', error)
     // Fall back to truncation if summarization fails
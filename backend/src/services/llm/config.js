@@ -0,0 +1,121 @@
+/**
+ * LLM provider configuration
+ *
+ * Every AI call names a feature. The provider and model for a feature are
+ * chosen from environment variables, most specific first:
+ *
+ *   LLM_PROVIDER_<FEATURE> / LLM_MODEL_<FEATURE>    e.g. LLM_PROVIDER_STUDENT_HELP=local
+ *   LLM_PROVIDER                                    one provider for everything it supports (e.g. fixture)
+ *   LLM_<CAPABILITY>_PROVIDER / LLM_<CAPABILITY>_MODEL  e.g. LLM_TEXT_PROVIDER=openai
+ *   the built-in default for the capability
+ *
+ * Providers: anthropic, openai, local (an OpenAI-compatible server at
+ * LOCAL_LLM_BASE_URL) and fixture (deterministic, offline).
+ */
+
+export const PROVIDERS = ['anthropic', 'openai', 'local', 'fixture']
+
+// What each provider can do
+const SUPPORTED_CAPABILITIES = {
+  anthropic: ['text'],
+  openai: ['text', 'transcription', 'tts', 'image'],
+  local: ['text', 'transcription', 'tts', 'image'],
+  fixture: ['text', 'transcription', 'tts', 'image']
+}
+
+export const CAPABILITIES = {
+  text: { defaultProvider: 'anthropic' },
+  transcription: { defaultProvider: 'openai' },
+  tts: { defaultProvider: 'openai' },
+  image: { defaultProvider: 'openai' }
+}
+
+// Feature -> capability. JSON features are text features whose reply is parsed.
+export const FEATURES = {
+  activity_generation: 'text',
+  world_activity_content: 'text',
+  world_character_profile: 'text',
+  student_help: 'text',
+  simpler_version: 'text',
+  reverse_tutoring: 'text',
+  reverse_tutoring_analysis: 'text',
+  reverse_tutoring_scaffolding: 'text',
+  collaboration: 'text',
+  document_summary: 'text',
+  document_activity: 'text',
+  primary_source: 'text',
+  primary_source_feedback: 'text',
+  rubric_scoring: 'text',
+  story_feedback: 'text',
+  matching_generation: 'text',
+  sentence_ordering_generation: 'text',
+  video_questions: 'text',
+  speech_transcription: 'transcription',
+  video_transcription: 'transcription',
+  speech: 'tts',
+  vocabulary_image: 'image',
+  character_avatar: 'image'
+}
+
+// Models used when nothing is configured
+export const DEFAULT_MODELS = {
+  anthropic: { text: 'claude-sonnet-4-5-20250929' },
+  openai: { text: 'gpt-4o', transcription: 'whisper-1', tts: 'tts-1', image: 'dall-e-3' },
+  local: { text: 'llama3.1', transcription: 'whisper-1', tts: 'tts-1', image: 'dall-e-3' },
+  fixture: { text: 'fixture', transcription: 'fixture', tts: 'fixture', image: 'fixture' }
+}
+
+// Default models for the local server, read when a call is made
+const LOCAL_MODEL_ENV = {
+  text: 'LOCAL_LLM_MODEL',
+  transcription: 'LOCAL_TRANSCRIPTION_MODEL',
+  tts: 'LOCAL_TTS_MODEL',
+  image: 'LOCAL_IMAGE_MODEL'
+}
+
+function envKey(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')
+}
+
+/**
+ * Provider and model for a feature
+ * @param {string} feature - A key of FEATURES
+ * @returns {Object} { feature, capability, provider, model }
+ */
+export function resolveFeature(feature) {
+  const capability = FEATURES[feature]
+  if (!capability) {
+    throw new Error(`Unknown AI feature "${feature}"`)
+  }
+
+  const featureKey = envKey(feature)
+  const capabilityKey = envKey(capability)
+
+  const globalProvider = process.env.LLM_PROVIDER?.toLowerCase()
+  const capabilityProvider = (
+    process.env[`LLM_${capabilityKey}_PROVIDER`] ||
+    CAPABILITIES[capability].defaultProvider
+  ).toLowerCase()
+  const provider = (
+    process.env[`LLM_PROVIDER_${featureKey}`] ||
+    (SUPPORTED_CAPABILITIES[globalProvider]?.includes(capability) ? globalProvider : null) ||
+    capabilityProvider
+  ).toLowerCase()
+
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown AI provider "${provider}" for ${feature}`)
+  }
+  if (!SUPPORTED_CAPABILITIES[provider].includes(capability)) {
+    throw new Error(`The ${provider} provider does not support ${capability} (feature ${feature})`)
+  }
+
+  // LLM_<CAPABILITY>_MODEL names a model of the capability's provider, so it
+  // doesn't follow a feature or LLM_PROVIDER override to another provider
+  const model =
+    process.env[`LLM_MODEL_${featureKey}`] ||
+    (provider === capabilityProvider ? process.env[`LLM_${capabilityKey}_MODEL`] : null) ||
+    (provider === 'local' ? process.env[LOCAL_MODEL_ENV[capability]] : null) ||
+    DEFAULT_MODELS[provider][capability]
+
+  return { feature, capability, provider, model }
+}
@@ -0,0 +1,310 @@
+import { resolveFeature } from './config.js'
+import anthropic from './providers/anthropic.js'
+import openai from './providers/openai.js'
+import local from './providers/local.js'
+import fixture from './providers/fixture.js'
+import { checkQuota, quotaExceededError, recordUsage, mp3Seconds } from './usage.js'
+import { validateSchema } from '../../utils/jsonSchema.js'
+import { parsePartialJSON } from '../../utils/partialJson.js'
+
+/**
+ * LLM Service
+ * One interface for every AI call in the app - text, JSON, transcription,
+ * text-to-speech and images. Callers name a feature; config.js decides which
+ * provider and model serve it.
+ *
+ * Messages are provider-neutral:
+ *   { role: 'user' | 'assistant', content: string | [{ type: 'text', text } | { type: 'image', mediaType, data }] }
+ * where image data is base64.
+ *
+ * Every call is metered and checked against the daily AI limits (see
+ * usage.js); a call over the limit throws an error with code
+ * AI_QUOTA_EXCEEDED and status 429.
+ */
+
+export { resolveFeature, FEATURES } from './config.js'
+
+const PROVIDER_ADAPTERS = { anthropic, openai, local, fixture }
+
+const MAX_LISTED_ERRORS = 15
+
+// Re-prompts allowed when a JSON reply fails validation (LLM_MAX_REPAIRS, default 2)
+function defaultMaxRepairs() {
+  const configured = parseInt(process.env.LLM_MAX_REPAIRS, 10)
+  return Number.isInteger(configured) && configured >= 0 ? configured : 2
+}
+
+function adapterFor(feature) {
+  const route = resolveFeature(feature)
+  return { ...route, adapter: PROVIDER_ADAPTERS[route.provider] }
+}
+
+// Run a provider call after the quota check, recording what it used
+async function metered({ adapter, ...route }, call, measure) {
+  const quota = await checkQuota()
+  if (!quota.allowed) throw quotaExceededError(quota)
+
+  const startTime = Date.now()
+  try {
+    const result = await call()
+    recordUsage({ ...route, ...measure(result), latencyMs: Date.now() - startTime })
+    return result
+  } catch (error) {
+    recordUsage({ ...route, latencyMs: Date.now() - startTime, succeeded: false })
+    throw error
+  }
+}
+
+/**
+ * Record a reply served from a cache instead of a provider
+ * @param {string} feature - Feature name
+ */
+export function recordCacheHit(feature) {
+  const { adapter, ...route } = adapterFor(feature)
+  recordUsage({ ...route, cached: true, latencyMs: 0 })
+}
+
+/**
+ * Generate text
+ * @param {Object} params
+ * @param {string} params.feature - Feature name (see config.js FEATURES)
+ * @param {string} params.prompt - Single user message (or pass messages)
+ * @param {Array<Object>} params.messages - Conversation so far
+ * @param {string} params.system - System prompt
+ * @param {number} params.maxTokens - Reply length limit
+ * @param {number} params.temperature - Optional sampling temperature
+ * @param {boolean} params.json - A JSON reply is expected (the fixture provider answers {} by default)
+ * @param {Object} params.schema - JSON Schema of the expected reply (the fixture provider answers with a matching example)
+ * @param {Function} params.onText - Stream the reply: called with each new piece of text
+ * @param {AbortSignal} params.signal - Aborts the request; the call then throws an error with code GENERATION_CANCELLED
+ * @returns {Object} { text, model, provider, usage: { inputTokens, outputTokens } }
+ */
+export async function generateText({
+  feature,
+  prompt,
+  messages,
+  system,
+  maxTokens = 1024,
+  temperature,
+  json = false,
+  schema,
+  onText,
+  signal
+}) {
+  const route = adapterFor(feature)
+  const { adapter, provider, model } = route
+  const request = {
+    feature,
+    model,
+    system,
+    messages: messages || [{ role: 'user', content: prompt }],
+    maxTokens,
+    temperature,
+    json,
+    schema,
+    signal
+  }
+
+  try {
+    const result = await metered(
+      route,
+      () => (onText ? adapter.streamText({ ...request, onText }) : adapter.text(request)),
+      ({ usage }) => ({ inputTokens: usage?.inputTokens, outputTokens: usage?.outputTokens })
+    )
+    return { ...result, provider }
+  } catch (error) {
+    if (signal?.aborted) throw cancelledError(feature)
+    throw error
+  }
+}
+
+function cancelledError(feature) {
+  const error = new Error(`AI generation for ${feature} was cancelled`)
+  error.code = 'GENERATION_CANCELLED'
+  return error
+}
+
+/**
+ * Generate a JSON reply
+ * The first {...} in the reply is parsed, so models that wrap JSON in prose
+ * or code fences still work.
+ *
+ * With a schema, the reply is also validated. A reply that doesn't parse or
+ * validate is sent back to the model with the errors, up to `maxRepairs`
+ * times. If it is still wrong the call throws an error with code
+ * INVALID_AI_OUTPUT carrying `validationErrors` and the last reply as `rawText`.
+ *
+ * @param {Object} params - Same as generateText, plus:
+ * @param {Object} params.schema - JSON Schema the reply must match (see schemas.js)
+ * @param {Function} params.check - Optional extra check (data) => Array<string> of errors
+ * @param {number} params.maxRepairs - Re-prompts allowed after the first reply
+ * @param {Function} params.onPartial - Stream the reply: called with the JSON written so far
+ *   (finished array items only, see utils/partialJson.js) each time it grows
+ * @param {Function} params.onRetry - Called with (errors, attempt) before a re-prompt; a
+ *   streamed preview starts again from nothing
+ * @returns {Object} { data, text, model, provider, usage, attempts }
+ */
+export async function generateJSON({ schema, check, maxRepairs = defaultMaxRepairs(), onPartial, onRetry, ...params }) {
+  let messages = params.messages || [{ role: 'user', content: params.prompt }]
+  const usage = { inputTokens: 0, outputTokens: 0 }
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await generateText({
+      ...params,
+      messages,
+      json: true,
+      schema,
+      ...(onPartial && { onText: partialJSONStream(onPartial) })
+    })
+    usage.inputTokens += result.usage?.inputTokens || 0
+    usage.outputTokens += result.usage?.outputTokens || 0
+
+    let data
+    let errors
+    try {
+      data = extractJSON(result.text)
+      errors = schema ? validateSchema(data, schema) : []
+      if (errors.length === 0 && check) errors = check(data)
+    } catch {
+      errors = ['The reply was not valid JSON']
+    }
+
+    if (errors.length === 0) {
+      return { ...result, data, usage, attempts: attempt }
+    }
+
+    if (attempt > maxRepairs) {
+      console.warn(`AI reply for ${params.feature} failed validation after ${attempt} attempt(s):`, errors)
+      const error = new Error(`AI reply for ${params.feature} did not match the expected format`)
+      error.code = 'INVALID_AI_OUTPUT'
+      error.validationErrors = errors
+      error.rawText = result.text
+      throw error
+    }
+
+    if (onRetry) onRetry(errors, attempt)
+
+    messages = [
+      ...messages,
+      { role: 'assistant', content: result.text },
+      { role: 'user', content: repairPrompt(errors) }
+    ]
+  }
+}
+
+// onText handler that reports the parsed JSON whenever it changes
+function partialJSONStream(onPartial) {
+  let reply = ''
+  let last = ''
+  return (delta) => {
+    reply += delta
+    const partial = parsePartialJSON(reply)
+    if (partial === undefined) return
+
+    const serialized = JSON.stringify(partial)
+    if (serialized !== last) {
+      last = serialized
+      onPartial(partial)
+    }
+  }
+}
+
+function repairPrompt(errors) {
+  const listed = errors.slice(0, MAX_LISTED_ERRORS).map(e => `- ${e}`).join('\n')
+  const more = errors.length > MAX_LISTED_ERRORS ? `\n- ...and ${errors.length - MAX_LISTED_ERRORS} more` : ''
+
+  return `Your reply did not match the required JSON format:
+${listed}${more}
+
+Fix these problems and reply with the complete corrected JSON only, in the same format as asked for above.`
+}
+
+/**
+ * Parse the first JSON object in a model reply
+ */
+export function extractJSON(text) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/)
+  return JSON.parse(jsonMatch ? jsonMatch[0] : text)
+}
+
+/**
+ * Transcribe speech
+ * @param {Object} params
+ * @param {string} params.feature - Feature name
+ * @param {Buffer} params.audio - Audio file contents
+ * @param {string} params.filename - File name (its extension tells the provider the format)
+ * @param {string} params.mimeType - Audio MIME type
+ * @param {string} params.language - Optional language code (e.g. 'en')
+ * @param {string} params.prompt - Optional context that helps accuracy
+ * @param {boolean} params.timestamps - Include timed segments
+ * @returns {Object} { text, segments, language, duration, model, provider }
+ */
+export async function transcribeAudio({
+  feature,
+  audio,
+  filename = 'audio.webm',
+  mimeType = 'audio/webm',
+  language,
+  prompt,
+  timestamps = false
+}) {
+  const route = adapterFor(feature)
+  const { adapter, provider, model } = route
+  const result = await metered(
+    route,
+    () => adapter.transcribe({ feature, model, audio, filename, mimeType, language, prompt, timestamps }),
+    ({ duration }) => ({ audioSeconds: duration || 0 })
+  )
+  return { ...result, model, provider }
+}
+
+/**
+ * Turn text into speech
+ * @param {Object} params
+ * @param {string} params.feature - Feature name
+ * @param {string} params.text - Text to speak
+ * @param {string} params.voice - Voice name (OpenAI voice names)
+ * @param {number} params.speed - Optional speaking speed
+ * @returns {Object} { audio: Buffer (mp3), model, provider }
+ */
+export async function synthesizeSpeech({ feature = 'speech', text, voice = 'alloy', speed }) {
+  const route = adapterFor(feature)
+  const { adapter, provider, model } = route
+  const audio = await metered(
+    route,
+    () => adapter.speech({ feature, model, text, voice, speed }),
+    speech => ({ characters: text.length, audioSeconds: mp3Seconds(speech) })
+  )
+  return { audio, model, provider }
+}
+
+/**
+ * Generate an image
+ * @param {Object} params
+ * @param {string} params.feature - Feature name
+ * @param {string} params.prompt - Image description
+ * @param {string} params.size - e.g. '1024x1024'
+ * @param {string} params.quality - Optional provider quality setting
+ * @param {string} params.style - Optional provider style setting
+ * @returns {Object} { url, revisedPrompt, model, provider } - url may be temporary or a data: URL
+ */
+export async function createImage({ feature, prompt, size = '1024x1024', quality, style }) {
+  const route = adapterFor(feature)
+  const { adapter, provider, model } = route
+  const result = await metered(
+    route,
+    () => adapter.image({ feature, model, prompt, size, quality, style }),
+    () => ({ images: 1, size, quality })
+  )
+  return { ...result, model, provider }
+}
+
+export default {
+  generateText,
+  generateJSON,
+  extractJSON,
+  recordCacheHit,
+  transcribeAudio,
+  synthesizeSpeech,
+  createImage
+}
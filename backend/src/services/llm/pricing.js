@@ -0,0 +1,99 @@
+/**
+ * AI price list
+ * Estimated cost in US dollars of each metered call (see usage.js), from the
+ * providers' published list prices. Keep this in step with the providers;
+ * models that aren't listed are metered at no cost.
+ *
+ * Models are matched by the longest listed prefix, so dated releases
+ * (claude-sonnet-4-5-20250929) use their family's price.
+ */
+
+// Dollars per million tokens
+const TEXT_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 }
+}
+
+// Dollars per minute of audio
+const TRANSCRIPTION_PRICES = {
+  'whisper-1': 0.006,
+  'gpt-4o-transcribe': 0.006,
+  'gpt-4o-mini-transcribe': 0.003
+}
+
+// Dollars per million characters
+const TTS_PRICES = {
+  'tts-1': 15,
+  'tts-1-hd': 30
+}
+
+// Dollars per image, by quality and size
+const IMAGE_PRICES = {
+  'dall-e-3': {
+    standard: { '1024x1024': 0.04, '1024x1792': 0.08, '1792x1024': 0.08 },
+    hd: { '1024x1024': 0.08, '1024x1792': 0.12, '1792x1024': 0.12 }
+  },
+  'dall-e-2': {
+    standard: { '256x256': 0.016, '512x512': 0.018, '1024x1024': 0.02 }
+  }
+}
+
+// Providers that don't bill per call
+const FREE_PROVIDERS = ['local', 'fixture']
+
+function priceFor(prices, model) {
+  const match = Object.keys(prices)
+    .filter(prefix => model === prefix || model.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0]
+  return match ? prices[match] : undefined
+}
+
+/**
+ * Estimated cost of a call
+ * @param {Object} usage - { capability, provider, model, inputTokens, outputTokens,
+ *   audioSeconds, characters, images, size, quality }
+ * @returns {number} Dollars
+ */
+export function estimateCost({
+  capability,
+  provider,
+  model,
+  inputTokens = 0,
+  outputTokens = 0,
+  audioSeconds = 0,
+  characters = 0,
+  images = 0,
+  size = '1024x1024',
+  quality
+}) {
+  if (FREE_PROVIDERS.includes(provider)) return 0
+
+  switch (capability) {
+    case 'text': {
+      const price = priceFor(TEXT_PRICES, model)
+      return price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0
+    }
+    case 'transcription':
+      return (priceFor(TRANSCRIPTION_PRICES, model) || 0) * audioSeconds / 60
+    case 'tts':
+      return (priceFor(TTS_PRICES, model) || 0) * characters / 1e6
+    case 'image': {
+      const prices = priceFor(IMAGE_PRICES, model)
+      const byQuality = prices?.[quality] || prices?.standard
+      return (byQuality?.[size] || 0) * images
+    }
+    default:
+      return 0
+  }
+}
@@ -0,0 +1,63 @@
+import Anthropic from '@anthropic-ai/sdk'
+
+/**
+ * Anthropic (Claude) provider - text only
+ */
+
+let client = null
+function getClient() {
+  if (!client) {
+    client = new Anthropic({
+      apiKey: process.env.CLAUDE_API_KEY
+    })
+  }
+  return client
+}
+
+/**
+ * Messages use the provider-neutral format from ../index.js; image parts
+ * become Claude base64 image blocks.
+ */
+function toAnthropicContent(content) {
+  if (typeof content === 'string') return content
+  return content.map(part => part.type === 'image'
+    ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+    : { type: 'text', text: part.text })
+}
+
+function requestBody({ model, system, messages, maxTokens, temperature }) {
+  return {
+    model,
+    max_tokens: maxTokens,
+    ...(system ? { system } : {}),
+    ...(temperature !== undefined ? { temperature } : {}),
+    messages: messages.map(m => ({ role: m.role, content: toAnthropicContent(m.content) }))
+  }
+}
+
+function toResult(message, model) {
+  return {
+    text: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+    model: message.model || model,
+    usage: {
+      inputTokens: message.usage?.input_tokens || 0,
+      outputTokens: message.usage?.output_tokens || 0
+    }
+  }
+}
+
+export async function text(params) {
+  const message = await getClient().messages.create(requestBody(params), { signal: params.signal })
+  return toResult(message, params.model)
+}
+
+/**
+ * Same as text(), calling onText with each piece of the reply as it arrives
+ */
+export async function streamText(params) {
+  const stream = getClient().messages.stream(requestBody(params), { signal: params.signal })
+  stream.on('text', delta => params.onText(delta))
+  return toResult(await stream.finalMessage(), params.model)
+}
+
+export default { name: 'anthropic', text, streamText }
@@ -0,0 +1,124 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+/**
+ * Fixture provider - deterministic answers with no network, for running
+ * and testing the app offline (LLM_PROVIDER=fixture).
+ *
+ * Replies come from files in LLM_FIXTURES_DIR (default backend/fixtures/llm)
+ * named after the feature:
+ *   <feature>.json / <feature>.txt  - text and JSON replies
+ *   <feature>.transcript.txt        - transcriptions
+ * Without a file, a fixed placeholder is returned; JSON calls made with a
+ * schema get the smallest reply that matches it (see schemaExample).
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../../../fixtures/llm')
+
+const FIXTURE_CHUNK_SIZE = 24
+
+// 1x1 transparent PNG
+const PLACEHOLDER_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII='
+
+function readFixture(filename) {
+  const filePath = path.join(process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR, filename)
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+}
+
+function lastUserText(messages) {
+  const content = [...messages].reverse().find(m => m.role === 'user')?.content || ''
+  return typeof content === 'string'
+    ? content
+    : content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+}
+
+/**
+ * Smallest value that matches a schema (see utils/jsonSchema.js for the subset used).
+ * Strings are numbered by their position in the nearest array, so ids and the
+ * fields that point at them ("effectId", "bucket", ...) line up item for item.
+ */
+export function schemaExample(schema, index = 0) {
+  if (schema.anyOf) return schemaExample(schema.anyOf[0], index)
+  if (schema.enum) return schema.enum[index % schema.enum.length]
+  if (schema.examples) return schema.examples[index % schema.examples.length]
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type
+  switch (type) {
+    case 'string': {
+      const candidates = [`Fixture ${index + 1}`, 'Fixture', `Fixture ${index + 1} ___`, 'A']
+      return candidates.find(value => !schema.pattern || new RegExp(schema.pattern).test(value)) ?? candidates[0]
+    }
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0
+    case 'boolean':
+      return false
+    case 'array': {
+      const count = Math.min(Math.max(schema.minItems ?? 1, 1), schema.maxItems ?? Infinity)
+      return Array.from({ length: count }, (_, i) => schemaExample(schema.items || {}, i))
+    }
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, property]) => [key, schemaExample(property, index)])
+      )
+    default:
+      return null
+  }
+}
+
+export async function text({ feature, messages, json, schema }) {
+  const prompt = lastUserText(messages)
+  const reply = readFixture(`${feature}.json`) ?? readFixture(`${feature}.txt`) ??
+    (json
+      ? JSON.stringify(schema ? schemaExample(schema) : {})
+      : `Fixture reply for ${feature} (${crypto.createHash('md5').update(prompt).digest('hex').substring(0, 8)})`)
+
+  return {
+    text: reply.trim(),
+    model: 'fixture',
+    usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(reply.length / 4) }
+  }
+}
+
+// Replies arrive in small pieces, like a real stream
+export async function streamText(params) {
+  const result = await text(params)
+  for (let i = 0; i < result.text.length; i += FIXTURE_CHUNK_SIZE) {
+    if (params.signal?.aborted) {
+      const error = new Error('Request was aborted.')
+      error.name = 'AbortError'
+      throw error
+    }
+    params.onText(result.text.slice(i, i + FIXTURE_CHUNK_SIZE))
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  return result
+}
+
+export async function transcribe({ feature }) {
+  const transcript = (readFixture(`${feature}.transcript.txt`) ?? 'This is a fixture transcription.').trim()
+  return {
+    text: transcript,
+    language: 'en',
+    duration: 1,
+    segments: [{ id: 0, start: 0, end: 1, text: transcript }]
+  }
+}
+
+// One second of silent MPEG-1 Layer III audio (38 empty 128kbps mono frames)
+export async function speech() {
+  const frame = Buffer.alloc(417)
+  frame.set([0xFF, 0xFB, 0x90, 0xC0])
+  return Buffer.concat(Array(38).fill(frame))
+}
+
+export async function image({ prompt }) {
+  return { url: PLACEHOLDER_IMAGE, revisedPrompt: prompt }
+}
+
+export default { name: 'fixture', text, streamText, transcribe, speech, image }
@@ -0,0 +1,19 @@
+import { createOpenAIProvider } from './openai.js'
+
+/**
+ * Local provider - any server speaking the OpenAI API, e.g.
+ * LOCAL_LLM_BASE_URL=http://localhost:11434/v1 for Ollama.
+ * Most local servers ignore the key, so it defaults to a placeholder.
+ */
+export default createOpenAIProvider({
+  name: 'local',
+  getConfig: () => {
+    if (!process.env.LOCAL_LLM_BASE_URL) {
+      throw new Error('LOCAL_LLM_BASE_URL is required for the local AI provider')
+    }
+    return {
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      baseURL: process.env.LOCAL_LLM_BASE_URL
+    }
+  }
+})
@@ -0,0 +1,140 @@
+import OpenAI from 'openai'
+
+/**
+ * OpenAI provider, also used for OpenAI-compatible local servers
+ * (Ollama, vLLM, LM Studio, LocalAI...) by pointing it at another base URL.
+ */
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Provider name reported with results
+ * @param {Function} options.getConfig - Returns { apiKey, apiKeyName, baseURL } when the first call is made
+ */
+export function createOpenAIProvider({ name, getConfig }) {
+  let client = null
+  function getClient() {
+    if (!client) {
+      const { apiKey, apiKeyName, baseURL } = getConfig()
+      if (!apiKey) {
+        throw new Error(`${apiKeyName} environment variable is required for the ${name} AI provider`)
+      }
+      client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) })
+    }
+    return client
+  }
+
+  function chatBody({ model, system, messages, maxTokens, temperature }) {
+    return {
+      model,
+      max_tokens: maxTokens,
+      ...(temperature !== undefined ? { temperature } : {}),
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(m => ({ role: m.role, content: toOpenAIContent(m.content) }))
+      ]
+    }
+  }
+
+  async function text(params) {
+    const completion = await getClient().chat.completions.create(chatBody(params), { signal: params.signal })
+
+    return {
+      text: completion.choices[0]?.message?.content || '',
+      model: completion.model || params.model,
+      usage: {
+        inputTokens: completion.usage?.prompt_tokens || 0,
+        outputTokens: completion.usage?.completion_tokens || 0
+      }
+    }
+  }
+
+  // Same as text(), calling onText with each piece of the reply as it arrives
+  async function streamText(params) {
+    const stream = await getClient().chat.completions.create(
+      { ...chatBody(params), stream: true, stream_options: { include_usage: true } },
+      { signal: params.signal }
+    )
+
+    let reply = ''
+    let model = params.model
+    let usage = null
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content
+      if (delta) {
+        reply += delta
+        params.onText(delta)
+      }
+      model = chunk.model || model
+      usage = chunk.usage || usage
+    }
+
+    return {
+      text: reply,
+      model,
+      usage: {
+        inputTokens: usage?.prompt_tokens || 0,
+        outputTokens: usage?.completion_tokens || 0
+      }
+    }
+  }
+
+  async function transcribe({ model, audio, filename, mimeType, language, prompt, timestamps }) {
+    const file = await OpenAI.toFile(audio, filename, { type: mimeType })
+    // Whisper's verbose format also reports the audio length, which is metered
+    const verbose = timestamps || model.startsWith('whisper')
+    const transcription = await getClient().audio.transcriptions.create({
+      file,
+      model,
+      ...(language ? { language } : {}),
+      ...(prompt ? { prompt } : {}),
+      response_format: verbose ? 'verbose_json' : 'json'
+    })
+
+    return {
+      text: transcription.text,
+      language: transcription.language,
+      duration: transcription.duration,
+      segments: timestamps ? transcription.segments : undefined
+    }
+  }
+
+  async function speech({ model, text, voice, speed }) {
+    const response = await getClient().audio.speech.create({
+      model,
+      voice,
+      input: text,
+      ...(speed ? { speed } : {})
+    })
+    return Buffer.from(await response.arrayBuffer())
+  }
+
+  async function image({ model, prompt, size, quality, style }) {
+    const response = await getClient().images.generate({
+      model,
+      prompt,
+      n: 1,
+      size,
+      ...(quality ? { quality } : {}),
+      ...(style ? { style } : {})
+    })
+
+    return {
+      url: response.data[0].url || `data:image/png;base64,${response.data[0].b64_json}`,
+      revisedPrompt: response.data[0].revised_prompt
+    }
+  }
+
+  return { name, text, streamText, transcribe, speech, image }
+}
+
+function toOpenAIContent(content) {
+  if (typeof content === 'string') return content
+  return content.map(part => part.type === 'image'
+    ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+    : { type: 'text', text: part.text })
+}
+
+export default createOpenAIProvider({
+  name: 'openai',
+  getConfig: () => ({ apiKey: process.env.OPENAI_API_KEY, apiKeyName: 'OPENAI_API_KEY' })
+})
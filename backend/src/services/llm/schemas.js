@@ -0,0 +1,360 @@
+import { CLASSIFICATION_TYPES, isClassificationType, normalizeClassificationContent } from '../../utils/classification.js'
+
+/**
+ * Output schemas for generated content
+ * Every JSON reply the app saves as an activity is checked against one of
+ * these before it is used; a reply that fails is sent back to the model with
+ * the errors (see generateJSON in ./index.js).
+ *
+ * Schemas describe what the app needs to show and score an activity, not
+ * every optional field the prompts ask for.
+ */
+
+const text = { type: 'string', minLength: 1 }
+const optionalText = { type: 'string' }
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required }
+}
+
+function list(items, minItems = 1, maxItems) {
+  return { type: 'array', items, minItems, ...(maxItems !== undefined && { maxItems }) }
+}
+
+// Four options with the index of the right one
+const multipleChoice = object({
+  question: text,
+  options: list(text, 4, 4),
+  correct: { type: 'integer', minimum: 0, maximum: 3 },
+  explanation: optionalText
+}, ['question', 'options', 'correct'])
+
+// --- Session activities (aiService.generateContent) ---
+
+export const CONTENT_SCHEMAS = {
+  questions: object({ questions: list(text) }),
+
+  quiz: object({ quiz: list(multipleChoice) }),
+
+  // A one-question "mixed" request has no open-ended part
+  mixed: object({ quiz: list(multipleChoice), questions: list(text, 0) }),
+
+  discussion: object({
+    prompts: list(object({ question: text, context: optionalText }, ['question']))
+  }),
+
+  vocabulary_context: object({
+    items: list(object({
+      word: text,
+      sentence: text,
+      options: list(text, 4, 4),
+      correct: { type: 'integer', minimum: 0, maximum: 3 },
+      explanation: optionalText
+    }, ['word', 'sentence', 'options', 'correct']))
+  }),
+
+  cause_effect: object({
+    effects: list(object({ id: text, text }), 2),
+    causes: list(object({ id: text, text, effectId: text, explanation: optionalText }, ['id', 'text', 'effectId']), 2)
+  }),
+
+  text_evidence: object({
+    claim: text,
+    passage: text,
+    evidence: list(object({ text, reason: optionalText }, ['text']))
+  }),
+
+  timeline: object({
+    events: list(object({ text, year: { type: 'integer' }, dateLabel: optionalText }, ['text', 'year']), 2)
+  }),
+
+  venn_diagram: object({
+    sets: list(object({ id: { type: 'string', enum: ['A', 'B', 'C'] }, label: text }), 2, 3),
+    statements: list(object({ text, region: { type: 'string', pattern: '^[ABCabc]{1,3}$' } }, ['text', 'region']))
+  }),
+
+  analogy: object({
+    items: list(object({ a: text, b: text, c: text, answer: text, distractors: list(text) }))
+  }),
+
+  quote_attribution: object({
+    speakers: list(text, 2),
+    quotes: list(object({ quote: text, speaker: text }))
+  }),
+
+  character_perspective: object({
+    characters: list(text, 2),
+    questions: list(object({
+      passage: text,
+      options: list(text, 2),
+      correct: { type: 'integer', minimum: 0 }
+    }))
+  })
+}
+
+// Bucket ids are matched loosely (see contentReferenceErrors), so a bucket
+// may come back with only a label. Fixed-bucket types list their ids as
+// examples, which the fixture provider answers with.
+function classificationSchema(type) {
+  const bucketIds = CLASSIFICATION_TYPES[type].buckets?.map(bucket => bucket.id)
+  return object({
+    buckets: list(object({ id: optionalText, label: text }, ['label']), 2),
+    statements: list(object({ text, bucket: bucketIds ? { ...text, examples: bucketIds } : text }, ['text', 'bucket']), 2)
+  })
+}
+
+/**
+ * Schema for a session activity type, or null for plain-text types
+ */
+export function contentSchema(type) {
+  if (isClassificationType(type)) return classificationSchema(type)
+  return CONTENT_SCHEMAS[type] || null
+}
+
+/**
+ * Checks a schema can't express: ids that must point at other items
+ * @returns {Array<string>} Errors
+ */
+export function contentReferenceErrors(type, data) {
+  if (type === 'cause_effect') {
+    return referenceErrors(data.causes, 'causes', 'effectId', data.effects)
+  }
+  if (isClassificationType(type)) {
+    // Compared as they will be stored, so "Fact" matches a "fact" bucket
+    const normalized = normalizeClassificationContent(type, data)
+    return referenceErrors(normalized.statements, 'statements', 'bucket', normalized.buckets)
+  }
+  if (type === 'character_perspective') {
+    return (data.questions || [])
+      .map((q, i) => (q.options?.[q.correct] === undefined ? `questions[${i}].correct must be an index into its options` : null))
+      .filter(Boolean)
+  }
+  return []
+}
+
+// --- Learning World activities (aiService.generateActivityContent) ---
+
+const instructions = optionalText
+
+export const WORLD_ACTIVITY_SCHEMAS = {
+  vocabulary_touch: object({
+    items: list(object({ word: text, emoji: optionalText, translation: optionalText }, ['word'])),
+    instructions
+  }, ['items']),
+
+  matching_game: object({
+    pairs: list(object({ word: text, match: text, translation: optionalText }, ['word', 'match']), 2),
+    instructions
+  }, ['pairs']),
+
+  listen_point: object({
+    items: list(object({ word: text, emoji: optionalText, prompt: optionalText }, ['word']), 2),
+    instructions
+  }, ['items']),
+
+  tpr_action: object({
+    actions: list(object({ command: text, emoji: optionalText, demonstration: optionalText }, ['command'])),
+    instructions
+  }, ['actions']),
+
+  coloring: object({
+    items: list(object({ object: text, suggestedColor: text, prompt: optionalText }, ['object', 'suggestedColor'])),
+    colors: list(text),
+    instructions
+  }, ['items']),
+
+  story_sequence: object({
+    title: optionalText,
+    panels: list(object({ text, emoji: optionalText }, ['text']), 3),
+    instructions
+  }, ['panels']),
+
+  word_spelling: object({
+    items: list(object({ word: { type: 'string', pattern: '^[A-Za-z]+$' }, emoji: optionalText }, ['word'])),
+    instructions
+  }, ['items']),
+
+  fill_in_blank: object({
+    items: list(object({ sentence: { type: 'string', pattern: '_{2,}' }, answer: text, emoji: optionalText }, ['sentence', 'answer'])),
+    instructions
+  }, ['items']),
+
+  sentence_builder: object({
+    items: list(object({
+      sentence: text,
+      blocks: list(text, 2),
+      targetWord: optionalText,
+      acceptedVariants: list(text, 0)
+    }, ['sentence', 'blocks'])),
+    instructions
+  }, ['items']),
+
+  dictation: object({
+    items: list(object({ text, emoji: optionalText }, ['text'])),
+    instructions
+  }, ['items']),
+
+  dialogue_practice: object({
+    items: list(object({
+      characterLine: text,
+      expectedReply: text,
+      keyWords: list(text, 0),
+      choices: list(text, 0)
+    }, ['characterLine', 'expectedReply'])),
+    instructions
+  }, ['items']),
+
+  story_writing: object({
+    storyStarter: text,
+    prompt: text,
+    minWords: { type: 'integer', minimum: 1 },
+    wordBank: list(text, 0),
+    items: list(object({ text }), 0),
+    instructions
+  }, ['storyStarter', 'prompt']),
+
+  reading_comprehension: object({
+    title: optionalText,
+    passage: text,
+    items: list(object({ question: text, answer: text, choices: list(text) })),
+    instructions
+  }, ['passage', 'items'])
+}
+
+// Activity types without a fixed format still have to be a JSON object
+const GENERIC_WORLD_ACTIVITY_SCHEMA = { type: 'object' }
+
+export function worldActivitySchema(activityType) {
+  return WORLD_ACTIVITY_SCHEMAS[activityType] || GENERIC_WORLD_ACTIVITY_SCHEMA
+}
+
+export const CHARACTER_PROFILE_SCHEMA = object({
+  name: text,
+  shortName: text,
+  species: text,
+  personalityTraits: list(text),
+  catchphrase: text,
+  voiceStyle: { type: 'string', enum: ['friendly', 'playful', 'wise', 'adventurous'] },
+  visualDescription: text
+})
+
+// --- Teacher tools ---
+
+export const MATCHING_SCHEMAS = {
+  pairs: object({
+    title: text,
+    instructions: optionalText,
+    items: list(object({ id: text, text }), 2),
+    matches: list(object({ id: text, text, correctItemId: text }), 2)
+  }, ['title', 'items', 'matches']),
+
+  categories: object({
+    title: text,
+    instructions: optionalText,
+    categories: list(object({ id: text, name: text, description: optionalText, color: optionalText }, ['id', 'name']), 2),
+    items: list(object({ id: text, text, correctCategoryId: text }), 2)
+  }, ['title', 'categories', 'items'])
+}
+
+/**
+ * Every match and item must point at something that exists
+ */
+export function matchingReferenceErrors(mode, data) {
+  return mode === 'pairs'
+    ? referenceErrors(data.matches, 'matches', 'correctItemId', data.items)
+    : referenceErrors(data.items, 'items', 'correctCategoryId', data.categories)
+}
+
+export const SENTENCE_ORDERING_SCHEMA = object({
+  sentences: list(object({ text }), 2),
+  instructions: optionalText,
+  topic: optionalText
+}, ['sentences'])
+
+export const PRIMARY_SOURCE_SCHEMA = object({
+  title: text,
+  instructions: optionalText,
+  sourceDescription: optionalText,
+  questions: list({
+    anyOf: [
+      object({
+        type: { type: 'string', enum: ['multiple_choice'] },
+        question: text,
+        options: list(text, 2),
+        correct: { type: 'integer', minimum: 0 }
+      }),
+      object({ type: { type: 'string', enum: ['open'] }, question: text, lookFor: optionalText }, ['type', 'question'])
+    ]
+  })
+}, ['title', 'questions'])
+
+export const VIDEO_QUESTIONS_SCHEMA = object({
+  questions: list({
+    anyOf: [
+      object({
+        timestamp_seconds: { type: 'number', minimum: 0 },
+        question_type: { type: 'string', enum: ['multiple_choice'] },
+        question_text: text,
+        options: list(text, 2),
+        correct_answer: { type: 'integer', minimum: 0 }
+      }),
+      object({
+        timestamp_seconds: { type: 'number', minimum: 0 },
+        question_type: { type: 'string', enum: ['open_ended'] },
+        question_text: text
+      })
+    ]
+  })
+})
+
+// Activities written from an uploaded document (documentController); their
+// formats differ from the session activity types of the same name
+export const DOCUMENT_ACTIVITY_SCHEMAS = {
+  quiz: object({
+    questions: list(object({
+      question: text,
+      options: list(text, 4, 4),
+      correctAnswer: { type: 'string', enum: ['A', 'B', 'C', 'D'] },
+      explanation: optionalText
+    }, ['question', 'options', 'correctAnswer']))
+  }),
+  questions: CONTENT_SCHEMAS.questions,
+  mixed: CONTENT_SCHEMAS.mixed,
+  discussion: object({
+    prompts: list(object({ prompt: text, guidingQuestions: list(text, 0) }, ['prompt']))
+  }),
+  reading: object({
+    summary: text,
+    vocabulary: list(object({ term: text, definition: text }), 0),
+    questions: list(object({ question: text }))
+  }, ['summary', 'questions']),
+  cause_effect: CONTENT_SCHEMAS.cause_effect,
+  primary_source: PRIMARY_SOURCE_SCHEMA
+}
+
+// --- Student help (studentHelpService) ---
+
+export const STUDENT_HELP_SCHEMA = object({
+  feedback: text,
+  explanation: text,
+  hint: text,
+  helpType: { type: 'string', enum: ['gentle-nudge', 'direct-explanation', 'simpler-version'] },
+  offerSimplerVersion: { type: 'boolean' },
+  encouragement: optionalText
+}, ['feedback', 'explanation', 'hint', 'helpType', 'offerSimplerVersion'])
+
+export const SIMPLER_VERSION_SCHEMA = object({
+  simplerQuestion: text,
+  answer: text,
+  scaffolding: optionalText,
+  sameConceptCheck: optionalText
+}, ['simplerQuestion', 'answer'])
+
+function referenceErrors(rows, rowsName, field, targets) {
+  const ids = new Set((targets || []).map(target => target.id))
+  return (rows || [])
+    .map((row, i) => (ids.has(row[field])
+      ? null
+      : `${rowsName}[${i}].${field} "${row[field]}" does not match any id`))
+    .filter(Boolean)
+}
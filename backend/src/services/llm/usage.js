@@ -0,0 +1,255 @@
+import { AsyncLocalStorage } from 'async_hooks'
+import db from '../../database/db.js'
+import { estimateCost } from './pricing.js'
+
+/**
+ * AI usage metering and daily quotas
+ *
+ * Every call made through ./index.js is recorded in ai_usage_events with the
+ * provider, model, tokens, images, audio seconds, latency and estimated cost.
+ * Calls are charged to the teacher behind the request that made them:
+ * trackAIUsage (mounted in server.js) remembers the request, and the teacher
+ * is read from it when the call is made - the logged-in teacher, or for
+ * student requests the teacher who owns the session (or, for student routes
+ * that only name an activity, the teacher found by middleware/aiQuota.js).
+ *
+ * Daily spend limits (dollars, reset at midnight database time):
+ *   AI_DAILY_LIMIT_TEACHER_USD   default per teacher
+ *   AI_DAILY_LIMIT_SCHOOL_USD    default per school (users.school)
+ * Rows in ai_quotas override the defaults for one teacher or school.
+ */
+
+const requestStore = new AsyncLocalStorage()
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * Middleware: makes the request available to AI calls made while handling it
+ * Multer loses the context while it reads an upload, so routes with an
+ * upload middleware run this again after it.
+ */
+export function trackAIUsage(req, res, next) {
+  requestStore.run({ req }, next)
+}
+
+function asUUID(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value) ? value : null
+}
+
+/**
+ * Who a request's AI calls are charged to
+ * @param {Object} req - Express request
+ * @returns {Object} { teacherId, sessionId } - either may be null
+ */
+export function attributionFor(req) {
+  // Set by attributeSessionActivity / attributeWorldActivity (middleware/aiQuota.js)
+  if (req.aiAttribution) {
+    return {
+      teacherId: asUUID(req.aiAttribution.teacherId),
+      sessionId: asUUID(req.aiAttribution.sessionId)
+    }
+  }
+
+  const teacherId = req.user && req.user.role !== 'student' ? req.user.userId : null
+  const sessionId = req.session?.id || req.params?.sessionId || req.body?.sessionId || req.query?.sessionId
+
+  return {
+    teacherId: asUUID(teacherId) || asUUID(req.session?.teacher_id),
+    sessionId: asUUID(sessionId)
+  }
+}
+
+function currentAttribution() {
+  const req = requestStore.getStore()?.req
+  return req ? attributionFor(req) : { teacherId: null, sessionId: null }
+}
+
+function dailyLimitFromEnv(name) {
+  const limit = parseFloat(process.env[name])
+  return Number.isFinite(limit) && limit >= 0 ? limit : null
+}
+
+/**
+ * Daily limits that apply without an ai_quotas row
+ * @returns {Object} { teacher, school } - dollars, or null for no limit
+ */
+export function defaultDailyLimits() {
+  return {
+    teacher: dailyLimitFromEnv('AI_DAILY_LIMIT_TEACHER_USD'),
+    school: dailyLimitFromEnv('AI_DAILY_LIMIT_SCHOOL_USD')
+  }
+}
+
+/**
+ * Check today's spend against the teacher's and school's daily limits
+ * @param {Object} attribution - { teacherId, sessionId } (default: the current request)
+ * @returns {Object} { allowed, scope, limit, spent, resetsInSeconds } - scope is
+ *   'teacher' or 'school' when a limit has been reached
+ */
+export async function checkQuota(attribution = currentAttribution()) {
+  if (!attribution.teacherId && !attribution.sessionId) return { allowed: true }
+
+  try {
+    const result = await db.query(
+      `WITH teacher AS (
+         SELECT id, school FROM users
+         WHERE id = COALESCE($1::uuid, (SELECT teacher_id FROM sessions WHERE id = $2::uuid))
+       )
+       SELECT t.school,
+              tq.id IS NOT NULL AS has_teacher_quota, tq.daily_limit_usd AS teacher_limit,
+              sq.id IS NOT NULL AS has_school_quota, sq.daily_limit_usd AS school_limit,
+              (SELECT COALESCE(SUM(cost_usd), 0) FROM ai_usage_events
+               WHERE teacher_id = t.id AND created_at >= CURRENT_DATE) AS teacher_spent,
+              (SELECT COALESCE(SUM(cost_usd), 0) FROM ai_usage_events
+               WHERE t.school IS NOT NULL AND school = t.school AND created_at >= CURRENT_DATE) AS school_spent,
+              EXTRACT(EPOCH FROM ((CURRENT_DATE + 1)::timestamptz - NOW())) AS resets_in
+       FROM teacher t
+       LEFT JOIN ai_quotas tq ON tq.scope = 'teacher' AND tq.scope_key = t.id::text
+       LEFT JOIN ai_quotas sq ON sq.scope = 'school' AND sq.scope_key = t.school`,
+      [attribution.teacherId, attribution.sessionId]
+    )
+
+    const row = result.rows[0]
+    if (!row) return { allowed: true }
+
+    const resetsInSeconds = Math.ceil(Number(row.resets_in))
+    const defaults = defaultDailyLimits()
+    const limits = [
+      {
+        scope: 'teacher',
+        limit: row.has_teacher_quota ? row.teacher_limit : defaults.teacher,
+        spent: Number(row.teacher_spent)
+      },
+      {
+        scope: 'school',
+        limit: !row.school ? null : row.has_school_quota ? row.school_limit : defaults.school,
+        spent: Number(row.school_spent)
+      }
+    ]
+
+    const reached = limits.find(({ limit, spent }) => limit !== null && spent >= Number(limit))
+    return reached
+      ? { allowed: false, scope: reached.scope, limit: Number(reached.limit), spent: reached.spent, resetsInSeconds }
+      : { allowed: true, resetsInSeconds }
+  } catch (error) {
+    // Metering problems never stop teaching
+    console.error('AI quota check error:', error)
+    return { allowed: true }
+  }
+}
+
+/**
+ * Message for a teacher (or their student) who has reached a daily limit
+ * @param {Object} quota - From checkQuota
+ * @param {Object} options - { student } - word the message for a student
+ */
+export function quotaMessage(quota, { student = false } = {}) {
+  const hours = Math.max(1, Math.round(quota.resetsInSeconds / 3600))
+  if (student) {
+    return `Your class has used all of its AI help for today. Let your teacher know - it will be back in about ${hours} hour${hours === 1 ? '' : 's'}.`
+  }
+  const whose = quota.scope === 'school' ? "Your school's" : 'Your'
+  return `${whose} daily AI limit has been reached. AI features will be available again in about ${hours} hour${hours === 1 ? '' : 's'}.`
+}
+
+/**
+ * Error thrown by AI calls made after a daily limit has been reached
+ */
+export function quotaExceededError(quota) {
+  const error = new Error(quotaMessage(quota))
+  error.code = 'AI_QUOTA_EXCEEDED'
+  error.status = 429
+  error.quota = quota
+  return error
+}
+
+/**
+ * Record one AI call (or cache hit). Never throws; the write isn't awaited
+ * by callers so metering adds no latency.
+ * @param {Object} usage - { feature, capability, provider, model, inputTokens, outputTokens,
+ *   images, audioSeconds, characters, latencyMs, cached, succeeded, size, quality }
+ */
+export async function recordUsage(usage, attribution = currentAttribution()) {
+  const {
+    feature,
+    capability,
+    provider,
+    model,
+    inputTokens = 0,
+    outputTokens = 0,
+    images = 0,
+    audioSeconds = 0,
+    characters = 0,
+    latencyMs = null,
+    cached = false,
+    succeeded = true
+  } = usage
+
+  const cost = cached || !succeeded ? 0 : estimateCost(usage)
+
+  try {
+    await db.query(
+      `WITH session AS (
+         SELECT id, teacher_id FROM sessions WHERE id = $2::uuid
+       ), teacher AS (
+         SELECT id, school FROM users WHERE id = COALESCE($1::uuid, (SELECT teacher_id FROM session))
+       )
+       INSERT INTO ai_usage_events
+         (teacher_id, school, session_id, feature, capability, provider, model,
+          input_tokens, output_tokens, images, audio_seconds, characters,
+          latency_ms, cached, succeeded, cost_usd)
+       SELECT (SELECT id FROM teacher), (SELECT school FROM teacher), (SELECT id FROM session),
+              $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15`,
+      [
+        attribution.teacherId,
+        attribution.sessionId,
+        feature,
+        capability,
+        provider,
+        model,
+        inputTokens,
+        outputTokens,
+        images,
+        Math.round(audioSeconds * 100) / 100,
+        characters,
+        latencyMs,
+        cached,
+        succeeded,
+        cost
+      ]
+    )
+  } catch (error) {
+    console.error('AI usage record error:', error)
+  }
+}
+
+// Kilobits per second by bitrate index, for MPEG-1 and MPEG-2/2.5 layer III
+const MP3_BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+}
+
+/**
+ * Length of constant-bitrate MP3 audio, read from its first frame header
+ * @param {Buffer} audio - MP3 file contents
+ * @returns {number} Seconds (0 if no frame header is found)
+ */
+export function mp3Seconds(audio) {
+  let offset = 0
+  // Skip an ID3v2 tag (its size is stored 7 bits per byte)
+  if (audio.length > 10 && audio.toString('latin1', 0, 3) === 'ID3') {
+    offset = 10 + ((audio[6] << 21) | (audio[7] << 14) | (audio[8] << 7) | audio[9])
+  }
+
+  for (let i = offset; i < Math.min(audio.length - 3, offset + 4096); i++) {
+    if (audio[i] !== 0xFF || (audio[i + 1] & 0xE0) !== 0xE0) continue
+
+    const version = (audio[i + 1] >> 3) & 0x03
+    const layer = (audio[i + 1] >> 1) & 0x03
+    const kbps = MP3_BITRATES[version === 3 ? 'mpeg1' : 'mpeg2'][audio[i + 2] >> 4]
+    if (layer !== 1 || version === 1 || !kbps) continue
+
+    return ((audio.length - i) * 8) / (kbps * 1000)
+  }
+  return 0
+}
@@ -0,0 +1,155 @@
+import fs from 'fs/promises'
+import { generateJSON } from './llm/index.js'
+import { PRIMARY_SOURCE_SCHEMA } from './llm/schemas.js'
+
+/**
+ * Primary Source Service
+ * Generates historical-thinking questions about an uploaded source and
+ * gives feedback on students' open-ended answers
+ */
+
+export const SOURCE_QUESTION_CATEGORIES = ['sourcing', 'context', 'corroboration', 'close_reading']
+
+/**
+ * Build the question-generation instructions for a primary source
+ * The source itself (text or image) is supplied alongside this prompt.
+ * @param {Object} params
+ * @param {string} params.difficulty - easy | medium | hard
+ * @param {string} params.citation - Optional teacher-supplied citation or background
+ * @returns {string} Prompt text
+ */
+export function buildPrimarySourcePrompt({ difficulty = 'medium', citation = '' } = {}) {
+  return `You are helping a teacher build a primary source analysis activity. Study the source provided and write questions that practise historical thinking.
+${citation ? `\nTEACHER NOTES ABOUT THE SOURCE:\n${citation}\n` : ''}
+Write 6-8 questions across these categories:
+- "sourcing": who created the source, when, for what audience and purpose, and how that affects its reliability
+- "context": what was happening at the time and place the source was made
+- "corroboration": how the source agrees or disagrees with other things students know or other kinds of evidence
+- "close_reading": specific words, details or images in the source and what they reveal
+
+Requirements:
+- At least one question in each of sourcing, context and corroboration
+- Mix question types: about half "multiple_choice" (4 options, one correct) and half "open" (written answer)
+- Open questions must be answerable from the source plus reasonable background knowledge
+- For open questions, "lookFor" lists what a strong answer includes
+- Only state facts about the source that the source actually shows; if the creator or date is unknown, ask students to infer it
+- Difficulty: ${difficulty}
+
+Return as JSON in this exact format:
+{
+  "title": "A descriptive title for the activity",
+  "instructions": "Examine the source, add your own annotations, then answer the questions",
+  "sourceDescription": "One or two sentences describing what the source is",
+  "questions": [
+    {"id": "q1", "category": "sourcing", "type": "multiple_choice", "question": "Question text", "options": ["A", "B", "C", "D"], "correct": 0, "explanation": "Why this is correct"},
+    {"id": "q2", "category": "context", "type": "open", "question": "Question text", "lookFor": "What a strong answer mentions"}
+  ]
+}`
+}
+
+/**
+ * Generate a primary source activity from an uploaded image
+ * @param {Object} params
+ * @param {string} params.imagePath - Path to the image on disk
+ * @param {string} params.mediaType - Image MIME type
+ * @param {string} params.citation - Optional teacher notes about the source
+ * @param {string} params.difficulty - easy | medium | hard
+ * @returns {Object} Parsed activity content and generation time
+ */
+export async function generatePrimarySourceFromImage({ imagePath, mediaType = 'image/jpeg', citation, difficulty }) {
+  const imageData = await fs.readFile(imagePath)
+  const startTime = Date.now()
+
+  const { data } = await generateJSON({
+    feature: 'primary_source',
+    maxTokens: 4096,
+    messages: [{
+      role: 'user',
+      content: [
+        {
+          type: 'image',
+          mediaType,
+          data: imageData.toString('base64')
+        },
+        {
+          type: 'text',
+          text: buildPrimarySourcePrompt({ difficulty, citation })
+        }
+      ]
+    }],
+    schema: PRIMARY_SOURCE_SCHEMA
+  })
+
+  return {
+    content: data,
+    generationTime: Date.now() - startTime
+  }
+}
+
+/**
+ * Give feedback on a student's open-ended answer about a source
+ * @param {Object} params
+ * @param {Object} params.source - The activity's source ({ kind, title, text, citation })
+ * @param {Object} params.question - The question being answered
+ * @param {string} params.answer - The student's answer
+ * @param {Array} params.annotations - The student's notes on the source
+ * @returns {Object} { rating, feedback, suggestion }
+ */
+export async function generateAnswerFeedback({ source, question, answer, annotations = [] }) {
+  const sourceSummary = source.kind === 'image'
+    ? `An image: ${source.description || source.title || 'untitled'}`
+    : `"${(source.text || '').substring(0, 4000)}"`
+
+  const prompt = `You are a supportive history teacher giving feedback to a high school student analysing a primary source.
+
+SOURCE:
+${sourceSummary}
+${source.citation ? `\nCITATION: ${source.citation}\n` : ''}
+QUESTION (${question.category}):
+"${question.question}"
+
+A STRONG ANSWER INCLUDES:
+${question.lookFor || 'A clear claim supported by specific details from the source.'}
+
+STUDENT'S ANNOTATIONS ON THE SOURCE:
+${annotations.length > 0 ? annotations.map(a => `- ${a.text ? `"${a.text}": ` : ''}${a.note}`).join('\n') : '(none)'}
+
+STUDENT'S ANSWER:
+"${answer}"
+
+Give brief, encouraging feedback (2-3 sentences) that names what the student did well and one thing that would make the answer stronger. Refer to the source, not to these instructions.
+
+Rate the answer:
+- "strong": addresses the question with specific evidence from the source
+- "developing": on the right track but vague or missing evidence
+- "beginning": does not yet address the question
+
+Return JSON only:
+{
+  "rating": "strong" | "developing" | "beginning",
+  "feedback": "Your feedback to the student",
+  "suggestion": "One concrete next step"
+}`
+
+  try {
+    const { data: parsed } = await generateJSON({
+      feature: 'primary_source_feedback',
+      prompt,
+      maxTokens: 512
+    })
+
+    return {
+      rating: ['strong', 'developing', 'beginning'].includes(parsed.rating) ? parsed.rating : 'developing',
+      feedback: parsed.feedback,
+      suggestion: parsed.suggestion || null
+    }
+  } catch (error) {
+    console.error('Error generating source answer feedback:', error)
+    // Fallback so the submission still goes through
+    return {
+      rating: null,
+      feedback: 'Thanks for your answer! Your teacher will review it.',
+      suggestion: question.lookFor ? `A strong answer includes: ${question.lookFor}` : null
+    }
+  }
+}
@@ -1,29 +1,9 @@
-import Anthropic from '@anthropic-ai/sdk'
-import OpenAI from 'openai'
 import db from '../database/db.js'
+import { generateText, generateJSON, transcribeAudio } from './llm/index.js'
 
 // Hard limit to prevent excessive API usage
 const MAX_MESSAGES = 15 // ~7-8 exchanges (must match frontend constant)
 
-// Initialize Claude (always required)
-const claude = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY
-})
-
-// Lazy initialize OpenAI (only when transcription is needed)
-let openai = null
-function getOpenAIClient() {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is required for speech transcription')
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    })
-  }
-  return openai
-}
-
 /**
  * Reverse Tutoring Service
  *
@@ -220,7 +200,7 @@ ${documentContext}
 }
 
 /**
- * Transcribe audio to text using OpenAI Whisper
+ * Transcribe audio to text (OpenAI Whisper unless configured otherwise)
  * Whisper is much better than browser API for:
  * - Accents (90-95% accuracy vs 70-75%)
  * - Non-native speakers
@@ -233,21 +213,13 @@ ${documentContext}
  */
 export async function transcribeStudentSpeech(audioBuffer, language = 'en', lessonContext = '') {
   try {
-    const client = getOpenAIClient() // Get lazy-initialized client
-
-    // OpenAI SDK for Node.js expects a File-like object
-    // We need to convert the Buffer to a format the SDK accepts
-    // The toFile helper from OpenAI SDK handles this properly
-    const audioFile = await OpenAI.toFile(audioBuffer, 'audio.webm', {
-      type: 'audio/webm'
-    })
-
-    const transcription = await client.audio.transcriptions.create({
-      file: audioFile,
-      model: 'whisper-1',
-      language: language, // or 'auto' to detect
-      prompt: lessonContext, // Context helps accuracy (e.g., "Educational conversation about photosynthesis")
-      response_format: 'json'
+    const transcription = await transcribeAudio({
+      feature: 'speech_transcription',
+      audio: audioBuffer,
+      filename: 'audio.webm',
+      mimeType: 'audio/webm',
+      language: language,
+      prompt: lessonContext // Context helps accuracy (e.g., "Educational conversation about photosynthesis")
     })
 
     return {
@@ -256,6 +228,7 @@ export async function transcribeStudentSpeech(audioBuffer, language = 'en', less
     }
 
   } catch (error) {
+    if (error.code === 'AI_QUOTA_EXCEEDED') throw error
     console.error('Whisper transcription error:', error)
     console.error('Error details:', error.response?.data || error.message)
     throw new Error(`Speech transcription failed: ${error.message}`)
@@ -366,9 +339,9 @@ CRITICAL RULES:
 
 Start by expressing confusion about the topic and asking them to explain it.`
 
-    const initialMessage = await claude.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 150, // Reduced to enforce shorter responses
+    const initialMessage = await generateText({
+      feature: 'reverse_tutoring',
+      maxTokens: 150, // Reduced to enforce shorter responses
       system: systemPrompt,
       messages: [{
         role: 'user',
@@ -376,7 +349,7 @@ Start by expressing confusion about the topic and asking them to explain it.`
       }]
     })
 
-    const aiResponse = initialMessage.content[0].text
+    const aiResponse = initialMessage.text
 
     // Save conversation to database
     try {
@@ -662,14 +635,14 @@ CRITICAL RULES:
 Continue the conversation based on what the student just said.`
 
     // Get AI response (reduced max_tokens to enforce shorter responses)
-    const response = await claude.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 150, // Reduced from 300 to enforce 1-2 sentence responses
+    const response = await generateText({
+      feature: 'reverse_tutoring',
+      maxTokens: 150, // Reduced from 300 to enforce 1-2 sentence responses
       system: systemPrompt,
       messages: messages
     })
 
-    let aiResponse = response.content[0].text
+    let aiResponse = response.text
 
     // Validate AI response against teacher settings
     const validation = validateAIResponse(aiResponse, responseLength, languageComplexity);
@@ -805,19 +778,16 @@ Return ONLY a JSON object:
   }
 }`
 
-    const analysisResponse = await claude.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 500,
-      messages: [{
-        role: 'user',
-        content: analysisPrompt
-      }]
+    const analysisResponse = await generateText({
+      feature: 'reverse_tutoring_analysis',
+      prompt: analysisPrompt,
+      maxTokens: 500
     })
 
     let analysis
     try {
-      const jsonMatch = analysisResponse.content[0].text.match(/\{[\s\S]*\}/)
-      const parsedAnalysis = JSON.parse(jsonMatch ? jsonMatch[0] : analysisResponse.content[0].text)
+      const jsonMatch = analysisResponse.text.match(/\{[\s\S]*\}/)
+      const parsedAnalysis = JSON.parse(jsonMatch ? jsonMatch[0] : analysisResponse.text)
 
       console.log(`📝 Generated Analysis for conversation ${conversationId}:`, {
         hasContentUnderstanding: !!parsedAnalysis.contentUnderstanding,
@@ -880,7 +850,7 @@ Return ONLY a JSON object:
       }
     } catch (e) {
       console.error(`❌ ANALYSIS PARSING ERROR for conversation ${conversationId}:`, e)
-      console.error('Raw Claude response:', analysisResponse.content[0].text)
+      console.error('Raw AI response:', analysisResponse.text)
       console.error('This may cause all students to show identical fallback scores!')
 
       // Fallback structure if parsing fails
@@ -1035,18 +1005,12 @@ Return as JSON:
   "hint": string
 }`
 
-    const response = await claude.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 500,
-      messages: [{
-        role: 'user',
-        content: scaffoldPrompt
-      }]
+    const { data: scaffolding } = await generateJSON({
+      feature: 'reverse_tutoring_scaffolding',
+      prompt: scaffoldPrompt,
+      maxTokens: 500
     })
 
-    const jsonMatch = response.content[0].text.match(/\{[\s\S]*\}/)
-    const scaffolding = JSON.parse(jsonMatch ? jsonMatch[0] : response.content[0].text)
-
     return scaffolding
 
   } catch (error) {
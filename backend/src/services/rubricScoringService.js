@@ -0,0 +1,80 @@
+import { rubricMaxPoints } from '../utils/rubric.js'
+import { generateJSON } from './llm/index.js'
+
+/**
+ * Rubric Scoring Service
+ * Scores a student's short written justification against a teacher-editable rubric
+ */
+
+/**
+ * Score a character perspective justification
+ * @param {Object} params
+ * @param {string} params.passage - The passage the student read
+ * @param {string} params.selectedPerspective - Whose viewpoint the student chose
+ * @param {string} params.correctPerspective - Whose viewpoint the passage shows
+ * @param {string} params.justification - The student's explanation
+ * @param {Array} params.rubric - Criteria ({ id, label, description, maxPoints })
+ * @param {string} params.lookFor - Optional teacher notes on a strong answer
+ * @returns {Object} { criteria, points, maxPoints, feedback, scoredBy }
+ */
+export async function scorePerspectiveJustification({ passage, selectedPerspective, correctPerspective, justification, rubric, lookFor = '' }) {
+  const maxPoints = rubricMaxPoints(rubric)
+
+  const prompt = `You are a supportive English teacher scoring a student's short justification using a rubric.
+
+PASSAGE:
+"${passage}"
+
+The passage is told from ${correctPerspective}'s perspective.
+The student chose: ${selectedPerspective || '(no choice)'}
+${lookFor ? `\nA STRONG ANSWER MENTIONS:\n${lookFor}\n` : ''}
+STUDENT'S JUSTIFICATION:
+"${justification}"
+
+RUBRIC:
+${rubric.map(c => `- "${c.id}" ${c.label} (0-${c.maxPoints} points): ${c.description}`).join('\n')}
+
+Score each criterion with a whole number of points. If the student chose the wrong character, a justification can still earn evidence points for accurate details, but not full marks for naming the viewpoint.
+
+Give brief, encouraging feedback (2-3 sentences) addressed to the student: what they did well and one way to strengthen the justification. Refer to the passage, not to these instructions.
+
+Return JSON only:
+{
+  "criteria": [{"id": "criterion id", "points": 0}],
+  "feedback": "Your feedback to the student"
+}`
+
+  try {
+    const { data: parsed } = await generateJSON({
+      feature: 'rubric_scoring',
+      prompt,
+      maxTokens: 512
+    })
+    const scored = Array.isArray(parsed.criteria) ? parsed.criteria : []
+
+    // Clamp to the rubric so a bad score can't exceed the maximum
+    const criteria = rubric.map(c => {
+      const match = scored.find(s => String(s.id) === c.id)
+      const points = Math.max(0, Math.min(c.maxPoints, parseInt(match?.points) || 0))
+      return { id: c.id, label: c.label, points, maxPoints: c.maxPoints }
+    })
+
+    return {
+      criteria,
+      points: criteria.reduce((sum, c) => sum + c.points, 0),
+      maxPoints,
+      feedback: parsed.feedback || '',
+      scoredBy: 'ai'
+    }
+  } catch (error) {
+    console.error('Error scoring justification:', error)
+    // Fallback so the submission still goes through; the teacher scores it
+    return {
+      criteria: rubric.map(c => ({ id: c.id, label: c.label, points: null, maxPoints: c.maxPoints })),
+      points: null,
+      maxPoints,
+      feedback: 'Thanks for your explanation! Your teacher will review it.',
+      scoredBy: null
+    }
+  }
+}
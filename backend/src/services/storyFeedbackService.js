@@ -0,0 +1,77 @@
+import { generateJSON } from './llm/index.js'
+
+/**
+ * Story Feedback Service
+ * Gentle, ungraded feedback on a young learner's story (Learning Worlds, ages 9-10)
+ */
+
+/**
+ * Words from the word bank that appear in the story
+ * @param {string} story - The student's story
+ * @param {Array<string>} wordBank - Words offered to the student
+ * @returns {Array<string>} Word bank words the student used
+ */
+export function wordBankWordsUsed(story, wordBank = []) {
+  const text = ` ${String(story || '').toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, ' ').replace(/\s+/g, ' ')} `
+  return wordBank.filter(word => {
+    const target = String(word || '').toLowerCase().trim()
+    return target && text.includes(` ${target} `)
+  })
+}
+
+/**
+ * Give feedback on a story
+ * @param {Object} params
+ * @param {string} params.story - The student's story
+ * @param {string} params.storyStarter - The opening the story continues, if any
+ * @param {string} params.prompt - The writing prompt
+ * @param {Array<string>} params.wordBank - Words offered to the student
+ * @param {string} params.language - Language the story is written in
+ * @returns {Object} { praise, nextStep, wordsUsed, feedbackBy }
+ */
+export async function getStoryFeedback({ story, storyStarter = '', prompt = '', wordBank = [], language = 'English' }) {
+  const wordsUsed = wordBankWordsUsed(story, wordBank)
+
+  const aiPrompt = `You are a warm, encouraging ${language} teacher reading a story by a 9-10 year old who is learning ${language}.
+${storyStarter ? `\nSTORY STARTER:\n"${storyStarter}"\n` : ''}${prompt ? `\nWRITING PROMPT:\n${prompt}\n` : ''}
+STUDENT'S STORY:
+"${story}"
+
+Words from the word bank they used: ${wordsUsed.length > 0 ? wordsUsed.join(', ') : 'none yet'}
+
+Write feedback addressed to the student:
+- "praise": one specific thing they did well (1-2 short sentences)
+- "nextStep": one small, friendly idea to make the story even better (1 short sentence). Suggest adding something, never list mistakes.
+
+Use simple words a 9-10 year old learner understands. Do not give a score or grade. Do not rewrite the story.
+
+Return JSON only:
+{
+  "praise": "...",
+  "nextStep": "..."
+}`
+
+  try {
+    const { data: parsed } = await generateJSON({
+      feature: 'story_feedback',
+      prompt: aiPrompt,
+      maxTokens: 300
+    })
+
+    return {
+      praise: parsed.praise || 'What a great story!',
+      nextStep: parsed.nextStep || '',
+      wordsUsed,
+      feedbackBy: 'ai'
+    }
+  } catch (error) {
+    console.error('Error generating story feedback:', error)
+    // Fallback so the student can still finish; the teacher reads the story
+    return {
+      praise: 'Thank you for your story! Your teacher will love reading it.',
+      nextStep: wordsUsed.length < 2 ? 'Can you add another word from the word bank?' : '',
+      wordsUsed,
+      feedbackBy: null
+    }
+  }
+}
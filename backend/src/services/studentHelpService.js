@@ -1,10 +1,6 @@
-import Anthropic from '@anthropic-ai/sdk'
 import db from '../database/db.js'
-
-// Initialize Claude client
-const client = new Anthropic({
-  apiKey: process.env.CLAUDE_API_KEY
-})
+import { generateJSON } from './llm/index.js'
+import { STUDENT_HELP_SCHEMA, SIMPLER_VERSION_SCHEMA } from './llm/schemas.js'
 
 /**
  * Student Help Service
@@ -39,17 +35,17 @@ export async function generateHelp({
   try {
     const startTime = Date.now()
 
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 1024,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    // The student is waiting, so one repair attempt before the generic fallback
+    const message = await generateJSON({
+      feature: 'student_help',
+      prompt,
+      maxTokens: 1024,
+      schema: STUDENT_HELP_SCHEMA,
+      maxRepairs: 1
     })
 
     const generationTime = Date.now() - startTime
-    const response = JSON.parse(message.content[0].text)
+    const response = message.data
 
     // Log for analytics
     await logHelpGenerated({
@@ -64,6 +60,7 @@ export async function generateHelp({
 
     return response
   } catch (error) {
+    if (error.code === 'AI_QUOTA_EXCEEDED') throw error
     console.error('Error generating student help:', error)
     // Fallback to generic help
     return generateGenericHelp(questionText, correctAnswer, attemptNumber)
@@ -122,16 +119,15 @@ Original: "Analyze how the author's use of metaphor in the third stanza contribu
 Simpler: "What does the author compare loneliness to in the poem, and why do you think they chose that comparison?"`
 
   try {
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 800,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    const message = await generateJSON({
+      feature: 'simpler_version',
+      prompt,
+      maxTokens: 800,
+      schema: SIMPLER_VERSION_SCHEMA,
+      maxRepairs: 1
     })
 
-    const response = JSON.parse(message.content[0].text)
+    const response = message.data
 
     // Log simpler version request
     await db.query(
@@ -149,6 +145,7 @@ Simpler: "What does the author compare loneliness to in the poem, and why do you
 
     return response
   } catch (error) {
+    if (error.code === 'AI_QUOTA_EXCEEDED') throw error
     console.error('Error generating simpler version:', error)
     // Fallback
     return {
@@ -1,17 +1,12 @@
-import OpenAI from 'openai'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import crypto from 'crypto'
+import { synthesizeSpeech, resolveFeature, recordCacheHit } from './llm/index.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-})
-
 // Voice options for different character personalities
 export const CHARACTER_VOICES = {
   friendly: 'alloy',     // Friendly, approachable
@@ -23,7 +18,7 @@ export const CHARACTER_VOICES = {
 }
 
 // Voice speed adjustments for young learners
-const SPEED_BY_AGE_LEVEL = {
+export const SPEED_BY_AGE_LEVEL = {
   1: 0.85,  // Ages 4-6: Slower for comprehension
   2: 0.95,  // Ages 7-8: Slightly slower
   3: 1.0    // Ages 9-10: Normal speed
@@ -43,14 +38,13 @@ export async function generateCharacterSpeech(text, options = {}) {
     cacheEnabled = true
   } = options
 
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OpenAI API key not configured')
-  }
-
-  // Generate cache key
+  // Generate cache key - audio from another provider or model is cached
+  // separately, so switching to real voices never serves fixture audio
+  const { provider, model } = resolveFeature('speech')
+  const voiceSource = provider === 'openai' && model === 'tts-1' ? '' : `-${provider}-${model}`
   const cacheKey = crypto
     .createHash('md5')
-    .update(`${text}-${voiceStyle}-${ageLevel}`)
+    .update(`${text}-${voiceStyle}-${ageLevel}${voiceSource}`)
     .digest('hex')
 
   const audioDir = path.join(__dirname, '../../public/uploads/audio')
@@ -59,6 +53,7 @@ export async function generateCharacterSpeech(text, options = {}) {
 
   // Check cache
   if (cacheEnabled && fs.existsSync(audioPath)) {
+    recordCacheHit('speech')
     return { audioUrl: publicPath, cached: true }
   }
 
@@ -74,16 +69,15 @@ export async function generateCharacterSpeech(text, options = {}) {
   const speed = SPEED_BY_AGE_LEVEL[ageLevel] || 1.0
 
   try {
-    const response = await openai.audio.speech.create({
-      model: 'tts-1',
+    const { audio } = await synthesizeSpeech({
+      feature: 'speech',
+      text,
       voice,
-      input: text,
       speed
     })
 
     // Save audio file
-    const buffer = Buffer.from(await response.arrayBuffer())
-    fs.writeFileSync(audioPath, buffer)
+    fs.writeFileSync(audioPath, audio)
 
     return { audioUrl: publicPath, cached: false }
   } catch (error) {
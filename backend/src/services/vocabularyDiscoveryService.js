@@ -0,0 +1,125 @@
+import db from '../database/db.js'
+
+/**
+ * Vocabulary Discovery Service
+ * Keeps each student's word bank (vocabulary_discovery) up to date as they
+ * explore lands and play activities in Learning Worlds
+ */
+
+/**
+ * Record a student touching a word in a land's scene
+ * A first touch discovers the word; later touches count as another look.
+ * @param {Object} params
+ * @param {string} params.studentId - session_students id
+ * @param {string} params.vocabularyId - The word touched
+ * @param {string} params.landId - Land the word was found in
+ * @param {string} params.sceneItemId - Scene item touched, if any
+ * @param {string} params.worldSessionId - Current world session, if any
+ * @param {string} params.method - 'touch', 'listen', 'teacher_intro' or 'activity'
+ * @returns {Object} The student's discovery row for the word
+ */
+export async function recordDiscovery({ studentId, vocabularyId, landId, sceneItemId = null, worldSessionId = null, method = 'touch' }) {
+  const result = await db.query(
+    `SELECT * FROM record_discovery($1, $2, $3, $4, $5, $6)`,
+    [studentId, vocabularyId, landId, sceneItemId, worldSessionId, method]
+  )
+  return result.rows[0]
+}
+
+/**
+ * Record a student meeting a word in an activity
+ * Words met in an activity for the first time are discovered there.
+ * @param {Object} params
+ * @param {string} params.studentId - session_students id
+ * @param {string} params.vocabularyId - The word practised
+ * @param {string} params.landId - Land the activity belongs to
+ * @param {string} params.worldSessionId - Current world session, if any
+ * @param {boolean|null} params.correct - true/false for an answer, null when the word was only seen
+ * @param {boolean} params.spoken - Whether the student said the word out loud
+ * @returns {Object} The student's discovery row for the word
+ */
+export async function recordVocabularyAttempt({ studentId, vocabularyId, landId, worldSessionId = null, correct = null, spoken = false }) {
+  // times_seen starts at 0 so the update below counts this attempt once
+  await db.query(
+    `INSERT INTO vocabulary_discovery (
+      student_id, vocabulary_id, land_id, world_session_id, discovery_method, times_seen
+    ) VALUES ($1, $2, $3, $4, 'activity', 0)
+    ON CONFLICT (student_id, vocabulary_id, land_id) DO NOTHING`,
+    [studentId, vocabularyId, landId, worldSessionId]
+  )
+
+  // Answers move mastery up or down; just seeing a word does not
+  if (correct === null) {
+    const result = await db.query(
+      `UPDATE vocabulary_discovery SET
+        times_seen = times_seen + 1,
+        times_spoken = times_spoken + $4,
+        last_seen_at = NOW()
+      WHERE student_id = $1 AND vocabulary_id = $2 AND land_id = $3
+      RETURNING *`,
+      [studentId, vocabularyId, landId, spoken ? 1 : 0]
+    )
+    return result.rows[0]
+  }
+
+  const result = await db.query(
+    `SELECT * FROM update_vocabulary_mastery($1, $2, $3, $4, $5)`,
+    [studentId, vocabularyId, landId, correct, spoken]
+  )
+  return result.rows[0]
+}
+
+/**
+ * Record activity results given as words rather than vocabulary ids
+ * Words that are not in the land's vocabulary are skipped. Review lands
+ * practise words from the whole world, so their results are recorded
+ * against the land each word was first met in, keeping one schedule per word.
+ * @param {Object} params
+ * @param {string} params.studentId - session_students id
+ * @param {string} params.landId - Land the activity belongs to
+ * @param {string} params.worldSessionId - Current world session, if any
+ * @param {Array<Object>} params.wordResults - [{ word, correct }] or [{ vocabularyId, correct }]
+ * @returns {number} How many words were recorded
+ */
+export async function recordWordResults({ studentId, landId, worldSessionId = null, wordResults = [] }) {
+  if (!Array.isArray(wordResults) || wordResults.length === 0) return 0
+
+  const vocabularyResult = await db.query(
+    `SELECT v.id, LOWER(v.word) AS word, l.is_review_land,
+            COALESCE(
+              (SELECT d.land_id FROM vocabulary_discovery d
+               WHERE d.student_id = $2 AND d.vocabulary_id = v.id AND d.land_id <> $1
+               ORDER BY d.last_seen_at DESC LIMIT 1),
+              v.land_id
+            ) AS home_land_id
+     FROM world_vocabulary v
+     JOIN world_lands l ON l.world_id = v.world_id
+     WHERE l.id = $1 AND (v.land_id = $1 OR v.land_id IS NULL OR l.is_review_land = true)`,
+    [landId, studentId]
+  )
+  const idsByWord = new Map(vocabularyResult.rows.map(v => [v.word.trim(), v.id]))
+  const landsById = new Map(vocabularyResult.rows.map(v => [
+    v.id,
+    v.is_review_land ? v.home_land_id || landId : landId
+  ]))
+
+  let recorded = 0
+  for (const entry of wordResults.slice(0, 100)) {
+    const vocabularyId = landsById.has(entry?.vocabularyId)
+      ? entry.vocabularyId
+      : idsByWord.get(String(entry?.word || '').toLowerCase().trim())
+    if (!vocabularyId) continue
+
+    await recordVocabularyAttempt({
+      studentId,
+      vocabularyId,
+      landId: landsById.get(vocabularyId),
+      worldSessionId,
+      correct: typeof entry.correct === 'boolean' ? entry.correct : null,
+      spoken: entry.spoken === true
+    })
+    recorded++
+  }
+
+  return recorded
+}
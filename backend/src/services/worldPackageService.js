@@ -0,0 +1,463 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import JSZip from 'jszip'
+import db from '../database/db.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+/**
+ * World Package Service
+ * Exports a Learning World (characters, lands, vocabulary, activities, scene
+ * items and the local images/audio they use) as a zip, and rebuilds it for
+ * another teacher with new ids.
+ *
+ * Package layout:
+ *   world.json  - { format, version, exportedAt, world, characters, lands, vocabulary, activities, sceneItems }
+ *   media/...   - files from public/uploads, at the same relative path
+ */
+
+export const PACKAGE_FORMAT = 'classflow-learning-world'
+export const PACKAGE_VERSION = 1
+
+const UPLOADS_DIR = path.join(__dirname, '../../public/uploads')
+const MEDIA_PREFIX = '/uploads/'
+
+// Limits on what a package may unzip to, so a crafted zip can't fill the
+// server's memory or disk
+const MAX_PACKAGE_ENTRIES = 5000
+const MAX_MANIFEST_BYTES = 20 * 1024 * 1024
+const MAX_UNZIPPED_BYTES = 500 * 1024 * 1024
+
+// Columns never copied from a package - they are set by the importing server
+const SKIPPED_COLUMNS = ['id', 'created_at', 'updated_at', 'teacher_id', 'review_session_id', 'review_student_id', 'review_generated_at']
+
+/**
+ * Build the zip for a world
+ * @param {string} worldId - World to export (ownership checked by the caller)
+ * @returns {Buffer} The zip file
+ */
+export async function buildWorldPackage(worldId) {
+  const worldResult = await db.query(`SELECT * FROM learning_worlds WHERE id = $1`, [worldId])
+  const world = worldResult.rows[0]
+
+  // Review lands belong to one class's students, so they stay behind
+  const [characters, lands, vocabulary, activities, sceneItems] = await Promise.all([
+    db.query(`SELECT * FROM world_characters WHERE world_id = $1 ORDER BY created_at`, [worldId]),
+    db.query(
+      `SELECT * FROM world_lands
+       WHERE world_id = $1 AND COALESCE(is_review_land, false) = false
+       ORDER BY sequence_order`,
+      [worldId]
+    ),
+    db.query(`SELECT * FROM world_vocabulary WHERE world_id = $1 ORDER BY created_at`, [worldId]),
+    db.query(
+      `SELECT a.* FROM land_activities a
+       JOIN world_lands l ON a.land_id = l.id
+       WHERE l.world_id = $1 AND COALESCE(l.is_review_land, false) = false
+       ORDER BY l.sequence_order, a.sequence_order`,
+      [worldId]
+    ),
+    db.query(
+      `SELECT i.* FROM land_scene_items i
+       JOIN world_lands l ON i.land_id = l.id
+       WHERE l.world_id = $1 AND COALESCE(l.is_review_land, false) = false
+       ORDER BY l.sequence_order, i.sequence_order`,
+      [worldId]
+    )
+  ])
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    world,
+    characters: characters.rows,
+    lands: lands.rows,
+    vocabulary: vocabulary.rows,
+    activities: activities.rows,
+    sceneItems: sceneItems.rows
+  }
+
+  const zip = new JSZip()
+  zip.file('world.json', JSON.stringify(manifest, null, 2))
+
+  for (const url of collectMediaUrls(manifest)) {
+    const filePath = mediaFilePath(url)
+    if (filePath && fs.existsSync(filePath)) {
+      zip.file(`media/${url.slice(MEDIA_PREFIX.length)}`, fs.readFileSync(filePath))
+    }
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+}
+
+/**
+ * Rebuild a world from a package for a teacher
+ * Throws an error with `invalidPackage` set when the zip can't be imported.
+ * @param {Buffer} buffer - The uploaded zip
+ * @param {string} teacherId - Teacher who will own the new world
+ * @returns {Object} { world, counts }
+ */
+export async function importWorldPackage(buffer, teacherId) {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(buffer)
+  } catch {
+    throw invalidPackage('This file is not a world package')
+  }
+
+  checkPackageSize(zip)
+
+  const manifestFile = zip.file('world.json')
+  if (!manifestFile) {
+    throw invalidPackage('The package has no world.json')
+  }
+  if (unzippedSize(manifestFile) > MAX_MANIFEST_BYTES) {
+    throw invalidPackage('world.json is too large')
+  }
+
+  let manifest
+  try {
+    const chunks = []
+    await streamEntry(manifestFile, MAX_MANIFEST_BYTES, chunk => chunks.push(chunk))
+    manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+  } catch (error) {
+    if (error.invalidPackage) throw error
+    throw invalidPackage('world.json could not be read')
+  }
+
+  if (manifest.format !== PACKAGE_FORMAT || !manifest.world) {
+    throw invalidPackage('This file is not a world package')
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version > PACKAGE_VERSION) {
+    throw invalidPackage(`This package was made by a newer version of ClassFlow (package version ${manifest.version})`)
+  }
+
+  const client = await db.connect()
+  const writtenFiles = []
+  try {
+    const mediaUrls = await extractMedia(zip, collectMediaUrls(manifest), writtenFiles)
+
+    await client.query('BEGIN')
+
+    const ids = new Map()
+    const columns = await tableColumns(client, [
+      'learning_worlds', 'world_characters', 'world_lands', 'world_vocabulary', 'land_activities', 'land_scene_items'
+    ])
+    // Media URLs and any ids inside JSON content point at the new copies
+    const remap = (row) => remapValues(row, ids, mediaUrls)
+    const insert = (table, row, overrides) => insertRow(client, table, columns[table], remap(row), overrides)
+
+    const world = await insert('learning_worlds', manifest.world, {
+      teacher_id: teacherId,
+      is_published: false,
+      is_archived: false
+    })
+    ids.set(manifest.world.id, world.id)
+
+    for (const character of manifest.characters || []) {
+      const row = await insert('world_characters', character, { world_id: world.id })
+      ids.set(character.id, row.id)
+    }
+
+    // Land-to-land links are set once every land exists
+    for (const land of manifest.lands || []) {
+      const row = await insert('world_lands', land, {
+        world_id: world.id,
+        mascot_character_id: ids.get(land.mascot_character_id) || null,
+        unlock_after_land_id: null
+      })
+      ids.set(land.id, row.id)
+    }
+    for (const land of manifest.lands || []) {
+      if (ids.has(land.unlock_after_land_id)) {
+        await client.query(
+          `UPDATE world_lands SET unlock_after_land_id = $1 WHERE id = $2`,
+          [ids.get(land.unlock_after_land_id), ids.get(land.id)]
+        )
+      }
+    }
+
+    for (const word of manifest.vocabulary || []) {
+      const row = await insert('world_vocabulary', word, {
+        world_id: world.id,
+        land_id: ids.get(word.land_id) || null
+      })
+      ids.set(word.id, row.id)
+    }
+
+    let activityCount = 0
+    for (const activity of manifest.activities || []) {
+      if (!ids.has(activity.land_id)) continue
+      const row = await insert('land_activities', activity, { land_id: ids.get(activity.land_id) })
+      ids.set(activity.id, row.id)
+      activityCount++
+    }
+
+    const importedItems = []
+    for (const item of manifest.sceneItems || []) {
+      if (!ids.has(item.land_id) || !ids.has(item.vocabulary_id)) continue
+      const row = await insert('land_scene_items', item, {
+        land_id: ids.get(item.land_id),
+        vocabulary_id: ids.get(item.vocabulary_id),
+        unlock_after_item_id: null
+      })
+      ids.set(item.id, row.id)
+      importedItems.push(item)
+    }
+    for (const item of importedItems) {
+      if (ids.has(item.unlock_after_item_id)) {
+        await client.query(
+          `UPDATE land_scene_items SET unlock_after_item_id = $1 WHERE id = $2`,
+          [ids.get(item.unlock_after_item_id), ids.get(item.id)]
+        )
+      }
+    }
+
+    await client.query('COMMIT')
+
+    return {
+      world,
+      counts: {
+        characters: (manifest.characters || []).length,
+        lands: (manifest.lands || []).length,
+        vocabulary: (manifest.vocabulary || []).length,
+        activities: activityCount,
+        sceneItems: importedItems.length,
+        media: mediaUrls.size
+      }
+    }
+  } catch (error) {
+    await client.query('ROLLBACK')
+    // Media written for this import would belong to nothing
+    for (const filePath of writtenFiles) {
+      fs.rmSync(filePath, { force: true })
+    }
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+function invalidPackage(message) {
+  const error = new Error(message)
+  error.invalidPackage = true
+  return error
+}
+
+// Size an entry says it unzips to (checked again while it is extracted)
+function unzippedSize(file) {
+  return file._data?.uncompressedSize || 0
+}
+
+/**
+ * Reject packages with too many entries or too much data before unzipping anything
+ */
+function checkPackageSize(zip) {
+  const files = Object.values(zip.files)
+  if (files.length > MAX_PACKAGE_ENTRIES) {
+    throw invalidPackage(`The package has more than ${MAX_PACKAGE_ENTRIES} files`)
+  }
+  if (files.reduce((sum, file) => sum + unzippedSize(file), 0) > MAX_UNZIPPED_BYTES) {
+    throw invalidPackage('The package is too large to import')
+  }
+}
+
+/**
+ * Every local media URL (/uploads/...) used anywhere in the package,
+ * including inside activity content JSON
+ */
+function collectMediaUrls(value, urls = new Set()) {
+  if (typeof value === 'string') {
+    if (value.startsWith(MEDIA_PREFIX)) urls.add(value.split(/[?#]/)[0])
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectMediaUrls(v, urls))
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectMediaUrls(v, urls))
+  }
+  return urls
+}
+
+/**
+ * File behind a /uploads/ URL, or null if it would fall outside the uploads folder
+ */
+function mediaFilePath(url) {
+  const filePath = path.resolve(UPLOADS_DIR, url.slice(MEDIA_PREFIX.length))
+  return filePath.startsWith(UPLOADS_DIR + path.sep) ? filePath : null
+}
+
+/**
+ * Write the package's media into public/uploads/<folder>/imported and map
+ * each old URL to its new one. Files are named by content hash so two
+ * imports of the same package share their files and never overwrite other
+ * media. Each file is streamed to disk on its own; new files are added to
+ * `written` so a failed import can remove them.
+ */
+async function extractMedia(zip, urls, written) {
+  const mediaUrls = new Map()
+  let remainingBytes = MAX_UNZIPPED_BYTES
+
+  for (const url of urls) {
+    const relativePath = url.slice(MEDIA_PREFIX.length)
+    const file = zip.file(`media/${relativePath}`)
+    const sourcePath = mediaFilePath(url)
+    if (!file || !sourcePath || relativePath.split(/[\\/]/).includes('..')) continue
+
+    const { tempPath, size, hash } = await unzipToTempFile(file, remainingBytes)
+    remainingBytes -= size
+
+    const segments = path.relative(UPLOADS_DIR, sourcePath).split(path.sep)
+    const folder = segments.length > 1 ? `${segments[0]}/` : ''
+    const extension = path.extname(sourcePath).toLowerCase().replace(/[^a-z0-9.]/g, '')
+    const newRelativePath = `${folder}imported/${hash}${extension}`
+    const filePath = path.join(UPLOADS_DIR, newRelativePath)
+
+    if (fs.existsSync(filePath)) {
+      fs.rmSync(tempPath, { force: true })
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.renameSync(tempPath, filePath)
+      written.push(filePath)
+    }
+    mediaUrls.set(url, `${MEDIA_PREFIX}${newRelativePath}`)
+  }
+
+  return mediaUrls
+}
+
+/**
+ * Unzip one entry to a temporary file, hashing it on the way
+ * @returns {Object} { tempPath, size, hash }
+ */
+async function unzipToTempFile(file, maxBytes) {
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true })
+  const tempPath = path.join(UPLOADS_DIR, `.import-${crypto.randomUUID()}`)
+  const out = fs.createWriteStream(tempPath)
+  const hash = crypto.createHash('md5')
+  let waitingForDrain = false
+
+  try {
+    const size = await streamEntry(file, maxBytes, (chunk, stream) => {
+      hash.update(chunk)
+      if (!out.write(chunk) && !waitingForDrain) {
+        waitingForDrain = true
+        stream.pause()
+        out.once('drain', () => {
+          waitingForDrain = false
+          stream.resume()
+        })
+      }
+    })
+    await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())))
+    return { tempPath, size, hash: hash.digest('hex').substring(0, 12) }
+  } catch (error) {
+    out.destroy()
+    fs.rmSync(tempPath, { force: true })
+    throw error
+  }
+}
+
+/**
+ * Unzip one entry a chunk at a time
+ * Stops with an invalid package error once more than `maxBytes` come out,
+ * whatever size the entry claimed.
+ * @param {Function} onChunk - (chunk, stream) for each piece of data
+ * @returns {number} Bytes unzipped
+ */
+function streamEntry(file, maxBytes, onChunk) {
+  return new Promise((resolve, reject) => {
+    const stream = file.internalStream('nodebuffer')
+    let size = 0
+    let finished = false
+
+    const fail = (error) => {
+      if (finished) return
+      finished = true
+      stream.pause()
+      reject(error)
+    }
+
+    stream
+      .on('data', (chunk) => {
+        if (finished) return
+        size += chunk.length
+        if (size > maxBytes) {
+          fail(invalidPackage('The package is too large to import'))
+          return
+        }
+        onChunk(chunk, stream)
+      })
+      .on('error', fail)
+      .on('end', () => {
+        if (finished) return
+        finished = true
+        resolve(size)
+      })
+      .resume()
+  })
+}
+
+/**
+ * Swap old ids and media URLs for new ones, anywhere in a row
+ */
+function remapValues(value, ids, mediaUrls) {
+  if (typeof value === 'string') {
+    const url = value.split(/[?#]/)[0]
+    if (mediaUrls.has(url)) return mediaUrls.get(url)
+    return ids.get(value) || value
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => remapValues(v, ids, mediaUrls))
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, remapValues(v, ids, mediaUrls)]))
+  }
+  return value
+}
+
+/**
+ * Column names and types of each table on this server
+ * Packages from older schemas simply leave newer columns at their defaults.
+ */
+async function tableColumns(client, tables) {
+  const result = await client.query(
+    `SELECT table_name, column_name, data_type
+     FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = ANY($1)`,
+    [tables]
+  )
+
+  const columns = {}
+  for (const row of result.rows) {
+    columns[row.table_name] = columns[row.table_name] || new Map()
+    columns[row.table_name].set(row.column_name, row.data_type)
+  }
+  return columns
+}
+
+/**
+ * Insert a packaged row, keeping only columns this server has
+ */
+async function insertRow(client, table, columns, row, overrides = {}) {
+  const values = { ...row, ...overrides }
+  const names = Object.keys(values).filter(name =>
+    columns.has(name) && (!SKIPPED_COLUMNS.includes(name) || name in overrides)
+  )
+
+  const result = await client.query(
+    `INSERT INTO ${table} (${names.map(name => `"${name}"`).join(', ')})
+     VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    names.map(name => {
+      const value = values[name]
+      // pg sends arrays as Postgres arrays, so JSON columns get a JSON string
+      return ['json', 'jsonb'].includes(columns.get(name)) && value !== null && value !== undefined
+        ? JSON.stringify(value)
+        : value
+    })
+  )
+  return result.rows[0]
+}
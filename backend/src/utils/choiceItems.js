@@ -0,0 +1,98 @@
+/**
+ * Turn generated analogy and quote attribution items into quiz-style
+ * questions ({ question, options, correct, explanation }) so students answer
+ * them through the same flow as quizzes, including help on wrong answers.
+ *
+ * Answer options are assembled here rather than by the model so the correct
+ * index is always right and distractors come from the source text.
+ */
+
+const OPTION_COUNT = 4
+
+function shuffle(items) {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+function sameText(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+}
+
+/**
+ * Pick distractors: preferred candidates first, then the fallback pool,
+ * skipping the answer and duplicates
+ */
+function pickDistractors(answer, preferred, fallback) {
+  const picked = []
+  for (const candidate of [...preferred, ...shuffle(fallback)]) {
+    if (picked.length === OPTION_COUNT - 1) break
+    if (!candidate || sameText(candidate, answer)) continue
+    if (picked.some(p => sameText(p, candidate))) continue
+    picked.push(String(candidate).trim())
+  }
+  return picked
+}
+
+function toQuestion(fields, answer, distractors) {
+  const options = shuffle([String(answer).trim(), ...distractors])
+  return {
+    ...fields,
+    options,
+    correct: options.findIndex(o => sameText(o, answer))
+  }
+}
+
+/**
+ * Analogy items: { a, b, c, answer, relationship, distractors, explanation }
+ * Distractors that don't appear in the source text are replaced with
+ * answers from the other items, which do.
+ */
+export function buildAnalogyQuestions(items = [], sourceText = '') {
+  const text = sourceText.toLowerCase()
+  const inText = (term) => !text || text.includes(String(term).trim().toLowerCase())
+  const allAnswers = items.map(item => item.answer).filter(Boolean)
+
+  return items
+    .filter(item => item.a && item.b && item.c && item.answer)
+    .map((item, i) => {
+      const distractors = pickDistractors(
+        item.answer,
+        (item.distractors || []).filter(inText),
+        allAnswers
+      )
+
+      return toQuestion({
+        id: item.id || `an${i + 1}`,
+        a: item.a,
+        b: item.b,
+        c: item.c,
+        relationship: item.relationship || '',
+        question: `${item.a} is to ${item.b} as ${item.c} is to ___`,
+        explanation: item.explanation || ''
+      }, item.answer, distractors)
+    })
+    .filter(q => q.options.length >= 2)
+}
+
+/**
+ * Quote items: { quote, speaker, context, explanation }
+ * Every option is a speaker from the same text.
+ */
+export function buildQuoteAttributionQuestions(quotes = [], speakers = []) {
+  const allSpeakers = [...speakers, ...quotes.map(q => q.speaker)].filter(Boolean)
+
+  return quotes
+    .filter(item => item.quote && item.speaker)
+    .map((item, i) => toQuestion({
+      id: item.id || `qa${i + 1}`,
+      quote: item.quote,
+      context: item.context || '',
+      question: `Who said: "${item.quote}"`,
+      explanation: item.explanation || ''
+    }, item.speaker, pickDistractors(item.speaker, [], allSpeakers)))
+    .filter(q => q.options.length >= 2)
+}
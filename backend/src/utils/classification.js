@@ -0,0 +1,141 @@
+/**
+ * Classification activity engine
+ * Any "sort statements into labelled buckets" activity is a classification
+ * type. Each type is described by configuration here; generation, scoring and
+ * analytics are shared.
+ *
+ * Content shape:
+ * {
+ *   title, instructions,
+ *   buckets: [{ id, label, description }],
+ *   statements: [{ id, text, bucket, explanation }]
+ * }
+ */
+
+export const CLASSIFICATION_TYPES = {
+  fact_opinion: {
+    label: 'Fact vs. Opinion',
+    // Fixed buckets - the AI only writes statements
+    buckets: [
+      { id: 'fact', label: 'Fact', description: 'Can be checked and proven true or false' },
+      { id: 'opinion', label: 'Opinion', description: 'A belief, feeling or judgement' }
+    ],
+    instructions: 'Sort each statement into Fact or Opinion',
+    promptGuide: `- Facts can be checked against evidence; opinions express a belief, judgement or feeling
+- Include some tricky statements: opinions that contain numbers or sound official, and facts about what people feel or believe
+- Avoid statements that are facts and opinions at the same time`
+  },
+  perspective_sort: {
+    label: 'Perspective Sort',
+    // Buckets are chosen for the topic
+    buckets: null,
+    minBuckets: 2,
+    maxBuckets: 4,
+    instructions: 'Sort each statement by whose perspective it represents',
+    promptGuide: `- Choose 2-4 people or groups who saw the topic differently (for example Patriots, Loyalists and enslaved people)
+- Each statement is written in the voice or reflects the interests of exactly one perspective
+- Don't give the answer away by naming the group in the statement`
+  }
+}
+
+export function isClassificationType(type) {
+  return Object.prototype.hasOwnProperty.call(CLASSIFICATION_TYPES, type)
+}
+
+/**
+ * Normalize bucket ids ("Opinion " -> "opinion") so AI output and student
+ * placements compare reliably
+ */
+export function normalizeBucketId(id) {
+  return String(id ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+}
+
+/**
+ * Clean up generated or edited content for a classification type
+ * Fixed-bucket types always use the configured buckets.
+ */
+export function normalizeClassificationContent(type, content) {
+  const config = CLASSIFICATION_TYPES[type]
+  const buckets = (config.buckets || content.buckets || []).map(b => ({
+    ...b,
+    id: normalizeBucketId(b.id || b.label)
+  }))
+
+  return {
+    ...content,
+    instructions: content.instructions || config.instructions,
+    buckets,
+    statements: (content.statements || []).map((s, i) => ({
+      ...s,
+      id: s.id || `s${i + 1}`,
+      bucket: normalizeBucketId(s.bucket)
+    }))
+  }
+}
+
+/**
+ * Score placements (statementId -> bucketId)
+ */
+export function scoreClassification(content, placements) {
+  const statements = content.statements || []
+  const buckets = content.buckets || []
+
+  const statementResults = statements.map(statement => {
+    const placedBucket = normalizeBucketId(placements[statement.id])
+    return {
+      id: statement.id,
+      placedBucket,
+      correctBucket: statement.bucket,
+      isCorrect: placedBucket === statement.bucket
+    }
+  })
+
+  const bucketResults = buckets.map(bucket => {
+    const expected = statementResults.filter(r => r.correctBucket === bucket.id)
+    const correct = expected.filter(r => r.isCorrect).length
+    return {
+      bucket: bucket.id,
+      expected: expected.length,
+      correct,
+      accuracy: expected.length > 0 ? Math.round((correct / expected.length) * 100) : null
+    }
+  })
+
+  const correctCount = statementResults.filter(r => r.isCorrect).length
+  const score = statements.length > 0 ? Math.round((correctCount / statements.length) * 10000) / 100 : 0
+
+  return { score, correctCount, statementResults, bucketResults }
+}
+
+/**
+ * Per-statement misclassification across the class
+ * Returns statements ordered from most to least misclassified, with where
+ * students put them: [{ id, text, correctBucket, responses, misclassified, misclassificationRate, placements }]
+ */
+export function aggregateMisclassifications(content, responses) {
+  return (content.statements || [])
+    .map(statement => {
+      const placements = {}
+      let total = 0
+      let misclassified = 0
+
+      for (const response of responses) {
+        const placed = normalizeBucketId(response?.[statement.id])
+        if (!placed) continue
+        total++
+        placements[placed] = (placements[placed] || 0) + 1
+        if (placed !== statement.bucket) misclassified++
+      }
+
+      return {
+        id: statement.id,
+        text: statement.text,
+        correctBucket: statement.bucket,
+        responses: total,
+        misclassified,
+        misclassificationRate: total > 0 ? Math.round((misclassified / total) * 100) : null,
+        placements
+      }
+    })
+    .sort((a, b) => (b.misclassificationRate ?? -1) - (a.misclassificationRate ?? -1))
+}
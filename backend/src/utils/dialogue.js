@@ -0,0 +1,74 @@
+/**
+ * Key-word scoring for Learning World dialogue practice.
+ *
+ * A spoken reply doesn't need to match the model answer word for word - the
+ * child gets credit for the key words the character was listening for.
+ * Transcripts come from Whisper, so small spelling differences ("apples"
+ * for "apple") still count.
+ */
+
+import { normalizeAnswer, editDistance, nearMissTolerance } from './dictation.js'
+
+export const DIALOGUE_POINTS = { great: 2, good: 1, try_again: 0 }
+
+// Words too common to be worth listening for
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'i', 'me', 'my', 'you', 'your', 'he', 'she', 'it', 'we', 'they',
+  'is', 'am', 'are', 'was', 'were', 'be', 'do', 'does', 'did', 'have', 'has',
+  'and', 'or', 'but', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'this', 'that',
+  'yes', 'no', 'not', 'please', 'thank', 'thanks', 'what', 'can', 'like'
+])
+
+/**
+ * Key words for a reply - the teacher's list, or the reply's content words
+ */
+export function replyKeyWords(item) {
+  const listed = (Array.isArray(item?.keyWords) ? item.keyWords : [])
+    .map(normalizeAnswer)
+    .filter(Boolean)
+
+  if (listed.length > 0) return [...new Set(listed)]
+
+  const words = normalizeAnswer(item?.expectedReply)
+    .split(' ')
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+
+  return [...new Set(words)]
+}
+
+/**
+ * Whether a key word (or phrase) was said
+ */
+function heard(keyWord, transcript, transcriptWords) {
+  if (keyWord.includes(' ')) {
+    return ` ${transcript} `.includes(` ${keyWord} `)
+  }
+
+  const tolerance = nearMissTolerance(keyWord)
+  return transcriptWords.some(word => editDistance(keyWord, word) <= tolerance)
+}
+
+/**
+ * Score a transcribed reply against its key words.
+ * Returns { result: 'great' | 'good' | 'try_again', points, maxPoints, matched, missed }
+ */
+export function scoreDialogueReply(item, transcript) {
+  const keyWords = replyKeyWords(item)
+  const said = normalizeAnswer(transcript)
+  const saidWords = said.split(' ').filter(Boolean)
+
+  const matched = keyWords.filter(keyWord => heard(keyWord, said, saidWords))
+  const missed = keyWords.filter(keyWord => !matched.includes(keyWord))
+
+  // Replies with no key words only need to be said
+  const share = keyWords.length > 0 ? matched.length / keyWords.length : (saidWords.length > 0 ? 1 : 0)
+  const result = share === 1 ? 'great' : share >= 0.5 ? 'good' : 'try_again'
+
+  return {
+    result,
+    points: DIALOGUE_POINTS[result],
+    maxPoints: DIALOGUE_POINTS.great,
+    matched,
+    missed
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Tolerant scoring for Learning World dictation.
+ *
+ * Case, punctuation and extra spaces never count. A few wrong letters still
+ * earn part of the credit - young writers who hear "elephant" and write
+ * "elefant" have understood the word.
+ */
+
+export const DICTATION_POINTS = { exact: 2, near: 1, miss: 0 }
+
+/**
+ * Lowercase, strip punctuation (apostrophes stay) and collapse spaces
+ */
+export function normalizeAnswer(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Levenshtein edit distance
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Wrong letters allowed for a near miss - none for very short words,
+ * then about one per four letters
+ */
+export function nearMissTolerance(expected) {
+  const length = expected.replace(/\s/g, '').length
+  if (length < 3) return 0
+  return Math.max(1, Math.floor(length / 4))
+}
+
+/**
+ * Score one dictation answer.
+ * Returns { result: 'exact' | 'near' | 'miss', points, maxPoints, distance }
+ */
+export function scoreDictation(expected, answer) {
+  const target = normalizeAnswer(expected)
+  const given = normalizeAnswer(answer)
+
+  const distance = editDistance(target, given)
+  const result = !given
+    ? 'miss'
+    : distance === 0
+      ? 'exact'
+      : distance <= nearMissTolerance(target) ? 'near' : 'miss'
+
+  return {
+    result,
+    points: DICTATION_POINTS[result],
+    maxPoints: DICTATION_POINTS.exact,
+    distance
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Server-Sent Events over a POST response
+ * Used for streamed AI generation: the client reads the response body with
+ * fetch and cancels by aborting the request.
+ *
+ * Events are written as
+ *   event: <name>
+ *   data: <JSON>
+ */
+
+/**
+ * Start an event stream on a response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end(), signal } - signal aborts when the client disconnects
+ */
+export function openEventStream(req, res) {
+  const controller = new AbortController()
+
+  res.status(200)
+  res.setHeader('Content-Type', 'text/event-stream')
+  res.setHeader('Cache-Control', 'no-cache, no-transform')
+  res.setHeader('Connection', 'keep-alive')
+  // Stop proxies (nginx) from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no')
+  res.flushHeaders()
+
+  // The response closing before we end it means the client went away
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort()
+  })
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    },
+    end() {
+      if (!res.writableEnded) res.end()
+    }
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * JSON Schema validation
+ * Checks AI replies against the schemas in services/llm/schemas.js.
+ *
+ * Supports the subset of JSON Schema those schemas use:
+ *   type (string or array; 'integer' included), enum, properties, required,
+ *   items, minItems, maxItems, minLength, pattern, minimum, maximum, anyOf
+ *
+ * Errors are short sentences naming the path, e.g.
+ *   "quiz[2].options must have at least 4 items"
+ * so they can be handed back to the model as they are.
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+export function validateSchema(value, schema, path = '') {
+  const errors = []
+  const name = path || 'The reply'
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(option => validateSchema(value, option, path))
+    if (!results.some(result => result.length === 0)) {
+      // Report against the option the value says it is (e.g. its "type"),
+      // otherwise the closest one
+      const chosen = schema.anyOf.findIndex(option => isTaggedAs(value, option))
+      errors.push(...(chosen >= 0
+        ? results[chosen]
+        : results.reduce((best, result) => (result.length < best.length ? result : best))))
+    }
+    return errors
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${name} must be ${types.map(describeType).join(' or ')}`)
+      return errors
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${name} must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${schema.minLength} characters`)
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${name} must match ${schema.pattern}`)
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${name} must be at least ${schema.minimum}`)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${name} must be at most ${schema.maximum}`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${name} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${name} must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`)
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)))
+    }
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`)
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key))
+      }
+    }
+  }
+
+  return errors
+}
+
+// True when an object matches every single-value enum property of an option
+function isTaggedAs(value, option) {
+  const tags = Object.entries(option.properties || {}).filter(([, property]) => property.enum?.length === 1)
+  return isObject(value) && tags.length > 0 && tags.every(([key, property]) => value[key] === property.enum[0])
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return isObject(value)
+    case 'array': return Array.isArray(value)
+    case 'integer': return Number.isInteger(value)
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'null': return value === null
+    default: return typeof value === type
+  }
+}
+
+function describeType(type) {
+  return { object: 'an object', array: 'an array', integer: 'an integer', null: 'null' }[type] || `a ${type}`
+}
@@ -0,0 +1,113 @@
+/**
+ * Map hotspot geometry shared by map activity creation and scoring
+ * Coordinates are in the map image's own pixels, so shapes line up however
+ * large the image is drawn. A hotspot is either
+ *   { id, label, shape: 'circle', cx, cy, r }
+ *   { id, label, shape: 'polygon', points: [[x, y], ...] }
+ * Scoring only ever receives points from the client; which region a point
+ * falls in is decided here.
+ */
+
+export const MAP_MODES = ['label', 'locate']
+
+function isPoint(point) {
+  return point && Number.isFinite(Number(point.x)) && Number.isFinite(Number(point.y))
+}
+
+function pointInCircle(x, y, { cx, cy, r }) {
+  return (x - cx) ** 2 + (y - cy) ** 2 <= r ** 2
+}
+
+/**
+ * Ray casting: count how many polygon edges a ray from the point crosses
+ */
+function pointInPolygon(x, y, points) {
+  let inside = false
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i]
+    const [xj, yj] = points[j]
+    const crosses = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi
+    if (crosses) inside = !inside
+  }
+  return inside
+}
+
+export function pointInHotspot(point, hotspot) {
+  if (!isPoint(point) || !hotspot) return false
+  const x = Number(point.x)
+  const y = Number(point.y)
+
+  if (hotspot.shape === 'circle') return pointInCircle(x, y, hotspot)
+  if (hotspot.shape === 'polygon') return pointInPolygon(x, y, hotspot.points || [])
+  return false
+}
+
+/**
+ * The hotspot a point landed in, if any
+ * Smaller circles are drawn over larger ones, so check the later hotspots first
+ */
+export function findHotspotAt(hotspots = [], point) {
+  return [...hotspots].reverse().find(h => pointInHotspot(point, h)) || null
+}
+
+/**
+ * Clean up hotspots saved by the editor
+ * Drops shapes that can't be hit (no radius, fewer than 3 polygon points)
+ * and clamps coordinates to the image.
+ */
+export function normalizeHotspots(hotspots = [], { width, height } = {}) {
+  const clampX = (v) => Math.max(0, Math.min(width || Infinity, Number(v)))
+  const clampY = (v) => Math.max(0, Math.min(height || Infinity, Number(v)))
+
+  return (Array.isArray(hotspots) ? hotspots : [])
+    .filter(h => h && typeof h.label === 'string' && h.label.trim())
+    .map((h, i) => {
+      const base = { id: String(h.id || `h${i + 1}`), label: h.label.trim() }
+
+      if (h.shape === 'circle' && [h.cx, h.cy, h.r].every(v => Number.isFinite(Number(v))) && Number(h.r) > 0) {
+        return { ...base, shape: 'circle', cx: clampX(h.cx), cy: clampY(h.cy), r: Number(h.r) }
+      }
+
+      if (h.shape === 'polygon' && Array.isArray(h.points)) {
+        const points = h.points
+          .filter(p => Array.isArray(p) && p.length === 2 && p.every(v => Number.isFinite(Number(v))))
+          .map(([x, y]) => [clampX(x), clampY(y)])
+        if (points.length >= 3) return { ...base, shape: 'polygon', points }
+      }
+
+      return null
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Score answers: { hotspotId: { x, y } }
+ * Each hotspot is correct when its answer point falls inside it.
+ */
+export function scoreMapAnswers(content, answers = {}) {
+  const hotspots = content.hotspots || []
+
+  const hotspotResults = hotspots.map(hotspot => {
+    const point = isPoint(answers[hotspot.id])
+      ? { x: Number(answers[hotspot.id].x), y: Number(answers[hotspot.id].y) }
+      : null
+    const landedIn = point ? findHotspotAt(hotspots, point) : null
+
+    return {
+      id: hotspot.id,
+      label: hotspot.label,
+      point,
+      isCorrect: point ? pointInHotspot(point, hotspot) : false,
+      // Which region the student actually chose, for feedback
+      landedIn: landedIn?.id || null
+    }
+  })
+
+  const correctCount = hotspotResults.filter(r => r.isCorrect).length
+
+  return {
+    score: hotspots.length > 0 ? Math.round((correctCount / hotspots.length) * 100) : 0,
+    correctCount,
+    hotspotResults
+  }
+}
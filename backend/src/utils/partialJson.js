@@ -0,0 +1,156 @@
+/**
+ * Partial JSON parsing for streamed AI replies
+ * Reads the JSON object a model has written so far, so a preview can show
+ * finished items while the rest is still being generated.
+ *
+ * What a partial parse keeps:
+ * - arrays list only their finished elements ({"quiz": [q1, q2, <half of q3>] -> [q1, q2])
+ * - objects keep finished properties, and arrays/objects still being filled
+ * - unfinished strings, numbers and keys are left out
+ */
+
+class Incomplete {
+  constructor(partial) {
+    this.partial = partial
+  }
+}
+
+/**
+ * Parse the first JSON object in a (possibly unfinished) reply
+ * @param {string} text - Reply so far
+ * @returns {Object|undefined} What has been written so far, or undefined if
+ *   nothing usable has arrived yet or the reply isn't JSON
+ */
+export function parsePartialJSON(text) {
+  const start = text.indexOf('{')
+  if (start === -1) return undefined
+
+  const parser = new PartialParser(text, start)
+  try {
+    return parser.parseValue()
+  } catch (error) {
+    if (error instanceof Incomplete) return error.partial
+    return undefined
+  }
+}
+
+class PartialParser {
+  constructor(text, position) {
+    this.text = text
+    this.position = position
+  }
+
+  skipWhitespace() {
+    while (this.position < this.text.length && /\s/.test(this.text[this.position])) {
+      this.position++
+    }
+  }
+
+  atEnd() {
+    this.skipWhitespace()
+    return this.position >= this.text.length
+  }
+
+  parseValue() {
+    if (this.atEnd()) throw new Incomplete(undefined)
+
+    const char = this.text[this.position]
+    if (char === '{') return this.parseObject()
+    if (char === '[') return this.parseArray()
+    if (char === '"') return this.parseString()
+    return this.parseLiteral()
+  }
+
+  parseObject() {
+    const result = {}
+    this.position++
+
+    while (true) {
+      if (this.atEnd()) throw new Incomplete(result)
+      if (this.text[this.position] === '}') {
+        this.position++
+        return result
+      }
+      if (this.text[this.position] === ',') {
+        this.position++
+        continue
+      }
+
+      let key
+      try {
+        key = this.parseString()
+        if (this.atEnd()) throw new Incomplete(undefined)
+      } catch (error) {
+        if (error instanceof Incomplete) throw new Incomplete(result)
+        throw error
+      }
+      if (this.text[this.position] !== ':') throw new SyntaxError(`Expected ":" at ${this.position}`)
+      this.position++
+
+      try {
+        result[key] = this.parseValue()
+      } catch (error) {
+        if (error instanceof Incomplete) {
+          if (error.partial !== undefined) result[key] = error.partial
+          throw new Incomplete(result)
+        }
+        throw error
+      }
+    }
+  }
+
+  parseArray() {
+    const result = []
+    this.position++
+
+    while (true) {
+      if (this.atEnd()) throw new Incomplete(result)
+      if (this.text[this.position] === ']') {
+        this.position++
+        return result
+      }
+      if (this.text[this.position] === ',') {
+        this.position++
+        continue
+      }
+
+      try {
+        result.push(this.parseValue())
+      } catch (error) {
+        // The unfinished element is left out
+        if (error instanceof Incomplete) throw new Incomplete(result)
+        throw error
+      }
+    }
+  }
+
+  parseString() {
+    if (this.text[this.position] !== '"') throw new SyntaxError(`Expected string at ${this.position}`)
+
+    let end = this.position + 1
+    while (end < this.text.length) {
+      if (this.text[end] === '\\') {
+        end += 2
+        continue
+      }
+      if (this.text[end] === '"') {
+        const value = JSON.parse(this.text.slice(this.position, end + 1))
+        this.position = end + 1
+        return value
+      }
+      end++
+    }
+    throw new Incomplete(undefined)
+  }
+
+  parseLiteral() {
+    const match = this.text.slice(this.position).match(/^[^,\]}\s]+/)
+    if (!match) throw new SyntaxError(`Unexpected "${this.text[this.position]}" at ${this.position}`)
+
+    // A number or literal running to the end of the text may not be finished
+    if (this.position + match[0].length >= this.text.length) throw new Incomplete(undefined)
+
+    this.position += match[0].length
+    return JSON.parse(match[0])
+  }
+}
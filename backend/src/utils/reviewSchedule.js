@@ -0,0 +1,69 @@
+/**
+ * Review land content for Learning Worlds.
+ *
+ * Words come from vocabulary_discovery, whose Leitner schedule
+ * (update_vocabulary_mastery) sets next_review_at 1, 3, 7, 14 or 30 days out
+ * by mastery level. Words that were only seen or touched have no
+ * next_review_at yet, so they fall due a day after they were last seen.
+ */
+
+export const REVIEW_WORDS = { min: 2, max: 12, default: 8 }
+
+/**
+ * Order due words for review: least accurate first, then lowest mastery,
+ * then longest overdue.
+ * Each word: { due, times_seen, times_correct, misses, mastery_level, overdue_seconds }
+ */
+export function rankReviewWords(words) {
+  return words
+    .filter(word => word.due)
+    .map(word => ({ ...word, accuracy: wordAccuracy(word) }))
+    .sort((a, b) =>
+      a.accuracy - b.accuracy ||
+      (a.mastery_level || 1) - (b.mastery_level || 1) ||
+      (Number(b.overdue_seconds) || 0) - (Number(a.overdue_seconds) || 0)
+    )
+}
+
+/**
+ * Share of attempts answered correctly. Activity misses count as wrong
+ * attempts; words never answered count as 0.5 so they sit mid-table.
+ */
+export function wordAccuracy({ times_correct = 0, misses = 0, times_seen = 0 }) {
+  const correct = Number(times_correct) || 0
+  const wrong = Number(misses) || 0
+  if (correct + wrong === 0) return Number(times_seen) > 0 ? 0.5 : 0
+  return correct / (correct + wrong)
+}
+
+/**
+ * matching_game and listen_point content for the chosen words
+ * Words need a translation or a picture to be matched, and a picture to be
+ * pointed at.
+ */
+export function buildReviewContent(words) {
+  const pairs = words
+    .filter(v => v.translation_zh_tw || v.image_url)
+    .map(v => ({
+      word: v.word,
+      match: v.translation_zh_tw || v.word,
+      matchType: v.image_url ? 'image' : 'text',
+      matchImage: v.image_url || '',
+      translation: v.translation_zh_tw || ''
+    }))
+
+  const items = words
+    .filter(v => v.image_url)
+    .map(v => ({
+      word: v.word,
+      imageUrl: v.image_url,
+      audioUrl: v.audio_url || null,
+      prompt: `Find the ${v.word}!`,
+      translation: v.translation_zh_tw || ''
+    }))
+
+  return {
+    matching: { pairs, instructions: 'Match the words you have learned!' },
+    listenPoint: { items, instructions: 'Listen and touch the right picture!' }
+  }
+}
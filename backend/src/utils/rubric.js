@@ -0,0 +1,61 @@
+/**
+ * Rubric helpers for AI-scored written justifications
+ * A rubric is a list of criteria: { id, label, description, maxPoints }.
+ * Scores are stored on the student response as
+ * { criteria: [{ id, label, points, maxPoints }], points, maxPoints, feedback, scoredBy }
+ * so a teacher override can replace the total without losing the AI's breakdown.
+ */
+
+// Share of rubric points a justification needs to count as correct
+export const RUBRIC_PASSING_SHARE = 0.5
+
+export const DEFAULT_PERSPECTIVE_RUBRIC = [
+  {
+    id: 'claim',
+    label: 'Names the viewpoint',
+    description: 'Clearly states whose perspective the passage shows',
+    maxPoints: 1
+  },
+  {
+    id: 'evidence',
+    label: 'Uses evidence',
+    description: 'Points to specific words, thoughts or details in the passage',
+    maxPoints: 2
+  },
+  {
+    id: 'reasoning',
+    label: 'Explains the link',
+    description: 'Explains how that evidence reveals the character\'s viewpoint or motivation',
+    maxPoints: 2
+  }
+]
+
+/**
+ * Clean up a rubric from the model or the editor
+ * Falls back to the default rubric when none is usable.
+ */
+export function normalizeRubric(rubric) {
+  const criteria = (Array.isArray(rubric) ? rubric : [])
+    .filter(c => c && typeof c.label === 'string' && c.label.trim())
+    .map((c, i) => ({
+      id: String(c.id || `c${i + 1}`),
+      label: c.label.trim(),
+      description: typeof c.description === 'string' ? c.description.trim() : '',
+      maxPoints: Math.max(1, Math.min(10, parseInt(c.maxPoints) || 1))
+    }))
+
+  return criteria.length > 0 ? criteria : DEFAULT_PERSPECTIVE_RUBRIC
+}
+
+export function rubricMaxPoints(rubric = []) {
+  return rubric.reduce((sum, c) => sum + (c.maxPoints || 0), 0)
+}
+
+/**
+ * Whether a rubric score counts as a correct answer
+ * Unscored (null) stays null so it reads as "awaiting review".
+ */
+export function meetsRubric(points, maxPoints) {
+  if (points === null || points === undefined || !maxPoints) return null
+  return points / maxPoints >= RUBRIC_PASSING_SHARE
+}
@@ -0,0 +1,86 @@
+/**
+ * Sentence builder items for Learning Worlds.
+ *
+ * Each item has word blocks and every sentence order we accept for them.
+ * The variants come from AI generation (or the teacher) and are checked here
+ * so each one uses exactly the item's blocks and includes the target word.
+ * Students are then scored against the list, with no AI call at play time.
+ */
+
+/**
+ * Words of a sentence without punctuation (apostrophes are kept)
+ */
+export function sentenceWords(sentence) {
+  return String(sentence || '')
+    .replace(/[^\p{L}\p{N}'\s-]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+}
+
+/**
+ * Comparison key - case and punctuation don't count
+ */
+export function sentenceKey(words) {
+  return words.map(w => w.toLowerCase()).join(' ')
+}
+
+// Blocks may hold more than one word ("ice cream"), so compare word by word
+function sameBlocks(words, blocks) {
+  const a = words.map(w => w.toLowerCase()).sort()
+  const b = sentenceWords(blocks.join(' ')).map(w => w.toLowerCase()).sort()
+  return a.length === b.length && a.every((w, i) => w === b[i])
+}
+
+// The target word may be more than one word ("ice cream"); it has to appear
+// as a run of consecutive words
+function includesWords(words, target) {
+  const lower = words.map(w => w.toLowerCase())
+  const wanted = target.map(w => w.toLowerCase())
+  if (wanted.length === 0) return true
+  return lower.some((_, start) => wanted.every((w, i) => lower[start + i] === w))
+}
+
+/**
+ * Clean up sentence builder items.
+ * Blocks default to the words of the main sentence. Variants that don't use
+ * exactly those blocks, or leave out the target word, are dropped, as are
+ * items left with no accepted sentence.
+ */
+export function normalizeSentenceItems(items) {
+  if (!Array.isArray(items)) return []
+
+  return items
+    .map(item => {
+      const sentence = String(item.sentence || '').trim()
+      const givenBlocks = Array.isArray(item.blocks)
+        ? item.blocks.map(b => String(b).trim()).filter(Boolean)
+        : []
+      // The main sentence wins - if it was edited, its words become the blocks
+      const blocks = givenBlocks.length > 0 && sameBlocks(sentenceWords(sentence), givenBlocks)
+        ? givenBlocks
+        : sentenceWords(sentence)
+      const targetWord = String(item.targetWord || '').trim()
+      const targetWords = sentenceWords(targetWord)
+
+      const seen = new Set()
+      const acceptedVariants = [sentence, ...(Array.isArray(item.acceptedVariants) ? item.acceptedVariants : [])]
+        .map(v => String(v || '').trim())
+        .filter(variant => {
+          const words = sentenceWords(variant)
+          const key = sentenceKey(words)
+          if (!variant || seen.has(key) || !sameBlocks(words, blocks)) return false
+          if (!includesWords(words, targetWords)) return false
+          seen.add(key)
+          return true
+        })
+
+      return {
+        ...item,
+        sentence,
+        blocks,
+        targetWord,
+        acceptedVariants
+      }
+    })
+    .filter(item => item.blocks.length >= 2 && item.acceptedVariants.length > 0)
+}
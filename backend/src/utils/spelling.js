@@ -0,0 +1,112 @@
+/**
+ * Word spelling and fill-in-the-blank content for Learning Worlds, built
+ * from a land's world_vocabulary rows, plus the summary teachers see of
+ * which letters (or words) students mix up.
+ *
+ * Mistakes are saved by the player in land_activity_progress.response_data
+ * as { words: [{ word, mistakes: [{ position, expected, tapped }] }] }.
+ */
+
+export const BLANK = '___'
+
+const SPELLABLE = /^[a-z]+$/i
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Replace the first whole-word use of `word` in `sentence` with a blank.
+ * Returns null when the word isn't in the sentence.
+ */
+export function makeCloze(sentence, word) {
+  if (!sentence || !word) return null
+  const pattern = new RegExp(`\\b${escapeRegExp(word.trim())}\\b`, 'i')
+  if (!pattern.test(sentence)) return null
+  return sentence.replace(pattern, BLANK)
+}
+
+/**
+ * Letter-tile spelling items - single words only, since tiles can't show
+ * spaces or punctuation
+ */
+export function buildSpellingItems(vocabulary) {
+  return vocabulary
+    .filter(v => SPELLABLE.test((v.word || '').trim()))
+    .map(v => ({
+      word: v.word.trim().toLowerCase(),
+      imageUrl: v.image_url || '',
+      audioUrl: v.audio_url || null,
+      translation: v.translation_zh_tw || ''
+    }))
+}
+
+/**
+ * Cloze items from each word's level 2 phrase and level 3 sentence.
+ * Words with neither sentence containing the word are skipped.
+ */
+export function buildClozeItems(vocabulary) {
+  const items = []
+
+  for (const v of vocabulary) {
+    const word = (v.word || '').trim()
+    const sentence = makeCloze(v.phrase_level_2, word)
+    const sentenceLevel3 = makeCloze(v.sentence_level_3, word)
+    if (!sentence && !sentenceLevel3) continue
+
+    items.push({
+      sentence: sentence || sentenceLevel3,
+      sentenceLevel3: sentenceLevel3 || '',
+      answer: word,
+      imageUrl: v.image_url || '',
+      audioUrl: v.audio_url || null,
+      translation: v.translation_zh_tw || ''
+    })
+  }
+
+  return items
+}
+
+/**
+ * Combine saved mistakes across students.
+ * Returns the most common expected -> tapped mix-ups and the words missed
+ * most often.
+ */
+export function summarizeMistakes(progressRows, limit = 20) {
+  const confusions = new Map()
+  const words = new Map()
+  let studentCount = 0
+
+  for (const row of progressRows) {
+    const attempts = row.response_data?.words
+    if (!Array.isArray(attempts)) continue
+    studentCount++
+
+    for (const attempt of attempts) {
+      const mistakes = Array.isArray(attempt.mistakes) ? attempt.mistakes : []
+      if (!attempt.word) continue
+
+      const wordStats = words.get(attempt.word) || { word: attempt.word, studentsMissed: 0, mistakeCount: 0 }
+      if (mistakes.length > 0) wordStats.studentsMissed++
+      wordStats.mistakeCount += mistakes.length
+      words.set(attempt.word, wordStats)
+
+      for (const mistake of mistakes) {
+        if (!mistake.expected || !mistake.tapped) continue
+        const key = `${mistake.expected}\u0000${mistake.tapped}`
+        const entry = confusions.get(key) || { expected: mistake.expected, tapped: mistake.tapped, count: 0 }
+        entry.count++
+        confusions.set(key, entry)
+      }
+    }
+  }
+
+  return {
+    studentCount,
+    confusions: [...confusions.values()].sort((a, b) => b.count - a.count).slice(0, limit),
+    words: [...words.values()]
+      .filter(w => w.mistakeCount > 0)
+      .sort((a, b) => b.studentsMissed - a.studentsMissed || b.mistakeCount - a.mistakeCount)
+      .slice(0, limit)
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Character-span helpers for text evidence activities
+ * Spans are { start, end } offsets into the passage (end exclusive),
+ * matching frontend/src/utils/textSpans.js
+ */
+
+/**
+ * Split a passage into sentence spans, keeping original offsets
+ */
+export function splitSentences(passage = '') {
+  const sentences = []
+  const pattern = /[^.!?\n]+(?:[.!?]+["'”’)\]]*|\n|$)/g
+  let match
+
+  while ((match = pattern.exec(passage)) !== null) {
+    const raw = match[0]
+    const leading = raw.length - raw.trimStart().length
+    const text = raw.trim()
+    if (!text) continue
+
+    const start = match.index + leading
+    sentences.push({ start, end: start + text.length })
+  }
+
+  return sentences
+}
+
+/**
+ * The passage sentences a set of highlights touches
+ * Students highlight whole sentences, so any other span is widened (or
+ * clipped) to the sentences it overlaps; each sentence is counted once.
+ */
+export function snapToSentences(passage, highlights) {
+  return splitSentences(passage).filter(sentence => highlights.some(h => overlapLength(sentence, h) > 0))
+}
+
+/**
+ * Combine overlapping spans so no character is counted twice
+ */
+export function mergeSpans(spans) {
+  const merged = []
+  for (const span of [...spans].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1]
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end)
+    } else {
+      merged.push({ start: span.start, end: span.end })
+    }
+  }
+  return merged
+}
+
+/**
+ * Turn AI-quoted evidence into spans on the passage
+ * Entries that already have offsets are kept; quotes that can't be
+ * found in the passage (or aren't text) are dropped.
+ */
+export function locateEvidenceSpans(passage, evidence = []) {
+  const lowerPassage = passage.toLowerCase()
+
+  return evidence
+    .map(entry => {
+      const quote = typeof entry === 'string' ? entry : entry?.text
+
+      if (Number.isInteger(entry?.start) && Number.isInteger(entry?.end)) {
+        return { ...entry, text: passage.slice(entry.start, entry.end) }
+      }
+
+      if (typeof quote !== 'string' || !quote.trim()) return null
+
+      const start = lowerPassage.indexOf(quote.trim().toLowerCase())
+      if (start === -1) return null
+
+      const end = start + quote.trim().length
+      return {
+        start,
+        end,
+        text: passage.slice(start, end),
+        ...(entry?.reason ? { reason: entry.reason } : {})
+      }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Number of characters two spans share
+ */
+export function overlapLength(a, b) {
+  return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start))
+}
+
+/**
+ * Compare student highlights against accepted evidence spans
+ *
+ * An evidence span counts as found when the highlights cover at least
+ * `tolerance` of it. A highlight counts as extra when it shares no
+ * characters with any evidence span, so a sentence highlighted for a clause
+ * of evidence inside it isn't extra.
+ * Score = found / (evidence + extra), so over-highlighting costs points.
+ * Overlapping highlights are merged first.
+ */
+export function scoreEvidenceHighlights(evidence, spans, tolerance = 0.5) {
+  const highlights = mergeSpans(spans)
+
+  const evidenceResults = evidence.map(span => {
+    const covered = highlights.reduce((sum, h) => sum + overlapLength(span, h), 0)
+    const coverage = Math.min(1, covered / Math.max(1, span.end - span.start))
+    return { ...span, coverage, found: coverage >= tolerance }
+  })
+
+  const extraHighlights = highlights.filter(h => !evidence.some(span => overlapLength(span, h) > 0))
+
+  const foundCount = evidenceResults.filter(r => r.found).length
+  const denominator = evidence.length + extraHighlights.length
+  const score = denominator > 0 ? Math.round((foundCount / denominator) * 100) : 0
+
+  return { evidenceResults, extraHighlights, foundCount, score }
+}
@@ -0,0 +1,83 @@
+/**
+ * Timeline helpers shared by generation and scoring
+ * Event positions are numeric years (negative = BCE), so eras can be
+ * placed on the same axis as exact dates.
+ */
+
+/**
+ * Axis range for a timeline: the teacher's override if set,
+ * otherwise the event range padded by 10% on each side
+ */
+export function getTimelineAxis(content) {
+  if (Number.isFinite(content.axis?.start) && Number.isFinite(content.axis?.end) &&
+      content.axis.end > content.axis.start) {
+    return { start: content.axis.start, end: content.axis.end }
+  }
+
+  const years = (content.events || []).map(e => Number(e.year)).filter(Number.isFinite)
+  if (years.length === 0) return { start: 0, end: 100 }
+
+  const min = Math.min(...years)
+  const max = Math.max(...years)
+  const padding = Math.max(1, Math.round((max - min) * 0.1))
+
+  return { start: min - padding, end: max + padding }
+}
+
+/**
+ * Score student placements against the true event years
+ *
+ * orderScore: share of event pairs the student put in the right relative order
+ * distanceScore: average closeness, full credit at the true year and none
+ *   once an event is `tolerance` (fraction of the axis) or more away
+ * score blends the two by `orderWeight`
+ */
+export function scoreTimeline(content, placements, { orderWeight = 0.5, tolerance = 0.25 } = {}) {
+  const events = content.events || []
+  const axis = getTimelineAxis(content)
+  const span = axis.end - axis.start
+  const maxDistance = span * tolerance
+
+  // Order credit (pairwise); pairs that share a true year are skipped
+  let orderedPairs = 0
+  let correctPairs = 0
+  for (let i = 0; i < events.length; i++) {
+    for (let j = i + 1; j < events.length; j++) {
+      const trueDiff = events[i].year - events[j].year
+      if (trueDiff === 0) continue
+
+      orderedPairs++
+      const placedDiff = placements[events[i].id] - placements[events[j].id]
+      if (placedDiff === 0) correctPairs += 0.5
+      else if (Math.sign(placedDiff) === Math.sign(trueDiff)) correctPairs++
+    }
+  }
+  const orderScore = orderedPairs > 0 ? correctPairs / orderedPairs : 1
+
+  // Distance credit per event
+  const eventResults = events.map(event => {
+    const placed = placements[event.id]
+    const distance = Math.abs(placed - event.year)
+    const closeness = maxDistance > 0 ? Math.max(0, 1 - distance / maxDistance) : (distance === 0 ? 1 : 0)
+    return {
+      id: event.id,
+      placedYear: placed,
+      trueYear: event.year,
+      distance,
+      closeness: Math.round(closeness * 100) / 100
+    }
+  })
+  const distanceScore = eventResults.length > 0
+    ? eventResults.reduce((sum, r) => sum + r.closeness, 0) / eventResults.length
+    : 0
+
+  const score = Math.round((orderWeight * orderScore + (1 - orderWeight) * distanceScore) * 10000) / 100
+
+  return {
+    score,
+    orderScore: Math.round(orderScore * 100),
+    distanceScore: Math.round(distanceScore * 100),
+    eventResults,
+    axis
+  }
+}
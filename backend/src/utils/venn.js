@@ -0,0 +1,84 @@
+/**
+ * Venn diagram helpers shared by generation, scoring and live results
+ * Sets have single-letter ids ("A", "B", "C"). A region is identified by the
+ * ids of the sets it sits inside, in order - "A" is A only, "AB" is the
+ * overlap of A and B, "ABC" is the centre of a three-set diagram.
+ */
+
+/**
+ * All regions for a diagram, single sets first, then overlaps
+ */
+export function getVennRegions(sets = []) {
+  const ids = sets.map(s => s.id)
+  const regions = []
+
+  for (let mask = 1; mask < (1 << ids.length); mask++) {
+    regions.push(ids.filter((_, i) => mask & (1 << i)).join(''))
+  }
+
+  return regions.sort((a, b) => a.length - b.length || a.localeCompare(b))
+}
+
+/**
+ * Normalize a region key so "BA" and "AB" are the same region
+ */
+export function normalizeRegion(region) {
+  return String(region || '').toUpperCase().split('').sort().join('')
+}
+
+/**
+ * Score placements region by region
+ *
+ * For each region: how many of the statements that belong there were placed
+ * there. The overall score is the share of statements placed correctly.
+ */
+export function scoreVennDiagram(content, placements) {
+  const statements = content.statements || []
+  const regions = getVennRegions(content.sets)
+
+  const statementResults = statements.map(statement => {
+    const placedRegion = normalizeRegion(placements[statement.id])
+    const correctRegion = normalizeRegion(statement.region)
+    return {
+      id: statement.id,
+      placedRegion,
+      correctRegion,
+      isCorrect: placedRegion === correctRegion
+    }
+  })
+
+  const regionResults = regions.map(region => {
+    const expected = statementResults.filter(r => r.correctRegion === region)
+    const correct = expected.filter(r => r.isCorrect).length
+    const placed = statementResults.filter(r => r.placedRegion === region).length
+    return {
+      region,
+      expected: expected.length,
+      placed,
+      correct,
+      accuracy: expected.length > 0 ? Math.round((correct / expected.length) * 100) : null
+    }
+  })
+
+  const correctCount = statementResults.filter(r => r.isCorrect).length
+  const score = statements.length > 0 ? Math.round((correctCount / statements.length) * 10000) / 100 : 0
+
+  return { score, correctCount, statementResults, regionResults }
+}
+
+/**
+ * Aggregate the class's placements: region -> statementId -> count
+ */
+export function aggregateVennPlacements(content, responses) {
+  const regions = Object.fromEntries(getVennRegions(content.sets).map(r => [r, {}]))
+
+  for (const placements of responses) {
+    for (const [statementId, region] of Object.entries(placements || {})) {
+      const key = normalizeRegion(region)
+      if (!regions[key]) continue
+      regions[key][statementId] = (regions[key][statementId] || 0) + 1
+    }
+  }
+
+  return regions
+}
@@ -0,0 +1,61 @@
+-- Migration: Score Timeline Activities on the Leaderboard
+-- Timeline responses store a 0-100 score in the response JSON, like sentence ordering.
+-- Without this, timelines fall through to flat completion credit.
+
+-- Timeline content JSON structure:
+-- {
+--   "title": "The American Revolution",
+--   "instructions": "Drag each event to where it belongs on the timeline",
+--   "events": [
+--     {"id": "ev1", "text": "Declaration of Independence", "year": 1776, "dateLabel": "July 4, 1776"}
+--   ],
+--   "axis": {"start": 1760, "end": 1790},            -- optional override
+--   "scoring": {"orderWeight": 0.5, "tolerance": 0.25} -- optional
+-- }
+
+-- Student responses for timeline will be stored as:
+-- {
+--   "placements": {"ev1": 1775},
+--   "score": 87.5,
+--   "orderScore": 100,
+--   "distanceScore": 75,
+--   "totalEvents": 6
+-- }
+
+COMMENT ON COLUMN activities.type IS
+'Activity type: reading, questions, quiz, mixed, discussion, interactive_video, sentence_ordering, timeline';
+
+CREATE OR REPLACE VIEW activity_leaderboard AS
+SELECT
+  sr.student_id,
+  ss.student_name,
+  ss.instance_id as session_instance_id,
+  COUNT(DISTINCT sr.activity_id) as activities_completed,
+  AVG(
+    CASE
+      -- For sentence ordering and timelines, extract score from response JSON
+      WHEN a.type IN ('sentence_ordering', 'timeline') AND sr.response::jsonb ? 'score'
+      THEN (sr.response::jsonb->>'score')::numeric
+      -- For quiz/questions, calculate percentage correct
+      WHEN a.type IN ('quiz', 'questions', 'mixed') AND sr.response::jsonb ? 'selectedOption'
+      THEN CASE WHEN sr.is_correct THEN 100 ELSE 0 END
+      -- For other types, give completion credit
+      ELSE 100
+    END
+  ) as average_score,
+  SUM(
+    CASE
+      WHEN a.type IN ('sentence_ordering', 'timeline') AND sr.response::jsonb ? 'score'
+      THEN (sr.response::jsonb->>'score')::numeric
+      WHEN a.type IN ('quiz', 'questions', 'mixed') AND sr.response::jsonb ? 'selectedOption'
+      THEN CASE WHEN sr.is_correct THEN 100 ELSE 0 END
+      ELSE 100
+    END
+  ) as total_score,
+  MAX(sr.created_at) as last_activity_time
+FROM student_responses sr
+JOIN activities a ON sr.activity_id = a.id
+LEFT JOIN session_students ss ON sr.student_id = ss.id
+WHERE sr.created_at IS NOT NULL
+GROUP BY sr.student_id, ss.student_name, ss.instance_id
+ORDER BY total_score DESC, last_activity_time DESC;
@@ -0,0 +1,18 @@
+-- Migration: Review Lands
+-- A review land resurfaces words that are due for review, built from
+-- vocabulary_discovery (mastery_level / next_review_at from the Leitner
+-- schedule in update_vocabulary_mastery) and land_activity_progress misses.
+-- vocabulary_discovery is keyed by session_students, not world_sessions, so
+-- the schedule carries over from one lesson to the next.
+
+ALTER TABLE world_lands
+  ADD COLUMN IF NOT EXISTS is_review_land BOOLEAN DEFAULT false,
+  -- NULL = review for the whole class
+  ADD COLUMN IF NOT EXISTS review_student_id UUID REFERENCES session_students(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS review_generated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_world_lands_review
+  ON world_lands(world_id, review_student_id) WHERE is_review_land = true;
+
+COMMENT ON COLUMN world_lands.is_review_land IS
+'Generated spaced-repetition review land. Activities are rebuilt each time the teacher regenerates it.';
@@ -0,0 +1,45 @@
+-- Migration: AI Usage Metering
+-- Every provider call made through services/llm is recorded in
+-- ai_usage_events with what it used and an estimated cost (see
+-- services/llm/pricing.js). Cache hits are recorded too, at no cost.
+-- Calls a student triggers are charged to the teacher who owns the session.
+-- ai_quotas overrides the daily spend limits set by AI_DAILY_LIMIT_TEACHER_USD
+-- and AI_DAILY_LIMIT_SCHOOL_USD.
+
+CREATE TABLE IF NOT EXISTS ai_usage_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  teacher_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  school VARCHAR(255),
+  session_id UUID REFERENCES sessions(id) ON DELETE SET NULL,
+  feature VARCHAR(100) NOT NULL,      -- FEATURES key in services/llm/config.js
+  capability VARCHAR(50) NOT NULL,    -- 'text', 'transcription', 'tts', 'image'
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  images INTEGER DEFAULT 0,
+  audio_seconds NUMERIC(10, 2) DEFAULT 0,   -- speech transcribed or synthesized
+  characters INTEGER DEFAULT 0,             -- text sent to text-to-speech
+  latency_ms INTEGER,
+  cached BOOLEAN DEFAULT false,
+  succeeded BOOLEAN DEFAULT true,
+  cost_usd NUMERIC(12, 6) DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_created ON ai_usage_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_teacher ON ai_usage_events(teacher_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_school ON ai_usage_events(school, created_at);
+
+CREATE TABLE IF NOT EXISTS ai_quotas (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('teacher', 'school')),
+  scope_key VARCHAR(255) NOT NULL,    -- users.id for a teacher, users.school for a school
+  daily_limit_usd NUMERIC(10, 2),     -- NULL = no limit
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (scope, scope_key)
+);
+
+COMMENT ON TABLE ai_quotas IS
+'Per-teacher and per-school daily AI spend limits. A row replaces the default from the environment; a NULL limit removes it.';
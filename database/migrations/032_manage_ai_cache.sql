@@ -0,0 +1,31 @@
+-- Migration: Managed AI Cache
+-- ai_cache entries now expire (expires_at, set from the TTL for their content
+-- type in services/aiCacheService.js), belong to the teacher who generated
+-- them, and record the model and prompt-template version in their key.
+-- Expired entries are evicted by the server every hour.
+-- ai_cache_stats keeps daily hit/miss counts per content type, so hit rates
+-- survive eviction.
+
+ALTER TABLE ai_cache
+  ADD COLUMN IF NOT EXISTS teacher_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS content_type VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS model VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS template_version INTEGER,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Entries from before keys included the model and template version can
+-- never be looked up again
+DELETE FROM ai_cache WHERE expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ai_cache_expires ON ai_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_ai_cache_teacher ON ai_cache(teacher_id);
+CREATE INDEX IF NOT EXISTS idx_ai_cache_last_used ON ai_cache(last_used);
+
+CREATE TABLE IF NOT EXISTS ai_cache_stats (
+  day DATE NOT NULL DEFAULT CURRENT_DATE,
+  content_type VARCHAR(50) NOT NULL,
+  hits INTEGER DEFAULT 0,
+  misses INTEGER DEFAULT 0,     -- not cached, or expired
+  bypasses INTEGER DEFAULT 0,   -- teacher asked to regenerate fresh
+  PRIMARY KEY (day, content_type)
+);
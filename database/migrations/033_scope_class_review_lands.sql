@@ -0,0 +1,18 @@
+-- Migration: Class Review Lands per Class Session
+-- A world can be played by several classes, so a class review land belongs
+-- to the class session (world_sessions.session_id) it was generated for.
+-- Student review lands record their session too.
+
+ALTER TABLE world_lands
+  ADD COLUMN IF NOT EXISTS review_session_id UUID REFERENCES sessions(id) ON DELETE CASCADE;
+
+UPDATE world_lands l
+SET review_session_id = s.session_id
+FROM session_students s
+WHERE l.review_student_id = s.id AND l.review_session_id IS NULL;
+
+-- Class review lands from before this migration cannot be tied to a class;
+-- they stay hidden and are replaced the next time each class generates one
+
+CREATE INDEX IF NOT EXISTS idx_world_lands_review_session
+  ON world_lands(world_id, review_session_id) WHERE is_review_land = true;
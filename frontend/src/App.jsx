@@ -14,6 +14,7 @@ import LibraryBrowser from './pages/LibraryBrowser'
 import LearningWorldsHub from './pages/LearningWorldsHub'
 import LearningWorldPlayer from './pages/LearningWorldPlayer'
 import WorldEditor from './pages/WorldEditor'
+import AdminAIUsage from './pages/AdminAIUsage'
 
 function App() {
   const { user } = useAuthStore()
@@ -67,6 +68,12 @@ function App() {
               element={user ? <LearningWorldPlayer /> : <Navigate to="/login" />}
             />
 
+            {/* Admin routes */}
+            <Route
+              path="/admin/ai-usage"
+              element={user?.role === 'admin' ? <AdminAIUsage /> : <Navigate to={user ? "/dashboard" : "/login"} />}
+            />
+
             {/* Default route */}
             <Route path="/" element={<Navigate to={user ? "/dashboard" : "/login"} />} />
           </Routes>
@@ -4,29 +4,36 @@ import { Spinner } from './LoadingStates'
 
 /**
  * ActivityPreviewModal Component
- * Shows full preview of library activity and allows reuse in sessions
+ * Shows full preview of library activity and allows reuse in sessions.
+ * With `generating`, previews an activity while AI writes it: items appear as
+ * they arrive and the footer offers Cancel instead of reuse.
  */
 
-export default function ActivityPreviewModal({ item, onClose, onReuse }) {
+export default function ActivityPreviewModal({ item, onClose, onReuse, generating = false, onCancel }) {
   const [sessions, setSessions] = useState([])
   const [selectedSession, setSelectedSession] = useState('')
   const [loading, setLoading] = useState(false)
 
   useEffect(() => {
-    loadActiveSessions()
-  }, [])
+    if (!generating) {
+      loadActiveSessions()
+    }
+  }, [generating])
 
   // Handle Escape key
   useEffect(() => {
     const handleEscape = (e) => {
-      if (e.key === 'Escape' && !loading) {
+      if (e.key !== 'Escape') return
+      if (generating) {
+        onCancel?.()
+      } else if (!loading) {
         onClose()
       }
     }
 
     document.addEventListener('keydown', handleEscape)
     return () => document.removeEventListener('keydown', handleEscape)
-  }, [onClose, loading])
+  }, [onClose, onCancel, loading, generating])
 
   async function loadActiveSessions() {
     try {
@@ -53,88 +60,6 @@ export default function ActivityPreviewModal({ item, onClose, onReuse }) {
     }
   }
 
-  function renderContent() {
-    const content = typeof item.content === 'string' ? JSON.parse(item.content) : item.content
-
-    switch (item.type) {
-      case 'reading':
-        return (
-          <div className="prose max-w-none">
-            <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 max-h-96 overflow-y-auto">
-              {content}
-            </div>
-          </div>
-        )
-
-      case 'questions':
-      case 'quiz':
-        const questions = content.questions || content.quiz || []
-        return (
-          <div className="space-y-4">
-            {questions.map((q, index) => (
-              <div key={index} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
-                <p className="font-semibold text-gray-900 mb-3">
-                  {index + 1}. {q.question}
-                </p>
-                {q.options && (
-                  <div className="space-y-2 ml-4">
-                    {q.options.map((option, i) => (
-                      <div
-                        key={i}
-                        className={`p-2 rounded ${
-                          i === q.correct
-                            ? 'bg-green-100 border border-green-300'
-                            : 'bg-white border border-gray-200'
-                        }`}
-                      >
-                        {option}
-                        {i === q.correct && (
-                          <span className="ml-2 text-green-700 text-sm font-medium">✓ Correct</span>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                )}
-                {q.sampleAnswer && (
-                  <div className="mt-3 ml-4">
-                    <p className="text-sm font-medium text-gray-700 mb-1">Sample Answer:</p>
-                    <p className="text-sm text-gray-600 italic">{q.sampleAnswer}</p>
-                  </div>
-                )}
-                {q.explanation && (
-                  <div className="mt-3 ml-4">
-                    <p className="text-sm font-medium text-gray-700 mb-1">Explanation:</p>
-                    <p className="text-sm text-gray-600">{q.explanation}</p>
-                  </div>
-                )}
-              </div>
-            ))}
-          </div>
-        )
-
-      case 'discussion':
-        const prompts = Array.isArray(content) ? content : content.prompts || []
-        return (
-          <div className="space-y-3">
-            {prompts.map((prompt, index) => (
-              <div key={index} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
-                <p className="text-gray-900">{prompt}</p>
-              </div>
-            ))}
-          </div>
-        )
-
-      default:
-        return (
-          <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
-            <pre className="whitespace-pre-wrap text-sm text-gray-700">
-              {JSON.stringify(content, null, 2)}
-            </pre>
-          </div>
-        )
-    }
-  }
-
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
       <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col">
@@ -174,7 +99,7 @@ export default function ActivityPreviewModal({ item, onClose, onReuse }) {
               </div>
             </div>
             <button
-              onClick={onClose}
+              onClick={generating ? onCancel : onClose}
               className="text-gray-400 hover:text-gray-600 transition-colors w-11 h-11 flex items-center justify-center rounded-lg hover:bg-gray-100"
               aria-label="Close"
             >
@@ -187,12 +112,25 @@ export default function ActivityPreviewModal({ item, onClose, onReuse }) {
 
         {/* Content */}
         <div className="flex-1 overflow-y-auto p-6">
-          {renderContent()}
+          <ActivityContentPreview type={item.type} content={item.content} generating={generating} />
         </div>
 
         {/* Footer - Reuse Section */}
         <div className="p-6 border-t border-gray-200 bg-gray-50">
-          {sessions.length === 0 ? (
+          {generating ? (
+            <div className="flex items-center justify-between gap-3">
+              <span className="flex items-center gap-2 text-sm text-gray-600">
+                <Spinner size="small" />
+                {generatingStatus(item.content)}
+              </span>
+              <button
+                onClick={onCancel}
+                className="px-6 py-2.5 border border-gray-300 rounded-lg font-medium text-gray-700 hover:bg-gray-100 transition-colors"
+              >
+                Cancel Generation
+              </button>
+            </div>
+          ) : sessions.length === 0 ? (
             <div className="text-center py-4">
               <p className="text-gray-600 mb-4">No active sessions. Create a session first to use this activity.</p>
               <button
@@ -244,3 +182,133 @@ export default function ActivityPreviewModal({ item, onClose, onReuse }) {
     </div>
   )
 }
+
+/**
+ * Progress line shown while an activity is generating
+ */
+export function generatingStatus(content) {
+  if (typeof content === 'string') {
+    const words = content.trim() ? content.trim().split(/\s+/).length : 0
+    return words > 0 ? `Writing... ${words} words so far` : 'Generating...'
+  }
+
+  const count = Object.values(content || {})
+    .filter(Array.isArray)
+    .reduce((total, list) => total + list.length, 0)
+  return count > 0 ? `Generating... ${count} ${count === 1 ? 'item' : 'items'} so far` : 'Generating...'
+}
+
+/**
+ * Read-only view of an activity's content
+ * While `generating`, content is whatever has arrived so far: plain text for
+ * readings, or the JSON activity with its finished items.
+ */
+export function ActivityContentPreview({ type, content: rawContent, generating = false }) {
+  if (generating && (rawContent === null || rawContent === undefined || rawContent === '')) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12 text-gray-500">
+        <Spinner size="large" />
+        <p className="mt-3 text-sm">Waiting for the first items...</p>
+      </div>
+    )
+  }
+
+  const content = typeof rawContent === 'string' && !generating ? JSON.parse(rawContent) : rawContent
+
+  if (type === 'reading' && typeof content === 'string') {
+    return (
+      <div className="prose max-w-none">
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 max-h-96 overflow-y-auto whitespace-pre-wrap">
+          {content}
+          {generating && <span className="inline-block w-2 h-4 ml-0.5 bg-gray-400 animate-pulse align-middle" />}
+        </div>
+      </div>
+    )
+  }
+
+  switch (type) {
+    case 'questions':
+    case 'quiz':
+    case 'mixed': {
+      // Mixed activities list their multiple choice questions first
+      const questions = type === 'mixed'
+        ? [...(content.quiz || []), ...(content.questions || [])]
+        : content.questions || content.quiz || []
+      return (
+        <div className="space-y-4">
+          {questions.map((q, index) => {
+            const questionText = typeof q === 'string' ? q : q.question
+            // Quizzes from documents mark the answer with a letter
+            const correct = typeof q.correct === 'number' ? q.correct : 'ABCD'.indexOf(q.correctAnswer)
+
+            return (
+              <div key={index} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <p className="font-semibold text-gray-900 mb-3">
+                  {index + 1}. {questionText}
+                </p>
+                {q.options && (
+                  <div className="space-y-2 ml-4">
+                    {q.options.map((option, i) => (
+                      <div
+                        key={i}
+                        className={`p-2 rounded ${
+                          i === correct
+                            ? 'bg-green-100 border border-green-300'
+                            : 'bg-white border border-gray-200'
+                        }`}
+                      >
+                        {option}
+                        {i === correct && (
+                          <span className="ml-2 text-green-700 text-sm font-medium">✓ Correct</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {q.sampleAnswer && (
+                  <div className="mt-3 ml-4">
+                    <p className="text-sm font-medium text-gray-700 mb-1">Sample Answer:</p>
+                    <p className="text-sm text-gray-600 italic">{q.sampleAnswer}</p>
+                  </div>
+                )}
+                {q.explanation && (
+                  <div className="mt-3 ml-4">
+                    <p className="text-sm font-medium text-gray-700 mb-1">Explanation:</p>
+                    <p className="text-sm text-gray-600">{q.explanation}</p>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )
+    }
+
+    case 'discussion': {
+      const prompts = Array.isArray(content) ? content : content.prompts || []
+      return (
+        <div className="space-y-3">
+          {prompts.map((prompt, index) => (
+            <div key={index} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+              <p className="text-gray-900">
+                {typeof prompt === 'string' ? prompt : prompt.question || prompt.prompt}
+              </p>
+              {prompt.context && (
+                <p className="mt-1 text-sm text-gray-600">{prompt.context}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )
+    }
+
+    default:
+      return (
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <pre className="whitespace-pre-wrap text-sm text-gray-700">
+            {JSON.stringify(content, null, 2)}
+          </pre>
+        </div>
+      )
+  }
+}
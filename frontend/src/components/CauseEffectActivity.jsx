@@ -0,0 +1,237 @@
+import { useState, useRef } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * CauseEffectActivity Component
+ * Student view - drag each cause onto the effect it leads to
+ *
+ * Several causes can be linked to the same effect (many-to-one).
+ * On touch devices, tap a cause and then tap an effect.
+ */
+export default function CauseEffectActivity({ activity, studentId, onSubmit }) {
+  const content = activity.content
+  const causes = content.causes || []
+  const effects = content.effects || []
+
+  const [links, setLinks] = useState({}) // causeId -> effectId
+  const [draggedCause, setDraggedCause] = useState(null)
+  const [selectedCause, setSelectedCause] = useState(null)
+  const [hoverTarget, setHoverTarget] = useState(null)
+  const [submitted, setSubmitted] = useState(false)
+  const [result, setResult] = useState(null)
+  const startTime = useRef(Date.now())
+
+  const linkCause = (causeId, effectId) => {
+    setLinks(prev => ({ ...prev, [causeId]: effectId }))
+  }
+
+  const handleDragStart = (e, cause) => {
+    setDraggedCause(cause)
+    e.dataTransfer.effectAllowed = 'move'
+  }
+
+  const handleDragOver = (e) => {
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'move'
+  }
+
+  const handleDrop = (e, effectId) => {
+    e.preventDefault()
+    setHoverTarget(null)
+
+    if (!draggedCause) return
+
+    linkCause(draggedCause.id, effectId)
+    setDraggedCause(null)
+  }
+
+  const handleDragEnd = () => {
+    setDraggedCause(null)
+    setHoverTarget(null)
+  }
+
+  const handleEffectClick = (effectId) => {
+    if (!selectedCause) return
+    linkCause(selectedCause, effectId)
+    setSelectedCause(null)
+  }
+
+  const handleRemoveLink = (causeId) => {
+    setLinks(prev => {
+      const updated = { ...prev }
+      delete updated[causeId]
+      return updated
+    })
+  }
+
+  const handleSubmit = async () => {
+    setSubmitted(true)
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/activities/${activity.id}/cause-effect/submit`,
+        {
+          studentId,
+          links,
+          timeSpent: Math.round((Date.now() - startTime.current) / 1000)
+        }
+      )
+
+      setResult(response.data.response)
+    } catch (error) {
+      console.error('Submit error:', error)
+      setSubmitted(false)
+      alert('Failed to submit. Please try again.')
+    }
+  }
+
+  // Let the student review the correct links before the activity is closed
+  const handleContinue = () => {
+    if (onSubmit) {
+      onSubmit({
+        type: 'cause_effect',
+        links,
+        score: result.score
+      })
+    }
+  }
+
+  const unlinkedCauses = causes.filter(cause => !links[cause.id])
+
+  if (submitted && result) {
+    const isCorrect = result.isCorrect
+
+    return (
+      <div className="card">
+        <div className={`p-6 rounded-lg border-2 ${isCorrect ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+          <h3 className={`text-2xl font-bold ${isCorrect ? 'text-green-900' : 'text-yellow-900'}`}>
+            {isCorrect ? 'All Links Correct!' : 'Good Try!'}
+          </h3>
+          <p className={`text-lg ${isCorrect ? 'text-green-700' : 'text-yellow-700'} mt-1`}>
+            Score: <span className="font-bold">{Math.round(result.score)}%</span>
+          </p>
+          <p className={`text-sm ${isCorrect ? 'text-green-600' : 'text-yellow-600'} mt-1`}>
+            {result.correctLinks} out of {result.totalLinks} links correct
+          </p>
+
+          {!isCorrect && (
+            <div className="mt-4 pt-4 border-t border-yellow-300 space-y-2">
+              <h4 className="font-semibold text-yellow-900 mb-3">Correct Links:</h4>
+              {causes.map(cause => {
+                const correctEffect = effects.find(e => e.id === result.correctAnswers[cause.id])
+                const isLinkCorrect = links[cause.id] === result.correctAnswers[cause.id]
+
+                return (
+                  <div key={cause.id} className={`p-3 rounded ${isLinkCorrect ? 'bg-green-100' : 'bg-red-50'}`}>
+                    <div className="flex items-center gap-3">
+                      <span className="font-medium">{cause.text}</span>
+                      <svg className="w-5 h-5 text-gray-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" />
+                      </svg>
+                      <span className={isLinkCorrect ? 'text-green-700 font-medium' : 'text-gray-700'}>
+                        {correctEffect?.text}
+                      </span>
+                    </div>
+                    {!isLinkCorrect && cause.explanation && (
+                      <p className="text-sm text-gray-600 italic mt-1">{cause.explanation}</p>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+
+        <button onClick={handleContinue} className="btn-primary w-full mt-6">
+          Continue
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{content.title || 'Cause & Effect'}</h2>
+      <p className="text-gray-600 mb-6">{content.instructions || 'Drag each cause onto the effect it leads to'}</p>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* Causes */}
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-3">Causes</h3>
+          <div className="space-y-2 min-h-[100px]">
+            {unlinkedCauses.map(cause => (
+              <div
+                key={cause.id}
+                draggable
+                onDragStart={(e) => handleDragStart(e, cause)}
+                onDragEnd={handleDragEnd}
+                onClick={() => setSelectedCause(selectedCause === cause.id ? null : cause.id)}
+                className={`p-3 bg-white border-2 rounded-lg cursor-move transition-all ${
+                  selectedCause === cause.id ? 'border-blue-500 ring-2 ring-blue-200' : 'border-blue-300 hover:border-blue-400'
+                } ${draggedCause?.id === cause.id ? 'opacity-50' : ''}`}
+              >
+                {cause.text}
+              </div>
+            ))}
+            {unlinkedCauses.length === 0 && (
+              <p className="text-sm text-gray-500 italic p-3">All causes linked</p>
+            )}
+          </div>
+        </div>
+
+        {/* Effects */}
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-3">Effects</h3>
+          <div className="space-y-3">
+            {effects.map(effect => {
+              const linkedCauses = causes.filter(cause => links[cause.id] === effect.id)
+
+              return (
+                <div
+                  key={effect.id}
+                  onDragOver={handleDragOver}
+                  onDragEnter={(e) => { e.preventDefault(); setHoverTarget(effect.id) }}
+                  onDragLeave={() => setHoverTarget(null)}
+                  onDrop={(e) => handleDrop(e, effect.id)}
+                  onClick={() => handleEffectClick(effect.id)}
+                  className={`p-4 rounded-lg border-2 border-dashed transition-all ${
+                    hoverTarget === effect.id ? 'border-orange-500 bg-orange-100' : 'border-orange-300 bg-orange-50'
+                  } ${selectedCause ? 'cursor-pointer' : ''}`}
+                >
+                  <p className="font-medium text-orange-900 mb-2">{effect.text}</p>
+                  <div className="space-y-1">
+                    {linkedCauses.map(cause => (
+                      <div key={cause.id} className="flex items-center justify-between gap-2 p-2 bg-white rounded border border-blue-200 text-sm">
+                        <span>{cause.text}</span>
+                        <button
+                          onClick={(e) => { e.stopPropagation(); handleRemoveLink(cause.id) }}
+                          className="text-gray-400 hover:text-red-600"
+                          aria-label="Remove link"
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                    {linkedCauses.length === 0 && (
+                      <p className="text-xs text-orange-400 italic">Drop causes here</p>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      </div>
+
+      <button
+        onClick={handleSubmit}
+        disabled={unlinkedCauses.length > 0 || submitted}
+        className="btn-primary w-full mt-6 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitted ? 'Submitting...' : unlinkedCauses.length > 0 ? `Link all causes to submit (${unlinkedCauses.length} left)` : 'Submit'}
+      </button>
+    </div>
+  )
+}
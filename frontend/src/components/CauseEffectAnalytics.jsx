@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react'
+import api from '../services/api'
+
+/**
+ * CauseEffectAnalytics Component
+ * Teacher view - class accuracy per cause and the most common wrong links
+ */
+export default function CauseEffectAnalytics({ activityId }) {
+  const [analytics, setAnalytics] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const loadAnalytics = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get(`/activities/${activityId}/cause-effect/analytics`)
+      setAnalytics(response.data)
+    } catch (error) {
+      console.error('Failed to load cause & effect analytics:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadAnalytics()
+  }, [activityId])
+
+  if (loading && !analytics) {
+    return <div className="text-sm text-gray-500">Loading results...</div>
+  }
+
+  if (!analytics) return null
+
+  return (
+    <div className="mt-4 p-4 bg-white border-2 border-orange-200 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-900">Class Results</h4>
+        <button
+          onClick={loadAnalytics}
+          className="text-sm text-blue-600 hover:text-blue-700"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {analytics.totalResponses === 0 ? (
+        <p className="text-sm text-gray-500 italic">No submissions yet</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-3 mb-4 text-center">
+            <div className="p-2 bg-gray-50 rounded">
+              <div className="text-xl font-bold text-gray-900">{analytics.totalResponses}</div>
+              <div className="text-xs text-gray-500">Submissions</div>
+            </div>
+            <div className="p-2 bg-gray-50 rounded">
+              <div className="text-xl font-bold text-gray-900">{Math.round(analytics.averageScore)}%</div>
+              <div className="text-xs text-gray-500">Average Score</div>
+            </div>
+            <div className="p-2 bg-gray-50 rounded">
+              <div className="text-xl font-bold text-gray-900">{analytics.correctResponses}</div>
+              <div className="text-xs text-gray-500">All Links Correct</div>
+            </div>
+          </div>
+
+          <h5 className="text-sm font-semibold text-gray-700 mb-2">Most Common Wrong Links</h5>
+          {analytics.commonWrongLinks.length === 0 ? (
+            <p className="text-sm text-green-700 mb-4">No wrong links so far</p>
+          ) : (
+            <div className="space-y-2 mb-4">
+              {analytics.commonWrongLinks.slice(0, 5).map(link => (
+                <div key={`${link.causeId}:${link.effectId}`} className="p-2 bg-red-50 border border-red-100 rounded text-sm">
+                  <div className="flex items-center justify-between gap-2">
+                    <span>
+                      <span className="font-medium">{link.causeText}</span>
+                      <span className="text-gray-400 mx-2">→</span>
+                      <span className="text-red-700">{link.effectText}</span>
+                    </span>
+                    <span className="flex-shrink-0 text-xs font-semibold text-red-700">
+                      {link.count} ({link.percentage}%)
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">Correct: {link.correctEffectText}</div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <h5 className="text-sm font-semibold text-gray-700 mb-2">Accuracy by Cause</h5>
+          <div className="space-y-1">
+            {analytics.causeStats.map(stat => (
+              <div key={stat.causeId} className="flex items-center gap-2 text-sm">
+                <span className="flex-1 truncate">{stat.causeText}</span>
+                <div className="w-24 h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full ${stat.accuracy >= 70 ? 'bg-green-500' : stat.accuracy >= 40 ? 'bg-yellow-500' : 'bg-red-500'}`}
+                    style={{ width: `${stat.accuracy || 0}%` }}
+                  />
+                </div>
+                <span className="w-10 text-right text-xs text-gray-600">
+                  {stat.accuracy !== null ? `${stat.accuracy}%` : '-'}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
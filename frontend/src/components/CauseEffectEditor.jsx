@@ -0,0 +1,260 @@
+import { useState } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
+
+/**
+ * CauseEffectEditor Component
+ * Editor for cause & effect activities - each cause links to one effect
+ */
+export default function CauseEffectEditor({ activity, onClose, onSaved }) {
+  const toast = useToast()
+
+  const [title, setTitle] = useState(activity.content?.title || '')
+  const [instructions, setInstructions] = useState(activity.content?.instructions || '')
+  const [effects, setEffects] = useState(activity.content?.effects || [])
+  const [causes, setCauses] = useState(activity.content?.causes || [])
+  const [saving, setSaving] = useState(false)
+
+  // Generate an id that isn't already used in the list
+  const nextId = (prefix, list) => {
+    let n = list.length + 1
+    while (list.some(entry => entry.id === `${prefix}${n}`)) n++
+    return `${prefix}${n}`
+  }
+
+  const handleEffectChange = (index, value) => {
+    const updated = [...effects]
+    updated[index] = { ...updated[index], text: value }
+    setEffects(updated)
+  }
+
+  const addEffect = () => {
+    setEffects([...effects, { id: nextId('e', effects), text: '' }])
+  }
+
+  const removeEffect = (index) => {
+    const removedId = effects[index].id
+    setEffects(effects.filter((_, i) => i !== index))
+    // Unlink causes that pointed at the removed effect
+    setCauses(causes.map(c => c.effectId === removedId ? { ...c, effectId: '' } : c))
+  }
+
+  const handleCauseChange = (index, field, value) => {
+    const updated = [...causes]
+    updated[index] = { ...updated[index], [field]: value }
+    setCauses(updated)
+  }
+
+  const addCause = () => {
+    setCauses([...causes, { id: nextId('c', causes), text: '', effectId: effects[0]?.id || '', explanation: '' }])
+  }
+
+  const removeCause = (index) => {
+    setCauses(causes.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async () => {
+    if (causes.some(c => !c.effectId)) {
+      toast.error('Error', 'Every cause must be linked to an effect')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updatedContent = {
+        ...activity.content,
+        title,
+        instructions,
+        effects,
+        causes
+      }
+
+      const response = await api.put(`/activities/${activity.id}/content`, {
+        content: updatedContent
+      })
+
+      toast.success('Success', 'Cause & effect activity updated successfully!')
+
+      if (onSaved) {
+        onSaved(response.data.activity)
+      }
+
+      onClose()
+    } catch (error) {
+      console.error('Save error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update activity')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="cause-effect-editor-title"
+    >
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col max-w-full sm:max-w-4xl">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="cause-effect-editor-title" className="text-xl font-bold text-gray-900">Edit Cause & Effect</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {causes.length} cause{causes.length !== 1 ? 's' : ''} → {effects.length} effect{effects.length !== 1 ? 's' : ''}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close cause and effect editor"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="flex-1 p-6 overflow-y-auto space-y-6">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Instructions</label>
+              <input
+                type="text"
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Drag each cause onto the effect it leads to"
+              />
+            </div>
+          </div>
+
+          {/* Effects */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Effects</h3>
+            <div className="space-y-2">
+              {effects.map((effect, index) => (
+                <div key={effect.id} className="flex items-center gap-3">
+                  <span className="w-8 text-sm font-medium text-orange-700">{index + 1}.</span>
+                  <input
+                    type="text"
+                    value={effect.text}
+                    onChange={(e) => handleEffectChange(index, e.target.value)}
+                    className="flex-1 p-2 border border-orange-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-orange-400 focus:border-transparent"
+                    placeholder="Effect"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeEffect(index)}
+                    className="text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium"
+                    aria-label={`Remove effect ${index + 1}`}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={addEffect}
+              className="mt-2 text-sm font-medium text-orange-700 hover:text-orange-800"
+            >
+              + Add Effect
+            </button>
+          </div>
+
+          {/* Causes */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Causes</h3>
+            <div className="space-y-3">
+              {causes.map((cause, index) => (
+                <div key={cause.id} className="p-4 border-2 border-blue-100 rounded-lg bg-white shadow-sm">
+                  <div className="flex items-center gap-3 mb-2">
+                    <input
+                      type="text"
+                      value={cause.text}
+                      onChange={(e) => handleCauseChange(index, 'text', e.target.value)}
+                      className="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Cause"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeCause(index)}
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium"
+                      aria-label={`Remove cause ${index + 1}`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-2 mb-2">
+                    <span className="text-xs font-medium text-gray-600">Leads to:</span>
+                    <select
+                      value={cause.effectId || ''}
+                      onChange={(e) => handleCauseChange(index, 'effectId', e.target.value)}
+                      className={`flex-1 p-2 border rounded-lg text-sm ${cause.effectId ? 'border-gray-300' : 'border-red-400'}`}
+                    >
+                      <option value="">Select an effect...</option>
+                      {effects.map((effect, i) => (
+                        <option key={effect.id} value={effect.id}>
+                          {i + 1}. {effect.text || '(empty effect)'}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <input
+                    type="text"
+                    value={cause.explanation || ''}
+                    onChange={(e) => handleCauseChange(index, 'explanation', e.target.value)}
+                    className="w-full p-2 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Explanation shown to students who link this cause incorrectly (optional)"
+                  />
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={addCause}
+              disabled={effects.length === 0}
+              className="w-full mt-3 p-4 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 hover:bg-blue-50 transition-all font-medium disabled:opacity-50"
+            >
+              + Add Cause
+            </button>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || causes.length === 0 || effects.length === 0}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors flex items-center justify-center gap-2 shadow-sm"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
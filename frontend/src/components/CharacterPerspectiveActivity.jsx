@@ -0,0 +1,191 @@
+import { useState, useRef } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * CharacterPerspectiveActivity Component
+ * Student view - decide whose viewpoint each passage shows and justify it
+ * Justifications are scored against the teacher's rubric after submitting.
+ */
+export default function CharacterPerspectiveActivity({ activity, studentId, onSubmit }) {
+  const content = activity.content
+  const questions = content.questions || []
+  const rubric = content.rubric || []
+
+  const [answers, setAnswers] = useState({}) // questionId -> { selected, justification }
+  const [submitted, setSubmitted] = useState(false)
+  const [result, setResult] = useState(null)
+  const startTime = useRef(Date.now())
+
+  const updateAnswer = (questionId, field, value) => {
+    setAnswers(prev => ({
+      ...prev,
+      [questionId]: { ...prev[questionId], [field]: value }
+    }))
+  }
+
+  const isAnswered = (q) => Number.isInteger(answers[q.id]?.selected) && answers[q.id]?.justification?.trim()
+  const allAnswered = questions.every(isAnswered)
+
+  const handleSubmit = async () => {
+    setSubmitted(true)
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/activities/${activity.id}/character-perspective/submit`,
+        {
+          studentId,
+          answers,
+          timeSpent: Math.round((Date.now() - startTime.current) / 1000)
+        }
+      )
+
+      setResult(response.data.response)
+    } catch (error) {
+      console.error('Submit error:', error)
+      setSubmitted(false)
+      alert('Failed to submit. Please try again.')
+    }
+  }
+
+  // Let the student read their feedback before the activity is closed
+  const handleContinue = () => {
+    if (onSubmit) {
+      onSubmit({
+        type: activity.type,
+        answers,
+        score: result.score
+      })
+    }
+  }
+
+  if (submitted && result) {
+    return (
+      <div className="card">
+        <div className="p-6 rounded-lg border-2 bg-violet-50 border-violet-200">
+          <h3 className="text-2xl font-bold text-violet-900">Perspectives Submitted!</h3>
+          <p className="text-lg text-violet-700 mt-1">
+            {result.score === null
+              ? 'Rubric score: awaiting teacher review'
+              : <>Rubric score: <span className="font-bold">{result.score}%</span></>}
+          </p>
+          {result.score !== null && result.pendingReview > 0 && (
+            <p className="text-sm text-violet-600 mt-1">
+              {result.pendingReview} explanation{result.pendingReview !== 1 ? 's' : ''} will be scored by your teacher
+            </p>
+          )}
+          <p className="text-sm text-violet-600 mt-1">
+            {result.results.filter(r => r.identifiedCorrectly).length} out of {questions.length} perspectives identified correctly
+          </p>
+        </div>
+
+        <div className="mt-6 space-y-4">
+          {questions.map((q, index) => {
+            const r = result.results.find(item => item.questionId === q.id)
+            if (!r) return null
+            const score = r.rubricScore
+
+            return (
+              <div key={q.id} className="p-4 rounded-lg border border-gray-200">
+                <p className="text-sm text-gray-700 italic">{index + 1}. {q.passage}</p>
+                <p className={`text-sm font-medium mt-2 ${r.identifiedCorrectly ? 'text-green-700' : 'text-red-700'}`}>
+                  {r.identifiedCorrectly
+                    ? `✓ ${q.options[q.correct]}`
+                    : `You chose: ${q.options[r.selectedAnswer] || '—'} • Correct: ${q.options[q.correct]}`}
+                </p>
+                <p className="text-sm text-gray-900 mt-2">"{r.justification}"</p>
+
+                {score.points !== null && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {score.criteria.map(c => (
+                      <span key={c.id} className="px-2 py-1 rounded bg-gray-100 text-xs text-gray-700">
+                        {c.label}: <span className="font-semibold">{c.points}/{c.maxPoints}</span>
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {score.feedback && (
+                  <p className="text-sm text-violet-800 bg-violet-50 rounded p-2 mt-2">{score.feedback}</p>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        <button onClick={handleContinue} className="btn-primary w-full mt-6">
+          Continue
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{content.title || 'Character Perspective'}</h2>
+      <p className="text-gray-600 mb-4">
+        {content.instructions || 'Decide whose perspective each passage shows, then explain how you know in a sentence or two'}
+      </p>
+
+      {/* What the justification is scored on */}
+      {rubric.length > 0 && (
+        <div className="mb-6 p-3 bg-violet-50 border border-violet-200 rounded-lg">
+          <p className="text-xs font-semibold text-violet-900 mb-1">Your explanation is scored on:</p>
+          <ul className="text-xs text-violet-800 space-y-0.5">
+            {rubric.map(c => (
+              <li key={c.id}>• {c.label} ({c.maxPoints} pt{c.maxPoints !== 1 ? 's' : ''}){c.description ? ` - ${c.description}` : ''}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {questions.map((q, index) => (
+          <div key={q.id} className="p-4 rounded-lg border-2 border-gray-200">
+            <p className="text-gray-900 leading-relaxed">
+              <span className="font-semibold text-gray-500 mr-1">{index + 1}.</span>
+              {q.passage}
+            </p>
+
+            <p className="text-sm font-medium text-gray-700 mt-4 mb-2">{q.question || 'Whose perspective does this passage show?'}</p>
+            <div className="flex flex-wrap gap-2">
+              {q.options.map((option, optIndex) => (
+                <button
+                  key={optIndex}
+                  type="button"
+                  onClick={() => updateAnswer(q.id, 'selected', optIndex)}
+                  disabled={submitted}
+                  className={`px-4 py-2 rounded-lg border-2 text-sm font-medium transition-colors ${
+                    answers[q.id]?.selected === optIndex
+                      ? 'border-violet-500 bg-violet-100 text-violet-900'
+                      : 'border-gray-200 text-gray-700 hover:border-violet-300'
+                  }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+
+            <textarea
+              value={answers[q.id]?.justification || ''}
+              onChange={(e) => updateAnswer(q.id, 'justification', e.target.value)}
+              disabled={submitted}
+              maxLength={1000}
+              rows="2"
+              className="w-full mt-3 p-3 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent"
+              placeholder="How can you tell? Point to words or details in the passage."
+            />
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={handleSubmit}
+        disabled={!allAnswered || submitted}
+        className="btn-primary w-full mt-6 disabled:opacity-50"
+      >
+        {submitted ? 'Scoring your answers...' : 'Submit'}
+      </button>
+    </div>
+  )
+}
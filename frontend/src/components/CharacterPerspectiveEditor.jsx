@@ -0,0 +1,303 @@
+import { useState } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
+
+/**
+ * CharacterPerspectiveEditor Component
+ * Editor for character perspective activities - the passages, whose viewpoint
+ * each one shows, and the rubric the AI scores justifications against
+ */
+export default function CharacterPerspectiveEditor({ activity, onClose, onSaved }) {
+  const toast = useToast()
+
+  const [title, setTitle] = useState(activity.content?.title || '')
+  const [instructions, setInstructions] = useState(activity.content?.instructions || '')
+  const [rubric, setRubric] = useState(activity.content?.rubric || [])
+  const [questions, setQuestions] = useState(activity.content?.questions || [])
+  const [saving, setSaving] = useState(false)
+
+  const maxPoints = rubric.reduce((sum, c) => sum + (parseInt(c.maxPoints) || 0), 0)
+
+  const handleCriterionChange = (index, field, value) => {
+    const updated = [...rubric]
+    updated[index] = { ...updated[index], [field]: value }
+    setRubric(updated)
+  }
+
+  const addCriterion = () => {
+    let n = rubric.length + 1
+    while (rubric.some(c => c.id === `c${n}`)) n++
+    setRubric([...rubric, { id: `c${n}`, label: '', description: '', maxPoints: 1 }])
+  }
+
+  const removeCriterion = (index) => {
+    setRubric(rubric.filter((_, i) => i !== index))
+  }
+
+  const handleQuestionChange = (index, field, value) => {
+    const updated = [...questions]
+    updated[index] = { ...updated[index], [field]: value }
+    setQuestions(updated)
+  }
+
+  const handleOptionChange = (qIndex, optIndex, value) => {
+    const updated = [...questions]
+    const options = [...updated[qIndex].options]
+    options[optIndex] = value
+    updated[qIndex] = { ...updated[qIndex], options }
+    setQuestions(updated)
+  }
+
+  const addQuestion = () => {
+    let n = questions.length + 1
+    while (questions.some(q => q.id === `cp${n}`)) n++
+    // Passages usually share the same cast of characters
+    const characters = questions[questions.length - 1]?.options || ['', '', '']
+    setQuestions([...questions, {
+      id: `cp${n}`,
+      passage: '',
+      question: 'Whose perspective does this passage show?',
+      options: [...characters],
+      correct: 0,
+      lookFor: ''
+    }])
+  }
+
+  const removeQuestion = (index) => {
+    setQuestions(questions.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async () => {
+    if (rubric.length === 0 || rubric.some(c => !c.label.trim() || !(parseInt(c.maxPoints) > 0))) {
+      toast.error('Error', 'Every rubric criterion needs a name and at least 1 point')
+      return
+    }
+
+    if (questions.some(q => !q.passage.trim() || q.options.some(o => !o.trim()))) {
+      toast.error('Error', 'Fill in every passage and character')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updatedContent = {
+        ...activity.content,
+        title,
+        instructions,
+        rubric: rubric.map(c => ({ ...c, maxPoints: parseInt(c.maxPoints) })),
+        questions
+      }
+
+      const response = await api.put(`/activities/${activity.id}/content`, {
+        content: updatedContent
+      })
+
+      toast.success('Success', 'Character perspective updated successfully!')
+
+      if (onSaved) {
+        onSaved(response.data.activity)
+      }
+
+      onClose()
+    } catch (error) {
+      console.error('Save error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update activity')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="perspective-editor-title"
+    >
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col max-w-full sm:max-w-4xl">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="perspective-editor-title" className="text-xl font-bold text-gray-900">Edit Character Perspective</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {questions.length} passage{questions.length !== 1 ? 's' : ''} • rubric out of {maxPoints} point{maxPoints !== 1 ? 's' : ''}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close character perspective editor"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="flex-1 p-6 overflow-y-auto space-y-6">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Instructions</label>
+              <input
+                type="text"
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+
+          {/* Rubric */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-1">Justification Rubric</h3>
+            <p className="text-xs text-gray-500 mb-2">The AI scores each student explanation against these criteria. You can override any score from the student's details.</p>
+            <div className="space-y-2">
+              {rubric.map((criterion, index) => (
+                <div key={criterion.id} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={criterion.label}
+                    onChange={(e) => handleCriterionChange(index, 'label', e.target.value)}
+                    className="w-1/4 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Criterion"
+                  />
+                  <input
+                    type="text"
+                    value={criterion.description || ''}
+                    onChange={(e) => handleCriterionChange(index, 'description', e.target.value)}
+                    className="flex-1 p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="What earns full points"
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    max="10"
+                    value={criterion.maxPoints}
+                    onChange={(e) => handleCriterionChange(index, 'maxPoints', e.target.value)}
+                    className="w-16 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    aria-label={`Points for criterion ${index + 1}`}
+                  />
+                  <span className="text-xs text-gray-500">pts</span>
+                  <button
+                    type="button"
+                    onClick={() => removeCriterion(index)}
+                    disabled={rubric.length <= 1}
+                    className="text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium disabled:opacity-40"
+                    aria-label={`Remove criterion ${index + 1}`}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={addCriterion}
+                className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+              >
+                + Add Criterion
+              </button>
+            </div>
+          </div>
+
+          {/* Passages */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Passages</h3>
+            <div className="space-y-3">
+              {questions.map((q, index) => (
+                <div key={q.id} className="p-4 border-2 border-gray-200 rounded-lg bg-white shadow-sm">
+                  <div className="flex items-start gap-2 mb-2">
+                    <span className="text-sm font-semibold text-gray-500 mt-2">{index + 1}.</span>
+                    <textarea
+                      value={q.passage}
+                      onChange={(e) => handleQuestionChange(index, 'passage', e.target.value)}
+                      className="flex-1 p-2 border border-gray-300 rounded-lg text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      rows="3"
+                      placeholder="Passage told from one character's point of view"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeQuestion(index)}
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium"
+                      aria-label={`Remove passage ${index + 1}`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-2">
+                    {q.options.map((option, optIndex) => (
+                      <div key={optIndex} className="flex items-center gap-2">
+                        <input
+                          type="radio"
+                          name={`correct-${q.id}`}
+                          checked={q.correct === optIndex}
+                          onChange={() => handleQuestionChange(index, 'correct', optIndex)}
+                          aria-label={`Mark character ${optIndex + 1} as the narrator`}
+                        />
+                        <input
+                          type="text"
+                          value={option}
+                          onChange={(e) => handleOptionChange(index, optIndex, e.target.value)}
+                          className={`flex-1 p-2 border rounded-lg text-sm ${q.correct === optIndex ? 'border-green-400 bg-green-50' : 'border-gray-300'}`}
+                          placeholder="Character"
+                        />
+                      </div>
+                    ))}
+                  </div>
+
+                  <input
+                    type="text"
+                    value={q.lookFor || ''}
+                    onChange={(e) => handleQuestionChange(index, 'lookFor', e.target.value)}
+                    className="w-full mt-2 p-2 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Clues a strong justification points to (used when scoring)"
+                  />
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={addQuestion}
+              className="w-full mt-3 p-4 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 hover:bg-blue-50 transition-all font-medium"
+            >
+              + Add Passage
+            </button>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || questions.length === 0}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors flex items-center justify-center gap-2 shadow-sm"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
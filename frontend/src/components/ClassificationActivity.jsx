@@ -0,0 +1,232 @@
+import { useState, useRef } from 'react'
+import axios from 'axios'
+import { CLASSIFICATION_TYPES, bucketColor, bucketLabel } from '../utils/classification'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * ClassificationActivity Component
+ * Student view - sort statements into labelled buckets
+ * Used by every classification type (Fact vs. Opinion, Perspective Sort, ...)
+ *
+ * Drag a statement into a bucket, or tap a statement and then tap a bucket.
+ */
+export default function ClassificationActivity({ activity, studentId, onSubmit }) {
+  const content = activity.content
+  const config = CLASSIFICATION_TYPES[activity.type] || {}
+  const buckets = content.buckets || []
+  const statements = content.statements || []
+
+  const [placements, setPlacements] = useState({}) // statementId -> bucketId
+  const [draggedStatement, setDraggedStatement] = useState(null)
+  const [selectedStatement, setSelectedStatement] = useState(null)
+  const [hoverBucket, setHoverBucket] = useState(null)
+  const [submitted, setSubmitted] = useState(false)
+  const [result, setResult] = useState(null)
+  const startTime = useRef(Date.now())
+
+  const placeStatement = (statementId, bucketId) => {
+    setPlacements(prev => ({ ...prev, [statementId]: bucketId }))
+  }
+
+  const removePlacement = (statementId) => {
+    setPlacements(prev => {
+      const updated = { ...prev }
+      delete updated[statementId]
+      return updated
+    })
+  }
+
+  const handleDrop = (e, bucketId) => {
+    e.preventDefault()
+    setHoverBucket(null)
+    if (!draggedStatement) return
+    placeStatement(draggedStatement, bucketId)
+    setDraggedStatement(null)
+  }
+
+  const handleBucketClick = (bucketId) => {
+    if (!selectedStatement) return
+    placeStatement(selectedStatement, bucketId)
+    setSelectedStatement(null)
+  }
+
+  const handleSubmit = async () => {
+    setSubmitted(true)
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/activities/${activity.id}/classification/submit`,
+        {
+          studentId,
+          placements,
+          timeSpent: Math.round((Date.now() - startTime.current) / 1000)
+        }
+      )
+
+      setResult(response.data.response)
+    } catch (error) {
+      console.error('Submit error:', error)
+      setSubmitted(false)
+      alert('Failed to submit. Please try again.')
+    }
+  }
+
+  // Let the student review the correct buckets before the activity is closed
+  const handleContinue = () => {
+    if (onSubmit) {
+      onSubmit({
+        type: activity.type,
+        placements,
+        score: result.score
+      })
+    }
+  }
+
+  const unplacedStatements = statements.filter(s => !placements[s.id])
+
+  if (submitted && result) {
+    const isCorrect = result.isCorrect
+    const resultById = Object.fromEntries(result.statements.map(r => [r.id, r]))
+
+    return (
+      <div className="card">
+        <div className={`p-6 rounded-lg border-2 ${isCorrect ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+          <h3 className={`text-2xl font-bold ${isCorrect ? 'text-green-900' : 'text-yellow-900'}`}>
+            {isCorrect ? 'Perfectly Sorted!' : 'Good Try!'}
+          </h3>
+          <p className={`text-lg ${isCorrect ? 'text-green-700' : 'text-yellow-700'} mt-1`}>
+            Score: <span className="font-bold">{Math.round(result.score)}%</span>
+          </p>
+          <p className={`text-sm ${isCorrect ? 'text-green-600' : 'text-yellow-600'} mt-1`}>
+            {result.correctCount} out of {result.totalStatements} statements sorted correctly
+          </p>
+        </div>
+
+        <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-2">
+          {result.bucketResults.map(r => (
+            <div key={r.bucket} className="p-2 bg-gray-50 rounded border text-center">
+              <div className="text-xs text-gray-600">{bucketLabel(buckets, r.bucket)}</div>
+              <div className="text-lg font-bold text-gray-900">{r.correct}/{r.expected}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-6 space-y-2">
+          {statements.map(statement => {
+            const r = resultById[statement.id]
+            return (
+              <div key={statement.id} className={`p-3 rounded ${r?.isCorrect ? 'bg-green-50' : 'bg-red-50'}`}>
+                <p className="font-medium text-gray-900">{statement.text}</p>
+                <p className="text-sm text-gray-600 mt-1">
+                  {r?.isCorrect
+                    ? bucketLabel(buckets, r.correctBucket)
+                    : `You chose: ${bucketLabel(buckets, r?.placedBucket)} • Correct: ${bucketLabel(buckets, r?.correctBucket)}`}
+                </p>
+                {!r?.isCorrect && statement.explanation && (
+                  <p className="text-sm text-gray-600 italic mt-1">{statement.explanation}</p>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        <button onClick={handleContinue} className="btn-primary w-full mt-6">
+          Continue
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{content.title || config.label || 'Sort the Statements'}</h2>
+      <p className="text-gray-600 mb-6">{content.instructions || config.instructions || 'Sort each statement into the right category'}</p>
+
+      {/* Statements waiting to be sorted */}
+      {unplacedStatements.length > 0 && (
+        <div className="mb-6">
+          <h3 className="font-semibold text-gray-700 mb-3">Statements</h3>
+          <div className="grid md:grid-cols-2 gap-2">
+            {unplacedStatements.map(statement => {
+              const isSelected = selectedStatement === statement.id
+              return (
+                <div
+                  key={statement.id}
+                  draggable
+                  onDragStart={(e) => { setDraggedStatement(statement.id); e.dataTransfer.effectAllowed = 'move' }}
+                  onDragEnd={() => { setDraggedStatement(null); setHoverBucket(null) }}
+                  onClick={() => setSelectedStatement(isSelected ? null : statement.id)}
+                  className={`p-3 bg-white border-2 rounded-lg cursor-move transition-all text-gray-900 ${
+                    isSelected ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200 hover:border-blue-400'
+                  } ${draggedStatement === statement.id ? 'opacity-50' : ''}`}
+                >
+                  {statement.text}
+                </div>
+              )
+            })}
+          </div>
+          {selectedStatement && (
+            <p className="text-sm text-blue-700 mt-2">Tap a category to sort the selected statement</p>
+          )}
+        </div>
+      )}
+
+      {/* Buckets */}
+      <div className={`grid gap-4 ${buckets.length > 2 ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+        {buckets.map(bucket => {
+          const color = bucketColor(buckets, bucket.id)
+          const inBucket = statements.filter(s => placements[s.id] === bucket.id)
+          return (
+            <div
+              key={bucket.id}
+              onDragOver={(e) => { e.preventDefault(); setHoverBucket(bucket.id) }}
+              onDragLeave={() => setHoverBucket(null)}
+              onDrop={(e) => handleDrop(e, bucket.id)}
+              onClick={() => handleBucketClick(bucket.id)}
+              className={`rounded-lg border-2 min-h-[10rem] transition-all ${color.border} ${color.bg} ${
+                hoverBucket === bucket.id ? 'ring-4 ring-blue-200' : ''
+              } ${selectedStatement ? 'cursor-pointer' : ''}`}
+            >
+              <div className={`px-3 py-2 rounded-t-md ${color.header}`}>
+                <div className="font-semibold">{bucket.label}</div>
+                {bucket.description && <div className="text-xs opacity-80">{bucket.description}</div>}
+              </div>
+              <div className="p-2 space-y-2">
+                {inBucket.map(statement => (
+                  <div
+                    key={statement.id}
+                    draggable
+                    onDragStart={(e) => { setDraggedStatement(statement.id); e.dataTransfer.effectAllowed = 'move' }}
+                    onDragEnd={() => { setDraggedStatement(null); setHoverBucket(null) }}
+                    className="p-2 bg-white border border-gray-200 rounded text-sm text-gray-900 cursor-move flex items-start gap-2"
+                  >
+                    <span className="flex-1">{statement.text}</span>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); removePlacement(statement.id) }}
+                      className="text-xs text-red-600 hover:text-red-700"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      <button
+        onClick={handleSubmit}
+        disabled={unplacedStatements.length > 0 || submitted}
+        className="btn-primary w-full mt-6 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitted
+          ? 'Submitting...'
+          : unplacedStatements.length > 0
+            ? `Sort all statements to submit (${unplacedStatements.length} left)`
+            : 'Submit'}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,293 @@
+import { useState } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
+import { CLASSIFICATION_TYPES, bucketColor } from '../utils/classification'
+
+/**
+ * ClassificationEditor Component
+ * Editor for classification activities - the buckets (when the type allows it)
+ * and which bucket each statement belongs to
+ */
+export default function ClassificationEditor({ activity, onClose, onSaved }) {
+  const toast = useToast()
+  const config = CLASSIFICATION_TYPES[activity.type] || {}
+  const fixedBuckets = !!config.buckets
+
+  const [title, setTitle] = useState(activity.content?.title || '')
+  const [instructions, setInstructions] = useState(activity.content?.instructions || config.instructions || '')
+  const [buckets, setBuckets] = useState(activity.content?.buckets || config.buckets || [])
+  const [statements, setStatements] = useState(activity.content?.statements || [])
+  const [saving, setSaving] = useState(false)
+
+  const handleBucketChange = (index, field, value) => {
+    const updated = [...buckets]
+    updated[index] = { ...updated[index], [field]: value }
+    setBuckets(updated)
+  }
+
+  const addBucket = () => {
+    let n = buckets.length + 1
+    while (buckets.some(b => b.id === `b${n}`)) n++
+    setBuckets([...buckets, { id: `b${n}`, label: '', description: '' }])
+  }
+
+  const removeBucket = (index) => {
+    const removedId = buckets[index].id
+    setBuckets(buckets.filter((_, i) => i !== index))
+    // Statements in the removed bucket must be re-sorted
+    setStatements(statements.map(s => s.bucket === removedId ? { ...s, bucket: '' } : s))
+  }
+
+  const handleStatementChange = (index, field, value) => {
+    const updated = [...statements]
+    updated[index] = { ...updated[index], [field]: value }
+    setStatements(updated)
+  }
+
+  const addStatement = () => {
+    let n = statements.length + 1
+    while (statements.some(s => s.id === `s${n}`)) n++
+    setStatements([...statements, { id: `s${n}`, text: '', bucket: '', explanation: '' }])
+  }
+
+  const removeStatement = (index) => {
+    setStatements(statements.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async () => {
+    if (buckets.some(b => !b.label.trim())) {
+      toast.error('Error', 'Every category needs a name')
+      return
+    }
+
+    if (statements.some(s => !s.text.trim())) {
+      toast.error('Error', 'Every statement needs text')
+      return
+    }
+
+    if (statements.some(s => !buckets.some(b => b.id === s.bucket))) {
+      toast.error('Error', 'Every statement must be assigned to a category')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updatedContent = {
+        ...activity.content,
+        title,
+        instructions,
+        buckets,
+        statements
+      }
+
+      const response = await api.put(`/activities/${activity.id}/content`, {
+        content: updatedContent
+      })
+
+      toast.success('Success', `${config.label || 'Activity'} updated successfully!`)
+
+      if (onSaved) {
+        onSaved(response.data.activity)
+      }
+
+      onClose()
+    } catch (error) {
+      console.error('Save error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update activity')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="classification-editor-title"
+    >
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col max-w-full sm:max-w-4xl">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="classification-editor-title" className="text-xl font-bold text-gray-900">Edit {config.label || 'Sorting Activity'}</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {buckets.length} categories • {statements.length} statement{statements.length !== 1 ? 's' : ''}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close editor"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="flex-1 p-6 overflow-y-auto space-y-6">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Instructions</label>
+              <input
+                type="text"
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+
+          {/* Buckets */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Categories</h3>
+            {fixedBuckets ? (
+              <div className="flex flex-wrap gap-2">
+                {buckets.map(bucket => (
+                  <span key={bucket.id} className={`px-3 py-1 rounded-full text-sm font-medium ${bucketColor(buckets, bucket.id).header}`}>
+                    {bucket.label}
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {buckets.map((bucket, index) => (
+                  <div key={bucket.id} className="flex items-center gap-2">
+                    <span className={`w-3 h-3 rounded-full flex-shrink-0 ${bucketColor(buckets, bucket.id).bar}`} />
+                    <input
+                      type="text"
+                      value={bucket.label}
+                      onChange={(e) => handleBucketChange(index, 'label', e.target.value)}
+                      className="w-1/3 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Perspective name"
+                    />
+                    <input
+                      type="text"
+                      value={bucket.description || ''}
+                      onChange={(e) => handleBucketChange(index, 'description', e.target.value)}
+                      className="flex-1 p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Who they are (optional)"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeBucket(index)}
+                      disabled={buckets.length <= config.minBuckets}
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium disabled:opacity-40"
+                      aria-label={`Remove category ${index + 1}`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                {buckets.length < config.maxBuckets && (
+                  <button
+                    type="button"
+                    onClick={addBucket}
+                    className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+                  >
+                    + Add Category
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Statements */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Statements</h3>
+            <div className="space-y-3">
+              {statements.map((statement, index) => (
+                <div key={statement.id} className="p-4 border-2 border-gray-200 rounded-lg bg-white shadow-sm">
+                  <div className="flex items-start gap-2">
+                    <span className="text-sm font-semibold text-gray-500 mt-2">{index + 1}.</span>
+                    <div className="flex-1 space-y-2">
+                      <input
+                        type="text"
+                        value={statement.text}
+                        onChange={(e) => handleStatementChange(index, 'text', e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Statement"
+                      />
+                      <div className="flex flex-wrap gap-2">
+                        {buckets.map(bucket => (
+                          <button
+                            key={bucket.id}
+                            type="button"
+                            onClick={() => handleStatementChange(index, 'bucket', bucket.id)}
+                            className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                              statement.bucket === bucket.id
+                                ? `${bucketColor(buckets, bucket.id).header} border-transparent`
+                                : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                            }`}
+                          >
+                            {bucket.label || 'Unnamed'}
+                          </button>
+                        ))}
+                      </div>
+                      <input
+                        type="text"
+                        value={statement.explanation || ''}
+                        onChange={(e) => handleStatementChange(index, 'explanation', e.target.value)}
+                        className="w-full p-2 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Explanation shown to students who sort it incorrectly (optional)"
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeStatement(index)}
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium"
+                      aria-label={`Remove statement ${index + 1}`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={addStatement}
+              className="w-full mt-3 p-4 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 hover:bg-blue-50 transition-all font-medium"
+            >
+              + Add Statement
+            </button>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || statements.length === 0}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors flex items-center justify-center gap-2 shadow-sm"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
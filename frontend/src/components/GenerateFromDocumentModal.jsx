@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react'
-import api from '../services/api'
+import React, { useState, useEffect, useRef } from 'react'
+import api, { streamGeneration } from '../services/api'
 import { useToast } from './Toast'
+import { ActivityContentPreview, generatingStatus } from './ActivityPreviewModal'
 
 /**
  * GenerateFromDocumentModal
@@ -12,15 +13,20 @@ export default function GenerateFromDocumentModal({ document, onClose, onGenerat
   const [activityType, setActivityType] = useState('questions')
   const [difficulty, setDifficulty] = useState('medium')
   const [generating, setGenerating] = useState(false)
+  const [preview, setPreview] = useState(null) // Activity so far while generating
+  const generationAbortRef = useRef(null)
   const [showDocumentText, setShowDocumentText] = useState(viewMode)
   const [editMode, setEditMode] = useState(false)
   const [editedText, setEditedText] = useState('')
   const [saving, setSaving] = useState(false)
 
-  // Handle Escape key
+  // Handle Escape key - stops a running generation first
   useEffect(() => {
     const handleEscape = (e) => {
-      if (e.key === 'Escape' && !generating && !saving) {
+      if (e.key !== 'Escape') return
+      if (generating) {
+        generationAbortRef.current?.abort()
+      } else if (!saving) {
         onClose()
       }
     }
@@ -29,6 +35,11 @@ export default function GenerateFromDocumentModal({ document, onClose, onGenerat
     return () => document.removeEventListener('keydown', handleEscape)
   }, [onClose, generating, saving])
 
+  // Closing the modal cancels a running generation
+  useEffect(() => {
+    return () => generationAbortRef.current?.abort()
+  }, [])
+
   const activityTypes = [
     {
       value: 'questions',
@@ -79,6 +90,26 @@ export default function GenerateFromDocumentModal({ document, onClose, onGenerat
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
         </svg>
       )
+    },
+    {
+      value: 'cause_effect',
+      label: 'Cause & Effect',
+      description: 'Link causes to effects',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5m0 0l-5 5m5-5H6" />
+        </svg>
+      )
+    },
+    {
+      value: 'primary_source',
+      label: 'Source Analysis',
+      description: 'Sourcing, context & corroboration',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+        </svg>
+      )
     }
   ]
 
@@ -115,26 +146,45 @@ export default function GenerateFromDocumentModal({ document, onClose, onGenerat
   }
 
   const handleGenerate = async () => {
+    const controller = new AbortController()
+    generationAbortRef.current = controller
     setGenerating(true)
+    setPreview(null)
 
     try {
-      const response = await api.post(`/documents/generate/${document.id}`, {
+      // Streamed so questions show up in the preview as they are written
+      const result = await streamGeneration(`/documents/generate/${document.id}/stream`, {
         activityType,
         difficulty
+      }, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'partial') {
+            setPreview(data.content)
+          } else if (event === 'text') {
+            setPreview(prev => (typeof prev === 'string' ? prev : '') + data.delta)
+          } else if (event === 'retry') {
+            setPreview(null)
+          }
+        }
       })
 
       toast.success('Success', 'Activity generated from document!')
 
       if (onGenerated) {
-        onGenerated(response.data.activity)
+        onGenerated(result.activity)
       }
 
       onClose()
     } catch (error) {
+      // Stopped by the teacher - nothing was saved, back to the options
+      if (error.name === 'AbortError') return
       console.error('Generate error:', error)
       toast.error('Error', error.response?.data?.message || 'Failed to generate activity')
     } finally {
+      generationAbortRef.current = null
       setGenerating(false)
+      setPreview(null)
     }
   }
 
@@ -273,8 +323,19 @@ export default function GenerateFromDocumentModal({ document, onClose, onGenerat
             )}
           </div>
 
+          {/* Live preview while the activity is being generated */}
+          {!viewMode && generating && (
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <label className="block text-sm font-medium text-gray-700">Preview</label>
+                <span className="text-sm text-gray-500">{generatingStatus(preview)}</span>
+              </div>
+              <ActivityContentPreview type={activityType} content={preview} generating />
+            </div>
+          )}
+
           {/* Activity Generation Options - Only show when NOT in view mode */}
-          {!viewMode && (
+          {!viewMode && !generating && (
             <>
               {/* Activity Type Selector */}
               <div>
@@ -341,10 +402,10 @@ export default function GenerateFromDocumentModal({ document, onClose, onGenerat
             // Generate mode: Cancel and Generate buttons
             <>
               <button
-                onClick={onClose}
+                onClick={generating ? () => generationAbortRef.current?.abort() : onClose}
                 className="flex-1 px-6 py-3 border border-gray-300 rounded-lg font-medium text-gray-700 hover:bg-gray-50 transition-colors"
               >
-                Cancel
+                {generating ? 'Stop Generating' : 'Cancel'}
               </button>
               <button
                 onClick={handleGenerate}
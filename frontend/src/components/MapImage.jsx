@@ -0,0 +1,118 @@
+import { useRef } from 'react'
+import { sourceImageUrl } from '../utils/primarySource'
+
+/**
+ * MapImage Component
+ * A map activity's image with an SVG layer on top that uses the image's own
+ * pixel coordinates, so hotspots and markers line up at any display size.
+ *
+ * onMapClick receives the clicked point in image pixels. Children are SVG
+ * elements drawn in the same coordinates.
+ */
+export default function MapImage({ map, onMapClick, onMapDrop, className = '', children }) {
+  const svgRef = useRef(null)
+
+  const toImagePoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    return {
+      x: Math.round(((e.clientX - rect.left) / rect.width) * map.width),
+      y: Math.round(((e.clientY - rect.top) / rect.height) * map.height)
+    }
+  }
+
+  return (
+    <div className={`relative select-none ${className}`}>
+      <img
+        src={sourceImageUrl(map.imageUrl)}
+        alt="Map"
+        className="w-full h-auto rounded-lg"
+        draggable={false}
+      />
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${map.width} ${map.height}`}
+        preserveAspectRatio="none"
+        className={`absolute inset-0 w-full h-full ${onMapClick ? 'cursor-crosshair' : ''}`}
+        onClick={onMapClick ? (e) => onMapClick(toImagePoint(e)) : undefined}
+        onDragOver={onMapDrop ? (e) => e.preventDefault() : undefined}
+        onDrop={onMapDrop ? (e) => { e.preventDefault(); onMapDrop(toImagePoint(e), e) } : undefined}
+      >
+        {children}
+      </svg>
+    </div>
+  )
+}
+
+/**
+ * A hotspot outline - circle or polygon
+ */
+export function HotspotShape({ hotspot, className = 'fill-lime-400/30 stroke-lime-600', strokeWidth, onClick }) {
+  const handleClick = onClick
+    ? (e) => { e.stopPropagation(); onClick(hotspot) }
+    : undefined
+
+  if (hotspot.shape === 'circle') {
+    return (
+      <circle
+        cx={hotspot.cx}
+        cy={hotspot.cy}
+        r={hotspot.r}
+        className={className}
+        strokeWidth={strokeWidth}
+        vectorEffect="non-scaling-stroke"
+        onClick={handleClick}
+      />
+    )
+  }
+
+  return (
+    <polygon
+      points={(hotspot.points || []).map(p => p.join(',')).join(' ')}
+      className={className}
+      strokeWidth={strokeWidth}
+      vectorEffect="non-scaling-stroke"
+      onClick={handleClick}
+    />
+  )
+}
+
+/**
+ * Centre of a hotspot, for placing its label
+ */
+export function hotspotCenter(hotspot) {
+  if (hotspot.shape === 'circle') return { x: hotspot.cx, y: hotspot.cy }
+  const points = hotspot.points || []
+  return {
+    x: points.reduce((sum, p) => sum + p[0], 0) / (points.length || 1),
+    y: points.reduce((sum, p) => sum + p[1], 0) / (points.length || 1)
+  }
+}
+
+/**
+ * A marker scaled to the map so it stays a similar size on screen
+ */
+export function MapMarker({ map, point, label, className = 'fill-blue-600', onClick }) {
+  const size = Math.max(map.width, map.height) / 80
+
+  return (
+    <g
+      onClick={onClick ? (e) => { e.stopPropagation(); onClick() } : undefined}
+      className={onClick ? 'cursor-pointer' : 'pointer-events-none'}
+    >
+      <circle cx={point.x} cy={point.y} r={size} className={className} stroke="white" strokeWidth={size / 4} />
+      {label && (
+        <text
+          x={point.x + size * 1.4}
+          y={point.y + size * 0.5}
+          fontSize={size * 1.6}
+          className="fill-gray-900 font-semibold"
+          stroke="white"
+          strokeWidth={size / 3}
+          paintOrder="stroke"
+        >
+          {label}
+        </text>
+      )}
+    </g>
+  )
+}
@@ -0,0 +1,216 @@
+import { useState, useRef } from 'react'
+import axios from 'axios'
+import MapImage, { HotspotShape, MapMarker } from './MapImage'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * MapInteractionActivity Component
+ * Student view - label places on a map
+ *
+ * "label" mode: drag each label onto the map, or tap a label and then tap the map.
+ * "locate" mode: one location at a time - click where it is.
+ * Only the points are sent; the server decides which ones are inside their region.
+ */
+export default function MapInteractionActivity({ activity, studentId, onSubmit }) {
+  const content = activity.content
+  const map = content.map
+  const hotspots = content.hotspots || []
+  const mode = content.mode || 'label'
+
+  const [answers, setAnswers] = useState({}) // hotspotId -> { x, y }
+  const [selectedLabel, setSelectedLabel] = useState(null)
+  const [draggedLabel, setDraggedLabel] = useState(null)
+  const [submitted, setSubmitted] = useState(false)
+  const [result, setResult] = useState(null)
+  const startTime = useRef(Date.now())
+
+  const unanswered = hotspots.filter(h => !answers[h.id])
+  // In locate mode students work through the locations in order
+  const currentLocation = mode === 'locate' ? unanswered[0] : null
+
+  const placeAnswer = (hotspotId, point) => {
+    setAnswers(prev => ({ ...prev, [hotspotId]: point }))
+  }
+
+  const removeAnswer = (hotspotId) => {
+    setAnswers(prev => {
+      const updated = { ...prev }
+      delete updated[hotspotId]
+      return updated
+    })
+  }
+
+  const handleMapClick = (point) => {
+    if (mode === 'locate') {
+      if (currentLocation) placeAnswer(currentLocation.id, point)
+      return
+    }
+    if (!selectedLabel) return
+    placeAnswer(selectedLabel, point)
+    setSelectedLabel(null)
+  }
+
+  const handleMapDrop = (point) => {
+    if (!draggedLabel) return
+    placeAnswer(draggedLabel, point)
+    setDraggedLabel(null)
+  }
+
+  const handleSubmit = async () => {
+    setSubmitted(true)
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/activities/${activity.id}/map/submit`,
+        {
+          studentId,
+          answers,
+          timeSpent: Math.round((Date.now() - startTime.current) / 1000)
+        }
+      )
+
+      setResult(response.data.response)
+    } catch (error) {
+      console.error('Submit error:', error)
+      setSubmitted(false)
+      alert('Failed to submit. Please try again.')
+    }
+  }
+
+  // Let the student see the correct regions before the activity is closed
+  const handleContinue = () => {
+    if (onSubmit) {
+      onSubmit({
+        type: activity.type,
+        answers,
+        score: result.score
+      })
+    }
+  }
+
+  if (submitted && result) {
+    const resultById = Object.fromEntries(result.hotspots.map(r => [r.id, r]))
+    const labelFor = (id) => hotspots.find(h => h.id === id)?.label
+
+    return (
+      <div className="card">
+        <div className={`p-6 rounded-lg border-2 ${result.isCorrect ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+          <h3 className={`text-2xl font-bold ${result.isCorrect ? 'text-green-900' : 'text-yellow-900'}`}>
+            {result.isCorrect ? 'Perfect Map!' : 'Good Try!'}
+          </h3>
+          <p className={`text-lg ${result.isCorrect ? 'text-green-700' : 'text-yellow-700'} mt-1`}>
+            Score: <span className="font-bold">{result.score}%</span>
+          </p>
+          <p className={`text-sm ${result.isCorrect ? 'text-green-600' : 'text-yellow-600'} mt-1`}>
+            {result.correctCount} out of {result.totalHotspots} places correct
+          </p>
+        </div>
+
+        <MapImage map={map} className="mt-6">
+          {hotspots.map(h => (
+            <HotspotShape
+              key={h.id}
+              hotspot={h}
+              className={resultById[h.id]?.isCorrect ? 'fill-green-400/30 stroke-green-600' : 'fill-red-400/20 stroke-red-500'}
+              strokeWidth={2}
+            />
+          ))}
+          {result.hotspots.filter(r => r.point).map(r => (
+            <MapMarker
+              key={r.id}
+              map={map}
+              point={r.point}
+              label={r.label}
+              className={r.isCorrect ? 'fill-green-600' : 'fill-red-600'}
+            />
+          ))}
+        </MapImage>
+
+        <div className="mt-6 space-y-2">
+          {result.hotspots.map(r => (
+            <div key={r.id} className={`p-3 rounded ${r.isCorrect ? 'bg-green-50' : 'bg-red-50'}`}>
+              <p className="font-medium text-gray-900">{r.label}</p>
+              {!r.isCorrect && (
+                <p className="text-sm text-gray-600 mt-1">
+                  {r.landedIn ? `You placed it on ${labelFor(r.landedIn)}` : 'You placed it outside every marked region'}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <button onClick={handleContinue} className="btn-primary w-full mt-6">
+          Continue
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{content.title || 'Map Activity'}</h2>
+      <p className="text-gray-600 mb-6">{content.instructions}</p>
+
+      {mode === 'locate' ? (
+        <div className="mb-4 p-4 rounded-lg bg-lime-50 border-2 border-lime-300 text-center">
+          {currentLocation ? (
+            <>
+              <p className="text-sm text-lime-800">Location {hotspots.length - unanswered.length + 1} of {hotspots.length}</p>
+              <p className="text-xl font-bold text-lime-900">Click on: {currentLocation.label}</p>
+            </>
+          ) : (
+            <p className="font-semibold text-lime-900">All locations marked - check your answers and submit</p>
+          )}
+        </div>
+      ) : unanswered.length > 0 && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-600 mb-2">{selectedLabel ? 'Now tap the map' : 'Drag a label onto the map, or tap it and then tap the map'}</p>
+          <div className="flex flex-wrap gap-2">
+            {unanswered.map(h => (
+              <button
+                key={h.id}
+                type="button"
+                draggable
+                onDragStart={() => setDraggedLabel(h.id)}
+                onDragEnd={() => setDraggedLabel(null)}
+                onClick={() => setSelectedLabel(selectedLabel === h.id ? null : h.id)}
+                className={`px-3 py-2 rounded-lg border-2 text-sm font-medium cursor-grab transition-colors ${
+                  selectedLabel === h.id
+                    ? 'border-lime-500 bg-lime-100 text-lime-900'
+                    : 'border-gray-200 bg-white text-gray-800 hover:border-lime-300'
+                }`}
+              >
+                {h.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <MapImage map={map} onMapClick={handleMapClick} onMapDrop={mode === 'label' ? handleMapDrop : undefined}>
+        {hotspots.filter(h => answers[h.id]).map((h, index) => (
+          <MapMarker
+            key={h.id}
+            map={map}
+            point={answers[h.id]}
+            label={mode === 'locate' ? `${index + 1}` : h.label}
+            onClick={() => removeAnswer(h.id)}
+          />
+        ))}
+      </MapImage>
+
+      {Object.keys(answers).length > 0 && (
+        <p className="text-xs text-gray-500 mt-2">Tap a marker to move it</p>
+      )}
+
+      <button
+        onClick={handleSubmit}
+        disabled={unanswered.length > 0 || submitted}
+        className="btn-primary w-full mt-6 disabled:opacity-50"
+      >
+        {submitted ? 'Checking...' : 'Submit'}
+      </button>
+    </div>
+  )
+}
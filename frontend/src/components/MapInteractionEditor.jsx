@@ -0,0 +1,304 @@
+import { useState } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
+import MapImage, { HotspotShape, MapMarker, hotspotCenter } from './MapImage'
+
+/**
+ * MapInteractionEditor Component
+ * Editor for map activities - place labelled hotspot regions on the map
+ *
+ * Circle tool: click the map to drop a circle, then size it.
+ * Polygon tool: click each corner, then finish the shape.
+ */
+export default function MapInteractionEditor({ activity, onClose, onSaved }) {
+  const toast = useToast()
+  const map = activity.content?.map
+
+  const [title, setTitle] = useState(activity.content?.title || '')
+  const [instructions, setInstructions] = useState(activity.content?.instructions || '')
+  const [mode, setMode] = useState(activity.content?.mode || 'label')
+  const [hotspots, setHotspots] = useState(activity.content?.hotspots || [])
+  const [tool, setTool] = useState('circle') // 'circle' | 'polygon'
+  const [draftPoints, setDraftPoints] = useState([]) // polygon being drawn
+  const [selectedId, setSelectedId] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const defaultRadius = Math.round(Math.max(map.width, map.height) / 30)
+  const selected = hotspots.find(h => h.id === selectedId)
+
+  const nextId = () => {
+    let n = hotspots.length + 1
+    while (hotspots.some(h => h.id === `h${n}`)) n++
+    return `h${n}`
+  }
+
+  const addHotspot = (shape) => {
+    const hotspot = { id: nextId(), label: '', ...shape }
+    setHotspots([...hotspots, hotspot])
+    setSelectedId(hotspot.id)
+  }
+
+  const handleMapClick = (point) => {
+    if (tool === 'circle') {
+      addHotspot({ shape: 'circle', cx: point.x, cy: point.y, r: defaultRadius })
+    } else {
+      setDraftPoints([...draftPoints, [point.x, point.y]])
+    }
+  }
+
+  const finishPolygon = () => {
+    addHotspot({ shape: 'polygon', points: draftPoints })
+    setDraftPoints([])
+  }
+
+  const handleHotspotChange = (id, field, value) => {
+    setHotspots(hotspots.map(h => h.id === id ? { ...h, [field]: value } : h))
+  }
+
+  const removeHotspot = (id) => {
+    setHotspots(hotspots.filter(h => h.id !== id))
+    if (selectedId === id) setSelectedId(null)
+  }
+
+  const handleSave = async () => {
+    if (hotspots.some(h => !h.label.trim())) {
+      toast.error('Error', 'Every region needs a label')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updatedContent = {
+        ...activity.content,
+        title,
+        instructions,
+        mode,
+        hotspots: hotspots.map(h => ({ ...h, label: h.label.trim() }))
+      }
+
+      const response = await api.put(`/activities/${activity.id}/content`, {
+        content: updatedContent
+      })
+
+      toast.success('Success', 'Map updated successfully!')
+
+      if (onSaved) {
+        onSaved(response.data.activity)
+      }
+
+      onClose()
+    } catch (error) {
+      console.error('Save error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update activity')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="map-editor-title"
+    >
+      <div className="bg-white rounded-lg max-w-6xl w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="map-editor-title" className="text-xl font-bold text-gray-900">Edit Map</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {hotspots.length} region{hotspots.length !== 1 ? 's' : ''}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close map editor"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="flex-1 p-6 overflow-y-auto">
+          <div className="grid md:grid-cols-3 gap-4 mb-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Instructions</label>
+              <input
+                type="text"
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Students</label>
+              <select
+                value={mode}
+                onChange={(e) => setMode(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="label">Drag labels onto the map</option>
+                <option value="locate">Click each named location</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-6">
+            {/* Map */}
+            <div className="md:col-span-2">
+              <div className="flex items-center gap-2 mb-2">
+                {['circle', 'polygon'].map(t => (
+                  <button
+                    key={t}
+                    type="button"
+                    onClick={() => { setTool(t); setDraftPoints([]) }}
+                    className={`px-3 py-1 rounded-lg text-sm font-medium border-2 capitalize ${
+                      tool === t ? 'border-lime-500 bg-lime-50 text-lime-800' : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                    }`}
+                  >
+                    {t}
+                  </button>
+                ))}
+                <span className="text-xs text-gray-500">
+                  {tool === 'circle' ? 'Click the map to add a circle' : `Click each corner${draftPoints.length ? ` (${draftPoints.length} so far)` : ''}`}
+                </span>
+                {tool === 'polygon' && draftPoints.length > 0 && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={finishPolygon}
+                      disabled={draftPoints.length < 3}
+                      className="ml-auto px-3 py-1 bg-lime-600 text-white rounded-lg text-sm font-medium disabled:opacity-40"
+                    >
+                      Finish Shape
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setDraftPoints([])}
+                      className="px-3 py-1 text-gray-600 text-sm"
+                    >
+                      Cancel
+                    </button>
+                  </>
+                )}
+              </div>
+
+              <MapImage map={map} onMapClick={handleMapClick}>
+                {hotspots.map(h => (
+                  <HotspotShape
+                    key={h.id}
+                    hotspot={h}
+                    className={h.id === selectedId ? 'fill-lime-400/40 stroke-lime-700 cursor-pointer' : 'fill-blue-400/25 stroke-blue-600 cursor-pointer'}
+                    strokeWidth={h.id === selectedId ? 3 : 2}
+                    onClick={() => setSelectedId(h.id)}
+                  />
+                ))}
+                {hotspots.filter(h => h.label).map(h => (
+                  <MapMarker key={`label-${h.id}`} map={map} point={hotspotCenter(h)} label={h.label} className="fill-transparent" />
+                ))}
+                {draftPoints.length > 0 && (
+                  <polyline
+                    points={draftPoints.map(p => p.join(',')).join(' ')}
+                    className="fill-none stroke-lime-700"
+                    strokeWidth={2}
+                    strokeDasharray="6 4"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                )}
+                {draftPoints.map((p, i) => (
+                  <MapMarker key={i} map={map} point={{ x: p[0], y: p[1] }} className="fill-lime-700" />
+                ))}
+              </MapImage>
+            </div>
+
+            {/* Regions */}
+            <div className="space-y-2">
+              <h3 className="text-sm font-semibold text-gray-700">Regions</h3>
+              {hotspots.length === 0 && (
+                <p className="text-sm text-gray-500">No regions yet. Draw on the map to add one.</p>
+              )}
+              {hotspots.map((h, index) => (
+                <div
+                  key={h.id}
+                  onClick={() => setSelectedId(h.id)}
+                  className={`p-3 rounded-lg border-2 ${h.id === selectedId ? 'border-lime-400 bg-lime-50' : 'border-gray-200'}`}
+                >
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs font-semibold text-gray-500">{index + 1}.</span>
+                    <input
+                      type="text"
+                      value={h.label}
+                      onChange={(e) => handleHotspotChange(h.id, 'label', e.target.value)}
+                      className="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Place name"
+                    />
+                    <button
+                      type="button"
+                      onClick={(e) => { e.stopPropagation(); removeHotspot(h.id) }}
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50 px-2 py-1 rounded transition-colors text-sm font-medium"
+                      aria-label={`Remove region ${index + 1}`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  {h.id === selectedId && selected?.shape === 'circle' && (
+                    <label className="flex items-center gap-2 mt-2 text-xs text-gray-600">
+                      Size
+                      <input
+                        type="range"
+                        min={Math.round(defaultRadius / 4)}
+                        max={defaultRadius * 6}
+                        value={h.r}
+                        onChange={(e) => handleHotspotChange(h.id, 'r', parseInt(e.target.value))}
+                        className="flex-1"
+                      />
+                    </label>
+                  )}
+                  {h.shape === 'polygon' && (
+                    <p className="text-xs text-gray-500 mt-1">{h.points.length}-sided region</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || hotspots.length === 0 || draftPoints.length > 0}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors flex items-center justify-center gap-2 shadow-sm"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
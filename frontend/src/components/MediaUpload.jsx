@@ -1,18 +1,20 @@
 import { useState, useRef } from 'react'
-import api from '../services/api'
+import api, { uploadAPI } from '../services/api'
 import { useToast } from './Toast'
 
 /**
  * MediaUpload Component
- * Unified upload for documents AND videos
- * Supports: PDF, Word, Text, MP4, MOV, WebM
+ * Unified upload for documents, videos AND map images
+ * Supports: PDF, Word, Text, MP4, MOV, WebM, JPG, PNG, GIF, WebP
  */
 
 export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGenerated }) {
   const toast = useToast()
   const fileInputRef = useRef(null)
   const [selectedFile, setSelectedFile] = useState(null)
-  const [fileType, setFileType] = useState(null) // 'document' or 'video'
+  const [fileType, setFileType] = useState(null) // 'document', 'video' or 'image'
+  const [mapTitle, setMapTitle] = useState('')
+  const [mapMode, setMapMode] = useState('label') // 'label' | 'locate'
   const [activityType, setActivityType] = useState('quiz')
   const [difficulty, setDifficulty] = useState('medium')
   const [uploadAction, setUploadAction] = useState(null) // 'save' | 'generate' | null
@@ -31,6 +33,12 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
     extensions: ['.mp4', '.mov', '.webm', '.avi', '.mkv']
   }
 
+  // Images become map activities
+  const imageTypes = {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    extensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp']
+  }
+
   const activityTypes = [
     {
       value: 'quiz',
@@ -61,6 +69,16 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2" />
         </svg>
       )
+    },
+    {
+      value: 'primary_source',
+      label: 'Source Analysis',
+      description: 'Sourcing, context & corroboration',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+        </svg>
+      )
     }
   ]
 
@@ -73,6 +91,9 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
     if (videoTypes.mimeTypes.includes(file.type) || videoTypes.extensions.includes(ext)) {
       return 'video'
     }
+    if (imageTypes.mimeTypes.includes(file.type) || imageTypes.extensions.includes(ext)) {
+      return 'image'
+    }
     return null
   }
 
@@ -100,12 +121,12 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
     const type = determineFileType(file)
 
     if (!type) {
-      toast.error('Unsupported File', 'Please upload a PDF, Word document, text file, or video (MP4, MOV, WebM)')
+      toast.error('Unsupported File', 'Please upload a PDF, Word document, text file, video (MP4, MOV, WebM) or map image (JPG, PNG, WebP)')
       return
     }
 
     // File size limits
-    const maxSize = type === 'video' ? 500 * 1024 * 1024 : 25 * 1024 * 1024 // 500MB for video, 25MB for docs
+    const maxSize = type === 'video' ? 500 * 1024 * 1024 : type === 'image' ? 10 * 1024 * 1024 : 25 * 1024 * 1024 // 500MB for video, 10MB for images, 25MB for docs
     if (file.size > maxSize) {
       const maxSizeMB = maxSize / 1024 / 1024
       toast.error('File Too Large', `Maximum file size is ${maxSizeMB}MB for ${type}s`)
@@ -114,6 +135,9 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
 
     setSelectedFile(file)
     setFileType(type)
+    if (type === 'image') {
+      setMapTitle(file.name.replace(/\.[^.]+$/, ''))
+    }
   }
 
   const handleFileInputChange = (e) => {
@@ -139,7 +163,12 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
     try {
       const formData = new FormData()
 
-      if (fileType === 'video') {
+      if (fileType === 'image') {
+        await uploadAPI.uploadImage(selectedFile)
+        setProgress(100)
+
+        toast.success('Image Uploaded', 'Saved to your image library.')
+      } else if (fileType === 'video') {
         formData.append('video', selectedFile)
         formData.append('sessionId', sessionId)
 
@@ -197,7 +226,25 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
     try {
       const formData = new FormData()
 
-      if (fileType === 'video') {
+      if (fileType === 'image') {
+        // Map flow: upload image → create map activity; hotspots are placed in the map editor
+        setUploadStage('uploading')
+        const image = await uploadAPI.uploadImage(selectedFile)
+        setProgress(50)
+
+        const response = await api.post(`/sessions/${sessionId}/activities/map`, {
+          imageId: image.id,
+          title: mapTitle,
+          mode: mapMode
+        })
+        setProgress(100)
+
+        toast.success('Map Created', 'Edit the map activity to place its regions.')
+
+        if (onActivityGenerated) {
+          onActivityGenerated(response.data.activity)
+        }
+      } else if (fileType === 'video') {
         // Video flow: upload → transcribe → generate questions
         setUploadStage('uploading')
         formData.append('video', selectedFile)
@@ -289,7 +336,7 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
     switch (uploadStage) {
       case 'uploading': return 'Uploading...'
       case 'transcribing': return 'Transcribing audio...'
-      case 'generating': return 'Generating questions...'
+      case 'generating': return fileType === 'image' ? 'Creating map...' : 'Generating questions...'
       default: return 'Processing...'
     }
   }
@@ -304,7 +351,7 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
       </div>
 
       <p className="text-sm text-gray-600 mb-4">
-        Upload a document or video. We'll extract content and help you create interactive activities.
+        Upload a document, video or map. We'll extract content and help you create interactive activities.
       </p>
 
       {/* File Upload Area */}
@@ -313,7 +360,7 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
           dragActive
             ? 'border-blue-500 bg-blue-50'
             : selectedFile
-            ? fileType === 'video' ? 'border-purple-500 bg-purple-50' : 'border-green-500 bg-green-50'
+            ? fileType === 'video' ? 'border-purple-500 bg-purple-50' : fileType === 'image' ? 'border-lime-500 bg-lime-50' : 'border-green-500 bg-green-50'
             : 'border-gray-300 hover:border-gray-400'
         }`}
         onDragEnter={handleDrag}
@@ -337,9 +384,9 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
               <p className="font-medium text-gray-900">{selectedFile.name}</p>
               <p className="text-sm text-gray-600">{formatFileSize(selectedFile.size)}</p>
               <span className={`inline-block mt-1 px-2 py-0.5 rounded text-xs font-medium ${
-                fileType === 'video' ? 'bg-purple-100 text-purple-700' : 'bg-green-100 text-green-700'
+                fileType === 'video' ? 'bg-purple-100 text-purple-700' : fileType === 'image' ? 'bg-lime-100 text-lime-700' : 'bg-green-100 text-green-700'
               }`}>
-                {fileType === 'video' ? 'Video' : 'Document'}
+                {fileType === 'video' ? 'Video' : fileType === 'image' ? 'Map Image' : 'Document'}
               </span>
             </div>
             <button
@@ -371,7 +418,7 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
               <p className="text-sm text-gray-500">or click to browse</p>
             </div>
             <p className="text-xs text-gray-500">
-              Documents: PDF, Word, Text (25MB) | Videos: MP4, MOV, WebM (500MB)
+              Documents: PDF, Word, Text (25MB) | Videos: MP4, MOV, WebM (500MB) | Maps: JPG, PNG, WebP (10MB)
             </p>
           </div>
         )}
@@ -380,7 +427,7 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
           ref={fileInputRef}
           type="file"
           className="hidden"
-          accept=".pdf,.docx,.doc,.txt,.md,.mp4,.mov,.webm,.avi,.mkv"
+          accept=".pdf,.docx,.doc,.txt,.md,.mp4,.mov,.webm,.avi,.mkv,.jpg,.jpeg,.png,.gif,.webp"
           onChange={handleFileInputChange}
         />
       </div>
@@ -394,7 +441,7 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 What would you like to generate?
               </label>
-              <div className="grid grid-cols-3 gap-3">
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
                 {activityTypes.map((type) => (
                   <button
                     type="button"
@@ -435,28 +482,64 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
             </div>
           )}
 
+          {/* Map options */}
+          {fileType === 'image' && (
+            <div className="bg-lime-50 border border-lime-200 rounded-lg p-4 space-y-3">
+              <p className="text-sm text-lime-800">
+                We'll create a Map Interaction activity. Open it in the editor to mark the places students should find.
+              </p>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Map title</label>
+                <input
+                  type="text"
+                  value={mapTitle}
+                  onChange={(e) => setMapTitle(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-lime-500 focus:border-transparent"
+                />
+              </div>
+              <div className="flex gap-2">
+                {[['label', 'Drag labels onto the map'], ['locate', 'Click each named location']].map(([value, label]) => (
+                  <button
+                    type="button"
+                    key={value}
+                    onClick={() => setMapMode(value)}
+                    className={`flex-1 px-3 py-2 border-2 rounded-lg text-sm font-medium transition-all ${
+                      mapMode === value
+                        ? 'border-lime-500 bg-white text-lime-800'
+                        : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Difficulty Selector */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Difficulty Level
-            </label>
-            <div className="flex gap-2">
-              {['easy', 'medium', 'hard'].map((level) => (
-                <button
-                  type="button"
-                  key={level}
-                  onClick={() => setDifficulty(level)}
-                  className={`flex-1 px-4 py-2 border-2 rounded-lg font-medium capitalize transition-all ${
-                    difficulty === level
-                      ? 'border-blue-500 bg-blue-50 text-blue-700'
-                      : 'border-gray-200 text-gray-700 hover:border-gray-300'
-                  }`}
-                >
-                  {level}
-                </button>
-              ))}
+          {fileType !== 'image' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Difficulty Level
+              </label>
+              <div className="flex gap-2">
+                {['easy', 'medium', 'hard'].map((level) => (
+                  <button
+                    type="button"
+                    key={level}
+                    onClick={() => setDifficulty(level)}
+                    className={`flex-1 px-4 py-2 border-2 rounded-lg font-medium capitalize transition-all ${
+                      difficulty === level
+                        ? 'border-blue-500 bg-blue-50 text-blue-700'
+                        : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    {level}
+                  </button>
+                ))}
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Action Buttons */}
           <div className="grid grid-cols-2 gap-3">
@@ -507,7 +590,7 @@ export default function MediaUpload({ sessionId, onMediaUploaded, onActivityGene
                   <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
                   </svg>
-                  {fileType === 'video' ? 'Process & Generate Questions' : 'Generate Activity'}
+                  {fileType === 'video' ? 'Process & Generate Questions' : fileType === 'image' ? 'Create Map Activity' : 'Generate Activity'}
                 </>
               )}
             </button>
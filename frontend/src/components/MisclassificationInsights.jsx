@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react'
+import { analyticsAPI } from '../services/api'
+import { CLASSIFICATION_TYPES, bucketColor, bucketLabel } from '../utils/classification'
+
+// Only statements at least this often misclassified are flagged
+const FLAG_RATE = 40
+
+/**
+ * MisclassificationInsights Component
+ * Teacher analytics - which statements in sorting activities the class
+ * most often put in the wrong bucket, and where they put them
+ */
+export default function MisclassificationInsights({ sessionId, instanceId }) {
+  const [activities, setActivities] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+
+    async function load() {
+      setLoading(true)
+      try {
+        const data = await analyticsAPI.getMisclassifications(sessionId, instanceId)
+        if (!cancelled) setActivities(data.activities || [])
+      } catch (err) {
+        console.error('Failed to load misclassification analytics:', err)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    load()
+    return () => { cancelled = true }
+  }, [sessionId, instanceId])
+
+  if (loading || activities.length === 0) return null
+
+  return (
+    <div>
+      <h4 className="font-bold text-gray-800 mb-3">Sorting Activities: Commonly Misclassified</h4>
+      <div className="space-y-4">
+        {activities.map(activity => (
+          <div key={activity.activityId} className="p-4 rounded-lg border border-gray-200 bg-white">
+            <div className="flex justify-between items-baseline mb-3">
+              <div>
+                <div className="font-medium text-gray-900">{activity.title}</div>
+                <div className="text-xs text-gray-500">{CLASSIFICATION_TYPES[activity.type]?.label}</div>
+              </div>
+              <div className="text-sm text-gray-600">{activity.totalResponses} responses</div>
+            </div>
+
+            <div className="space-y-2">
+              {activity.statements.map(statement => {
+                const flagged = statement.misclassificationRate >= FLAG_RATE
+                return (
+                  <div key={statement.id} className={`p-2 rounded ${flagged ? 'bg-red-50' : 'bg-gray-50'}`}>
+                    <div className="flex justify-between gap-3 text-sm">
+                      <span className="text-gray-900">{statement.text}</span>
+                      <span className={`font-semibold whitespace-nowrap ${flagged ? 'text-red-700' : 'text-gray-600'}`}>
+                        {statement.misclassificationRate ?? 0}% wrong
+                      </span>
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      Correct: {bucketLabel(activity.buckets, statement.correctBucket)}
+                    </div>
+                    {/* Where the class placed it */}
+                    {statement.responses > 0 && (
+                      <div className="flex h-2 mt-1 rounded overflow-hidden bg-gray-200">
+                        {activity.buckets.map(bucket => {
+                          const count = statement.placements[bucket.id] || 0
+                          if (count === 0) return null
+                          return (
+                            <div
+                              key={bucket.id}
+                              className={bucketColor(activity.buckets, bucket.id).bar}
+                              style={{ width: `${(count / statement.responses) * 100}%` }}
+                              title={`${bucket.label}: ${count}`}
+                            />
+                          )
+                        })}
+                      </div>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+
+            <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+              {activity.buckets.map(bucket => (
+                <span key={bucket.id} className="flex items-center gap-1">
+                  <span className={`w-2 h-2 rounded-full ${bucketColor(activity.buckets, bucket.id).bar}`} />
+                  {bucket.label}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -80,6 +80,15 @@ export default function Navigation() {
               >
                 Learning Worlds
               </Link>
+              {user.role === 'admin' && (
+                <Link
+                  to="/admin/ai-usage"
+                  className={navLinkClass('/admin')}
+                  aria-current={isActive('/admin') ? 'page' : undefined}
+                >
+                  AI Usage
+                </Link>
+              )}
             </div>
           </div>
 
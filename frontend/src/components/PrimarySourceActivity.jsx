@@ -0,0 +1,339 @@
+import { useState, useRef, useMemo } from 'react'
+import axios from 'axios'
+import { splitSentences, spansOverlap } from '../utils/textSpans'
+import { SOURCE_CATEGORIES, sourceImageUrl } from '../utils/primarySource'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+const RATING_STYLES = {
+  strong: { label: 'Strong', className: 'bg-green-50 border-green-200' },
+  developing: { label: 'Developing', className: 'bg-yellow-50 border-yellow-200' },
+  beginning: { label: 'Keep Working', className: 'bg-red-50 border-red-200' }
+}
+
+/**
+ * PrimarySourceActivity Component
+ * Student view - annotate an uploaded source, then answer sourcing,
+ * context and corroboration questions about it
+ *
+ * Text sources: tap a sentence to attach a note. Image sources: tap the image to drop a pin.
+ * Open-ended answers get AI feedback after submitting.
+ */
+export default function PrimarySourceActivity({ activity, studentId, onSubmit }) {
+  const content = activity.content
+  const source = content.source || {}
+  const questions = content.questions || []
+
+  const [annotations, setAnnotations] = useState([])
+  const [draft, setDraft] = useState(null) // annotation being written
+  const [answers, setAnswers] = useState({}) // questionId -> option index or text
+  const [submitting, setSubmitting] = useState(false)
+  const [result, setResult] = useState(null)
+  const imageRef = useRef(null)
+  const startTime = useRef(Date.now())
+
+  const sentences = useMemo(() => splitSentences(source.text || ''), [source.text])
+
+  const handleSentenceClick = (sentence) => {
+    if (result) return
+    setDraft({ start: sentence.start, end: sentence.end, text: sentence.text, note: '' })
+  }
+
+  const handleImageClick = (e) => {
+    if (result) return
+    const rect = imageRef.current.getBoundingClientRect()
+    setDraft({
+      x: Math.round(((e.clientX - rect.left) / rect.width) * 1000) / 10,
+      y: Math.round(((e.clientY - rect.top) / rect.height) * 1000) / 10,
+      note: ''
+    })
+  }
+
+  const saveDraft = () => {
+    if (!draft.note.trim()) return
+    setAnnotations([...annotations, draft])
+    setDraft(null)
+  }
+
+  const removeAnnotation = (index) => {
+    setAnnotations(annotations.filter((_, i) => i !== index))
+  }
+
+  const isAnswered = (question) => question.type === 'open'
+    ? typeof answers[question.id] === 'string' && answers[question.id].trim().length > 0
+    : Number.isInteger(answers[question.id])
+
+  const unanswered = questions.filter(q => !isAnswered(q)).length
+
+  const handleSubmit = async () => {
+    setSubmitting(true)
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/activities/${activity.id}/primary-source/submit`,
+        {
+          studentId,
+          annotations,
+          answers,
+          timeSpent: Math.round((Date.now() - startTime.current) / 1000)
+        }
+      )
+
+      setResult(response.data.response)
+    } catch (error) {
+      console.error('Submit error:', error)
+      alert('Failed to submit. Please try again.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  // Let the student read their feedback before the activity is closed
+  const handleContinue = () => {
+    if (onSubmit) {
+      onSubmit({
+        type: 'primary_source',
+        annotations,
+        answers,
+        score: result.score
+      })
+    }
+  }
+
+  const renderSource = () => {
+    if (source.kind === 'image') {
+      return (
+        <div className="relative inline-block w-full">
+          <img
+            ref={imageRef}
+            src={sourceImageUrl(source.imageUrl)}
+            alt={source.title || 'Primary source'}
+            onClick={handleImageClick}
+            className={`w-full rounded-lg border border-gray-200 ${result ? '' : 'cursor-crosshair'}`}
+          />
+          {annotations.map((a, i) => (
+            <span
+              key={i}
+              className="absolute -translate-x-1/2 -translate-y-1/2 w-6 h-6 rounded-full bg-amber-500 text-white text-xs font-bold flex items-center justify-center shadow pointer-events-none"
+              style={{ left: `${a.x}%`, top: `${a.y}%` }}
+            >
+              {i + 1}
+            </span>
+          ))}
+          {draft && draft.x !== undefined && (
+            <span
+              className="absolute -translate-x-1/2 -translate-y-1/2 w-6 h-6 rounded-full bg-blue-600 ring-4 ring-blue-200 pointer-events-none"
+              style={{ left: `${draft.x}%`, top: `${draft.y}%` }}
+            />
+          )}
+        </div>
+      )
+    }
+
+    return (
+      <div className="p-4 bg-stone-50 border border-stone-200 rounded-lg leading-relaxed whitespace-pre-wrap max-h-[28rem] overflow-y-auto font-serif">
+        {sentences.map((sentence, i) => {
+          const noteIndex = annotations.findIndex(a => a.start !== undefined && spansOverlap(a, sentence))
+          const isDraft = draft && draft.start === sentence.start
+          return (
+            <span key={i}>
+              <span
+                onClick={() => handleSentenceClick(sentence)}
+                className={`rounded transition-colors ${result ? '' : 'cursor-pointer'} ${
+                  isDraft ? 'bg-blue-200' : noteIndex !== -1 ? 'bg-amber-200' : result ? '' : 'hover:bg-amber-50'
+                }`}
+              >
+                {sentence.text}
+                {noteIndex !== -1 && (
+                  <sup className="ml-0.5 text-xs font-bold text-amber-700">{noteIndex + 1}</sup>
+                )}
+              </span>
+              {source.text.slice(sentence.end, sentences[i + 1]?.start ?? source.text.length)}
+            </span>
+          )
+        })}
+      </div>
+    )
+  }
+
+  const renderCategory = (category) => {
+    const style = SOURCE_CATEGORIES[category]
+    if (!style) return null
+    return (
+      <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase tracking-wide ${style.className}`}>
+        {style.label}
+      </span>
+    )
+  }
+
+  const resultById = result ? Object.fromEntries(result.results.map(r => [r.questionId, r])) : {}
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{content.title || 'Source Analysis'}</h2>
+      <p className="text-gray-600 mb-6">
+        {content.instructions || 'Examine the source, add your own annotations, then answer the questions'}
+      </p>
+
+      {result && (
+        <div className="p-6 rounded-lg border-2 bg-blue-50 border-blue-200 mb-6">
+          <h3 className="text-2xl font-bold text-blue-900">Analysis Submitted!</h3>
+          <p className="text-lg text-blue-700 mt-1">
+            Score: <span className="font-bold">{result.score}%</span>
+          </p>
+          <p className="text-sm text-blue-600 mt-1">Read the feedback on each answer below</p>
+        </div>
+      )}
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        {/* Source and annotations */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold text-gray-700">{source.title || 'Source'}</h3>
+            {!result && (
+              <span className="text-xs text-gray-500">
+                {source.kind === 'image' ? 'Tap the image to add a note' : 'Tap a sentence to add a note'}
+              </span>
+            )}
+          </div>
+          {source.citation && (
+            <p className="text-sm text-gray-600 italic mb-2">{source.citation}</p>
+          )}
+
+          {renderSource()}
+
+          {draft && (
+            <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+              {draft.text && <p className="text-sm italic text-gray-700 mb-2">"{draft.text}"</p>}
+              <textarea
+                value={draft.note}
+                onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+                className="w-full p-2 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                rows="2"
+                placeholder="What do you notice here?"
+                autoFocus
+              />
+              <div className="flex gap-2 mt-2">
+                <button onClick={saveDraft} disabled={!draft.note.trim()} className="btn-primary text-sm px-3 py-1 disabled:opacity-50">
+                  Add Note
+                </button>
+                <button onClick={() => setDraft(null)} className="text-sm text-gray-600 hover:text-gray-800 px-3 py-1">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {annotations.length > 0 && (
+            <div className="mt-4">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">My Notes</h4>
+              <div className="space-y-2">
+                {annotations.map((a, i) => (
+                  <div key={i} className="flex items-start gap-2 p-2 bg-amber-50 border border-amber-200 rounded text-sm">
+                    <span className="w-5 h-5 flex-shrink-0 rounded-full bg-amber-500 text-white text-xs font-bold flex items-center justify-center">
+                      {i + 1}
+                    </span>
+                    <div className="flex-1">
+                      {a.text && <p className="italic text-gray-600 line-clamp-1">"{a.text}"</p>}
+                      <p className="text-gray-900">{a.note}</p>
+                    </div>
+                    {!result && (
+                      <button onClick={() => removeAnnotation(i)} className="text-xs text-red-600 hover:text-red-700">
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Questions */}
+        <div className="space-y-4">
+          {questions.map((question, index) => {
+            const r = resultById[question.id]
+            return (
+              <div key={question.id} className="p-4 border-2 border-gray-200 rounded-lg">
+                <div className="flex items-center gap-2 mb-2">
+                  <span className="text-sm font-semibold text-gray-500">{index + 1}.</span>
+                  {renderCategory(question.category)}
+                </div>
+                <p className="font-medium text-gray-900 mb-3">{question.question}</p>
+
+                {question.type === 'open' ? (
+                  <textarea
+                    value={answers[question.id] || ''}
+                    onChange={(e) => setAnswers({ ...answers, [question.id]: e.target.value })}
+                    disabled={!!result || submitting}
+                    className="w-full p-3 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                    rows="3"
+                    placeholder="Use details from the source..."
+                  />
+                ) : (
+                  <div className="space-y-2">
+                    {(question.options || []).map((option, optionIndex) => {
+                      const isSelected = answers[question.id] === optionIndex
+                      const isRight = r && optionIndex === question.correct
+                      const isWrongPick = r && isSelected && !r.isCorrect
+                      return (
+                        <button
+                          key={optionIndex}
+                          onClick={() => setAnswers({ ...answers, [question.id]: optionIndex })}
+                          disabled={!!result || submitting}
+                          className={`w-full p-3 text-left border-2 rounded-lg text-sm transition-all ${
+                            isRight ? 'border-green-500 bg-green-50'
+                              : isWrongPick ? 'border-red-400 bg-red-50'
+                                : isSelected ? 'border-blue-500 bg-blue-50'
+                                  : 'border-gray-200 hover:border-blue-300'
+                          }`}
+                        >
+                          <span className="font-semibold mr-2">{String.fromCharCode(65 + optionIndex)}.</span>
+                          {option}
+                        </button>
+                      )
+                    })}
+                  </div>
+                )}
+
+                {r && r.type === 'multiple_choice' && !r.isCorrect && r.explanation && (
+                  <p className="mt-2 text-sm text-gray-600 italic">{r.explanation}</p>
+                )}
+
+                {r && r.type === 'open' && r.feedback && (
+                  <div className={`mt-3 p-3 border rounded-lg text-sm ${RATING_STYLES[r.feedback.rating]?.className || 'bg-gray-50 border-gray-200'}`}>
+                    {RATING_STYLES[r.feedback.rating] && (
+                      <p className="font-semibold text-gray-900 mb-1">{RATING_STYLES[r.feedback.rating].label}</p>
+                    )}
+                    <p className="text-gray-800">{r.feedback.feedback}</p>
+                    {r.feedback.suggestion && (
+                      <p className="text-gray-600 mt-1"><strong>Next step:</strong> {r.feedback.suggestion}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+
+      {result ? (
+        <button onClick={handleContinue} className="btn-primary w-full mt-6">
+          Continue
+        </button>
+      ) : (
+        <button
+          onClick={handleSubmit}
+          disabled={unanswered > 0 || submitting}
+          className="btn-primary w-full mt-6 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting
+            ? 'Getting feedback...'
+            : unanswered > 0
+              ? `Answer all questions to submit (${unanswered} left)`
+              : 'Submit Analysis'}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,199 @@
+import { useState, useRef } from 'react'
+import api, { uploadAPI } from '../services/api'
+import { useToast } from './Toast'
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp']
+const DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.doc', '.txt', '.md']
+
+/**
+ * PrimarySourceCreator Component
+ * Teacher tool to create a source analysis activity from an uploaded image or document
+ *
+ * Images go through the image upload and are analysed directly; documents go through
+ * the document upload so their text is extracted the same way as other generated activities.
+ */
+export default function PrimarySourceCreator({ sessionId, onClose, onSaved }) {
+  const toast = useToast()
+  const fileInputRef = useRef(null)
+
+  const [file, setFile] = useState(null)
+  const [citation, setCitation] = useState('')
+  const [difficulty, setDifficulty] = useState('medium')
+  const [generating, setGenerating] = useState(false)
+
+  const extension = file ? `.${file.name.split('.').pop().toLowerCase()}` : ''
+  const fileKind = IMAGE_EXTENSIONS.includes(extension) ? 'image'
+    : DOCUMENT_EXTENSIONS.includes(extension) ? 'document'
+      : null
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0]
+    if (!selected) return
+
+    const ext = `.${selected.name.split('.').pop().toLowerCase()}`
+    if (!IMAGE_EXTENSIONS.includes(ext) && !DOCUMENT_EXTENSIONS.includes(ext)) {
+      toast.error('Unsupported File', 'Upload an image (JPG, PNG, GIF, WebP) or a document (PDF, Word, text)')
+      return
+    }
+
+    setFile(selected)
+  }
+
+  const handleGenerate = async () => {
+    setGenerating(true)
+
+    try {
+      let activity
+
+      if (fileKind === 'image') {
+        const image = await uploadAPI.uploadImage(file)
+        const response = await api.post(`/sessions/${sessionId}/activities/primary-source`, {
+          imageId: image.id,
+          citation,
+          difficulty
+        })
+        activity = response.data.activity
+      } else {
+        const formData = new FormData()
+        formData.append('document', file)
+        formData.append('sessionId', sessionId)
+        formData.append('activityType', 'primary_source')
+        formData.append('difficulty', difficulty)
+
+        const response = await api.post('/documents/upload', formData, {
+          headers: { 'Content-Type': 'multipart/form-data' }
+        })
+        activity = response.data.activity
+
+        // Document uploads don't take a citation, so add it afterwards
+        if (citation.trim()) {
+          const updated = await api.put(`/activities/${activity.id}/content`, {
+            content: { ...activity.content, source: { ...activity.content.source, citation } }
+          })
+          activity = updated.data.activity
+        }
+      }
+
+      toast.success('Success', 'Source analysis activity created!')
+
+      if (onSaved) {
+        onSaved(activity)
+      }
+    } catch (error) {
+      console.error('Primary source generation error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to create source analysis')
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="primary-source-creator-title"
+    >
+      <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="primary-source-creator-title" className="text-xl font-bold text-gray-900">Source Analysis</h2>
+              <p className="text-sm text-gray-600 mt-1">Upload a primary source and we'll write sourcing, context and corroboration questions</p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={generating}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close source analysis creator"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 p-6 overflow-y-auto space-y-4">
+          <div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={[...IMAGE_EXTENSIONS, ...DOCUMENT_EXTENSIONS].join(',')}
+              onChange={handleFileChange}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={generating}
+              className="w-full p-6 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-stone-500 hover:bg-stone-50 transition-all"
+            >
+              {file ? (
+                <>
+                  <span className="block font-medium text-gray-900">{file.name}</span>
+                  <span className="block text-xs text-gray-500 mt-1">
+                    {fileKind === 'image' ? 'Image source' : 'Document source'} • click to choose a different file
+                  </span>
+                </>
+              ) : (
+                <>
+                  <span className="block font-medium">Choose a source file</span>
+                  <span className="block text-xs text-gray-500 mt-1">Photo, map, cartoon, letter, speech... (image, PDF, Word or text)</span>
+                </>
+              )}
+            </button>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Citation or background (optional)</label>
+            <textarea
+              value={citation}
+              onChange={(e) => setCitation(e.target.value)}
+              disabled={generating}
+              className="input-field"
+              rows="2"
+              placeholder="e.g., Letter from Abigail Adams to John Adams, March 31, 1776"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Difficulty</label>
+            <select
+              value={difficulty}
+              onChange={(e) => setDifficulty(e.target.value)}
+              disabled={generating}
+              className="input-field"
+            >
+              <option value="easy">Easy</option>
+              <option value="medium">Medium</option>
+              <option value="hard">Hard</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={generating}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleGenerate}
+            disabled={generating || !fileKind}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors shadow-sm"
+          >
+            {generating ? 'Analyzing source...' : 'Generate Questions'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,288 @@
+import { useState } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
+import { SOURCE_CATEGORIES, sourceImageUrl } from '../utils/primarySource'
+
+/**
+ * PrimarySourceEditor Component
+ * Editor for primary source activities - citation and the questions about the source
+ */
+export default function PrimarySourceEditor({ activity, onClose, onSaved }) {
+  const toast = useToast()
+  const source = activity.content?.source || {}
+
+  const [title, setTitle] = useState(activity.content?.title || '')
+  const [instructions, setInstructions] = useState(activity.content?.instructions || '')
+  const [citation, setCitation] = useState(source.citation || '')
+  const [questions, setQuestions] = useState(activity.content?.questions || [])
+  const [saving, setSaving] = useState(false)
+
+  const handleQuestionChange = (index, field, value) => {
+    const updated = [...questions]
+    updated[index] = { ...updated[index], [field]: value }
+    setQuestions(updated)
+  }
+
+  const handleOptionChange = (questionIndex, optionIndex, value) => {
+    const updated = [...questions]
+    const options = [...(updated[questionIndex].options || [])]
+    options[optionIndex] = value
+    updated[questionIndex] = { ...updated[questionIndex], options }
+    setQuestions(updated)
+  }
+
+  const changeQuestionType = (index, type) => {
+    const updated = [...questions]
+    updated[index] = type === 'open'
+      ? { ...updated[index], type, lookFor: updated[index].lookFor || '' }
+      : { ...updated[index], type, options: updated[index].options || ['', '', '', ''], correct: updated[index].correct ?? 0 }
+    setQuestions(updated)
+  }
+
+  const addQuestion = () => {
+    let n = questions.length + 1
+    while (questions.some(q => q.id === `q${n}`)) n++
+    setQuestions([...questions, { id: `q${n}`, category: 'sourcing', type: 'open', question: '', lookFor: '' }])
+  }
+
+  const removeQuestion = (index) => {
+    setQuestions(questions.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async () => {
+    if (questions.some(q => !q.question?.trim())) {
+      toast.error('Error', 'Every question needs text')
+      return
+    }
+
+    if (questions.some(q => q.type !== 'open' && (q.options || []).some(o => !o.trim()))) {
+      toast.error('Error', 'Fill in every multiple choice option')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updatedContent = {
+        ...activity.content,
+        title,
+        instructions,
+        source: { ...source, citation },
+        questions
+      }
+
+      const response = await api.put(`/activities/${activity.id}/content`, {
+        content: updatedContent
+      })
+
+      toast.success('Success', 'Source analysis updated successfully!')
+
+      if (onSaved) {
+        onSaved(response.data.activity)
+      }
+
+      onClose()
+    } catch (error) {
+      console.error('Save error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update activity')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="primary-source-editor-title"
+    >
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col max-w-full sm:max-w-4xl">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="primary-source-editor-title" className="text-xl font-bold text-gray-900">Edit Source Analysis</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {questions.length} question{questions.length !== 1 ? 's' : ''} about {source.title || 'the source'}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close source analysis editor"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="flex-1 p-6 overflow-y-auto space-y-6">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Instructions</label>
+              <input
+                type="text"
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Examine the source, add your own annotations, then answer the questions"
+              />
+            </div>
+          </div>
+
+          {/* Source */}
+          <div className="grid md:grid-cols-3 gap-4">
+            <div className="md:col-span-1">
+              {source.kind === 'image' ? (
+                <img
+                  src={sourceImageUrl(source.imageUrl)}
+                  alt={source.title || 'Primary source'}
+                  className="w-full rounded-lg border border-gray-200"
+                />
+              ) : (
+                <div className="p-3 bg-stone-50 border border-stone-200 rounded-lg text-xs text-gray-700 max-h-40 overflow-y-auto whitespace-pre-wrap font-serif">
+                  {source.text || 'No source text'}
+                </div>
+              )}
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-xs font-medium text-gray-700 mb-1">Citation shown to students</label>
+              <textarea
+                value={citation}
+                onChange={(e) => setCitation(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                rows="3"
+                placeholder="Author, title, date, where it was published..."
+              />
+            </div>
+          </div>
+
+          {/* Questions */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Questions</h3>
+            <div className="space-y-3">
+              {questions.map((question, index) => (
+                <div key={question.id} className="p-4 border-2 border-stone-200 rounded-lg bg-white shadow-sm">
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <span className="text-sm font-semibold text-gray-500">{index + 1}.</span>
+                    <select
+                      value={question.category}
+                      onChange={(e) => handleQuestionChange(index, 'category', e.target.value)}
+                      className="p-1 border border-gray-300 rounded text-sm"
+                    >
+                      {Object.entries(SOURCE_CATEGORIES).map(([value, { label }]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={question.type === 'open' ? 'open' : 'multiple_choice'}
+                      onChange={(e) => changeQuestionType(index, e.target.value)}
+                      className="p-1 border border-gray-300 rounded text-sm"
+                    >
+                      <option value="open">Written answer</option>
+                      <option value="multiple_choice">Multiple choice</option>
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => removeQuestion(index)}
+                      className="ml-auto text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium"
+                      aria-label={`Remove question ${index + 1}`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+
+                  <textarea
+                    value={question.question}
+                    onChange={(e) => handleQuestionChange(index, 'question', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-lg text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    rows="2"
+                    placeholder="Question"
+                  />
+
+                  {question.type === 'open' ? (
+                    <input
+                      type="text"
+                      value={question.lookFor || ''}
+                      onChange={(e) => handleQuestionChange(index, 'lookFor', e.target.value)}
+                      className="w-full mt-2 p-2 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="What a strong answer includes (guides the AI feedback)"
+                    />
+                  ) : (
+                    <div className="mt-2 space-y-2">
+                      {(question.options || []).map((option, optionIndex) => (
+                        <div key={optionIndex} className="flex items-center gap-2">
+                          <input
+                            type="radio"
+                            name={`correct-${question.id}`}
+                            checked={question.correct === optionIndex}
+                            onChange={() => handleQuestionChange(index, 'correct', optionIndex)}
+                            aria-label={`Mark option ${String.fromCharCode(65 + optionIndex)} correct`}
+                          />
+                          <input
+                            type="text"
+                            value={option}
+                            onChange={(e) => handleOptionChange(index, optionIndex, e.target.value)}
+                            className={`flex-1 p-2 border rounded-lg text-sm ${question.correct === optionIndex ? 'border-green-400 bg-green-50' : 'border-gray-300'}`}
+                            placeholder={`Option ${String.fromCharCode(65 + optionIndex)}`}
+                          />
+                        </div>
+                      ))}
+                      <input
+                        type="text"
+                        value={question.explanation || ''}
+                        onChange={(e) => handleQuestionChange(index, 'explanation', e.target.value)}
+                        className="w-full p-2 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Explanation shown to students who answer incorrectly (optional)"
+                      />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={addQuestion}
+              className="w-full mt-3 p-4 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 hover:bg-blue-50 transition-all font-medium"
+            >
+              + Add Question
+            </button>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || questions.length === 0}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors flex items-center justify-center gap-2 shadow-sm"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
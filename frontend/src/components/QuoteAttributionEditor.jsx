@@ -0,0 +1,219 @@
+import { useState } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
+
+/**
+ * QuoteAttributionEditor Component
+ * Editor for quote attribution activities - each quote and the speakers to choose from
+ */
+export default function QuoteAttributionEditor({ activity, onClose, onSaved }) {
+  const toast = useToast()
+
+  const [title, setTitle] = useState(activity.content?.title || '')
+  const [questions, setQuestions] = useState(activity.content?.questions || [])
+  const [saving, setSaving] = useState(false)
+
+  const handleQuestionChange = (index, field, value) => {
+    const updated = [...questions]
+    updated[index] = { ...updated[index], [field]: value }
+    setQuestions(updated)
+  }
+
+  const handleOptionChange = (qIndex, optIndex, value) => {
+    const updated = [...questions]
+    const options = [...updated[qIndex].options]
+    options[optIndex] = value
+    updated[qIndex] = { ...updated[qIndex], options }
+    setQuestions(updated)
+  }
+
+  const addQuestion = () => {
+    let n = questions.length + 1
+    while (questions.some(q => q.id === `qa${n}`)) n++
+    // Start with the speakers already used in this activity
+    const speakers = [...new Set(questions.flatMap(q => q.options))].slice(0, 4)
+    setQuestions([...questions, {
+      id: `qa${n}`,
+      quote: '',
+      context: '',
+      options: speakers.length === 4 ? speakers : ['', '', '', ''],
+      correct: 0,
+      explanation: ''
+    }])
+  }
+
+  const removeQuestion = (index) => {
+    setQuestions(questions.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async () => {
+    if (questions.some(q => !q.quote.trim() || q.options.some(o => !o.trim()))) {
+      toast.error('Error', 'Fill in every quote and speaker')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updatedContent = {
+        ...activity.content,
+        title,
+        speakers: [...new Set(questions.flatMap(q => q.options))],
+        // The question text is what help requests and reports show
+        questions: questions.map(q => ({ ...q, question: `Who said: "${q.quote}"` }))
+      }
+
+      const response = await api.put(`/activities/${activity.id}/content`, {
+        content: updatedContent
+      })
+
+      toast.success('Success', 'Quotes updated successfully!')
+
+      if (onSaved) {
+        onSaved(response.data.activity)
+      }
+
+      onClose()
+    } catch (error) {
+      console.error('Save error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update activity')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="quote-editor-title"
+    >
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col max-w-full sm:max-w-4xl">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="quote-editor-title" className="text-xl font-bold text-gray-900">Edit Quote Attribution</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {questions.length} quote{questions.length !== 1 ? 's' : ''}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close quote attribution editor"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="flex-1 p-6 overflow-y-auto space-y-6">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div className="space-y-3">
+            {questions.map((q, index) => (
+              <div key={q.id} className="p-4 border-2 border-gray-200 rounded-lg bg-white shadow-sm">
+                <div className="flex items-start gap-2 mb-2">
+                  <span className="text-sm font-semibold text-gray-500 mt-2">{index + 1}.</span>
+                  <textarea
+                    value={q.quote}
+                    onChange={(e) => handleQuestionChange(index, 'quote', e.target.value)}
+                    className="flex-1 p-2 border border-gray-300 rounded-lg text-sm italic resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    rows="2"
+                    placeholder="Quote, exactly as it appears in the text"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeQuestion(index)}
+                    className="text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium"
+                    aria-label={`Remove quote ${index + 1}`}
+                  >
+                    Remove
+                  </button>
+                </div>
+
+                <input
+                  type="text"
+                  value={q.context || ''}
+                  onChange={(e) => handleQuestionChange(index, 'context', e.target.value)}
+                  className="w-full mb-2 p-2 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Context shown with the quote (optional)"
+                />
+
+                <div className="grid grid-cols-2 gap-2">
+                  {q.options.map((option, optIndex) => (
+                    <div key={optIndex} className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name={`correct-${q.id}`}
+                        checked={q.correct === optIndex}
+                        onChange={() => handleQuestionChange(index, 'correct', optIndex)}
+                        aria-label={`Mark speaker ${optIndex + 1} correct`}
+                      />
+                      <input
+                        type="text"
+                        value={option}
+                        onChange={(e) => handleOptionChange(index, optIndex, e.target.value)}
+                        className={`flex-1 p-2 border rounded-lg text-sm ${q.correct === optIndex ? 'border-green-400 bg-green-50' : 'border-gray-300'}`}
+                        placeholder="Speaker"
+                      />
+                    </div>
+                  ))}
+                </div>
+
+                <input
+                  type="text"
+                  value={q.explanation || ''}
+                  onChange={(e) => handleQuestionChange(index, 'explanation', e.target.value)}
+                  className="w-full mt-2 p-2 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Explanation shown after answering (what gives the speaker away)"
+                />
+              </div>
+            ))}
+          </div>
+
+          <button
+            type="button"
+            onClick={addQuestion}
+            className="w-full p-4 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 hover:bg-blue-50 transition-all font-medium"
+          >
+            + Add Quote
+          </button>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || questions.length === 0}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors flex items-center justify-center gap-2 shadow-sm"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,10 +1,14 @@
-import { useEffect, useRef } from 'react'
+import { useEffect, useRef, useState } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
 
 /**
  * StudentDetailModal Component
  * Shows detailed question-by-question breakdown for a student
  * Displays which questions were answered correctly/incorrectly and attempt counts
  * Updates in real-time as student answers questions
+ * Written answers scored against a rubric show the score and feedback, and
+ * the teacher can override the score
  *
  * Accessibility features:
  * - Keyboard navigation (Escape to close)
@@ -16,6 +20,8 @@ import { useEffect, useRef } from 'react'
 export default function StudentDetailModal({ studentId, studentProgress, onClose, onRemoveStudent }) {
   const dialogRef = useRef(null)
   const closeButtonRef = useRef(null)
+  // Scores the teacher has overridden here, until the progress data is refetched
+  const [overrides, setOverrides] = useState({}) // responseId -> { isCorrect, rubricScore }
 
   // Find the current student data from the live studentProgress array
   const student = studentProgress.find(s => s.studentId === studentId)
@@ -217,7 +223,7 @@ export default function StudentDetailModal({ studentId, studentProgress, onClose
 
             {student.questionProgress && student.questionProgress.length > 0 ? (
               <div className="space-y-3">
-                {student.questionProgress.map((question, index) => (
+                {student.questionProgress.map(progress => ({ ...progress, ...overrides[progress.responseId] })).map((question, index) => (
                   <div
                     key={index}
                     className={`border-2 rounded-lg p-4 ${
@@ -277,6 +283,13 @@ export default function StudentDetailModal({ studentId, studentProgress, onClose
                             </div>
                           )}
                         </div>
+
+                        {question.rubricScore && (
+                          <RubricScore
+                            question={question}
+                            onOverridden={(updated) => setOverrides(prev => ({ ...prev, [question.responseId]: updated }))}
+                          />
+                        )}
                       </div>
                     </div>
                   </div>
@@ -329,3 +342,120 @@ export default function StudentDetailModal({ studentId, studentProgress, onClose
     </div>
   )
 }
+
+/**
+ * Rubric score, AI feedback and teacher override for one written answer
+ */
+function RubricScore({ question, onOverridden }) {
+  const toast = useToast()
+  const score = question.rubricScore
+  const [editing, setEditing] = useState(false)
+  const [points, setPoints] = useState(score.points ?? '')
+  const [note, setNote] = useState(score.teacherNote || '')
+  const [saving, setSaving] = useState(false)
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      const response = await api.put(`/responses/${question.responseId}/rubric-score`, {
+        points: parseInt(points),
+        note
+      })
+      const updated = response.data.response
+      onOverridden({ isCorrect: updated.is_correct, rubricScore: updated.response.rubricScore })
+      toast.success('Success', 'Score updated')
+      setEditing(false)
+    } catch (error) {
+      console.error('Override score error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update score')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="mt-3 p-3 bg-white rounded-lg border border-gray-200 text-sm">
+      {question.justification && (
+        <p className="text-gray-800 italic mb-2">"{question.justification}"</p>
+      )}
+
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <span className="text-gray-600">Rubric score:</span>
+          <span className="ml-2 font-semibold text-gray-900">
+            {score.points ?? '—'}/{score.maxPoints}
+          </span>
+          <span className="ml-2 text-xs text-gray-500">
+            {score.scoredBy === 'teacher'
+              ? `Teacher override${score.aiPoints !== null && score.aiPoints !== undefined ? ` (AI: ${score.aiPoints})` : ''}`
+              : score.scoredBy === 'ai' ? 'AI scored' : 'Needs review'}
+          </span>
+        </div>
+        {!editing && (
+          <button
+            type="button"
+            onClick={() => setEditing(true)}
+            className="text-blue-600 hover:text-blue-700 text-sm font-medium"
+          >
+            Override
+          </button>
+        )}
+      </div>
+
+      {score.criteria?.length > 0 && score.points !== null && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {score.criteria.map(c => (
+            <span key={c.id} className="px-2 py-0.5 rounded bg-gray-100 text-xs text-gray-700">
+              {c.label}: {c.points ?? '—'}/{c.maxPoints}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {score.feedback && (
+        <p className="text-gray-600 mt-2">{score.feedback}</p>
+      )}
+      {score.teacherNote && !editing && (
+        <p className="text-gray-600 mt-1"><span className="font-medium">Teacher note:</span> {score.teacherNote}</p>
+      )}
+
+      {editing && (
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            max={score.maxPoints}
+            value={points}
+            onChange={(e) => setPoints(e.target.value)}
+            className="w-20 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label={`Score out of ${score.maxPoints}`}
+          />
+          <span className="text-gray-600">/ {score.maxPoints}</span>
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            className="flex-1 min-w-[10rem] p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Note (optional)"
+          />
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || points === ''}
+            className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:bg-blue-400"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setEditing(false)}
+            disabled={saving}
+            className="px-3 py-2 text-gray-600 hover:text-gray-800 text-sm"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,174 @@
+import { useState, useRef, useMemo } from 'react'
+import axios from 'axios'
+import { splitSentences, spansOverlap } from '../utils/textSpans'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * TextEvidenceActivity Component
+ * Student view - read the claim, then tap the sentences in the passage that support it
+ * Highlights are scored on the server by overlap with the accepted evidence spans
+ */
+export default function TextEvidenceActivity({ activity, studentId, onSubmit }) {
+  const content = activity.content
+  const passage = content.passage || ''
+  const sentences = useMemo(() => splitSentences(passage), [passage])
+
+  const [selected, setSelected] = useState([]) // sentence indexes
+  const [submitting, setSubmitting] = useState(false)
+  const [result, setResult] = useState(null)
+  const startTime = useRef(Date.now())
+
+  const toggleSentence = (index) => {
+    if (result) return
+    setSelected(prev => prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index])
+  }
+
+  const handleSubmit = async () => {
+    setSubmitting(true)
+
+    try {
+      const highlights = [...selected]
+        .sort((a, b) => a - b)
+        .map(i => ({ start: sentences[i].start, end: sentences[i].end }))
+
+      const response = await axios.post(
+        `${API_URL}/api/activities/${activity.id}/text-evidence/submit`,
+        {
+          studentId,
+          highlights,
+          timeSpent: Math.round((Date.now() - startTime.current) / 1000)
+        }
+      )
+
+      setResult(response.data.response)
+    } catch (error) {
+      console.error('Submit error:', error)
+      alert('Failed to submit. Please try again.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleContinue = () => {
+    if (onSubmit) {
+      onSubmit({
+        type: 'text_evidence',
+        highlights: selected.map(i => ({ start: sentences[i].start, end: sentences[i].end })),
+        score: result.score
+      })
+    }
+  }
+
+  // Style for a sentence before and after submitting
+  const sentenceClass = (sentence, index) => {
+    const isSelected = selected.includes(index)
+
+    if (!result) {
+      return isSelected
+        ? 'bg-yellow-200 rounded'
+        : 'hover:bg-yellow-50 rounded cursor-pointer'
+    }
+
+    const isEvidence = result.evidence.some(span => spansOverlap(span, sentence))
+    if (isSelected && isEvidence) return 'bg-green-200 rounded'
+    if (isSelected) return 'bg-red-100 line-through decoration-red-400 rounded'
+    if (isEvidence) return 'border-b-2 border-dashed border-green-600'
+    return ''
+  }
+
+  // Render the passage with each sentence as a tappable span, keeping paragraph breaks
+  const renderPassage = () => {
+    const parts = []
+    let cursor = 0
+
+    sentences.forEach((sentence, index) => {
+      if (sentence.start > cursor) {
+        parts.push(<span key={`gap-${index}`}>{passage.slice(cursor, sentence.start)}</span>)
+      }
+      parts.push(
+        <span
+          key={index}
+          onClick={() => toggleSentence(index)}
+          className={`transition-colors ${sentenceClass(sentence, index)}`}
+        >
+          {sentence.text}
+        </span>
+      )
+      cursor = sentence.end
+    })
+
+    if (cursor < passage.length) {
+      parts.push(<span key="tail">{passage.slice(cursor)}</span>)
+    }
+
+    return parts
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{content.title || 'Find the Evidence'}</h2>
+
+      <div className="p-4 mb-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+        <p className="text-xs font-semibold text-blue-700 uppercase mb-1">Claim</p>
+        <p className="text-lg text-gray-900">{content.claim}</p>
+      </div>
+
+      {!result && (
+        <p className="text-gray-600 mb-4">
+          {content.instructions || 'Tap the sentences in the passage that support the claim. Tap again to remove a highlight.'}
+        </p>
+      )}
+
+      {result && (
+        <div className={`p-4 mb-4 rounded-lg border-2 ${result.isCorrect ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+          <h3 className={`text-xl font-bold ${result.isCorrect ? 'text-green-900' : 'text-yellow-900'}`}>
+            {result.isCorrect ? 'Strong Evidence!' : 'Good Try!'}
+          </h3>
+          <p className={`text-lg ${result.isCorrect ? 'text-green-700' : 'text-yellow-700'}`}>
+            Score: <span className="font-bold">{result.score}%</span>
+          </p>
+          <p className="text-sm text-gray-700 mt-1">
+            Found {result.foundCount} of {result.totalEvidence} pieces of evidence
+            {result.extraHighlights.length > 0 && ` • ${result.extraHighlights.length} highlight${result.extraHighlights.length !== 1 ? 's' : ''} didn't support the claim`}
+          </p>
+          <div className="flex flex-wrap gap-4 mt-3 text-xs text-gray-600">
+            <span><span className="inline-block w-3 h-3 bg-green-200 rounded mr-1" />Correct highlight</span>
+            <span><span className="inline-block w-3 h-3 bg-red-100 rounded mr-1" />Not evidence</span>
+            <span><span className="inline-block w-3 border-b-2 border-dashed border-green-600 mr-1" />Missed evidence</span>
+          </div>
+        </div>
+      )}
+
+      <div className="p-4 bg-white border border-gray-200 rounded-lg text-lg leading-relaxed whitespace-pre-wrap select-none">
+        {renderPassage()}
+      </div>
+
+      {result && result.evidence.some(span => !span.found) && (
+        <div className="mt-4 space-y-2">
+          <h4 className="font-semibold text-gray-800">Evidence you missed</h4>
+          {result.evidence.filter(span => !span.found).map((span, i) => (
+            <div key={i} className="p-3 bg-gray-50 rounded border text-sm">
+              <p className="italic text-gray-900">"{span.text}"</p>
+              {span.reason && <p className="text-gray-600 mt-1">{span.reason}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {result ? (
+        <button onClick={handleContinue} className="btn-primary w-full mt-6">
+          Continue
+        </button>
+      ) : (
+        <button
+          onClick={handleSubmit}
+          disabled={selected.length === 0 || submitting}
+          className="btn-primary w-full mt-6 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? 'Submitting...' : `Submit ${selected.length} highlight${selected.length !== 1 ? 's' : ''}`}
+        </button>
+      )}
+    </div>
+  )
+}
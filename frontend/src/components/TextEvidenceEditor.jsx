@@ -0,0 +1,244 @@
+import { useState, useMemo } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
+import { splitSentences, spansOverlap } from '../utils/textSpans'
+
+/**
+ * TextEvidenceEditor Component
+ * Editor for text evidence activities - claim, passage and accepted evidence spans
+ */
+export default function TextEvidenceEditor({ activity, onClose, onSaved }) {
+  const toast = useToast()
+
+  const [title, setTitle] = useState(activity.content?.title || '')
+  const [claim, setClaim] = useState(activity.content?.claim || '')
+  const [passage, setPassage] = useState(activity.content?.passage || '')
+  const [evidence, setEvidence] = useState(activity.content?.evidence || [])
+  const [tolerance, setTolerance] = useState(activity.content?.tolerance ?? 0.5)
+  const [editingPassage, setEditingPassage] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const sentences = useMemo(() => splitSentences(passage), [passage])
+
+  // Clicking a sentence adds it as evidence, or removes any span it overlaps
+  const toggleSentence = (sentence) => {
+    const overlapping = evidence.filter(span => spansOverlap(span, sentence))
+
+    if (overlapping.length > 0) {
+      setEvidence(evidence.filter(span => !overlapping.includes(span)))
+    } else {
+      setEvidence([...evidence, { start: sentence.start, end: sentence.end, text: sentence.text }]
+        .sort((a, b) => a.start - b.start))
+    }
+  }
+
+  const handleReasonChange = (index, value) => {
+    const updated = [...evidence]
+    updated[index] = { ...updated[index], reason: value }
+    setEvidence(updated)
+  }
+
+  // Offsets go stale when the passage changes, so re-find each span by its text
+  const finishPassageEdit = () => {
+    const relocated = evidence
+      .map(span => {
+        const start = passage.indexOf(span.text)
+        return start === -1 ? null : { ...span, start, end: start + span.text.length }
+      })
+      .filter(Boolean)
+
+    if (relocated.length < evidence.length) {
+      toast.warning('Evidence removed', `${evidence.length - relocated.length} evidence span(s) no longer appear in the passage`)
+    }
+
+    setEvidence(relocated)
+    setEditingPassage(false)
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      const updatedContent = {
+        ...activity.content,
+        title,
+        claim,
+        passage,
+        evidence,
+        tolerance
+      }
+
+      const response = await api.put(`/activities/${activity.id}/content`, {
+        content: updatedContent
+      })
+
+      toast.success('Success', 'Text evidence activity updated successfully!')
+
+      if (onSaved) {
+        onSaved(response.data.activity)
+      }
+
+      onClose()
+    } catch (error) {
+      console.error('Save error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update activity')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="text-evidence-editor-title"
+    >
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col max-w-full sm:max-w-4xl">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="text-evidence-editor-title" className="text-xl font-bold text-gray-900">Edit Text Evidence</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {evidence.length} accepted evidence span{evidence.length !== 1 ? 's' : ''}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close text evidence editor"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="flex-1 p-6 overflow-y-auto space-y-5">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Claim</label>
+            <textarea
+              value={claim}
+              onChange={(e) => setClaim(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-lg text-base resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              rows="2"
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-xs font-medium text-gray-700">
+                Passage {!editingPassage && '(click sentences to accept or remove them as evidence)'}
+              </label>
+              <button
+                type="button"
+                onClick={() => editingPassage ? finishPassageEdit() : setEditingPassage(true)}
+                className="text-sm font-medium text-blue-600 hover:text-blue-700"
+              >
+                {editingPassage ? 'Done Editing Text' : 'Edit Text'}
+              </button>
+            </div>
+            {editingPassage ? (
+              <textarea
+                value={passage}
+                onChange={(e) => setPassage(e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-lg text-base focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                rows="12"
+              />
+            ) : (
+              <div className="p-4 border border-gray-200 rounded-lg leading-relaxed whitespace-pre-wrap">
+                {sentences.map((sentence, i) => {
+                  const isEvidence = evidence.some(span => spansOverlap(span, sentence))
+                  return (
+                    <span key={i}>
+                      <span
+                        onClick={() => toggleSentence(sentence)}
+                        className={`cursor-pointer rounded transition-colors ${isEvidence ? 'bg-green-200' : 'hover:bg-gray-100'}`}
+                      >
+                        {sentence.text}
+                      </span>
+                      {passage.slice(sentence.end, sentences[i + 1]?.start ?? passage.length)}
+                    </span>
+                  )
+                })}
+              </div>
+            )}
+          </div>
+
+          {evidence.length > 0 && (
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-2">
+                Accepted Evidence (reasons are shown to students who miss it)
+              </label>
+              <div className="space-y-2">
+                {evidence.map((span, i) => (
+                  <div key={`${span.start}-${span.end}`} className="p-3 bg-green-50 border border-green-200 rounded-lg">
+                    <p className="text-sm italic text-gray-900 mb-2">"{span.text}"</p>
+                    <input
+                      type="text"
+                      value={span.reason || ''}
+                      onChange={(e) => handleReasonChange(i, e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Why this supports the claim (optional)"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">
+              Overlap tolerance: {Math.round(tolerance * 100)}%
+            </label>
+            <input
+              type="range"
+              min="0.2"
+              max="1"
+              step="0.1"
+              value={tolerance}
+              onChange={(e) => setTolerance(parseFloat(e.target.value))}
+              className="w-full"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              How much of an evidence span a student must highlight for it to count
+            </p>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || editingPassage || evidence.length === 0}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors flex items-center justify-center gap-2 shadow-sm"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,342 @@
+import { useState, useRef, useMemo } from 'react'
+import axios from 'axios'
+import {
+  DndContext,
+  PointerSensor,
+  TouchSensor,
+  useSensor,
+  useSensors,
+  useDraggable,
+  useDroppable
+} from '@dnd-kit/core'
+import { CSS } from '@dnd-kit/utilities'
+import { getTimelineAxis, formatYear, getAxisTicks } from '../utils/timeline'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * DraggableEvent Component - event card in the tray or on the axis
+ */
+function DraggableEvent({ event, selected, onSelect, disabled, children }) {
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({
+    id: event.id,
+    disabled
+  })
+
+  return (
+    <div
+      ref={setNodeRef}
+      style={{ transform: CSS.Translate.toString(transform), zIndex: isDragging ? 1000 : 'auto' }}
+      {...listeners}
+      {...attributes}
+      onClick={(e) => { e.stopPropagation(); onSelect(event.id) }}
+      className={`
+        p-2 rounded-lg border-2 bg-white text-sm touch-none
+        ${disabled ? '' : 'cursor-grab active:cursor-grabbing'}
+        ${isDragging ? 'shadow-2xl border-blue-500 opacity-90' : selected ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200 hover:border-blue-300'}
+      `}
+    >
+      {children}
+    </div>
+  )
+}
+
+/**
+ * TimelineAxis Component - droppable scaled axis
+ */
+function TimelineAxis({ axisRef, onAxisClick, children }) {
+  const { setNodeRef, isOver } = useDroppable({ id: 'timeline-axis' })
+
+  return (
+    <div
+      ref={(node) => { setNodeRef(node); axisRef.current = node }}
+      onClick={onAxisClick}
+      className={`relative h-64 rounded-lg border-2 transition-colors ${isOver ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-gray-50'}`}
+    >
+      {children}
+    </div>
+  )
+}
+
+/**
+ * EventTray Component - droppable area for events not yet placed
+ */
+function EventTray({ children }) {
+  const { setNodeRef, isOver } = useDroppable({ id: 'event-tray' })
+
+  return (
+    <div
+      ref={setNodeRef}
+      className={`flex flex-wrap gap-2 p-3 min-h-[64px] rounded-lg border-2 border-dashed ${isOver ? 'border-blue-400 bg-blue-50' : 'border-gray-300'}`}
+    >
+      {children}
+    </div>
+  )
+}
+
+/**
+ * TimelineActivity Component
+ * Student view - drag events onto a scaled timeline axis
+ * Scored on both relative order and distance from each event's true date
+ */
+export default function TimelineActivity({ activity, onSubmit, studentId }) {
+  const content = activity.content
+  const events = content.events || []
+  const axis = useMemo(() => getTimelineAxis(content), [content])
+  const span = axis.end - axis.start
+  const ticks = useMemo(() => getAxisTicks(axis), [axis])
+
+  // Shuffle events for the tray (Fisher-Yates)
+  const [trayOrder] = useState(() => {
+    const shuffled = events.map(e => e.id)
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+    }
+    return shuffled
+  })
+
+  const [placements, setPlacements] = useState({}) // eventId -> year
+  const [selectedId, setSelectedId] = useState(null)
+  const [submitted, setSubmitted] = useState(false)
+  const [result, setResult] = useState(null)
+  const axisRef = useRef(null)
+  const startTime = useRef(Date.now())
+
+  const sensors = useSensors(
+    useSensor(PointerSensor, {
+      activationConstraint: {
+        distance: 8 // 8px movement before drag starts, so taps still select
+      }
+    }),
+    useSensor(TouchSensor, {
+      activationConstraint: {
+        delay: 150,
+        tolerance: 5
+      }
+    })
+  )
+
+  const toPercent = (year) => ((year - axis.start) / span) * 100
+
+  const yearFromClientX = (clientX, rect) => {
+    const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width))
+    return Math.round(axis.start + fraction * span)
+  }
+
+  const placeEvent = (eventId, year) => {
+    setPlacements(prev => ({ ...prev, [eventId]: year }))
+  }
+
+  const unplaceEvent = (eventId) => {
+    setPlacements(prev => {
+      const updated = { ...prev }
+      delete updated[eventId]
+      return updated
+    })
+  }
+
+  const handleDragEnd = ({ active, over }) => {
+    if (!over) return
+
+    if (over.id === 'event-tray') {
+      unplaceEvent(active.id)
+      return
+    }
+
+    if (over.id === 'timeline-axis') {
+      const dragged = active.rect.current.translated
+      if (!dragged) return
+      placeEvent(active.id, yearFromClientX(dragged.left + dragged.width / 2, over.rect))
+    }
+  }
+
+  // Tap an event, then tap the axis to place it
+  const handleAxisClick = (e) => {
+    if (!selectedId || submitted) return
+    placeEvent(selectedId, yearFromClientX(e.clientX, axisRef.current.getBoundingClientRect()))
+    setSelectedId(null)
+  }
+
+  const nudge = (eventId, direction) => {
+    const step = Math.max(1, Math.round(span / 100))
+    const next = Math.min(axis.end, Math.max(axis.start, placements[eventId] + direction * step))
+    placeEvent(eventId, next)
+  }
+
+  const handleSubmit = async () => {
+    const studentToken = localStorage.getItem('studentToken')
+    setSubmitted(true)
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/activities/${activity.id}/timeline/submit`,
+        {
+          studentId,
+          placements,
+          timeSpent: Math.round((Date.now() - startTime.current) / 1000)
+        },
+        {
+          headers: studentToken ? { 'Authorization': `Bearer ${studentToken}` } : {}
+        }
+      )
+
+      setResult(response.data.response)
+    } catch (error) {
+      console.error('Submit error:', error)
+      setSubmitted(false)
+      alert('Failed to submit. Please try again.')
+    }
+  }
+
+  const placedEvents = events
+    .filter(e => placements[e.id] !== undefined)
+    .sort((a, b) => placements[a.id] - placements[b.id])
+  const unplacedIds = trayOrder.filter(id => placements[id] === undefined)
+
+  const renderTicks = () => (
+    <>
+      <div className="absolute left-0 right-0 bottom-8 h-0.5 bg-gray-400" />
+      {ticks.map(tick => (
+        <div
+          key={tick}
+          className="absolute bottom-0 flex flex-col items-center -translate-x-1/2"
+          style={{ left: `${toPercent(tick)}%` }}
+        >
+          <div className="w-px h-3 bg-gray-400 mb-1" />
+          <span className="text-xs text-gray-500 whitespace-nowrap">{formatYear(tick)}</span>
+        </div>
+      ))}
+    </>
+  )
+
+  if (submitted && result) {
+    const resultById = Object.fromEntries(result.events.map(r => [r.id, r]))
+    const isCorrect = result.score === 100
+
+    return (
+      <div className="card">
+        <div className={`p-6 rounded-lg border-2 ${isCorrect ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+          <h3 className={`text-2xl font-bold ${isCorrect ? 'text-green-900' : 'text-yellow-900'}`}>
+            {isCorrect ? 'Perfect!' : 'Partial Credit'}
+          </h3>
+          <p className={`text-lg ${isCorrect ? 'text-green-700' : 'text-yellow-700'} mt-1`}>
+            Score: <span className="font-bold">{Math.round(result.score)}%</span>
+          </p>
+          <p className={`text-sm ${isCorrect ? 'text-green-600' : 'text-yellow-600'} mt-1`}>
+            Order: {result.orderScore}% • Placement accuracy: {result.distanceScore}%
+          </p>
+        </div>
+
+        <div className="mt-6 space-y-2">
+          {[...events].sort((a, b) => a.year - b.year).map(event => {
+            const r = resultById[event.id]
+            return (
+              <div key={event.id} className={`flex items-center gap-3 p-3 rounded ${r.closeness >= 0.8 ? 'bg-green-50' : r.closeness >= 0.4 ? 'bg-yellow-50' : 'bg-red-50'}`}>
+                <div className="flex-1">
+                  <p className="font-medium text-gray-900">{event.text}</p>
+                  <p className="text-sm text-gray-600">
+                    Actual: {event.dateLabel || formatYear(event.year)} • You placed: {formatYear(r.placedYear)}
+                  </p>
+                </div>
+                <span className="text-sm font-semibold text-gray-700">{Math.round(r.closeness * 100)}%</span>
+              </div>
+            )
+          })}
+        </div>
+
+        <button
+          onClick={() => onSubmit && onSubmit({ type: 'timeline', placements, score: result.score })}
+          className="btn-primary w-full mt-6"
+        >
+          Continue
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="card">
+      <h3 className="text-xl font-bold text-gray-900 mb-2">{content.title || 'Timeline'}</h3>
+      <p className="text-gray-600 mb-6">{content.instructions || 'Drag each event to where it belongs on the timeline'}</p>
+
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+        <p className="text-sm text-blue-800">
+          <strong>Instructions:</strong> Drag events onto the timeline, or tap an event and then tap the timeline.
+          Use the arrows to fine-tune. You get credit for the right order and for placing events close to their real date.
+        </p>
+      </div>
+
+      <DndContext sensors={sensors} onDragEnd={handleDragEnd}>
+        <TimelineAxis axisRef={axisRef} onAxisClick={handleAxisClick}>
+          {renderTicks()}
+          {placedEvents.map((event, index) => (
+            <div
+              key={event.id}
+              className="absolute w-36 -translate-x-1/2"
+              style={{ left: `${toPercent(placements[event.id])}%`, top: `${(index % 3) * 56 + 8}px` }}
+            >
+              <DraggableEvent
+                event={event}
+                selected={selectedId === event.id}
+                onSelect={(id) => setSelectedId(selectedId === id ? null : id)}
+                disabled={submitted}
+              >
+                <p className="line-clamp-2 leading-tight">{event.text}</p>
+                <div className="flex items-center justify-between mt-1">
+                  <button
+                    onPointerDown={(e) => e.stopPropagation()}
+                    onClick={(e) => { e.stopPropagation(); nudge(event.id, -1) }}
+                    className="px-1 text-gray-400 hover:text-blue-600"
+                    aria-label="Move earlier"
+                  >
+                    ◀
+                  </button>
+                  <span className="text-xs font-semibold text-blue-700">{formatYear(placements[event.id])}</span>
+                  <button
+                    onPointerDown={(e) => e.stopPropagation()}
+                    onClick={(e) => { e.stopPropagation(); nudge(event.id, 1) }}
+                    className="px-1 text-gray-400 hover:text-blue-600"
+                    aria-label="Move later"
+                  >
+                    ▶
+                  </button>
+                </div>
+              </DraggableEvent>
+            </div>
+          ))}
+        </TimelineAxis>
+
+        <h4 className="font-semibold text-gray-700 mt-6 mb-2">Events to place</h4>
+        <EventTray>
+          {unplacedIds.map(id => {
+            const event = events.find(e => e.id === id)
+            return (
+              <div key={id} className="w-44">
+                <DraggableEvent
+                  event={event}
+                  selected={selectedId === id}
+                  onSelect={(eventId) => setSelectedId(selectedId === eventId ? null : eventId)}
+                  disabled={submitted}
+                >
+                  {event.text}
+                </DraggableEvent>
+              </div>
+            )
+          })}
+          {unplacedIds.length === 0 && (
+            <p className="text-sm text-gray-500 italic">All events placed — drag one back here to remove it</p>
+          )}
+        </EventTray>
+      </DndContext>
+
+      <button
+        onClick={handleSubmit}
+        disabled={unplacedIds.length > 0 || submitted}
+        className="btn-primary w-full mt-6 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitted ? 'Submitting...' : unplacedIds.length > 0 ? `Place all events to submit (${unplacedIds.length} left)` : 'Submit Timeline'}
+      </button>
+    </div>
+  )
+}
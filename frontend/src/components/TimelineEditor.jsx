@@ -0,0 +1,245 @@
+import { useState } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
+import { getTimelineAxis, formatYear } from '../utils/timeline'
+
+/**
+ * TimelineEditor Component
+ * Editor for timeline activities - events with years, axis range and scoring balance
+ */
+export default function TimelineEditor({ activity, onClose, onSaved }) {
+  const toast = useToast()
+
+  const [title, setTitle] = useState(activity.content?.title || '')
+  const [instructions, setInstructions] = useState(activity.content?.instructions || '')
+  const [events, setEvents] = useState(activity.content?.events || [])
+  const [axisStart, setAxisStart] = useState(activity.content?.axis?.start ?? '')
+  const [axisEnd, setAxisEnd] = useState(activity.content?.axis?.end ?? '')
+  const [orderWeight, setOrderWeight] = useState(activity.content?.scoring?.orderWeight ?? 0.5)
+  const [saving, setSaving] = useState(false)
+
+  const autoAxis = getTimelineAxis({ events })
+
+  const handleEventChange = (index, field, value) => {
+    const updated = [...events]
+    updated[index] = { ...updated[index], [field]: value }
+    setEvents(updated)
+  }
+
+  const addEvent = () => {
+    let n = events.length + 1
+    while (events.some(e => e.id === `ev${n}`)) n++
+    setEvents([...events, { id: `ev${n}`, text: '', year: '', dateLabel: '' }])
+  }
+
+  const removeEvent = (index) => {
+    setEvents(events.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async () => {
+    if (events.some(e => e.year === '' || e.year === null || !Number.isFinite(Number(e.year)))) {
+      toast.error('Error', 'Every event needs a year (use negative numbers for BCE)')
+      return
+    }
+
+    const normalized = events.map(e => ({ ...e, year: Number(e.year) }))
+    const hasAxis = axisStart !== '' && axisEnd !== ''
+    if (hasAxis && Number(axisEnd) <= Number(axisStart)) {
+      toast.error('Error', 'Timeline end must be after its start')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updatedContent = {
+        ...activity.content,
+        title,
+        instructions,
+        events: normalized,
+        axis: hasAxis ? { start: Number(axisStart), end: Number(axisEnd) } : undefined,
+        scoring: { ...activity.content?.scoring, orderWeight }
+      }
+
+      const response = await api.put(`/activities/${activity.id}/content`, {
+        content: updatedContent
+      })
+
+      toast.success('Success', 'Timeline updated successfully!')
+
+      if (onSaved) {
+        onSaved(response.data.activity)
+      }
+
+      onClose()
+    } catch (error) {
+      console.error('Save error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update timeline')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="timeline-editor-title"
+    >
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col max-w-full sm:max-w-4xl">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="timeline-editor-title" className="text-xl font-bold text-gray-900">Edit Timeline</h2>
+              <p className="text-sm text-gray-600 mt-1">{events.length} event{events.length !== 1 ? 's' : ''}</p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close timeline editor"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="flex-1 p-6 overflow-y-auto space-y-5">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Instructions</label>
+              <input
+                type="text"
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Drag each event to where it belongs on the timeline"
+              />
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Events</h3>
+            <div className="space-y-2">
+              {events.map((event, index) => (
+                <div key={event.id} className="flex flex-wrap md:flex-nowrap items-center gap-2 p-3 border-2 border-blue-100 rounded-lg">
+                  <input
+                    type="text"
+                    value={event.text}
+                    onChange={(e) => handleEventChange(index, 'text', e.target.value)}
+                    className="flex-1 min-w-[200px] p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Event"
+                  />
+                  <input
+                    type="number"
+                    value={event.year}
+                    onChange={(e) => handleEventChange(index, 'year', e.target.value)}
+                    className="w-28 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Year"
+                    aria-label="Year (negative for BCE)"
+                  />
+                  <input
+                    type="text"
+                    value={event.dateLabel || ''}
+                    onChange={(e) => handleEventChange(index, 'dateLabel', e.target.value)}
+                    className="w-40 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Date or era label"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeEvent(index)}
+                    className="text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium"
+                    aria-label={`Remove event ${index + 1}`}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">Use negative years for BCE. The label is what students see after submitting.</p>
+            <button
+              type="button"
+              onClick={addEvent}
+              className="w-full mt-3 p-4 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 hover:bg-blue-50 transition-all font-medium"
+            >
+              + Add Event
+            </button>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Timeline range (optional)</label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={axisStart}
+                  onChange={(e) => setAxisStart(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                  placeholder={String(autoAxis.start)}
+                />
+                <span className="text-gray-500">to</span>
+                <input
+                  type="number"
+                  value={axisEnd}
+                  onChange={(e) => setAxisEnd(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                  placeholder={String(autoAxis.end)}
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Leave blank to use {formatYear(autoAxis.start)} – {formatYear(autoAxis.end)}
+              </p>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                Scoring: {Math.round(orderWeight * 100)}% order / {Math.round((1 - orderWeight) * 100)}% placement accuracy
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.1"
+                value={orderWeight}
+                onChange={(e) => setOrderWeight(parseFloat(e.target.value))}
+                className="w-full"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || events.length < 2}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors flex items-center justify-center gap-2 shadow-sm"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
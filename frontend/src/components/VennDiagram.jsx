@@ -0,0 +1,81 @@
+import { useRef } from 'react'
+import { getVennLayout, getVennRegions, regionAtPoint, SET_COLORS } from '../utils/venn'
+
+/**
+ * VennDiagram Component
+ * Draws a 2 or 3 set diagram and overlays content at each region's centre
+ *
+ * onRegionClick / onRegionDrop receive the region under the pointer (null outside the circles).
+ * renderRegion(region) returns what to show inside that region.
+ */
+export default function VennDiagram({ sets, renderRegion, onRegionClick, onRegionDrop, onDragOver, highlightRegion }) {
+  const containerRef = useRef(null)
+  const layout = getVennLayout(sets)
+  const regions = getVennRegions(sets)
+
+  const regionFromEvent = (e) => {
+    const rect = containerRef.current.getBoundingClientRect()
+    const x = ((e.clientX - rect.left) / rect.width) * 400
+    const y = ((e.clientY - rect.top) / rect.height) * 300
+    return regionAtPoint(sets, x, y)
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative w-full select-none"
+      style={{ aspectRatio: '4 / 3' }}
+      onClick={onRegionClick ? (e) => onRegionClick(regionFromEvent(e)) : undefined}
+      onDragOver={onDragOver ? (e) => onDragOver(e, regionFromEvent(e)) : undefined}
+      onDrop={onRegionDrop ? (e) => { e.preventDefault(); onRegionDrop(regionFromEvent(e)) } : undefined}
+    >
+      <svg viewBox="0 0 400 300" className="absolute inset-0 w-full h-full">
+        {sets.map(set => {
+          const circle = layout.circles[set.id]
+          const colors = SET_COLORS[set.id]
+          return (
+            <circle
+              key={set.id}
+              cx={circle.cx}
+              cy={circle.cy}
+              r={circle.r}
+              fill={colors.fill}
+              stroke={colors.stroke}
+              strokeWidth={highlightRegion?.includes(set.id) ? 3 : 1.5}
+            />
+          )
+        })}
+        {sets.map(set => {
+          const label = layout.labels[set.id]
+          return (
+            <text
+              key={set.id}
+              x={label.x}
+              y={label.y}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fontSize="13"
+              fontWeight="600"
+              fill={SET_COLORS[set.id].stroke}
+            >
+              {set.label}
+            </text>
+          )
+        })}
+      </svg>
+
+      {renderRegion && regions.map(region => {
+        const center = layout.centers[region]
+        return (
+          <div
+            key={region}
+            className="absolute -translate-x-1/2 -translate-y-1/2 flex flex-wrap justify-center gap-1 max-w-[22%] pointer-events-none"
+            style={{ left: `${(center.x / 400) * 100}%`, top: `${(center.y / 300) * 100}%` }}
+          >
+            {renderRegion(region)}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,253 @@
+import { useState, useRef } from 'react'
+import axios from 'axios'
+import VennDiagram from './VennDiagram'
+import { regionLabel } from '../utils/venn'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * VennDiagramActivity Component
+ * Student view - sort statements into the regions of a 2 or 3 set Venn diagram
+ *
+ * Drag a statement onto the diagram, or tap a statement and then tap a region.
+ * Placed statements show as numbered markers; the list below shows where each one went.
+ */
+export default function VennDiagramActivity({ activity, studentId, onSubmit }) {
+  const content = activity.content
+  const sets = content.sets || []
+  const statements = content.statements || []
+
+  const [placements, setPlacements] = useState({}) // statementId -> region
+  const [draggedStatement, setDraggedStatement] = useState(null)
+  const [selectedStatement, setSelectedStatement] = useState(null)
+  const [hoverRegion, setHoverRegion] = useState(null)
+  const [submitted, setSubmitted] = useState(false)
+  const [result, setResult] = useState(null)
+  const startTime = useRef(Date.now())
+
+  const numberOf = (statementId) => statements.findIndex(s => s.id === statementId) + 1
+
+  const placeStatement = (statementId, region) => {
+    if (!region) return
+    setPlacements(prev => ({ ...prev, [statementId]: region }))
+  }
+
+  const removePlacement = (statementId) => {
+    setPlacements(prev => {
+      const updated = { ...prev }
+      delete updated[statementId]
+      return updated
+    })
+  }
+
+  const handleDragOver = (e, region) => {
+    e.preventDefault()
+    e.dataTransfer.dropEffect = region ? 'move' : 'none'
+    setHoverRegion(region)
+  }
+
+  const handleDrop = (region) => {
+    setHoverRegion(null)
+    if (!draggedStatement) return
+    placeStatement(draggedStatement, region)
+    setDraggedStatement(null)
+  }
+
+  const handleRegionClick = (region) => {
+    if (!selectedStatement || !region) return
+    placeStatement(selectedStatement, region)
+    setSelectedStatement(null)
+  }
+
+  const handleSubmit = async () => {
+    setSubmitted(true)
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/activities/${activity.id}/venn-diagram/submit`,
+        {
+          studentId,
+          placements,
+          timeSpent: Math.round((Date.now() - startTime.current) / 1000)
+        }
+      )
+
+      setResult(response.data.response)
+    } catch (error) {
+      console.error('Submit error:', error)
+      setSubmitted(false)
+      alert('Failed to submit. Please try again.')
+    }
+  }
+
+  // Let the student review the correct regions before the activity is closed
+  const handleContinue = () => {
+    if (onSubmit) {
+      onSubmit({
+        type: 'venn_diagram',
+        placements,
+        score: result.score
+      })
+    }
+  }
+
+  const unplacedStatements = statements.filter(s => !placements[s.id])
+
+  const renderMarkers = (region, colorFor) => statements
+    .filter(s => placements[s.id] === region)
+    .map(s => (
+      <span
+        key={s.id}
+        className={`w-6 h-6 rounded-full text-xs font-bold flex items-center justify-center shadow ${colorFor ? colorFor(s) : 'bg-white text-gray-800 border border-gray-400'}`}
+      >
+        {numberOf(s.id)}
+      </span>
+    ))
+
+  if (submitted && result) {
+    const isCorrect = result.isCorrect
+    const resultById = Object.fromEntries(result.statements.map(r => [r.id, r]))
+
+    return (
+      <div className="card">
+        <div className={`p-6 rounded-lg border-2 ${isCorrect ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+          <h3 className={`text-2xl font-bold ${isCorrect ? 'text-green-900' : 'text-yellow-900'}`}>
+            {isCorrect ? 'Perfectly Sorted!' : 'Good Try!'}
+          </h3>
+          <p className={`text-lg ${isCorrect ? 'text-green-700' : 'text-yellow-700'} mt-1`}>
+            Score: <span className="font-bold">{Math.round(result.score)}%</span>
+          </p>
+          <p className={`text-sm ${isCorrect ? 'text-green-600' : 'text-yellow-600'} mt-1`}>
+            {result.correctCount} out of {result.totalStatements} statements in the right region
+          </p>
+        </div>
+
+        <div className="mt-6 max-w-lg mx-auto">
+          <VennDiagram
+            sets={sets}
+            renderRegion={(region) => renderMarkers(region, s =>
+              resultById[s.id]?.isCorrect ? 'bg-green-500 text-white' : 'bg-red-500 text-white'
+            )}
+          />
+        </div>
+
+        <div className="mt-6">
+          <h4 className="font-semibold text-gray-900 mb-2">By Region</h4>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {result.regionResults.filter(r => r.expected > 0).map(r => (
+              <div key={r.region} className="p-2 bg-gray-50 rounded border text-center">
+                <div className="text-xs text-gray-600">{regionLabel(r.region, sets)}</div>
+                <div className="text-lg font-bold text-gray-900">{r.correct}/{r.expected}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="mt-6 space-y-2">
+          {statements.map(statement => {
+            const r = resultById[statement.id]
+            return (
+              <div key={statement.id} className={`p-3 rounded ${r?.isCorrect ? 'bg-green-50' : 'bg-red-50'}`}>
+                <p className="font-medium text-gray-900">
+                  {numberOf(statement.id)}. {statement.text}
+                </p>
+                <p className="text-sm text-gray-600 mt-1">
+                  {r?.isCorrect
+                    ? regionLabel(r.correctRegion, sets)
+                    : `You chose: ${regionLabel(r?.placedRegion, sets)} • Correct: ${regionLabel(r?.correctRegion, sets)}`}
+                </p>
+                {!r?.isCorrect && statement.explanation && (
+                  <p className="text-sm text-gray-600 italic mt-1">{statement.explanation}</p>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        <button onClick={handleContinue} className="btn-primary w-full mt-6">
+          Continue
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{content.title || 'Venn Diagram'}</h2>
+      <p className="text-gray-600 mb-6">{content.instructions || 'Drag each statement into the region where it belongs'}</p>
+
+      <div className="grid md:grid-cols-2 gap-6 items-start">
+        <div
+          className={`rounded-lg border-2 p-2 ${selectedStatement ? 'border-blue-400 cursor-pointer' : 'border-transparent'}`}
+          onDragLeave={() => setHoverRegion(null)}
+        >
+          <VennDiagram
+            sets={sets}
+            highlightRegion={hoverRegion}
+            onRegionClick={handleRegionClick}
+            onRegionDrop={handleDrop}
+            onDragOver={handleDragOver}
+            renderRegion={(region) => renderMarkers(region)}
+          />
+          {selectedStatement && (
+            <p className="text-sm text-blue-700 text-center mt-2">
+              Tap a region to place statement {numberOf(selectedStatement)}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-3">Statements</h3>
+          <div className="space-y-2">
+            {statements.map(statement => {
+              const region = placements[statement.id]
+              const isSelected = selectedStatement === statement.id
+              return (
+                <div
+                  key={statement.id}
+                  draggable
+                  onDragStart={(e) => { setDraggedStatement(statement.id); e.dataTransfer.effectAllowed = 'move' }}
+                  onDragEnd={() => { setDraggedStatement(null); setHoverRegion(null) }}
+                  onClick={() => setSelectedStatement(isSelected ? null : statement.id)}
+                  className={`p-3 bg-white border-2 rounded-lg cursor-move transition-all ${
+                    isSelected ? 'border-blue-500 ring-2 ring-blue-200' : region ? 'border-gray-200' : 'border-blue-300 hover:border-blue-400'
+                  } ${draggedStatement === statement.id ? 'opacity-50' : ''}`}
+                >
+                  <div className="flex items-start gap-2">
+                    <span className="w-6 h-6 flex-shrink-0 rounded-full bg-gray-100 text-xs font-bold flex items-center justify-center">
+                      {numberOf(statement.id)}
+                    </span>
+                    <span className="flex-1 text-gray-900">{statement.text}</span>
+                  </div>
+                  {region && (
+                    <div className="flex items-center justify-between mt-2 ml-8">
+                      <span className="text-xs font-medium text-blue-700">{regionLabel(region, sets)}</span>
+                      <button
+                        onClick={(e) => { e.stopPropagation(); removePlacement(statement.id) }}
+                        className="text-xs text-red-600 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      </div>
+
+      <button
+        onClick={handleSubmit}
+        disabled={unplacedStatements.length > 0 || submitted}
+        className="btn-primary w-full mt-6 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitted
+          ? 'Submitting...'
+          : unplacedStatements.length > 0
+            ? `Place all statements to submit (${unplacedStatements.length} left)`
+            : 'Submit'}
+      </button>
+    </div>
+  )
+}
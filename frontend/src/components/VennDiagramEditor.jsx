@@ -0,0 +1,268 @@
+import { useState } from 'react'
+import api from '../services/api'
+import { useToast } from './Toast'
+import { getVennRegions, regionLabel, SET_COLORS } from '../utils/venn'
+
+const SET_IDS = ['A', 'B', 'C']
+
+/**
+ * VennDiagramEditor Component
+ * Editor for Venn diagram activities - 2 or 3 categories and the region each statement belongs to
+ */
+export default function VennDiagramEditor({ activity, onClose, onSaved }) {
+  const toast = useToast()
+
+  const [title, setTitle] = useState(activity.content?.title || '')
+  const [instructions, setInstructions] = useState(activity.content?.instructions || '')
+  const [sets, setSets] = useState(activity.content?.sets || [{ id: 'A', label: '' }, { id: 'B', label: '' }])
+  const [statements, setStatements] = useState(activity.content?.statements || [])
+  const [saving, setSaving] = useState(false)
+
+  const regions = getVennRegions(sets)
+
+  const handleSetLabelChange = (index, value) => {
+    const updated = [...sets]
+    updated[index] = { ...updated[index], label: value }
+    setSets(updated)
+  }
+
+  const changeSetCount = (count) => {
+    if (count === sets.length) return
+
+    if (count === 3) {
+      setSets([...sets, { id: 'C', label: '' }])
+      return
+    }
+
+    // Statements in a region that used the removed category must be re-sorted
+    setSets(sets.filter(s => s.id !== 'C'))
+    setStatements(statements.map(s => s.region?.includes('C') ? { ...s, region: '' } : s))
+  }
+
+  const handleStatementChange = (index, field, value) => {
+    const updated = [...statements]
+    updated[index] = { ...updated[index], [field]: value }
+    setStatements(updated)
+  }
+
+  const addStatement = () => {
+    let n = statements.length + 1
+    while (statements.some(s => s.id === `s${n}`)) n++
+    setStatements([...statements, { id: `s${n}`, text: '', region: '', explanation: '' }])
+  }
+
+  const removeStatement = (index) => {
+    setStatements(statements.filter((_, i) => i !== index))
+  }
+
+  const handleSave = async () => {
+    if (sets.some(s => !s.label.trim())) {
+      toast.error('Error', 'Every category needs a name')
+      return
+    }
+
+    if (statements.some(s => !regions.includes(s.region))) {
+      toast.error('Error', 'Every statement must be assigned to a region')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updatedContent = {
+        ...activity.content,
+        title,
+        instructions,
+        sets,
+        statements
+      }
+
+      const response = await api.put(`/activities/${activity.id}/content`, {
+        content: updatedContent
+      })
+
+      toast.success('Success', 'Venn diagram updated successfully!')
+
+      if (onSaved) {
+        onSaved(response.data.activity)
+      }
+
+      onClose()
+    } catch (error) {
+      console.error('Save error:', error)
+      toast.error('Error', error.response?.data?.message || 'Failed to update activity')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="venn-editor-title"
+    >
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col max-w-full sm:max-w-4xl">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 id="venn-editor-title" className="text-xl font-bold text-gray-900">Edit Venn Diagram</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {sets.length} categories • {statements.length} statement{statements.length !== 1 ? 's' : ''}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors p-2"
+              aria-label="Close Venn diagram editor"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="flex-1 p-6 overflow-y-auto space-y-6">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Instructions</label>
+              <input
+                type="text"
+                value={instructions}
+                onChange={(e) => setInstructions(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Drag each statement into the region where it belongs"
+              />
+            </div>
+          </div>
+
+          {/* Categories */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-gray-700">Categories</h3>
+              <div className="flex gap-1">
+                {[2, 3].map(count => (
+                  <button
+                    key={count}
+                    type="button"
+                    onClick={() => changeSetCount(count)}
+                    className={`px-3 py-1 text-sm rounded ${sets.length === count ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                  >
+                    {count} circles
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="grid md:grid-cols-3 gap-3">
+              {sets.map((set, index) => (
+                <div key={set.id} className="flex items-center gap-2">
+                  <span
+                    className="w-6 h-6 flex-shrink-0 rounded-full border-2"
+                    style={{ backgroundColor: SET_COLORS[SET_IDS[index]].fill, borderColor: SET_COLORS[SET_IDS[index]].stroke }}
+                  />
+                  <input
+                    type="text"
+                    value={set.label}
+                    onChange={(e) => handleSetLabelChange(index, e.target.value)}
+                    className="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder={`Category ${set.id}`}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Statements */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Statements</h3>
+            <div className="space-y-3">
+              {statements.map((statement, index) => (
+                <div key={statement.id} className="p-4 border-2 border-blue-100 rounded-lg bg-white shadow-sm">
+                  <div className="flex items-center gap-3 mb-2">
+                    <input
+                      type="text"
+                      value={statement.text}
+                      onChange={(e) => handleStatementChange(index, 'text', e.target.value)}
+                      className="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Statement"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeStatement(index)}
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50 px-3 py-1 rounded transition-colors text-sm font-medium"
+                      aria-label={`Remove statement ${index + 1}`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-2 mb-2">
+                    <span className="text-xs font-medium text-gray-600">Belongs in:</span>
+                    <select
+                      value={statement.region || ''}
+                      onChange={(e) => handleStatementChange(index, 'region', e.target.value)}
+                      className={`flex-1 p-2 border rounded-lg text-sm ${regions.includes(statement.region) ? 'border-gray-300' : 'border-red-400'}`}
+                    >
+                      <option value="">Select a region...</option>
+                      {regions.map(region => (
+                        <option key={region} value={region}>
+                          {regionLabel(region, sets)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <input
+                    type="text"
+                    value={statement.explanation || ''}
+                    onChange={(e) => handleStatementChange(index, 'explanation', e.target.value)}
+                    className="w-full p-2 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Explanation shown to students who place this statement incorrectly (optional)"
+                  />
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={addStatement}
+              className="w-full mt-3 p-4 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 hover:bg-blue-50 transition-all font-medium"
+            >
+              + Add Statement
+            </button>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex gap-3 bg-gray-50">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || statements.length === 0}
+            className="flex-1 px-6 py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-400 transition-colors flex items-center justify-center gap-2 shadow-sm"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
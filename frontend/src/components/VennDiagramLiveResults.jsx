@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react'
+import api from '../services/api'
+import VennDiagram from './VennDiagram'
+import { getVennRegions, regionLabel } from '../utils/venn'
+
+/**
+ * VennDiagramLiveResults Component
+ * Teacher view - where the class is placing each statement, updated in real time
+ *
+ * on/off come from the teacher's session socket so updates arrive on the
+ * session room the dashboard has already joined.
+ */
+export default function VennDiagramLiveResults({ activity, on, off }) {
+  const content = activity.content
+  const sets = content.sets || []
+  const statements = content.statements || []
+
+  const [regions, setRegions] = useState({})
+  const [totalResponses, setTotalResponses] = useState(0)
+  const [loading, setLoading] = useState(true)
+
+  // Load initial results
+  useEffect(() => {
+    async function loadResults() {
+      try {
+        const response = await api.get(`/activities/${activity.id}/venn-diagram/results`)
+        setRegions(response.data.regions || {})
+        setTotalResponses(response.data.totalResponses || 0)
+      } catch (error) {
+        console.error('Failed to load Venn diagram results:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+    loadResults()
+  }, [activity.id])
+
+  // Listen for real-time updates
+  useEffect(() => {
+    if (!on || !off) return
+
+    const handleVennUpdate = (data) => {
+      if (data.activityId === activity.id) {
+        setRegions(data.regions)
+        setTotalResponses(data.totalResponses)
+      }
+    }
+
+    on('venn-updated', handleVennUpdate)
+
+    return () => {
+      off('venn-updated', handleVennUpdate)
+    }
+  }, [activity.id, on, off])
+
+  const regionTotal = (region) =>
+    Object.values(regions[region] || {}).reduce((sum, count) => sum + count, 0)
+
+  if (loading) {
+    return <div className="text-sm text-gray-500">Loading results...</div>
+  }
+
+  return (
+    <div className="mt-4 p-4 bg-white border-2 border-blue-200 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-900">Class Placements</h4>
+        <div className="flex items-center gap-2 text-sm">
+          <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+          <span className="text-gray-600">{totalResponses} {totalResponses === 1 ? 'submission' : 'submissions'}</span>
+        </div>
+      </div>
+
+      {totalResponses === 0 ? (
+        <p className="text-sm text-gray-500 italic">No submissions yet</p>
+      ) : (
+        <>
+          <div className="max-w-md mx-auto">
+            <VennDiagram
+              sets={sets}
+              renderRegion={(region) => (
+                <span className="px-2 py-0.5 rounded-full bg-white border border-gray-300 text-xs font-bold text-gray-800 shadow">
+                  {regionTotal(region)}
+                </span>
+              )}
+            />
+          </div>
+
+          <div className="mt-4 space-y-3">
+            {getVennRegions(sets).map(region => {
+              const counts = regions[region] || {}
+              const placed = statements.filter(s => counts[s.id])
+              if (placed.length === 0) return null
+
+              return (
+                <div key={region}>
+                  <h5 className="text-sm font-semibold text-gray-700 mb-1">{regionLabel(region, sets)}</h5>
+                  <div className="space-y-1">
+                    {placed
+                      .sort((a, b) => counts[b.id] - counts[a.id])
+                      .map(statement => {
+                        const isCorrect = statement.region === region
+                        const percentage = Math.round((counts[statement.id] / totalResponses) * 100)
+                        return (
+                          <div
+                            key={statement.id}
+                            className={`flex items-center justify-between gap-3 p-2 rounded text-sm ${isCorrect ? 'bg-green-50' : 'bg-red-50'}`}
+                          >
+                            <span className="text-gray-800">{statement.text}</span>
+                            <span className={`font-semibold whitespace-nowrap ${isCorrect ? 'text-green-700' : 'text-red-700'}`}>
+                              {counts[statement.id]} ({percentage}%)
+                            </span>
+                          </div>
+                        )
+                      })}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,179 @@
+import { useState, useRef } from 'react'
+import axios from 'axios'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * VocabularyContextActivity Component
+ * Student view - read each sentence and pick the meaning of the highlighted word
+ * Answers are scored on the server so results land in student_responses
+ */
+export default function VocabularyContextActivity({ activity, studentId, onSubmit }) {
+  const items = activity.content?.items || []
+
+  const [answers, setAnswers] = useState(() => items.map(() => null))
+  const [submitting, setSubmitting] = useState(false)
+  const [result, setResult] = useState(null)
+  const startTime = useRef(Date.now())
+
+  const allAnswered = answers.every(a => a !== null)
+
+  const handleSelect = (itemIndex, optionIndex) => {
+    if (result) return
+    setAnswers(prev => {
+      const updated = [...prev]
+      updated[itemIndex] = optionIndex
+      return updated
+    })
+  }
+
+  const handleSubmit = async () => {
+    if (!allAnswered) return
+    setSubmitting(true)
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/activities/${activity.id}/vocabulary-context/submit`,
+        {
+          studentId,
+          answers,
+          timeSpent: Math.round((Date.now() - startTime.current) / 1000)
+        }
+      )
+
+      setResult(response.data.response)
+    } catch (error) {
+      console.error('Submit error:', error)
+      alert('Failed to submit. Please try again.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  // Let the student read the explanations before the activity is closed
+  const handleContinue = () => {
+    if (onSubmit) {
+      onSubmit({
+        type: 'vocabulary_context',
+        answers,
+        score: result.score
+      })
+    }
+  }
+
+  // Highlight the target word inside its sentence
+  const renderSentence = (sentence, word) => {
+    if (!word) return sentence
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const parts = sentence.split(new RegExp(`(${escaped})`, 'i'))
+    return parts.map((part, i) =>
+      part.toLowerCase() === word.toLowerCase()
+        ? <mark key={i} className="bg-yellow-200 px-1 rounded font-semibold">{part}</mark>
+        : <span key={i}>{part}</span>
+    )
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className="card text-center text-gray-500">
+        This activity has no vocabulary items yet.
+      </div>
+    )
+  }
+
+  if (result) {
+    const isPerfect = result.isCorrect
+
+    return (
+      <div className="card">
+        <div className={`p-6 rounded-lg border-2 ${isPerfect ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+          <h3 className={`text-2xl font-bold ${isPerfect ? 'text-green-900' : 'text-yellow-900'}`}>
+            {isPerfect ? 'Excellent!' : 'Good Try!'}
+          </h3>
+          <p className={`text-lg ${isPerfect ? 'text-green-700' : 'text-yellow-700'} mt-1`}>
+            Score: <span className="font-bold">{result.score}%</span>
+          </p>
+          <p className={`text-sm ${isPerfect ? 'text-green-600' : 'text-yellow-600'} mt-1`}>
+            {result.correctCount} out of {result.totalItems} correct
+          </p>
+        </div>
+
+        <div className="mt-6 space-y-4">
+          {result.results.map((r, i) => {
+            const item = items[i]
+            return (
+              <div key={i} className={`p-4 rounded-lg border ${r.isCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+                <p className="text-gray-900 mb-2">{renderSentence(item.sentence, item.word)}</p>
+                {!r.isCorrect && r.selectedAnswer !== null && (
+                  <p className="text-sm text-red-700">
+                    Your answer: {item.options[r.selectedAnswer]}
+                  </p>
+                )}
+                <p className="text-sm text-green-700 font-medium">
+                  <span className="font-semibold">{item.word}</span> means: {item.options[r.correctAnswer]}
+                </p>
+                {r.explanation && (
+                  <p className="text-sm text-gray-600 mt-1 italic">{r.explanation}</p>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        <button onClick={handleContinue} className="btn-primary w-full mt-6">
+          Continue
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">
+        {activity.content?.title || 'Vocabulary in Context'}
+      </h2>
+      <p className="text-gray-600 mb-6">
+        {activity.content?.instructions || 'Read each sentence and choose what the highlighted word means here.'}
+      </p>
+
+      <div className="space-y-6">
+        {items.map((item, i) => (
+          <div key={i} className="p-4 border border-gray-200 rounded-lg">
+            <p className="text-lg text-gray-900 mb-4">
+              <span className="font-semibold text-gray-500 mr-2">{i + 1}.</span>
+              {renderSentence(item.sentence, item.word)}
+            </p>
+            <div className="space-y-2">
+              {(item.options || []).map((option, j) => (
+                <label
+                  key={j}
+                  className={`flex items-center gap-3 p-3 rounded-lg border-2 cursor-pointer transition-colors ${
+                    answers[i] === j ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-blue-300'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name={`vocab-${i}`}
+                    checked={answers[i] === j}
+                    onChange={() => handleSelect(i, j)}
+                    className="w-4 h-4 text-blue-600"
+                  />
+                  <span className="font-medium text-gray-600">{String.fromCharCode(65 + j)}.</span>
+                  <span className="text-gray-900">{option}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={handleSubmit}
+        disabled={!allAnswered || submitting}
+        className="btn-primary w-full mt-6 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitting ? 'Submitting...' : allAnswered ? 'Submit Answers' : `Answer all ${items.length} items to submit`}
+      </button>
+    </div>
+  )
+}
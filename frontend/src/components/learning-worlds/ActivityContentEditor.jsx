@@ -5,7 +5,9 @@ import { learningWorldsAPI, uploadAPI } from '../../services/api'
  * Activity Content Editor
  *
  * Hybrid editor supporting both AI-generated and manually created content.
- * Works with vocabulary_touch, matching_game, listen_point, tpr_action, coloring
+ * Works with vocabulary_touch, matching_game, listen_point, tpr_action, coloring,
+ * story_sequence, word_spelling, fill_in_blank, sentence_builder, dictation,
+ * dialogue_practice, story_writing, reading_comprehension
  */
 export default function ActivityContentEditor({
   activity,
@@ -23,6 +25,10 @@ export default function ActivityContentEditor({
   const [topic, setTopic] = useState(activity.title || '')
   const [itemCount, setItemCount] = useState(6)
 
+  // Vocabulary-built content and the mix-ups students make with it
+  const [buildingFromVocabulary, setBuildingFromVocabulary] = useState(false)
+  const [spellingPatterns, setSpellingPatterns] = useState(null)
+
   // Image generation state
   const [generatingImages, setGeneratingImages] = useState(false)
   const [generatingImageIndex, setGeneratingImageIndex] = useState(null)
@@ -58,20 +64,111 @@ export default function ActivityContentEditor({
       itemFields: ['object', 'imageUrl', 'emoji', 'suggestedColor', 'prompt', 'translation'],
       contentKey: 'items',
       supportsImages: true
+    },
+    // Panels are saved in story order; narration is added on save
+    story_sequence: {
+      label: 'Story Panels (in order)',
+      itemFields: ['text', 'imageUrl', 'emoji', 'translation'],
+      contentKey: 'panels',
+      supportsImages: true
+    },
+    word_spelling: {
+      label: 'Spelling Words',
+      itemFields: ['word', 'imageUrl', 'emoji', 'translation'],
+      contentKey: 'items',
+      supportsImages: true,
+      fromVocabulary: true
+    },
+    fill_in_blank: {
+      label: 'Sentences',
+      itemFields: ['sentence', 'sentenceLevel3', 'answer', 'imageUrl', 'emoji', 'translation'],
+      contentKey: 'items',
+      supportsImages: true,
+      fromVocabulary: true
+    },
+    // Word blocks come from the sentence; other orders students may use are
+    // listed in acceptedVariants
+    sentence_builder: {
+      label: 'Sentences',
+      itemFields: ['sentence', 'targetWord', 'acceptedVariants', 'imageUrl', 'emoji', 'translation'],
+      contentKey: 'items',
+      supportsImages: true
+    },
+    // The character's recordings are made when the content is saved
+    dictation: {
+      label: 'Dictation Words & Phrases',
+      itemFields: ['text', 'emoji', 'translation'],
+      contentKey: 'items',
+      supportsImages: false
+    },
+    // Key words left empty are taken from the student reply on save
+    dialogue_practice: {
+      label: 'Dialogue Turns',
+      itemFields: ['characterLine', 'expectedReply', 'keyWords', 'choices', 'emoji', 'translation'],
+      contentKey: 'items',
+      supportsImages: false
+    },
+    // An empty word bank is filled from the land's vocabulary on save
+    story_writing: {
+      label: 'Sentence Starters',
+      itemFields: ['text'],
+      contentKey: 'items',
+      supportsImages: false,
+      contentFields: ['storyStarter', 'prompt', 'wordBank', 'minWords', 'imageUrl', 'emoji']
+    },
+    reading_comprehension: {
+      label: 'Questions',
+      itemFields: ['question', 'answer', 'choices'],
+      contentKey: 'items',
+      supportsImages: false,
+      contentFields: ['title', 'passage', 'imageUrl', 'emoji']
     }
   }
 
   const config = activityConfigs[activity.activity_type] || activityConfigs.vocabulary_touch
 
+  // Activity-wide fields (story starter, reading passage...) outside the item list
+  const [contentValues, setContentValues] = useState({})
+  const [uploadingContentImage, setUploadingContentImage] = useState(false)
+
   // Initialize from existing content
   useEffect(() => {
     if (activity.content) {
       const existingItems = activity.content[config.contentKey] || activity.content.items || []
       setItems(existingItems)
       setInstructions(activity.content.instructions || '')
+      setContentValues(pickContentFields(activity.content))
     }
   }, [activity.content])
 
+  function pickContentFields(source) {
+    const values = {}
+    ;(config.contentFields || []).forEach(field => {
+      if (source?.[field] !== undefined) values[field] = source[field]
+    })
+    return values
+  }
+
+  function handleUpdateContentField(field, value) {
+    setContentValues(prev => ({ ...prev, [field]: value }))
+  }
+
+  async function handleContentImageUpload(file) {
+    if (!file) return
+
+    setUploadingContentImage(true)
+    try {
+      const result = await uploadAPI.uploadImage(file)
+      if (result.url) {
+        handleUpdateContentField('imageUrl', result.url)
+      }
+    } catch (err) {
+      setError('Failed to upload image: ' + (err.message || 'Unknown error'))
+    } finally {
+      setUploadingContentImage(false)
+    }
+  }
+
   // Generate content with AI
   async function handleGenerateAI() {
     setGenerating(true)
@@ -94,14 +191,45 @@ export default function ActivityContentEditor({
         if (result.content.instructions) {
           setInstructions(result.content.instructions)
         }
+        setContentValues(prev => ({ ...prev, ...pickContentFields(result.content) }))
       }
     } catch (err) {
-      setError(err.message || 'Failed to generate content')
+      setError(err.response?.data?.message || err.message || 'Failed to generate content')
     } finally {
       setGenerating(false)
     }
   }
 
+  // Load saved mix-ups for spelling-style activities
+  useEffect(() => {
+    if (!config.fromVocabulary) return
+    learningWorldsAPI.getSpellingPatterns(activity.id)
+      .then(setSpellingPatterns)
+      .catch(err => console.error('Failed to load spelling patterns:', err))
+  }, [activity.id])
+
+  // Build items from the land's vocabulary list
+  async function handleBuildFromVocabulary() {
+    setBuildingFromVocabulary(true)
+    setError(null)
+
+    try {
+      const result = await learningWorldsAPI.buildVocabularyContent(activity.id)
+      const existingWords = new Set(items.map(item => (item.word || item.answer || '').toLowerCase()))
+      const newItems = (result.content?.items || [])
+        .filter(item => !existingWords.has((item.word || item.answer || '').toLowerCase()))
+
+      setItems(prev => [...prev, ...newItems])
+      if (!instructions && result.content?.instructions) {
+        setInstructions(result.content.instructions)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to build content from vocabulary')
+    } finally {
+      setBuildingFromVocabulary(false)
+    }
+  }
+
   // Add new blank item
   function handleAddItem() {
     const newItem = {}
@@ -141,6 +269,7 @@ export default function ActivityContentEditor({
 
     const newContent = {
       ...content,
+      ...contentValues,
       [config.contentKey]: items,
       instructions
     }
@@ -149,7 +278,7 @@ export default function ActivityContentEditor({
       await learningWorldsAPI.saveActivityContent(activity.id, newContent)
       onSave(newContent)
     } catch (err) {
-      setError(err.message || 'Failed to save content')
+      setError(err.response?.data?.message || err.message || 'Failed to save content')
     } finally {
       setSaving(false)
     }
@@ -179,7 +308,7 @@ export default function ActivityContentEditor({
   // Generate AI image for a single item
   async function handleGenerateImage(index) {
     const item = items[index]
-    const word = item.word || item.object || item.command
+    const word = item.word || item.object || item.command || item.text || item.answer || item.targetWord
 
     if (!word || !word.trim()) {
       setError('Please enter a word first before generating an image')
@@ -210,7 +339,7 @@ export default function ActivityContentEditor({
   async function handleGenerateAllImages() {
     const itemsWithoutImages = items
       .map((item, index) => ({ item, index }))
-      .filter(({ item }) => !item.imageUrl && (item.word || item.object || item.command))
+      .filter(({ item }) => !item.imageUrl && (item.word || item.object || item.command || item.text || item.answer || item.targetWord))
 
     if (itemsWithoutImages.length === 0) {
       setError('All items already have images or are missing words')
@@ -222,7 +351,7 @@ export default function ActivityContentEditor({
 
     try {
       const words = itemsWithoutImages.map(({ item }) =>
-        item.word || item.object || item.command
+        item.word || item.object || item.command || item.text || item.answer || item.targetWord
       )
 
       const result = await learningWorldsAPI.generateImagesBatch(words, {
@@ -268,9 +397,31 @@ export default function ActivityContentEditor({
     command: 'Command',
     demonstration: 'Demo',
     object: 'Object',
-    suggestedColor: 'Color'
+    suggestedColor: 'Color',
+    text: 'Sentence',
+    sentence: 'Sentence (use ___)',
+    sentenceLevel3: 'Ages 9-10 Sentence',
+    answer: 'Missing Word',
+    targetWord: 'Target Word',
+    acceptedVariants: 'Also Accept (separate with |)',
+    characterLine: 'Character Says',
+    expectedReply: 'Student Reply',
+    keyWords: 'Key Words (separate with |)',
+    choices: 'Wrong Answers (separate with |)',
+    storyStarter: 'Story Starter',
+    wordBank: 'Word Bank (separate with |, empty = land words)',
+    minWords: 'Minimum Words',
+    title: 'Title',
+    passage: 'Reading (blank line between paragraphs)',
+    question: 'Question'
   }
 
+  // Fields edited as |-separated lists
+  const listFields = ['acceptedVariants', 'keyWords', 'choices', 'wordBank']
+
+  // Activity-wide fields edited in a text area
+  const longFields = ['storyStarter', 'passage']
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col">
@@ -374,6 +525,29 @@ export default function ActivityContentEditor({
           <p className="text-xs text-purple-600 mt-2">
             AI will generate vocabulary items based on your topic. You can edit or add more manually below.
           </p>
+
+          {config.fromVocabulary && (
+            <div className="mt-3 pt-3 border-t border-purple-200 flex items-center justify-between">
+              <div className="flex items-center gap-2 text-sm text-purple-700">
+                <span className="text-lg">📚</span>
+                <span>Use the words already in this land's vocabulary</span>
+              </div>
+              <button
+                onClick={handleBuildFromVocabulary}
+                disabled={buildingFromVocabulary}
+                className="px-3 py-1.5 bg-indigo-500 text-white rounded-lg text-sm font-medium hover:bg-indigo-600 disabled:opacity-50 flex items-center gap-2"
+              >
+                {buildingFromVocabulary ? (
+                  <>
+                    <div className="w-3 h-3 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                    Adding Words...
+                  </>
+                ) : (
+                  'Add Land Words'
+                )}
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Error display */}
@@ -385,6 +559,35 @@ export default function ActivityContentEditor({
 
         {/* Content Editor */}
         <div className="flex-1 overflow-y-auto p-4">
+          {/* Mix-ups from students' answers */}
+          {spellingPatterns?.studentCount > 0 && (
+            <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg">
+              <h3 className="font-semibold text-amber-800 text-sm mb-2">
+                {activity.activity_type === 'word_spelling' ? 'Letters that trip students up' : 'Words students mix up'}
+                <span className="font-normal text-amber-600"> ({spellingPatterns.studentCount} students)</span>
+              </h3>
+              {spellingPatterns.confusions.length === 0 ? (
+                <p className="text-sm text-amber-700">No mistakes so far.</p>
+              ) : (
+                <>
+                  <div className="flex flex-wrap gap-2">
+                    {spellingPatterns.confusions.slice(0, 10).map(c => (
+                      <span key={`${c.expected}-${c.tapped}`} className="px-2 py-1 bg-white rounded border border-amber-200 text-sm">
+                        <span className="font-mono font-bold">{c.tapped}</span> for <span className="font-mono font-bold">{c.expected}</span>
+                        <span className="text-amber-600"> ×{c.count}</span>
+                      </span>
+                    ))}
+                  </div>
+                  {spellingPatterns.words.length > 0 && (
+                    <p className="text-xs text-amber-700 mt-2">
+                      Hardest: {spellingPatterns.words.slice(0, 5).map(w => `${w.word} (${w.studentsMissed})`).join(', ')}
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
           {/* Instructions */}
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -399,6 +602,60 @@ export default function ActivityContentEditor({
             />
           </div>
 
+          {/* Activity-wide fields */}
+          {config.contentFields && (
+            <div className="mb-4 grid grid-cols-2 gap-3">
+              {config.contentFields.map(field => (
+                <div key={field} className={longFields.includes(field) ? 'col-span-2' : ''}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {fieldLabels[field] || field}
+                  </label>
+                  {longFields.includes(field) ? (
+                    <textarea
+                      value={contentValues[field] || ''}
+                      onChange={(e) => handleUpdateContentField(field, e.target.value)}
+                      rows={field === 'passage' ? 8 : 3}
+                      className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                    />
+                  ) : field === 'imageUrl' ? (
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={contentValues.imageUrl || ''}
+                        onChange={(e) => handleUpdateContentField('imageUrl', e.target.value)}
+                        placeholder="Picture URL"
+                        className="flex-1 min-w-0 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                      />
+                      <label className="px-3 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 cursor-pointer whitespace-nowrap">
+                        {uploadingContentImage ? 'Uploading...' : 'Upload'}
+                        <input
+                          type="file"
+                          accept="image/*"
+                          className="hidden"
+                          onChange={(e) => handleContentImageUpload(e.target.files[0])}
+                        />
+                      </label>
+                    </div>
+                  ) : (
+                    <input
+                      type={field === 'minWords' ? 'number' : 'text'}
+                      value={Array.isArray(contentValues[field]) ? contentValues[field].join('|') : contentValues[field] ?? ''}
+                      onChange={(e) => handleUpdateContentField(
+                        field,
+                        listFields.includes(field)
+                          ? e.target.value.split('|')
+                          : field === 'minWords'
+                            ? Number(e.target.value)
+                            : e.target.value
+                      )}
+                      className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Items List */}
           <div className="mb-4">
             <div className="flex items-center justify-between mb-2">
@@ -519,7 +776,7 @@ export default function ActivityContentEditor({
                                     <button
                                       type="button"
                                       onClick={() => handleGenerateImage(index)}
-                                      disabled={uploadingIndex === index || generatingImageIndex === index || !item.word && !item.object && !item.command}
+                                      disabled={uploadingIndex === index || generatingImageIndex === index || !item.word && !item.object && !item.command && !item.text && !item.answer && !item.targetWord}
                                       className="flex-1 border-2 border-dashed border-emerald-300 rounded flex items-center justify-center text-emerald-400 hover:border-emerald-500 hover:text-emerald-600 hover:bg-emerald-50 transition-colors disabled:opacity-50"
                                       title="Generate with AI"
                                     >
@@ -537,8 +794,14 @@ export default function ActivityContentEditor({
                             ) : (
                               <input
                                 type="text"
-                                value={item[field] || ''}
-                                onChange={(e) => handleUpdateItem(index, field, e.target.value)}
+                                value={Array.isArray(item[field]) ? item[field].join('|') : item[field] || ''}
+                                onChange={(e) => handleUpdateItem(
+                                  index,
+                                  field,
+                                  Array.isArray(item[field]) || listFields.includes(field)
+                                    ? e.target.value.split('|')
+                                    : e.target.value
+                                )}
                                 className="w-full px-2 py-1.5 text-sm border rounded focus:ring-2 focus:ring-blue-500"
                                 placeholder={field}
                               />
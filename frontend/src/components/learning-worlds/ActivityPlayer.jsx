@@ -7,6 +7,14 @@ import TPRActionActivity from './activities/TPRActionActivity'
 import ColoringActivity from './activities/ColoringActivity'
 import TracingActivity from './activities/TracingActivity'
 import DrawingActivity from './activities/DrawingActivity'
+import StorySequenceActivity from './activities/StorySequenceActivity'
+import WordSpellingActivity from './activities/WordSpellingActivity'
+import FillInBlankActivity from './activities/FillInBlankActivity'
+import SentenceBuilderActivity from './activities/SentenceBuilderActivity'
+import DictationActivity from './activities/DictationActivity'
+import DialoguePracticeActivity from './activities/DialoguePracticeActivity'
+import StoryWritingActivity from './activities/StoryWritingActivity'
+import ReadingComprehensionActivity from './activities/ReadingComprehensionActivity'
 import P5Canvas from './p5/P5Canvas'
 import { celebrationSketch } from './p5/sketches/celebrationSketch'
 
@@ -144,7 +152,15 @@ function ActivityPlayerInner({
     tpr_action: TPRActionActivity,
     coloring: ColoringActivity,
     letter_tracing: TracingActivity,
-    drawing: DrawingActivity
+    drawing: DrawingActivity,
+    story_sequence: StorySequenceActivity,
+    word_spelling: WordSpellingActivity,
+    fill_in_blank: FillInBlankActivity,
+    sentence_builder: SentenceBuilderActivity,
+    dictation: DictationActivity,
+    dialogue_practice: DialoguePracticeActivity,
+    story_writing: StoryWritingActivity,
+    reading_comprehension: ReadingComprehensionActivity
   }
 
   const ActivityComponent = ActivityComponents[activity.activity_type]
@@ -50,20 +50,21 @@ class LandViewErrorBoundary extends Component {
  * - Character guide with speech bubbles
  * - Activity cards as interactive elements
  */
-export default function LandView({ land, onSelectActivity, onBack, ageLevel = 2 }) {
+export default function LandView({ land, onSelectActivity, onBack, onExplore, ageLevel = 2 }) {
   return (
     <LandViewErrorBoundary onBack={onBack}>
       <LandViewInner
         land={land}
         onSelectActivity={onSelectActivity}
         onBack={onBack}
+        onExplore={onExplore}
         ageLevel={ageLevel}
       />
     </LandViewErrorBoundary>
   )
 }
 
-function LandViewInner({ land, onSelectActivity, onBack, ageLevel = 2 }) {
+function LandViewInner({ land, onSelectActivity, onBack, onExplore, ageLevel = 2 }) {
   const audioManager = useAudioManager() || {}
   const playVoice = audioManager.playVoice
   const playTap = audioManager.playTap
@@ -266,6 +267,17 @@ function LandViewInner({ land, onSelectActivity, onBack, ageLevel = 2 }) {
             <span className="font-bold text-gray-700">Back to Map</span>
           </button>
 
+          {/* Back to the land's explorable scene */}
+          {onExplore && (
+            <button
+              onClick={() => { playTap?.(); onExplore() }}
+              className="flex items-center gap-2 px-5 py-3 bg-white/95 backdrop-blur-sm rounded-full shadow-xl hover:bg-white transition-all hover:scale-105 focus:outline-none focus:ring-4 focus:ring-yellow-400"
+            >
+              <span className="text-xl">🔍</span>
+              <span className="font-bold text-gray-700">Explore</span>
+            </button>
+          )}
+
           {/* Land Title */}
           <div className="relative">
             <h1
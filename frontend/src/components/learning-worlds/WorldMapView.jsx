@@ -609,7 +609,8 @@ function FloatingIsland({ land, size, onClick, isSelected, ageLevel, delay, acce
     'school': '📚',
     'nature': '🌳',
     'ocean': '🐠',
-    'space': '🚀'
+    'space': '🚀',
+    'review': '🔁'
   }
 
   const landIcon = land.icon_url || defaultIcons[land.slug?.split('-')[0]] || '🏝️'
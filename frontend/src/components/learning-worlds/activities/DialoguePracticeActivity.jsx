@@ -0,0 +1,351 @@
+import { useState, useEffect, useRef, useMemo } from 'react'
+import { useAudioManager } from '../../../hooks/useAudioManager'
+import { useLearningWorldStore } from '../../../stores/learningWorldStore'
+import { learningWorldsAPI } from '../../../services/api'
+import CharacterAvatar from '../characters/CharacterAvatar'
+
+const MAX_TRIES = 2
+const MAX_RECORDING_MS = 8000
+
+/**
+ * Dialogue Practice Activity
+ *
+ * A turn-taking conversation with a world character.
+ * - The character's lines play in its own voice
+ * - Students answer out loud; the reply is transcribed on the server and
+ *   scored for the key words the character was listening for
+ * - Without a microphone (or when the teacher picks it) students choose
+ *   their reply from buttons instead
+ */
+export default function DialoguePracticeActivity({
+  activity,
+  content,
+  ageLevel,
+  controlMode,
+  touchTargetSize,
+  onComplete
+}) {
+  const audioManager = useAudioManager()
+  const playVoice = audioManager?.playVoice
+  const playTap = audioManager?.playTap
+  const playSuccess = audioManager?.playSuccess
+  const playError = audioManager?.playError
+  const { currentWorld, currentLand, worldSession, playingStudentId } = useLearningWorldStore() || {}
+
+  // Safely extract items from content
+  const safeContent = content || {}
+  const items = Array.isArray(safeContent.items) ? safeContent.items.filter(item => item.characterLine) : []
+
+  const character = currentWorld?.characters?.find(c => c.id === (safeContent.characterId || currentLand?.mascot_character_id))
+
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [mode, setMode] = useState(safeContent.mode === 'choice' || !canRecord() ? 'choice' : 'speech')
+  const [micMessage, setMicMessage] = useState(null)
+  const [talking, setTalking] = useState(false)
+  const [recording, setRecording] = useState(false)
+  const [checking, setChecking] = useState(false)
+  const [reply, setReply] = useState(null) // server result for the latest try
+  const [tries, setTries] = useState(0)
+  const [exchanges, setExchanges] = useState([])
+  const [error, setError] = useState(null)
+  const [startTime] = useState(Date.now())
+
+  const recorderRef = useRef(null)
+  const streamRef = useRef(null)
+  const stopTimerRef = useRef(null)
+
+  const currentItem = items[currentIndex]
+
+  // Reply buttons for choice mode, shuffled once per line
+  const options = useMemo(() => {
+    if (!currentItem) return []
+    const choices = [currentItem.expectedReply, ...(currentItem.choices || [])].filter(Boolean)
+    return [...new Set(choices)].sort(() => Math.random() - 0.5)
+  }, [currentIndex, items.length])
+
+  // The character says each new line
+  useEffect(() => {
+    if (!currentItem) return
+    setReply(null)
+    setTries(0)
+    setError(null)
+
+    const timer = setTimeout(sayLine, 600)
+    return () => clearTimeout(timer)
+  }, [currentIndex, items.length])
+
+  // Release the microphone when leaving the activity
+  useEffect(() => {
+    return () => {
+      clearTimeout(stopTimerRef.current)
+      streamRef.current?.getTracks().forEach(track => track.stop())
+    }
+  }, [])
+
+  function sayLine() {
+    if (!currentItem?.audioUrl) return
+    setTalking(true)
+    playVoice?.(currentItem.audioUrl, () => setTalking(false))
+  }
+
+  async function startRecording() {
+    if (recording || checking) return
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+      streamRef.current = stream
+
+      const chunks = []
+      const recorder = new MediaRecorder(stream, { mimeType: 'audio/webm' })
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data)
+      }
+      recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop())
+        streamRef.current = null
+        sendReply({ audio: new Blob(chunks, { type: 'audio/webm' }) })
+      }
+
+      recorderRef.current = recorder
+      recorder.start()
+      setRecording(true)
+      setError(null)
+
+      // Stop on their own if the student forgets
+      stopTimerRef.current = setTimeout(stopRecording, MAX_RECORDING_MS)
+    } catch (err) {
+      console.error('Microphone error:', err)
+      setMicMessage(
+        err.name === 'NotAllowedError'
+          ? 'The microphone is turned off. Choose your answer instead!'
+          : 'No microphone found. Choose your answer instead!'
+      )
+      setMode('choice')
+    }
+  }
+
+  function stopRecording() {
+    clearTimeout(stopTimerRef.current)
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop()
+    }
+    setRecording(false)
+  }
+
+  async function sendReply({ audio, choice }) {
+    setChecking(true)
+    setError(null)
+
+    try {
+      const result = await learningWorldsAPI.checkDialogueReply(activity.id, {
+        itemIndex: safeContent.items.indexOf(currentItem),
+        worldSessionId: worldSession?.id,
+        studentId: playingStudentId,
+        audio,
+        choice
+      })
+
+      const newTries = tries + 1
+      setTries(newTries)
+      setReply({ ...result, choice })
+
+      if (result.result === 'great') {
+        playSuccess?.()
+      } else {
+        playError?.()
+      }
+
+      // Move on after a great answer, or once the tries are used up
+      if (result.result === 'great' || newTries >= MAX_TRIES || result.mode === 'choice') {
+        finishLine(result, choice)
+      }
+    } catch (err) {
+      console.error('Dialogue reply error:', err)
+      setError(audio ? "I couldn't hear that. Please try again!" : 'Something went wrong. Please try again!')
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  function handleChoice(choice) {
+    if (checking || reply) return
+    playTap?.()
+    sendReply({ choice })
+  }
+
+  function finishLine(result, choice) {
+    // A student's best try counts
+    const best = Math.max(result.points, reply?.points || 0)
+    const newExchanges = [...exchanges, {
+      characterLine: currentItem.characterLine,
+      expectedReply: currentItem.expectedReply,
+      mode: result.mode,
+      reply: result.mode === 'choice' ? choice : result.transcript,
+      result: result.result,
+      matched: result.matched,
+      points: best
+    }]
+    setExchanges(newExchanges)
+
+    setTimeout(() => {
+      if (currentIndex < items.length - 1) {
+        setCurrentIndex(prev => prev + 1)
+      } else {
+        // Activity complete - 2 points when every key word was said
+        const score = newExchanges.reduce((sum, e) => sum + e.points, 0)
+        const maxScore = items.length * 2
+        onComplete({
+          score,
+          maxScore,
+          starsEarned: Math.min(3, Math.floor((score / maxScore) * 3)),
+          timeSpentSeconds: Math.round((Date.now() - startTime) / 1000),
+          responseData: { exchanges: newExchanges }
+        })
+      }
+    }, result.result === 'great' ? 2500 : 4000)
+  }
+
+  if (!currentItem) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="bg-white rounded-2xl p-8 text-center max-w-md">
+          <div className="text-4xl mb-4">💬</div>
+          <p className="text-gray-600">There is no conversation yet.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const lineDone = reply && (reply.result === 'great' || tries >= MAX_TRIES || reply.mode === 'choice')
+
+  return (
+    <div className="h-full flex flex-col items-center justify-center p-4">
+      {/* Progress */}
+      <div className="mb-4 text-center">
+        <p className="text-sm text-gray-500">
+          {currentIndex + 1} of {items.length}
+        </p>
+        <div className="mt-2 w-48 h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-orange-500 transition-all duration-300 rounded-full"
+            style={{ width: `${((currentIndex + 1) / items.length) * 100}%` }}
+          />
+        </div>
+      </div>
+
+      {/* Character line */}
+      <div className="w-full max-w-2xl flex items-end gap-4 mb-6">
+        <CharacterAvatar
+          name={character?.name}
+          avatarUrl={character?.avatar_url}
+          expression={talking ? 'talking' : reply?.result === 'great' ? 'excited' : 'happy'}
+          size="large"
+          onClick={sayLine}
+        />
+        <button
+          onClick={sayLine}
+          className="flex-1 text-left bg-white rounded-2xl rounded-bl-none shadow-lg p-5 hover:bg-orange-50 transition-colors"
+        >
+          {character?.short_name && (
+            <p className="text-sm font-semibold text-orange-600 mb-1">{character.short_name}</p>
+          )}
+          <p className="text-2xl text-gray-800">
+            {currentItem.emoji && <span className="mr-2">{currentItem.emoji}</span>}
+            {currentItem.characterLine}
+          </p>
+          {currentItem.translation && (
+            <p className="mt-1 text-gray-400">{currentItem.translation}</p>
+          )}
+        </button>
+      </div>
+
+      {/* Student reply */}
+      {reply && (
+        <div className="w-full max-w-2xl flex justify-end mb-4">
+          <div className={`max-w-md rounded-2xl rounded-br-none shadow p-4 ${
+            reply.result === 'great' ? 'bg-emerald-100' : reply.result === 'good' ? 'bg-amber-100' : 'bg-red-50 animate-shake'
+          }`}>
+            <p className="text-xl text-gray-800">
+              {reply.mode === 'choice' ? reply.choice : reply.transcript || '...'}
+            </p>
+            <p className={`mt-1 font-semibold ${
+              reply.result === 'great' ? 'text-emerald-600' : reply.result === 'good' ? 'text-amber-600' : 'text-red-600'
+            }`}>
+              {reply.result === 'great' ? '🎉 Great answer!' : reply.result === 'good' ? '👍 Almost!' : 'Not quite'}
+            </p>
+            {reply.result !== 'great' && reply.mode === 'speech' && reply.missed?.length > 0 && !lineDone && (
+              <p className="mt-1 text-gray-600">Try to say: <span className="font-semibold">{reply.missed.join(', ')}</span></p>
+            )}
+            {reply.result !== 'great' && lineDone && (
+              <p className="mt-1 text-gray-600">You can say: <span className="font-semibold">{reply.expectedReply}</span></p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+
+      {/* Answer controls */}
+      {!lineDone && (
+        mode === 'speech' ? (
+          <div className="flex flex-col items-center gap-3">
+            <button
+              onClick={recording ? stopRecording : startRecording}
+              disabled={checking || talking}
+              className={`w-28 h-28 rounded-full shadow-xl flex items-center justify-center text-5xl transition-all disabled:opacity-50 ${
+                recording ? 'bg-red-500 animate-pulse scale-110' : 'bg-orange-500 hover:bg-orange-600'
+              }`}
+            >
+              {checking ? '⏳' : recording ? '⏹️' : '🎤'}
+            </button>
+            <p className="text-gray-600 font-medium">
+              {checking ? 'Listening...' : recording ? 'Touch when you are done' : reply ? 'Try again!' : 'Touch and say your answer'}
+            </p>
+            <button
+              onClick={() => setMode('choice')}
+              className="text-sm text-gray-400 underline hover:text-gray-600"
+            >
+              Choose an answer instead
+            </button>
+          </div>
+        ) : (
+          <div className="w-full max-w-2xl flex flex-col items-center gap-3">
+            {micMessage && <p className="text-gray-500">{micMessage}</p>}
+            {options.map(option => (
+              <button
+                key={option}
+                onClick={() => handleChoice(option)}
+                disabled={checking}
+                className="w-full px-6 py-3 bg-white rounded-2xl shadow text-xl text-gray-800 hover:bg-orange-50 hover:shadow-lg transition-all disabled:opacity-50"
+                style={{ minHeight: touchTargetSize }}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        )
+      )}
+
+      <style>{`
+        @keyframes shake {
+          0%, 100% { transform: translateX(0); }
+          20%, 60% { transform: translateX(-5px); }
+          40%, 80% { transform: translateX(5px); }
+        }
+        .animate-shake {
+          animation: shake 0.5s ease-in-out;
+        }
+      `}</style>
+    </div>
+  )
+}
+
+/**
+ * Whether this browser can record a spoken reply
+ */
+function canRecord() {
+  return typeof window !== 'undefined' &&
+    !!navigator.mediaDevices?.getUserMedia &&
+    typeof MediaRecorder !== 'undefined' &&
+    (window.location.protocol === 'https:' || window.location.hostname === 'localhost')
+}
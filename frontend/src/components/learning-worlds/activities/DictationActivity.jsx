@@ -0,0 +1,339 @@
+import { useState, useEffect, useRef } from 'react'
+import { useAudioManager } from '../../../hooks/useAudioManager'
+import { useLearningWorldStore } from '../../../stores/learningWorldStore'
+import { learningWorldsAPI } from '../../../services/api'
+import P5Canvas from '../p5/P5Canvas'
+import { tracingSketch } from '../p5/sketches/tracingSketch'
+
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm']
+
+/**
+ * Dictation Activity
+ *
+ * The character says a word or phrase and students write it down.
+ * - Audio is played at the speed for the session's age level, with a
+ *   slower version on request
+ * - Answers are checked on the server, which gives part credit for near
+ *   misses and logs the attempt against the word
+ * - After a miss, students can trace the word letter by letter
+ */
+export default function DictationActivity({
+  activity,
+  content,
+  ageLevel,
+  controlMode,
+  touchTargetSize,
+  onComplete
+}) {
+  const audioManager = useAudioManager()
+  const playVoice = audioManager?.playVoice
+  const playTap = audioManager?.playTap
+  const playSuccess = audioManager?.playSuccess
+  const playError = audioManager?.playError
+  const { worldSession, playingStudentId } = useLearningWorldStore() || {}
+
+  // Safely extract items from content
+  const safeContent = content || {}
+  const items = Array.isArray(safeContent.items) ? safeContent.items.filter(item => item.text) : []
+
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [answer, setAnswer] = useState('')
+  const [checking, setChecking] = useState(false)
+  const [result, setResult] = useState(null) // { result, points, maxPoints, expected }
+  const [tracing, setTracing] = useState(false)
+  const [traceIndex, setTraceIndex] = useState(0)
+  const [answers, setAnswers] = useState([])
+  const [error, setError] = useState(null)
+  const [startTime] = useState(Date.now())
+  const inputRef = useRef(null)
+
+  const currentItem = items[currentIndex]
+  const audioUrls = currentItem?.audioUrls || {}
+  const audioUrl = audioUrls[ageLevel] || audioUrls[3] || audioUrls[2] || audioUrls[1] || currentItem?.audioUrl
+  const slowAudioUrl = ageLevel > 1 && audioUrls[1] !== audioUrl ? audioUrls[1] : null
+
+  // Say each new word
+  useEffect(() => {
+    if (!currentItem) return
+    setAnswer('')
+    setResult(null)
+    setTracing(false)
+    setTraceIndex(0)
+    setError(null)
+
+    const timer = setTimeout(() => {
+      if (audioUrl) playVoice?.(audioUrl, () => inputRef.current?.focus())
+    }, 600)
+    return () => clearTimeout(timer)
+  }, [currentIndex, items.length])
+
+  function handleKey(key) {
+    if (result || checking) return
+    playTap?.()
+    if (key === 'back') {
+      setAnswer(prev => prev.slice(0, -1))
+    } else {
+      setAnswer(prev => prev + key)
+    }
+  }
+
+  async function handleCheck(e) {
+    e?.preventDefault()
+    if (!answer.trim() || checking || result) return
+
+    setChecking(true)
+    setError(null)
+
+    try {
+      const checked = await learningWorldsAPI.checkDictationAnswer(activity.id, {
+        itemIndex: safeContent.items.indexOf(currentItem),
+        answer,
+        worldSessionId: worldSession?.id,
+        studentId: playingStudentId
+      })
+
+      setResult(checked)
+      if (checked.result === 'miss') {
+        playError?.()
+      } else {
+        playSuccess?.()
+      }
+      setAnswers(prev => [...prev, { text: currentItem.text, answer, result: checked.result, points: checked.points }])
+    } catch (err) {
+      console.error('Dictation check error:', err)
+      setError('Could not check your answer. Please try again.')
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  function handleNext() {
+    if (currentIndex < items.length - 1) {
+      setCurrentIndex(prev => prev + 1)
+      return
+    }
+
+    // Activity complete - 2 points for exact, 1 for a near miss
+    const score = answers.reduce((sum, a) => sum + a.points, 0)
+    const maxScore = items.length * 2
+    onComplete({
+      score,
+      maxScore,
+      starsEarned: Math.min(3, Math.floor((score / maxScore) * 3)),
+      timeSpentSeconds: Math.round((Date.now() - startTime) / 1000),
+      responseData: { answers }
+    })
+  }
+
+  // Only letters have tracing guides
+  const traceLetters = (currentItem?.text || '').replace(/[^a-z]/gi, '').split('')
+  const canTrace = traceLetters.length > 0 && traceLetters.length <= 12
+
+  function handleTraceComplete(traceResult) {
+    if (!traceResult.success) return
+    playSuccess?.()
+    if (traceIndex < traceLetters.length - 1) {
+      setTraceIndex(prev => prev + 1)
+    } else {
+      setTimeout(handleNext, 800)
+    }
+  }
+
+  if (!currentItem) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="bg-white rounded-2xl p-8 text-center max-w-md">
+          <div className="text-4xl mb-4">🎧</div>
+          <p className="text-gray-600">There is nothing to listen to yet.</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (tracing) {
+    return (
+      <div className="h-full flex flex-col items-center p-4">
+        <div className="text-center mb-2">
+          <p className="text-lg text-gray-700 font-medium">Trace the word</p>
+          <p className="text-3xl font-bold tracking-widest mt-1">
+            {traceLetters.map((letter, i) => (
+              <span key={i} className={i === traceIndex ? 'text-blue-600' : i < traceIndex ? 'text-emerald-500' : 'text-gray-300'}>
+                {letter}
+              </span>
+            ))}
+          </p>
+        </div>
+        <div className="flex-1 w-full max-w-2xl relative">
+          <P5Canvas
+            key={`${currentIndex}-${traceIndex}`}
+            sketch={tracingSketch}
+            props={{
+              letter: traceLetters[traceIndex],
+              letterSize: 250,
+              guideColor: '#E5E7EB',
+              strokeColor: '#3B82F6',
+              strokeWidth: ageLevel === 1 ? 24 : ageLevel === 2 ? 20 : 16,
+              onComplete: handleTraceComplete
+            }}
+            frameRate={60}
+          />
+        </div>
+        <button
+          onClick={handleNext}
+          className="mb-4 px-6 py-2 bg-white text-gray-600 rounded-full shadow hover:bg-gray-50"
+        >
+          Skip
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="h-full flex flex-col items-center justify-center p-4">
+      {/* Progress */}
+      <div className="mb-4 text-center">
+        <p className="text-sm text-gray-500">
+          {currentIndex + 1} of {items.length}
+        </p>
+        <div className="mt-2 w-48 h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-rose-500 transition-all duration-300 rounded-full"
+            style={{ width: `${((currentIndex + 1) / items.length) * 100}%` }}
+          />
+        </div>
+      </div>
+
+      <p className="mb-4 text-xl text-gray-700 font-medium">
+        {safeContent.instructions || 'Listen carefully and write what you hear!'}
+      </p>
+
+      {/* Listen buttons */}
+      <div className="mb-6 flex gap-3">
+        <button
+          onClick={() => audioUrl && playVoice?.(audioUrl, () => inputRef.current?.focus())}
+          disabled={!audioUrl}
+          className="flex items-center gap-3 px-6 py-3 bg-rose-500 text-white rounded-full font-semibold hover:bg-rose-600 transition-colors shadow-lg disabled:opacity-50"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.536 8.464a5 5 0 010 7.072m2.828-9.9a9 9 0 010 12.728M5.586 15H4a1 1 0 01-1-1v-4a1 1 0 011-1h1.586l4.707-4.707C10.923 3.663 12 4.109 12 5v14c0 .891-1.077 1.337-1.707.707L5.586 15z" />
+          </svg>
+          Play Again
+        </button>
+        {slowAudioUrl && (
+          <button
+            onClick={() => playVoice?.(slowAudioUrl, () => inputRef.current?.focus())}
+            className="px-5 py-3 bg-white text-rose-600 rounded-full font-semibold hover:bg-rose-50 transition-colors shadow-lg"
+          >
+            🐢 Slower
+          </button>
+        )}
+      </div>
+
+      {/* Answer */}
+      <form onSubmit={handleCheck} className="w-full max-w-xl mb-4">
+        <input
+          ref={inputRef}
+          type="text"
+          value={answer}
+          onChange={(e) => !result && setAnswer(e.target.value)}
+          readOnly={!!result}
+          autoComplete="off"
+          autoCorrect="off"
+          autoCapitalize="off"
+          spellCheck={false}
+          placeholder="Write what you hear..."
+          className={`w-full px-5 py-4 text-3xl text-center rounded-2xl border-4 focus:outline-none ${
+            !result
+              ? 'border-rose-200 focus:border-rose-400'
+              : result.result === 'exact'
+                ? 'border-emerald-400 bg-emerald-50'
+                : result.result === 'near'
+                  ? 'border-amber-400 bg-amber-50'
+                  : 'border-red-300 bg-red-50'
+          }`}
+        />
+      </form>
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+
+      {result ? (
+        <div className="text-center">
+          <p className={`text-2xl font-bold mb-1 ${
+            result.result === 'exact' ? 'text-emerald-600' : result.result === 'near' ? 'text-amber-600' : 'text-red-600'
+          }`}>
+            {result.result === 'exact' ? '🎉 Perfect!' : result.result === 'near' ? '👍 So close!' : 'Not quite'}
+          </p>
+          {result.result !== 'exact' && (
+            <p className="text-xl text-gray-700 mb-4">
+              It's spelled <span className="font-bold text-emerald-700">{result.expected}</span>
+              {currentItem.emoji && <span className="ml-2">{currentItem.emoji}</span>}
+            </p>
+          )}
+          <div className="flex gap-3 justify-center mt-2">
+            {result.result !== 'exact' && canTrace && (
+              <button
+                onClick={() => setTracing(true)}
+                className="px-6 py-3 bg-white text-blue-600 rounded-full font-semibold shadow-lg hover:bg-blue-50"
+                style={{ minHeight: touchTargetSize }}
+              >
+                ✏️ Trace it
+              </button>
+            )}
+            <button
+              onClick={handleNext}
+              className="px-8 py-3 bg-emerald-500 text-white rounded-full font-semibold shadow-lg hover:bg-emerald-600"
+              style={{ minHeight: touchTargetSize }}
+            >
+              {currentIndex < items.length - 1 ? 'Next' : 'Finish'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* On-screen keyboard for touch screens */}
+          <div className="flex flex-col items-center gap-2 mb-4">
+            {KEYBOARD_ROWS.map(row => (
+              <div key={row} className="flex gap-1.5">
+                {row.split('').map(key => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => handleKey(key)}
+                    className="w-10 h-12 md:w-12 md:h-14 bg-white rounded-lg shadow text-xl font-semibold text-gray-800 hover:bg-rose-50 active:scale-95"
+                  >
+                    {key}
+                  </button>
+                ))}
+              </div>
+            ))}
+            <div className="flex gap-1.5">
+              <button
+                type="button"
+                onClick={() => handleKey(' ')}
+                className="w-64 h-12 bg-white rounded-lg shadow text-gray-500 hover:bg-rose-50"
+              >
+                space
+              </button>
+              <button
+                type="button"
+                onClick={() => handleKey('back')}
+                className="w-20 h-12 bg-white rounded-lg shadow text-gray-500 hover:bg-rose-50"
+              >
+                ⌫
+              </button>
+            </div>
+          </div>
+
+          <button
+            onClick={handleCheck}
+            disabled={!answer.trim() || checking}
+            className="px-8 py-3 bg-emerald-500 text-white rounded-full font-semibold text-lg hover:bg-emerald-600 transition-colors shadow-lg disabled:opacity-40"
+            style={{ minHeight: touchTargetSize }}
+          >
+            {checking ? 'Checking...' : 'Check'}
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react'
+import { useAudioManager } from '../../../hooks/useAudioManager'
+
+const BLANK = '___'
+
+/**
+ * Fill in the Blank Activity
+ *
+ * Students read a sentence with a missing word, look at the picture of
+ * that word and choose it from the word options.
+ * - Ages 9-10 get the longer sentence when there is one, and more options
+ * - A wrong choice can be tried again; only first tries are scored
+ */
+export default function FillInBlankActivity({
+  activity,
+  content,
+  ageLevel,
+  controlMode,
+  touchTargetSize,
+  onComplete
+}) {
+  const audioManager = useAudioManager()
+  const playWord = audioManager?.playWord
+  const playTap = audioManager?.playTap
+  const playSuccess = audioManager?.playSuccess
+  const playError = audioManager?.playError
+
+  // Safely extract items from content
+  const safeContent = content || {}
+  const items = (Array.isArray(safeContent.items) ? safeContent.items : [])
+    .filter(item => item.answer && (item.sentence || item.sentenceLevel3))
+
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [options, setOptions] = useState([])
+  const [wrongChoices, setWrongChoices] = useState([])
+  const [answered, setAnswered] = useState(false)
+  const [results, setResults] = useState([])
+  const [startTime] = useState(Date.now())
+
+  const currentItem = items[currentIndex]
+  const sentence = currentItem
+    ? (ageLevel === 3 && currentItem.sentenceLevel3) || currentItem.sentence || currentItem.sentenceLevel3
+    : ''
+
+  // Answer plus other items' answers as wrong options
+  useEffect(() => {
+    if (!currentItem) return
+
+    const numDistractors = ageLevel === 1 ? 1 : ageLevel === 2 ? 2 : 3
+    const distractors = [...new Set(items.map(item => item.answer))]
+      .filter(answer => answer.toLowerCase() !== currentItem.answer.toLowerCase())
+      .sort(() => Math.random() - 0.5)
+      .slice(0, numDistractors)
+
+    setOptions([currentItem.answer, ...distractors].sort(() => Math.random() - 0.5))
+    setWrongChoices([])
+    setAnswered(false)
+  }, [currentIndex, items.length])
+
+  function handleOptionSelect(option) {
+    if (answered || wrongChoices.includes(option)) return
+
+    playTap?.()
+
+    if (option !== currentItem.answer) {
+      playError?.()
+      setWrongChoices(prev => [...prev, option])
+      return
+    }
+
+    setAnswered(true)
+    playSuccess?.()
+    if (currentItem.audioUrl) {
+      playWord?.(currentItem.audioUrl)
+    }
+
+    // Stored like spelling mistakes so the teacher sees which words get mixed up
+    const newResults = [...results, {
+      word: currentItem.answer,
+      mistakes: wrongChoices.map(choice => ({ position: 0, expected: currentItem.answer, tapped: choice }))
+    }]
+    setResults(newResults)
+
+    setTimeout(() => {
+      if (currentIndex < items.length - 1) {
+        setCurrentIndex(prev => prev + 1)
+      } else {
+        const score = newResults.filter(r => r.mistakes.length === 0).length
+        onComplete({
+          score,
+          maxScore: items.length,
+          starsEarned: Math.min(3, Math.floor((score / items.length) * 3)),
+          timeSpentSeconds: Math.round((Date.now() - startTime) / 1000),
+          responseData: { words: newResults },
+          wordResults: newResults.map(r => ({ word: r.word, correct: r.mistakes.length === 0 }))
+        })
+      }
+    }, 1800)
+  }
+
+  if (!currentItem) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="bg-white rounded-2xl p-8 text-center max-w-md">
+          <div className="text-4xl mb-4">✏️</div>
+          <p className="text-gray-600">There are no sentences yet.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const [before, ...rest] = sentence.split(BLANK)
+  const after = rest.join(BLANK)
+
+  return (
+    <div className="h-full flex flex-col items-center justify-center p-4">
+      {/* Progress */}
+      <div className="mb-4 text-center">
+        <p className="text-sm text-gray-500">
+          Sentence {currentIndex + 1} of {items.length}
+        </p>
+        <div className="mt-2 w-48 h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-orange-500 transition-all duration-300 rounded-full"
+            style={{ width: `${((currentIndex + 1) / items.length) * 100}%` }}
+          />
+        </div>
+      </div>
+
+      {/* Picture support */}
+      <div className="mb-6 w-36 h-36 bg-white rounded-3xl shadow-lg flex items-center justify-center p-3">
+        {currentItem.imageUrl ? (
+          <img
+            src={currentItem.imageUrl}
+            alt=""
+            className="max-w-full max-h-full object-contain"
+          />
+        ) : (
+          <span className="text-6xl">{currentItem.emoji || '✏️'}</span>
+        )}
+      </div>
+
+      {/* Sentence */}
+      <div className="mb-8 bg-white rounded-2xl shadow-lg px-6 py-4 max-w-3xl">
+        <p className={`text-gray-800 font-medium text-center leading-relaxed ${ageLevel === 3 ? 'text-2xl' : 'text-3xl'}`}>
+          {before}
+          <span
+            className={`inline-block min-w-[4ch] mx-1 px-2 border-b-4 ${
+              answered ? 'border-emerald-400 text-emerald-600 font-bold' : 'border-orange-400 text-transparent'
+            }`}
+          >
+            {answered ? currentItem.answer : '?'}
+          </span>
+          {after}
+        </p>
+        {currentItem.translation && ageLevel < 3 && answered && (
+          <p className="mt-2 text-center text-gray-500">{currentItem.translation}</p>
+        )}
+      </div>
+
+      {/* Word options */}
+      <div className="flex flex-wrap justify-center gap-4 max-w-3xl">
+        {options.map(option => {
+          const isWrong = wrongChoices.includes(option)
+          const isRight = answered && option === currentItem.answer
+
+          return (
+            <button
+              key={option}
+              onClick={() => handleOptionSelect(option)}
+              disabled={isWrong}
+              className={`
+                px-6 rounded-2xl shadow-lg font-semibold transition-all duration-200
+                focus:outline-none focus:ring-4 focus:ring-yellow-400
+                ${ageLevel === 3 ? 'text-xl' : 'text-2xl'}
+                ${isRight
+                  ? 'bg-emerald-100 text-emerald-700 ring-4 ring-emerald-400 scale-105'
+                  : isWrong
+                    ? 'bg-red-50 text-red-300 line-through shadow-none'
+                    : 'bg-white text-gray-800 hover:shadow-xl hover:scale-105'
+                }
+              `}
+              style={{ minHeight: touchTargetSize, minWidth: touchTargetSize * 2 }}
+            >
+              {option}
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -34,6 +34,7 @@ export default function ListenAndPointActivity({
   const [isCorrect, setIsCorrect] = useState(null)
   const [score, setScore] = useState(0)
   const [showingResult, setShowingResult] = useState(false)
+  const [wordResults, setWordResults] = useState([])
 
   // Current target item
   const currentItem = items[currentIndex]
@@ -71,6 +72,8 @@ export default function ListenAndPointActivity({
 
     const correct = option.word === currentItem?.word
     setIsCorrect(correct)
+    const newWordResults = [...wordResults, { word: currentItem?.word, vocabularyId: currentItem?.vocabularyId, correct }]
+    setWordResults(newWordResults)
 
     if (correct) {
       playSuccess?.()
@@ -91,7 +94,8 @@ export default function ListenAndPointActivity({
         onComplete({
           score: score + (correct ? 1 : 0),
           maxScore: items.length,
-          starsEarned: Math.ceil(((score + (correct ? 1 : 0)) / items.length) * 3)
+          starsEarned: Math.ceil(((score + (correct ? 1 : 0)) / items.length) * 3),
+          wordResults: newWordResults
         })
       }
     }, 1500)
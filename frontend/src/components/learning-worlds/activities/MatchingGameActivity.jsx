@@ -33,6 +33,7 @@ export default function MatchingGameActivity({
   const [selectedRight, setSelectedRight] = useState(null)
   const [matchedPairs, setMatchedPairs] = useState(new Set())
   const [showError, setShowError] = useState(false)
+  const [missedPairs, setMissedPairs] = useState(new Set()) // Pairs that had a wrong match
 
   // Initialize shuffled items
   useEffect(() => {
@@ -99,6 +100,7 @@ export default function MatchingGameActivity({
     } else {
       playError?.()
       setShowError(true)
+      setMissedPairs(prev => new Set([...prev, leftIndex]))
       setTimeout(() => {
         setSelectedLeft(null)
         setSelectedRight(null)
@@ -114,7 +116,8 @@ export default function MatchingGameActivity({
         onComplete({
           score: pairs.length,
           maxScore: pairs.length,
-          starsEarned: 3
+          starsEarned: 3,
+          wordResults: pairs.map((pair, i) => ({ word: pair.word, vocabularyId: pair.vocabularyId, correct: !missedPairs.has(i) }))
         })
       }, 1000)
     }
@@ -0,0 +1,230 @@
+import { useState, useMemo } from 'react'
+import { useAudioManager } from '../../../hooks/useAudioManager'
+
+const MAX_TRIES = 2
+
+/**
+ * Reading Comprehension Activity (ages 9-10)
+ *
+ * A short, picture-supported reading followed by multiple-choice questions.
+ * - The reading stays on screen while students answer, so they can look back
+ * - A wrong answer can be tried again once, then the answer is shown
+ * - Only first-try answers score
+ */
+export default function ReadingComprehensionActivity({
+  activity,
+  content,
+  ageLevel,
+  controlMode,
+  touchTargetSize,
+  onComplete
+}) {
+  const audioManager = useAudioManager()
+  const playTap = audioManager?.playTap
+  const playSuccess = audioManager?.playSuccess
+  const playError = audioManager?.playError
+
+  // Safely extract content
+  const safeContent = content || {}
+  const paragraphs = String(safeContent.passage || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
+  const questions = (Array.isArray(safeContent.items) ? safeContent.items : [])
+    .filter(item => item.question && item.answer)
+
+  const [reading, setReading] = useState(true)
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [wrongChoices, setWrongChoices] = useState([])
+  const [status, setStatus] = useState(null) // null | 'correct' | 'revealed'
+  const [answers, setAnswers] = useState([])
+  const [startTime] = useState(Date.now())
+
+  const currentQuestion = questions[currentIndex]
+
+  // Answer buttons, shuffled once per question
+  const options = useMemo(() => {
+    if (!currentQuestion) return []
+    const choices = [currentQuestion.answer, ...(currentQuestion.choices || [])]
+      .map(choice => String(choice).trim())
+      .filter(Boolean)
+    return [...new Set(choices)].sort(() => Math.random() - 0.5)
+  }, [currentIndex, questions.length])
+
+  if (ageLevel < 3) {
+    return <AgeGate />
+  }
+
+  if (paragraphs.length === 0 || !currentQuestion) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="bg-white rounded-2xl p-8 text-center max-w-md">
+          <div className="text-4xl mb-4">📚</div>
+          <p className="text-gray-600">There is nothing to read yet.</p>
+        </div>
+      </div>
+    )
+  }
+
+  function handleChoice(choice) {
+    if (status || wrongChoices.includes(choice)) return
+    playTap?.()
+
+    const correct = choice === String(currentQuestion.answer).trim()
+    const tries = [...wrongChoices, choice]
+
+    if (correct) {
+      playSuccess?.()
+      setStatus('correct')
+      finishQuestion(tries, true)
+      return
+    }
+
+    playError?.()
+    setWrongChoices(tries)
+    if (tries.length >= MAX_TRIES) {
+      setStatus('revealed')
+      finishQuestion(tries, false)
+    }
+  }
+
+  function finishQuestion(tries, correct) {
+    const newAnswers = [...answers, {
+      question: currentQuestion.question,
+      chosen: tries,
+      correct,
+      firstTry: correct && tries.length === 1
+    }]
+    setAnswers(newAnswers)
+
+    setTimeout(() => {
+      if (currentIndex < questions.length - 1) {
+        setCurrentIndex(prev => prev + 1)
+        setWrongChoices([])
+        setStatus(null)
+      } else {
+        // Activity complete - first-try answers score
+        const score = newAnswers.filter(a => a.firstTry).length
+        onComplete({
+          score,
+          maxScore: questions.length,
+          starsEarned: Math.min(3, Math.floor((score / questions.length) * 3)),
+          timeSpentSeconds: Math.round((Date.now() - startTime) / 1000),
+          responseData: { answers: newAnswers }
+        })
+      }
+    }, correct ? 1500 : 3000)
+  }
+
+  return (
+    <div className="h-full overflow-y-auto p-4">
+      <div className={`max-w-5xl mx-auto grid gap-4 ${reading ? '' : 'md:grid-cols-2'}`}>
+        {/* Reading */}
+        <div className="bg-white rounded-2xl shadow-lg p-6">
+          {(safeContent.imageUrl || safeContent.emoji) && (
+            <div className="mb-4 h-40 bg-sky-50 rounded-xl flex items-center justify-center overflow-hidden">
+              {safeContent.imageUrl ? (
+                <img src={safeContent.imageUrl} alt="" className="h-full object-contain" />
+              ) : (
+                <span className="text-7xl">{safeContent.emoji}</span>
+              )}
+            </div>
+          )}
+          {safeContent.title && (
+            <h2 className="text-2xl font-bold text-gray-800 mb-3">{safeContent.title}</h2>
+          )}
+          <div className="space-y-3">
+            {paragraphs.map((paragraph, i) => (
+              <p key={i} className={`${reading ? 'text-xl' : 'text-lg'} leading-relaxed text-gray-700`}>
+                {paragraph}
+              </p>
+            ))}
+          </div>
+
+          {reading && (
+            <div className="mt-6 text-center">
+              <button
+                onClick={() => { playTap?.(); setReading(false) }}
+                className="px-8 py-3 bg-sky-500 text-white rounded-full font-semibold text-lg shadow-lg hover:bg-sky-600"
+                style={{ minHeight: touchTargetSize }}
+              >
+                I'm ready for the questions!
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Question */}
+        {!reading && (
+          <div className="flex flex-col">
+            <div className="mb-4 text-center">
+              <p className="text-sm text-gray-500">
+                Question {currentIndex + 1} of {questions.length}
+              </p>
+              <div className="mt-2 mx-auto w-48 h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-sky-500 transition-all duration-300 rounded-full"
+                  style={{ width: `${((currentIndex + 1) / questions.length) * 100}%` }}
+                />
+              </div>
+            </div>
+
+            <p className="text-2xl font-semibold text-gray-800 mb-4">{currentQuestion.question}</p>
+
+            <div className="flex flex-col gap-3">
+              {options.map(option => {
+                const isAnswer = option === String(currentQuestion.answer).trim()
+                const isWrong = wrongChoices.includes(option)
+                return (
+                  <button
+                    key={option}
+                    onClick={() => handleChoice(option)}
+                    disabled={!!status || isWrong}
+                    className={`px-5 py-3 rounded-2xl text-left text-xl shadow transition-all ${
+                      status && isAnswer
+                        ? 'bg-emerald-100 border-2 border-emerald-400 text-emerald-800'
+                        : isWrong
+                          ? 'bg-red-50 border-2 border-red-200 text-red-400 animate-shake'
+                          : 'bg-white border-2 border-transparent text-gray-800 hover:bg-sky-50 hover:shadow-lg'
+                    }`}
+                    style={{ minHeight: touchTargetSize }}
+                  >
+                    {option}
+                  </button>
+                )
+              })}
+            </div>
+
+            <div className="h-8 mt-4 text-center">
+              {status === 'correct' && <p className="text-emerald-600 font-semibold">🎉 That's right!</p>}
+              {status === 'revealed' && <p className="text-amber-600 font-medium">Look back at the story to find this one.</p>}
+              {!status && wrongChoices.length > 0 && <p className="text-red-600 font-medium">Not quite - look back at the story and try again!</p>}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <style>{`
+        @keyframes shake {
+          0%, 100% { transform: translateX(0); }
+          20%, 60% { transform: translateX(-5px); }
+          40%, 80% { transform: translateX(5px); }
+        }
+        .animate-shake {
+          animation: shake 0.5s ease-in-out;
+        }
+      `}</style>
+    </div>
+  )
+}
+
+/**
+ * Shown when the session's age level is below 9-10
+ */
+function AgeGate() {
+  return (
+    <div className="h-full flex items-center justify-center">
+      <div className="bg-white rounded-2xl p-8 text-center max-w-md">
+        <div className="text-4xl mb-4">📚</div>
+        <p className="text-gray-600">This reading is for ages 9-10. Switch the age level to play it.</p>
+      </div>
+    </div>
+  )
+}
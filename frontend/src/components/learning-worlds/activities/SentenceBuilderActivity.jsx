@@ -0,0 +1,335 @@
+import { useState, useEffect } from 'react'
+import { useAudioManager } from '../../../hooks/useAudioManager'
+
+const MAX_TRIES = 3
+
+/**
+ * Sentence Builder Activity
+ *
+ * Students drag (or tap) word blocks into a sentence.
+ * - Any order listed in the item's acceptedVariants is correct, so more
+ *   than one grammatical sentence can be accepted
+ * - After two wrong tries the meaning is shown as a hint
+ * - After three, one correct sentence is shown and the game moves on
+ */
+export default function SentenceBuilderActivity({
+  activity,
+  content,
+  ageLevel,
+  controlMode,
+  touchTargetSize,
+  onComplete
+}) {
+  const audioManager = useAudioManager()
+  const playTap = audioManager?.playTap
+  const playPop = audioManager?.playPop
+  const playSuccess = audioManager?.playSuccess
+  const playError = audioManager?.playError
+
+  // Safely extract items from content
+  const safeContent = content || {}
+  const items = (Array.isArray(safeContent.items) ? safeContent.items : [])
+    .filter(item => Array.isArray(item.blocks) && item.blocks.length > 1)
+
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [tray, setTray] = useState([]) // block indexes
+  const [line, setLine] = useState([]) // block indexes in sentence order
+  const [dragged, setDragged] = useState(null) // { from: 'tray' | 'line', blockIndex }
+  const [tries, setTries] = useState([])
+  const [status, setStatus] = useState(null) // null | 'wrong' | 'correct' | 'revealed'
+  const [shownSentence, setShownSentence] = useState('')
+  const [results, setResults] = useState([])
+  const [startTime] = useState(Date.now())
+
+  const currentItem = items[currentIndex]
+  const blocks = currentItem?.blocks || []
+  const acceptedVariants = currentItem?.acceptedVariants?.length
+    ? currentItem.acceptedVariants
+    : [currentItem?.sentence || '']
+
+  // Shuffle the blocks for each new sentence
+  useEffect(() => {
+    if (!currentItem) return
+    setTray(shuffleOrder(blocks.length))
+    setLine([])
+    setTries([])
+    setStatus(null)
+    setShownSentence('')
+  }, [currentIndex, items.length])
+
+  const locked = status === 'correct' || status === 'revealed'
+
+  function moveToLine(blockIndex, position = line.length) {
+    const withoutBlock = line.filter(i => i !== blockIndex)
+    const insertAt = Math.min(position, withoutBlock.length)
+    setLine([...withoutBlock.slice(0, insertAt), blockIndex, ...withoutBlock.slice(insertAt)])
+    setTray(prev => prev.filter(i => i !== blockIndex))
+    setStatus(null)
+  }
+
+  function moveToTray(blockIndex) {
+    setLine(prev => prev.filter(i => i !== blockIndex))
+    setTray(prev => prev.includes(blockIndex) ? prev : [...prev, blockIndex])
+    setStatus(null)
+  }
+
+  function handleTrayTap(blockIndex) {
+    if (locked) return
+    playPop?.()
+    moveToLine(blockIndex)
+  }
+
+  function handleLineTap(blockIndex) {
+    if (locked) return
+    playTap?.()
+    moveToTray(blockIndex)
+  }
+
+  function handleDropOnLine(position) {
+    if (!dragged || locked) return
+    playPop?.()
+    // Dragging a block to the right within the line shifts the target slot left
+    const from = line.indexOf(dragged.blockIndex)
+    moveToLine(dragged.blockIndex, from !== -1 && from < position ? position - 1 : position)
+    setDragged(null)
+  }
+
+  function handleDropOnTray() {
+    if (!dragged || locked || dragged.from !== 'line') return
+    moveToTray(dragged.blockIndex)
+    setDragged(null)
+  }
+
+  function handleCheck() {
+    if (line.length !== blocks.length || locked) return
+
+    const built = line.map(i => blocks[i]).join(' ')
+    const match = acceptedVariants.find(v => sentenceKey(v) === sentenceKey(built))
+    const newTries = [...tries, built]
+    setTries(newTries)
+
+    if (match) {
+      playSuccess?.()
+      setStatus('correct')
+      setShownSentence(match)
+      finishSentence(newTries, true)
+      return
+    }
+
+    playError?.()
+    if (newTries.length >= MAX_TRIES) {
+      setStatus('revealed')
+      setShownSentence(currentItem.sentence || acceptedVariants[0])
+      finishSentence(newTries, false)
+    } else {
+      setStatus('wrong')
+    }
+  }
+
+  function finishSentence(sentenceTries, correct) {
+    const newResults = [...results, {
+      sentence: currentItem.sentence,
+      tries: sentenceTries,
+      correct,
+      firstTry: correct && sentenceTries.length === 1
+    }]
+    setResults(newResults)
+
+    setTimeout(() => {
+      if (currentIndex < items.length - 1) {
+        setCurrentIndex(prev => prev + 1)
+      } else {
+        // Activity complete - first-try sentences score
+        const score = newResults.filter(r => r.firstTry).length
+        onComplete({
+          score,
+          maxScore: items.length,
+          starsEarned: Math.min(3, Math.floor((score / items.length) * 3)),
+          timeSpentSeconds: Math.round((Date.now() - startTime) / 1000),
+          responseData: { sentences: newResults }
+        })
+      }
+    }, correct ? 2000 : 3500)
+  }
+
+  if (!currentItem) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="bg-white rounded-2xl p-8 text-center max-w-md">
+          <div className="text-4xl mb-4">📝</div>
+          <p className="text-gray-600">There are no sentences to build yet.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const blockText = ageLevel === 3 ? 'text-xl' : 'text-2xl'
+  const showHint = tries.length >= 2 && currentItem.translation
+
+  return (
+    <div className="h-full flex flex-col items-center justify-center p-4">
+      {/* Progress */}
+      <div className="mb-4 text-center">
+        <p className="text-sm text-gray-500">
+          Sentence {currentIndex + 1} of {items.length}
+        </p>
+        <div className="mt-2 w-48 h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-yellow-500 transition-all duration-300 rounded-full"
+            style={{ width: `${((currentIndex + 1) / items.length) * 100}%` }}
+          />
+        </div>
+      </div>
+
+      {/* Picture and instruction */}
+      <div className="mb-4 flex items-center gap-4">
+        {(currentItem.imageUrl || currentItem.emoji) && (
+          <div className="w-24 h-24 bg-white rounded-2xl shadow-lg flex items-center justify-center p-2">
+            {currentItem.imageUrl ? (
+              <img src={currentItem.imageUrl} alt="" className="max-w-full max-h-full object-contain" />
+            ) : (
+              <span className="text-5xl">{currentItem.emoji}</span>
+            )}
+          </div>
+        )}
+        <p className="text-gray-700 font-medium text-xl">
+          {safeContent.instructions || 'Put the words in order!'}
+        </p>
+      </div>
+
+      {/* Sentence line */}
+      <div
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={() => handleDropOnLine(line.length)}
+        className={`
+          w-full max-w-4xl min-h-[96px] mb-2 p-4 rounded-2xl border-4 flex flex-wrap items-center justify-center gap-2 transition-colors
+          ${status === 'correct'
+            ? 'bg-emerald-50 border-emerald-400'
+            : status === 'wrong'
+              ? 'bg-red-50 border-red-300 animate-shake'
+              : status === 'revealed'
+                ? 'bg-amber-50 border-amber-300'
+                : 'bg-white/70 border-dashed border-yellow-400'
+          }
+        `}
+      >
+        {locked ? (
+          <p className={`${blockText} font-semibold ${status === 'correct' ? 'text-emerald-700' : 'text-amber-700'}`}>
+            {status === 'revealed' && <span className="block text-sm font-normal text-amber-600">Here's one way to say it:</span>}
+            {shownSentence}
+          </p>
+        ) : line.length === 0 ? (
+          <p className="text-gray-400">{ageLevel === 3 ? 'Drag words here' : 'Touch or drag the words'}</p>
+        ) : (
+          line.map((blockIndex, position) => (
+            <WordBlock
+              key={blockIndex}
+              text={blocks[blockIndex]}
+              className={`${blockText} bg-yellow-100 border-yellow-400`}
+              touchTargetSize={touchTargetSize}
+              onTap={() => handleLineTap(blockIndex)}
+              onDragStart={() => setDragged({ from: 'line', blockIndex })}
+              onDrop={(e) => { e.stopPropagation(); handleDropOnLine(position) }}
+            />
+          ))
+        )}
+      </div>
+
+      <div className="h-8 mb-4 text-center">
+        {status === 'wrong' && (
+          <p className="text-red-600 font-medium">Not quite - try a different order!</p>
+        )}
+        {showHint && !locked && (
+          <p className="text-gray-500">Hint: {currentItem.translation}</p>
+        )}
+      </div>
+
+      {/* Word tray */}
+      <div
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleDropOnTray}
+        className="w-full max-w-4xl min-h-[80px] p-4 bg-white/50 rounded-2xl flex flex-wrap items-center justify-center gap-3"
+      >
+        {tray.map(blockIndex => (
+          <WordBlock
+            key={blockIndex}
+            text={blocks[blockIndex]}
+            className={`${blockText} bg-white border-gray-200`}
+            touchTargetSize={touchTargetSize}
+            onTap={() => handleTrayTap(blockIndex)}
+            onDragStart={() => setDragged({ from: 'tray', blockIndex })}
+          />
+        ))}
+      </div>
+
+      {/* Check button */}
+      {!locked && (
+        <button
+          onClick={handleCheck}
+          disabled={line.length !== blocks.length}
+          className="mt-6 px-8 py-3 bg-emerald-500 text-white rounded-full font-semibold text-lg hover:bg-emerald-600 transition-colors shadow-lg disabled:opacity-40"
+          style={{ minHeight: touchTargetSize }}
+        >
+          Check my sentence
+        </button>
+      )}
+
+      <style>{`
+        @keyframes shake {
+          0%, 100% { transform: translateX(0); }
+          20%, 60% { transform: translateX(-5px); }
+          40%, 80% { transform: translateX(5px); }
+        }
+        .animate-shake {
+          animation: shake 0.5s ease-in-out;
+        }
+      `}</style>
+    </div>
+  )
+}
+
+/**
+ * Word Block Component
+ */
+function WordBlock({ text, className, touchTargetSize, onTap, onDragStart, onDrop }) {
+  return (
+    <button
+      type="button"
+      draggable
+      onClick={onTap}
+      onDragStart={onDragStart}
+      onDragOver={onDrop ? (e) => e.preventDefault() : undefined}
+      onDrop={onDrop}
+      className={`px-4 rounded-xl border-2 shadow font-semibold text-gray-800 cursor-grab hover:shadow-lg transition-shadow ${className}`}
+      style={{ minHeight: touchTargetSize }}
+    >
+      {text}
+    </button>
+  )
+}
+
+/**
+ * Comparison key - same rules as the server: case and punctuation don't count
+ */
+function sentenceKey(sentence) {
+  return String(sentence || '')
+    .replace(/[^\p{L}\p{N}'\s-]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(w => w.toLowerCase())
+    .join(' ')
+}
+
+/**
+ * Shuffled block indexes - never already in sentence order
+ */
+function shuffleOrder(count) {
+  const order = Array.from({ length: count }, (_, i) => i)
+  if (count < 2) return order
+
+  do {
+    order.sort(() => Math.random() - 0.5)
+  } while (order.every((blockIndex, i) => blockIndex === i))
+
+  return order
+}
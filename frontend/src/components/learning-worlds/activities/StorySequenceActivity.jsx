@@ -0,0 +1,323 @@
+import { useState, useEffect, useRef } from 'react'
+import { useAudioManager } from '../../../hooks/useAudioManager'
+
+/**
+ * Story Sequence Activity
+ *
+ * Students put shuffled picture cards back into story order.
+ * - Touching a card reads it aloud and puts it in the next empty slot
+ * - Touching a placed card sends it back
+ * - Wrong cards go back to the tray after a check; right ones stay put
+ * - The finished story is read aloud from start to end
+ */
+export default function StorySequenceActivity({
+  activity,
+  content,
+  ageLevel,
+  controlMode,
+  touchTargetSize,
+  onComplete
+}) {
+  const audioManager = useAudioManager()
+  const playVoice = audioManager?.playVoice
+  const playSequence = audioManager?.playSequence
+  const playTap = audioManager?.playTap
+  const playSuccess = audioManager?.playSuccess
+  const playError = audioManager?.playError
+
+  // Panels are stored in the correct order - their index is the answer
+  const safeContent = content || {}
+  const panels = Array.isArray(safeContent.panels) ? safeContent.panels
+    : Array.isArray(safeContent.items) ? safeContent.items
+    : []
+
+  const [tray, setTray] = useState(() => shuffleOrder(panels.length))
+  const [slots, setSlots] = useState(() => Array(panels.length).fill(null))
+  const [locked, setLocked] = useState([]) // slot indexes checked correct
+  const [wrongSlots, setWrongSlots] = useState([])
+  const [checking, setChecking] = useState(false)
+  const [speakingIndex, setSpeakingIndex] = useState(null)
+  const [attempts, setAttempts] = useState(0)
+  const [firstOrder, setFirstOrder] = useState(null)
+  const [storyDone, setStoryDone] = useState(false)
+  const startTime = useRef(Date.now())
+  const finished = useRef(false)
+
+  const allPlaced = panels.length > 0 && slots.every(s => s !== null)
+
+  // The youngest learners get checked as soon as the strip is full
+  useEffect(() => {
+    if (ageLevel === 1 && allPlaced && !checking && !storyDone) {
+      const timer = setTimeout(handleCheck, 600)
+      return () => clearTimeout(timer)
+    }
+  }, [allPlaced, ageLevel])
+
+  function speak(panelIndex) {
+    const panel = panels[panelIndex]
+    if (!panel?.audioUrl) return
+    setSpeakingIndex(panelIndex)
+    playVoice?.(panel.audioUrl, () => setSpeakingIndex(null))
+  }
+
+  function handleTrayTap(panelIndex) {
+    if (checking || storyDone) return
+
+    const emptySlot = slots.findIndex(s => s === null)
+    if (emptySlot === -1) return
+
+    playTap?.()
+    speak(panelIndex)
+    setTray(prev => prev.filter(i => i !== panelIndex))
+    setSlots(prev => prev.map((s, i) => i === emptySlot ? panelIndex : s))
+  }
+
+  function handleSlotTap(slotIndex) {
+    const panelIndex = slots[slotIndex]
+    if (checking || storyDone || panelIndex === null || locked.includes(slotIndex)) return
+
+    playTap?.()
+    setSlots(prev => prev.map((s, i) => i === slotIndex ? null : s))
+    setTray(prev => [...prev, panelIndex])
+  }
+
+  function handleCheck() {
+    if (!allPlaced || checking) return
+
+    const wrong = slots
+      .map((panelIndex, slotIndex) => panelIndex === slotIndex ? null : slotIndex)
+      .filter(i => i !== null)
+
+    setAttempts(prev => prev + 1)
+    if (firstOrder === null) setFirstOrder(slots)
+
+    if (wrong.length === 0) {
+      playSuccess?.()
+      setLocked(slots.map((_, i) => i))
+      finishStory(firstOrder || slots)
+      return
+    }
+
+    playError?.()
+    setChecking(true)
+    setWrongSlots(wrong)
+    setLocked(slots.map((_, i) => i).filter(i => !wrong.includes(i)))
+
+    // Show which cards are out of place, then send them back
+    setTimeout(() => {
+      setTray(prev => [...prev, ...wrong.map(i => slots[i])])
+      setSlots(prev => prev.map((s, i) => wrong.includes(i) ? null : s))
+      setWrongSlots([])
+      setChecking(false)
+    }, 1500)
+  }
+
+  // Read the whole story aloud, then report the result
+  function finishStory(order) {
+    setStoryDone(true)
+
+    const complete = () => {
+      if (finished.current) return
+      finished.current = true
+
+      // Scored on the first check, so trial and error doesn't earn full stars
+      const score = order.filter((panelIndex, slotIndex) => panelIndex === slotIndex).length
+      onComplete({
+        score,
+        maxScore: panels.length,
+        starsEarned: Math.min(3, Math.floor((score / panels.length) * 3)),
+        timeSpentSeconds: Math.round((Date.now() - startTime.current) / 1000),
+        responseData: {
+          attempts: attempts + 1,
+          firstOrder: order
+        }
+      })
+    }
+
+    const audioUrls = panels.map(p => p.audioUrl).filter(Boolean)
+    if (audioUrls.length > 0 && playSequence) {
+      playSequence(audioUrls, () => setTimeout(complete, 800))
+      // Don't leave the student waiting if a clip never finishes
+      setTimeout(complete, audioUrls.length * 6000 + 2000)
+    } else {
+      setTimeout(complete, 2000)
+    }
+  }
+
+  if (panels.length === 0) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="bg-white rounded-2xl p-8 text-center max-w-md">
+          <div className="text-4xl mb-4">📖</div>
+          <p className="text-gray-600">This story has no pictures yet.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const cardSize = ageLevel === 1 ? 'w-36 h-40' : ageLevel === 2 ? 'w-32 h-36' : 'w-28 h-32'
+  const placedCount = slots.filter(s => s !== null).length
+
+  return (
+    <div className="h-full flex flex-col items-center justify-center p-4 overflow-y-auto">
+      {/* Progress */}
+      <div className="mb-4 text-center">
+        <p className="text-sm text-gray-500">
+          {placedCount} of {panels.length} pictures placed
+        </p>
+        <div className="mt-2 w-48 h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-amber-500 transition-all duration-300 rounded-full"
+            style={{ width: `${(placedCount / panels.length) * 100}%` }}
+          />
+        </div>
+      </div>
+
+      {/* Instruction */}
+      <div className="mb-6 text-center">
+        <p className={`text-gray-700 font-medium ${ageLevel === 1 ? 'text-2xl' : 'text-xl'}`}>
+          {storyDone
+            ? '🎉 Listen to your story!'
+            : safeContent.instructions || (ageLevel === 1 ? 'What happens first?' : 'Put the story in order!')}
+        </p>
+      </div>
+
+      {/* Story strip */}
+      <div className="flex flex-wrap justify-center gap-3 mb-8 max-w-5xl">
+        {slots.map((panelIndex, slotIndex) => (
+          <div key={slotIndex} className="flex flex-col items-center">
+            <span className="mb-1 w-8 h-8 rounded-full bg-amber-500 text-white font-bold flex items-center justify-center">
+              {slotIndex + 1}
+            </span>
+            {panelIndex === null ? (
+              <div className={`${cardSize} rounded-2xl border-4 border-dashed border-amber-300 bg-white/50`} />
+            ) : (
+              <PanelCard
+                panel={panels[panelIndex]}
+                ageLevel={ageLevel}
+                cardSize={cardSize}
+                isSpeaking={speakingIndex === panelIndex}
+                isCorrect={locked.includes(slotIndex)}
+                isWrong={wrongSlots.includes(slotIndex)}
+                onSelect={() => handleSlotTap(slotIndex)}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Card tray */}
+      {tray.length > 0 && (
+        <div className="flex flex-wrap justify-center gap-3 p-4 bg-white/60 rounded-3xl max-w-5xl">
+          {tray.map(panelIndex => (
+            <PanelCard
+              key={panelIndex}
+              panel={panels[panelIndex]}
+              ageLevel={ageLevel}
+              cardSize={cardSize}
+              isSpeaking={speakingIndex === panelIndex}
+              onSelect={() => handleTrayTap(panelIndex)}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Check button (ages 7+) */}
+      {ageLevel !== 1 && allPlaced && !storyDone && (
+        <button
+          onClick={handleCheck}
+          disabled={checking}
+          className="mt-6 px-8 py-3 bg-emerald-500 text-white rounded-full font-semibold text-lg hover:bg-emerald-600 transition-colors shadow-lg disabled:opacity-50"
+          style={{ minHeight: touchTargetSize }}
+        >
+          Check my story
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Shuffled panel indexes - never already in the right order
+ */
+function shuffleOrder(count) {
+  const order = Array.from({ length: count }, (_, i) => i)
+  if (count < 2) return order
+
+  do {
+    order.sort(() => Math.random() - 0.5)
+  } while (order.every((panelIndex, i) => panelIndex === i))
+
+  return order
+}
+
+/**
+ * Panel Card Component
+ */
+function PanelCard({
+  panel,
+  ageLevel,
+  cardSize,
+  isSpeaking,
+  isCorrect,
+  isWrong,
+  onSelect
+}) {
+  // Text helps readers, and stands in when a panel has no narration
+  const showText = ageLevel > 1 || !panel.audioUrl
+
+  return (
+    <button
+      onClick={onSelect}
+      className={`
+        ${cardSize}
+        relative bg-white rounded-2xl shadow-lg overflow-hidden
+        flex flex-col items-center justify-center p-2
+        transition-all duration-200
+        focus:outline-none focus:ring-4 focus:ring-yellow-400
+        cursor-pointer hover:shadow-xl
+        ${isWrong
+          ? 'ring-4 ring-red-400 bg-red-50 animate-shake'
+          : isCorrect
+            ? 'ring-4 ring-emerald-400 bg-emerald-50'
+            : isSpeaking
+              ? 'ring-4 ring-sky-400 scale-105'
+              : ''
+        }
+      `}
+    >
+      <div className="flex-1 w-full flex items-center justify-center">
+        {panel.imageUrl ? (
+          <img
+            src={panel.imageUrl}
+            alt={panel.text}
+            className="max-w-full max-h-full object-contain"
+          />
+        ) : (
+          <span className={ageLevel === 1 ? 'text-6xl' : 'text-5xl'}>{panel.emoji || '📖'}</span>
+        )}
+      </div>
+
+      {showText && panel.text && (
+        <p className="text-xs text-gray-700 font-medium leading-tight text-center mt-1">
+          {panel.text}
+        </p>
+      )}
+
+      {isSpeaking && (
+        <span className="absolute top-1 right-1 text-lg">🔊</span>
+      )}
+
+      <style>{`
+        @keyframes shake {
+          0%, 100% { transform: translateX(0); }
+          20%, 60% { transform: translateX(-5px); }
+          40%, 80% { transform: translateX(5px); }
+        }
+        .animate-shake {
+          animation: shake 0.5s ease-in-out;
+        }
+      `}</style>
+    </button>
+  )
+}
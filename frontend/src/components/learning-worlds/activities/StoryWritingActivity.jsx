@@ -0,0 +1,266 @@
+import { useState, useRef } from 'react'
+import { useAudioManager } from '../../../hooks/useAudioManager'
+import { learningWorldsAPI } from '../../../services/api'
+
+const MAX_FEEDBACK = 2
+
+/**
+ * Story Writing Activity (ages 9-10)
+ *
+ * Students continue a story starter in their own words.
+ * - Word bank chips (the land's vocabulary) and sentence starters are
+ *   added to the story with a tap
+ * - Students can ask for gentle AI feedback before they finish, and
+ *   improve their story with it
+ * - Stories are shown to the teacher in the control panel
+ */
+export default function StoryWritingActivity({
+  activity,
+  content,
+  ageLevel,
+  controlMode,
+  touchTargetSize,
+  onComplete
+}) {
+  const audioManager = useAudioManager()
+  const playTap = audioManager?.playTap
+  const playSuccess = audioManager?.playSuccess
+
+  // Safely extract content
+  const safeContent = content || {}
+  const wordBank = (Array.isArray(safeContent.wordBank) ? safeContent.wordBank : []).filter(Boolean)
+  const starters = (Array.isArray(safeContent.items) ? safeContent.items : []).map(item => item.text).filter(Boolean)
+  const minWords = Number(safeContent.minWords) || 30
+
+  const [story, setStory] = useState('')
+  const [feedback, setFeedback] = useState([]) // { praise, nextStep, wordsUsed }
+  const [drafts, setDrafts] = useState([])
+  const [loadingFeedback, setLoadingFeedback] = useState(false)
+  const [error, setError] = useState(null)
+  const [startTime] = useState(Date.now())
+  const textareaRef = useRef(null)
+
+  const wordCount = story.trim() ? story.trim().split(/\s+/).length : 0
+  const wordsUsed = wordBank.filter(word => storyHasWord(story, word))
+  const latestFeedback = feedback[feedback.length - 1]
+  const canFinish = wordCount >= minWords || (feedback.length > 0 && wordCount > 0)
+
+  if (ageLevel < 3) {
+    return <AgeGate />
+  }
+
+  // Insert a word or starter where the cursor is
+  function insertText(text) {
+    playTap?.()
+    const textarea = textareaRef.current
+    const start = textarea ? textarea.selectionStart : story.length
+    const end = textarea ? textarea.selectionEnd : story.length
+
+    const before = story.slice(0, start)
+    const after = story.slice(end)
+    const spacer = before && !/\s$/.test(before) ? ' ' : ''
+    const inserted = `${spacer}${text} `
+    setStory(before + inserted + after)
+
+    // Put the cursor after the inserted text
+    setTimeout(() => {
+      if (!textarea) return
+      const position = (before + inserted).length
+      textarea.focus()
+      textarea.setSelectionRange(position, position)
+    }, 0)
+  }
+
+  async function handleGetFeedback() {
+    if (!story.trim() || loadingFeedback || feedback.length >= MAX_FEEDBACK) return
+
+    setLoadingFeedback(true)
+    setError(null)
+
+    try {
+      const result = await learningWorldsAPI.getStoryFeedback(activity.id, story)
+      setDrafts(prev => [...prev, story])
+      setFeedback(prev => [...prev, result.feedback])
+      playSuccess?.()
+    } catch (err) {
+      console.error('Story feedback error:', err)
+      setError('Could not get feedback right now. You can keep writing!')
+    } finally {
+      setLoadingFeedback(false)
+    }
+  }
+
+  function handleFinish() {
+    if (!canFinish) return
+
+    // One point each for: enough words, using the word bank, improving after feedback
+    const revised = drafts.length > 0 && drafts[drafts.length - 1].trim() !== story.trim()
+    const score = (wordCount >= minWords ? 1 : 0) +
+      (wordsUsed.length >= Math.min(2, wordBank.length) ? 1 : 0) +
+      (revised ? 1 : 0)
+
+    onComplete({
+      score,
+      maxScore: 3,
+      starsEarned: score,
+      timeSpentSeconds: Math.round((Date.now() - startTime) / 1000),
+      responseData: {
+        story: story.trim(),
+        wordCount,
+        wordsUsed,
+        drafts,
+        feedback
+      }
+    })
+  }
+
+  return (
+    <div className="h-full overflow-y-auto p-4">
+      <div className="max-w-4xl mx-auto flex flex-col gap-4">
+        {/* Story starter */}
+        <div className="bg-white rounded-2xl shadow-lg p-5 flex gap-4 items-start">
+          {(safeContent.imageUrl || safeContent.emoji) && (
+            <div className="w-24 h-24 flex-shrink-0 bg-amber-50 rounded-xl flex items-center justify-center overflow-hidden">
+              {safeContent.imageUrl ? (
+                <img src={safeContent.imageUrl} alt="" className="w-full h-full object-cover" />
+              ) : (
+                <span className="text-5xl">{safeContent.emoji}</span>
+              )}
+            </div>
+          )}
+          <div>
+            <p className="text-sm font-semibold text-amber-600 mb-1">
+              {safeContent.instructions || 'Finish the story!'}
+            </p>
+            {safeContent.storyStarter && (
+              <p className="text-xl text-gray-800 italic">{safeContent.storyStarter}</p>
+            )}
+            {safeContent.prompt && (
+              <p className="mt-2 text-gray-600">{safeContent.prompt}</p>
+            )}
+          </div>
+        </div>
+
+        {/* Word bank */}
+        {wordBank.length > 0 && (
+          <div>
+            <p className="text-sm font-medium text-gray-600 mb-2">Word bank</p>
+            <div className="flex flex-wrap gap-2">
+              {wordBank.map(word => {
+                const used = wordsUsed.includes(word)
+                return (
+                  <button
+                    key={word}
+                    onClick={() => insertText(word)}
+                    className={`px-4 py-2 rounded-full text-lg font-medium shadow transition-colors ${
+                      used
+                        ? 'bg-emerald-100 text-emerald-700'
+                        : 'bg-white text-gray-800 hover:bg-amber-50'
+                    }`}
+                  >
+                    {used && '✓ '}{word}
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Sentence starters */}
+        {starters.length > 0 && (
+          <div>
+            <p className="text-sm font-medium text-gray-600 mb-2">Need help starting a sentence?</p>
+            <div className="flex flex-wrap gap-2">
+              {starters.map(starter => (
+                <button
+                  key={starter}
+                  onClick={() => insertText(starter)}
+                  className="px-3 py-1.5 rounded-lg bg-sky-50 text-sky-700 border border-sky-200 hover:bg-sky-100"
+                >
+                  {starter}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Story */}
+        <div>
+          <textarea
+            ref={textareaRef}
+            value={story}
+            onChange={(e) => setStory(e.target.value)}
+            rows={8}
+            placeholder="Write your story here..."
+            className="w-full p-4 text-xl leading-relaxed rounded-2xl border-4 border-amber-200 focus:border-amber-400 focus:outline-none resize-none"
+          />
+          <div className="mt-1 flex justify-between text-sm">
+            <span className={wordCount >= minWords ? 'text-emerald-600 font-medium' : 'text-gray-500'}>
+              {wordCount} / {minWords} words
+            </span>
+            {wordBank.length > 0 && (
+              <span className="text-gray-500">
+                Word bank words used: {wordsUsed.length}
+              </span>
+            )}
+          </div>
+        </div>
+
+        {/* Feedback */}
+        {latestFeedback && (
+          <div className="bg-emerald-50 border-2 border-emerald-200 rounded-2xl p-4">
+            <p className="text-lg text-gray-800">⭐ {latestFeedback.praise}</p>
+            {latestFeedback.nextStep && (
+              <p className="mt-2 text-lg text-gray-700">💡 {latestFeedback.nextStep}</p>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-red-600">{error}</p>}
+
+        <div className="flex flex-wrap gap-3 justify-center pb-4">
+          {feedback.length < MAX_FEEDBACK && (
+            <button
+              onClick={handleGetFeedback}
+              disabled={!story.trim() || loadingFeedback}
+              className="px-6 py-3 bg-white text-amber-700 rounded-full font-semibold shadow-lg hover:bg-amber-50 disabled:opacity-40"
+              style={{ minHeight: touchTargetSize }}
+            >
+              {loadingFeedback ? 'Reading your story...' : feedback.length > 0 ? 'Check again' : 'How is my story?'}
+            </button>
+          )}
+          <button
+            onClick={handleFinish}
+            disabled={!canFinish}
+            className="px-8 py-3 bg-emerald-500 text-white rounded-full font-semibold shadow-lg hover:bg-emerald-600 disabled:opacity-40"
+            style={{ minHeight: touchTargetSize }}
+          >
+            I'm finished!
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Shown when the session's age level is below 9-10
+ */
+function AgeGate() {
+  return (
+    <div className="h-full flex items-center justify-center">
+      <div className="bg-white rounded-2xl p-8 text-center max-w-md">
+        <div className="text-4xl mb-4">✍️</div>
+        <p className="text-gray-600">Story writing is for ages 9-10. Switch the age level to play it.</p>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Whether the story uses a word (whole words, any case)
+ */
+function storyHasWord(story, word) {
+  const text = ` ${story.toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, ' ').replace(/\s+/g, ' ')} `
+  return text.includes(` ${word.toLowerCase().trim()} `)
+}
@@ -66,7 +66,9 @@ export default function VocabularyTouchActivity({
           score: items.length,
           maxScore: items.length,
           starsEarned: 3,
-          touchedItems: Array.from(touchedItems)
+          touchedItems: Array.from(touchedItems),
+          // Touching a word is seeing it, not answering
+          wordResults: items.map(item => ({ word: item.word, vocabularyId: item.vocabularyId }))
         })
       }, 1000)
     }
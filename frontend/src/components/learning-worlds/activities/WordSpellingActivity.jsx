@@ -0,0 +1,275 @@
+import { useState, useEffect } from 'react'
+import { useAudioManager } from '../../../hooks/useAudioManager'
+
+// Letters children often swap - used first as distractor tiles
+const LOOK_ALIKES = {
+  b: 'dp', d: 'bq', p: 'qb', q: 'pd', m: 'nw', n: 'mu', u: 'nv', w: 'mv',
+  i: 'lj', l: 'it', j: 'ig', a: 'eo', e: 'ai', o: 'au', c: 'ks', k: 'c',
+  s: 'zc', z: 's', g: 'jq', v: 'wu', f: 't', t: 'f', h: 'n', r: 'n', y: 'v', x: 'k'
+}
+
+/**
+ * Word Spelling Activity
+ *
+ * Students hear a word, see its picture and spell it with letter tiles.
+ * - Only the next correct letter can be placed, so each wrong tap is a
+ *   clear letter mix-up that gets saved for the teacher
+ * - Ages 4-6: first letter given, no extra tiles
+ * - Ages 7-8: a couple of look-alike letters mixed in
+ * - Ages 9-10: more extra letters
+ */
+export default function WordSpellingActivity({
+  activity,
+  content,
+  ageLevel,
+  controlMode,
+  touchTargetSize,
+  onComplete
+}) {
+  const audioManager = useAudioManager()
+  const playWord = audioManager?.playWord
+  const playPop = audioManager?.playPop
+  const playSuccess = audioManager?.playSuccess
+  const playError = audioManager?.playError
+
+  // Safely extract items from content
+  const safeContent = content || {}
+  const items = (Array.isArray(safeContent.items) ? safeContent.items : [])
+    .filter(item => /^[a-z]+$/i.test((item.word || '').trim()))
+
+  const [currentIndex, setCurrentIndex] = useState(0)
+  const [tiles, setTiles] = useState([])
+  const [filled, setFilled] = useState(0)
+  const [mistakes, setMistakes] = useState([])
+  const [results, setResults] = useState([])
+  const [wrongTileId, setWrongTileId] = useState(null)
+  const [wordDone, setWordDone] = useState(false)
+  const [startTime] = useState(Date.now())
+
+  const currentItem = items[currentIndex]
+  const word = (currentItem?.word || '').trim().toLowerCase()
+  const givenLetters = ageLevel === 1 ? 1 : 0
+
+  // Lay out tiles for each new word
+  useEffect(() => {
+    if (!currentItem) return
+
+    const letters = word.split('').slice(givenLetters)
+    const extraCount = ageLevel === 1 ? 0 : ageLevel === 2 ? 2 : 4
+    const extras = pickExtraLetters(word, extraCount)
+
+    setTiles(shuffle([...letters, ...extras]).map((letter, id) => ({ id, letter, used: false })))
+    setFilled(givenLetters)
+    setMistakes([])
+    setWordDone(false)
+
+    const timer = setTimeout(() => {
+      if (currentItem?.audioUrl) {
+        playWord?.(currentItem.audioUrl)
+      }
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [currentIndex, items.length])
+
+  // After two misses on the same letter, younger learners get a hint
+  const expected = word[filled]
+  const missesHere = mistakes.filter(m => m.position === filled).length
+  const hintTile = ageLevel < 3 && missesHere >= 2
+    ? tiles.find(t => !t.used && t.letter === expected)
+    : null
+
+  function handleTileTap(tile) {
+    if (tile.used || wordDone) return
+
+    if (tile.letter !== expected) {
+      playError?.()
+      setWrongTileId(tile.id)
+      setTimeout(() => setWrongTileId(null), 500)
+      setMistakes(prev => [...prev, { position: filled, expected, tapped: tile.letter }])
+      return
+    }
+
+    playPop?.()
+    setTiles(prev => prev.map(t => t.id === tile.id ? { ...t, used: true } : t))
+    const nextFilled = filled + 1
+    setFilled(nextFilled)
+
+    if (nextFilled === word.length) {
+      handleWordComplete()
+    }
+  }
+
+  function handleWordComplete() {
+    setWordDone(true)
+    playSuccess?.()
+    if (currentItem?.audioUrl) {
+      playWord?.(currentItem.audioUrl)
+    }
+
+    const newResults = [...results, { word, mistakes }]
+    setResults(newResults)
+
+    setTimeout(() => {
+      if (currentIndex < items.length - 1) {
+        setCurrentIndex(prev => prev + 1)
+      } else {
+        // Activity complete - a word counts when spelled with no wrong taps
+        const score = newResults.filter(r => r.mistakes.length === 0).length
+        onComplete({
+          score,
+          maxScore: items.length,
+          starsEarned: Math.min(3, Math.floor((score / items.length) * 3)),
+          timeSpentSeconds: Math.round((Date.now() - startTime) / 1000),
+          responseData: { words: newResults },
+          wordResults: newResults.map(r => ({ word: r.word, correct: r.mistakes.length === 0 }))
+        })
+      }
+    }, 1800)
+  }
+
+  function handleReplayAudio() {
+    if (currentItem?.audioUrl) {
+      playWord?.(currentItem.audioUrl)
+    }
+  }
+
+  if (!currentItem) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="bg-white rounded-2xl p-8 text-center max-w-md">
+          <div className="text-4xl mb-4">🔤</div>
+          <p className="text-gray-600">There are no words to spell yet.</p>
+        </div>
+      </div>
+    )
+  }
+
+  const slotSize = ageLevel === 1 ? 'w-16 h-20 text-4xl' : ageLevel === 2 ? 'w-14 h-16 text-3xl' : 'w-12 h-14 text-2xl'
+
+  return (
+    <div className="h-full flex flex-col items-center justify-center p-4">
+      {/* Progress */}
+      <div className="mb-4 text-center">
+        <p className="text-sm text-gray-500">
+          Word {currentIndex + 1} of {items.length}
+        </p>
+        <div className="mt-2 w-48 h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-indigo-500 transition-all duration-300 rounded-full"
+            style={{ width: `${((currentIndex + 1) / items.length) * 100}%` }}
+          />
+        </div>
+      </div>
+
+      {/* Picture */}
+      <div className="mb-4 w-40 h-40 bg-white rounded-3xl shadow-lg flex items-center justify-center p-3">
+        {currentItem.imageUrl ? (
+          <img
+            src={currentItem.imageUrl}
+            alt=""
+            className="max-w-full max-h-full object-contain"
+          />
+        ) : (
+          <span className="text-7xl">{currentItem.emoji || '🔤'}</span>
+        )}
+      </div>
+      {currentItem.translation && ageLevel < 3 && (
+        <p className="mb-2 text-gray-500">{currentItem.translation}</p>
+      )}
+
+      {/* Play Audio Button */}
+      {currentItem.audioUrl && (
+        <button
+          onClick={handleReplayAudio}
+          className="mb-6 flex items-center gap-3 px-6 py-3 bg-indigo-500 text-white rounded-full font-semibold hover:bg-indigo-600 transition-colors shadow-lg"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.536 8.464a5 5 0 010 7.072m2.828-9.9a9 9 0 010 12.728M5.586 15H4a1 1 0 01-1-1v-4a1 1 0 011-1h1.586l4.707-4.707C10.923 3.663 12 4.109 12 5v14c0 .891-1.077 1.337-1.707.707L5.586 15z" />
+          </svg>
+          <span>{ageLevel === 1 ? 'Hear it again!' : 'Play Again'}</span>
+        </button>
+      )}
+
+      {/* Letter slots */}
+      <div className="flex flex-wrap justify-center gap-2 mb-8">
+        {word.split('').map((letter, i) => (
+          <div
+            key={i}
+            className={`${slotSize} rounded-xl flex items-center justify-center font-bold uppercase transition-all ${
+              i < filled
+                ? wordDone ? 'bg-emerald-100 text-emerald-700 border-4 border-emerald-400' : 'bg-white text-indigo-700 border-4 border-indigo-300'
+                : i === filled ? 'bg-white/70 border-4 border-dashed border-indigo-400' : 'bg-white/50 border-4 border-dashed border-gray-300'
+            }`}
+          >
+            {i < filled ? letter : ''}
+          </div>
+        ))}
+      </div>
+
+      {/* Letter tiles */}
+      <div className="flex flex-wrap justify-center gap-3 max-w-2xl">
+        {tiles.map(tile => (
+          <button
+            key={tile.id}
+            onClick={() => handleTileTap(tile)}
+            disabled={tile.used}
+            className={`
+              rounded-2xl shadow-lg font-bold uppercase transition-all duration-200
+              focus:outline-none focus:ring-4 focus:ring-yellow-400
+              ${ageLevel === 1 ? 'text-4xl' : 'text-3xl'}
+              ${tile.used
+                ? 'bg-gray-100 text-gray-300 shadow-none scale-90'
+                : wrongTileId === tile.id
+                  ? 'bg-red-100 text-red-600 ring-4 ring-red-400 animate-shake'
+                  : hintTile?.id === tile.id
+                    ? 'bg-yellow-100 text-indigo-700 ring-4 ring-yellow-400 animate-pulse'
+                    : 'bg-white text-indigo-700 hover:shadow-xl hover:scale-105'
+              }
+            `}
+            style={{ width: touchTargetSize, height: touchTargetSize }}
+          >
+            {tile.letter}
+          </button>
+        ))}
+      </div>
+
+      <style>{`
+        @keyframes shake {
+          0%, 100% { transform: translateX(0); }
+          20%, 60% { transform: translateX(-5px); }
+          40%, 80% { transform: translateX(5px); }
+        }
+        .animate-shake {
+          animation: shake 0.5s ease-in-out;
+        }
+      `}</style>
+    </div>
+  )
+}
+
+function shuffle(items) {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+/**
+ * Extra tiles - look-alikes of the word's letters first, then any letter
+ * not in the word
+ */
+function pickExtraLetters(word, count) {
+  const picked = []
+  const lookAlikes = shuffle(word.split('').flatMap(letter => (LOOK_ALIKES[letter] || '').split('')))
+  const others = shuffle('abcdefghijklmnopqrstuvwxyz'.split(''))
+
+  for (const letter of [...lookAlikes, ...others]) {
+    if (picked.length === count) break
+    if (!letter || word.includes(letter) || picked.includes(letter)) continue
+    picked.push(letter)
+  }
+
+  return picked
+}
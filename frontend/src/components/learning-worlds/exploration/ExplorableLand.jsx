@@ -23,7 +23,9 @@ export default function ExplorableLand({
   sceneItems = [],
   discoveredIds = [],
   onDiscoverItem,
+  onTouchItem,
   onActivitiesUnlock,
+  onOpenActivities,
   onBack,
   ageLevel = 2,
   character = null,
@@ -39,22 +41,32 @@ export default function ExplorableLand({
   const [hintItem, setHintItem] = useState(null)
   const [isEntering, setIsEntering] = useState(true)
 
-  // Computed values
-  const discoveryCount = localDiscoveries.size
-  const totalItems = sceneItems.length
-  const requiredDiscoveries = land.min_discoveries_for_activities || 3
-  const activitiesUnlocked = discoveryCount >= requiredDiscoveries
-  const allDiscovered = discoveryCount >= totalItems
-
-  // Filter items by age level
-  const visibleItems = useMemo(() => {
+  // Items for this age level
+  const ageItems = useMemo(() => {
     return sceneItems.filter(item =>
-      item.min_age_level <= ageLevel &&
-      item.max_age_level >= ageLevel &&
+      (item.min_age_level || 1) <= ageLevel &&
+      (item.max_age_level || 3) >= ageLevel &&
       !item.is_hidden
     )
   }, [sceneItems, ageLevel])
 
+  // Items waiting on another item appear once that one is discovered
+  const visibleItems = useMemo(() => {
+    const byId = new Map(sceneItems.map(item => [item.id, item]))
+    return ageItems.filter(item => {
+      const prerequisite = item.unlock_after_item_id && byId.get(item.unlock_after_item_id)
+      return !prerequisite || localDiscoveries.has(prerequisite.vocabulary_id)
+    })
+  }, [ageItems, sceneItems, localDiscoveries])
+
+  // Computed values
+  const discoveryCount = ageItems.filter(item => localDiscoveries.has(item.vocabulary_id)).length
+  const totalItems = ageItems.length
+  // Never ask for more discoveries than the scene has
+  const requiredDiscoveries = Math.min(land.min_discoveries_for_activities ?? 3, totalItems)
+  const activitiesUnlocked = discoveryCount >= requiredDiscoveries
+  const allDiscovered = discoveryCount >= totalItems
+
   // Entry animation
   useEffect(() => {
     const timer = setTimeout(() => setIsEntering(false), 800)
@@ -88,7 +100,7 @@ export default function ExplorableLand({
 
   // Check for activity unlock
   useEffect(() => {
-    if (discoveryCount === requiredDiscoveries && !showUnlockCelebration) {
+    if (discoveryCount === requiredDiscoveries && discoveryCount > 0 && !showUnlockCelebration) {
       setShowUnlockCelebration(true)
       playSound?.('unlock')
       onActivitiesUnlock?.()
@@ -117,6 +129,9 @@ export default function ExplorableLand({
       responseText: item.touch_response_text
     })
 
+    // Every touch counts towards the student's word bank
+    onTouchItem?.(item)
+
     // Record discovery
     if (isNewDiscovery) {
       setLocalDiscoveries(prev => new Set([...prev, item.vocabulary_id]))
@@ -131,7 +146,7 @@ export default function ExplorableLand({
 
     // Auto-close popup after delay
     setTimeout(() => setActivePopup(null), 2500)
-  }, [localDiscoveries, land.id, sessionId, playVoice, playSound, onDiscoverItem])
+  }, [localDiscoveries, land.id, sessionId, playVoice, playSound, onDiscoverItem, onTouchItem])
 
   // Close popup on background tap
   const handleBackgroundTap = useCallback((e) => {
@@ -256,6 +271,19 @@ export default function ExplorableLand({
         </div>
       )}
 
+      {/* Go to the land's activities once enough words are discovered */}
+      {activitiesUnlocked && onOpenActivities && (
+        <div className="absolute bottom-6 right-6 z-30">
+          <button
+            onClick={onOpenActivities}
+            className="flex items-center gap-2 px-6 py-4 bg-emerald-500 text-white rounded-full shadow-xl font-bold text-lg hover:bg-emerald-600 transition-all hover:scale-105 focus:outline-none focus:ring-4 focus:ring-yellow-400"
+          >
+            <span className="text-2xl">🎯</span>
+            Play Activities
+          </button>
+        </div>
+      )}
+
       {/* Exploration Instructions (shown initially) */}
       {discoveryCount === 0 && !isEntering && (
         <div className="absolute bottom-8 left-1/2 -translate-x-1/2 z-20">
@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react'
+import { useAudioManager } from '../../../hooks/useAudioManager'
+import { learningWorldsAPI } from '../../../services/api'
+
+/**
+ * MyWordsBook Component
+ *
+ * A student's own word bank: every word they have discovered in this
+ * world, grouped by land. Tapping a word says it again. Stars show how
+ * well the word is known; mastered words get a badge.
+ */
+export default function MyWordsBook({ worldSessionId, studentId = null, onClose, ageLevel = 2 }) {
+  const audioManager = useAudioManager() || {}
+  const { playVoice, playTap } = audioManager
+
+  const [words, setWords] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    learningWorldsAPI.getMyWords(worldSessionId, studentId)
+      .then(data => setWords(data.words || []))
+      .catch(err => console.error('Failed to load my words:', err))
+      .finally(() => setLoading(false))
+  }, [worldSessionId, studentId])
+
+  // Group words by the land they were found in
+  const lands = words.reduce((groups, word) => {
+    const group = groups.find(g => g.landId === word.land_id)
+    if (group) {
+      group.words.push(word)
+    } else {
+      groups.push({ landId: word.land_id, landName: word.land_name, words: [word] })
+    }
+    return groups
+  }, [])
+
+  const masteredCount = words.filter(word => word.mastered).length
+
+  function handleWordTap(word) {
+    playTap?.()
+    if (word.audio_url) {
+      playVoice?.(word.audio_url)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-amber-50 rounded-3xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="p-5 flex items-center justify-between border-b border-amber-200">
+          <div className="flex items-center gap-3">
+            <span className="text-4xl">📖</span>
+            <div>
+              <h2 className={`font-bold text-gray-800 ${ageLevel === 1 ? 'text-3xl' : 'text-2xl'}`}>My Words</h2>
+              <p className="text-gray-600">
+                {words.length} {words.length === 1 ? 'word' : 'words'} found
+                {masteredCount > 0 && ` · ${masteredCount} mastered`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="w-12 h-12 rounded-full bg-white shadow flex items-center justify-center hover:bg-gray-50"
+          >
+            <svg className="w-6 h-6 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Words */}
+        <div className="flex-1 overflow-y-auto p-5">
+          {loading ? (
+            <p className="py-8 text-center text-gray-500">Opening your book...</p>
+          ) : words.length === 0 ? (
+            <div className="py-8 text-center">
+              <div className="text-5xl mb-3">🔍</div>
+              <p className="text-lg text-gray-600">Explore the lands to find your first words!</p>
+            </div>
+          ) : (
+            lands.map(land => (
+              <div key={land.landId} className="mb-6">
+                <h3 className="font-semibold text-amber-700 mb-2">{land.landName}</h3>
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+                  {land.words.map(word => (
+                    <button
+                      key={word.vocabulary_id}
+                      onClick={() => handleWordTap(word)}
+                      className="relative bg-white rounded-2xl shadow p-3 flex flex-col items-center hover:shadow-lg hover:scale-105 transition-all"
+                    >
+                      {word.mastered && (
+                        <span className="absolute -top-2 -right-2 bg-emerald-500 text-white text-xs font-bold px-2 py-0.5 rounded-full shadow">
+                          Mastered
+                        </span>
+                      )}
+                      <div className="w-20 h-20 flex items-center justify-center">
+                        {word.image_url ? (
+                          <img src={word.image_url} alt="" className="max-w-full max-h-full object-contain" />
+                        ) : (
+                          <span className="text-4xl">🔤</span>
+                        )}
+                      </div>
+                      <p className={`mt-2 font-bold text-gray-800 ${ageLevel === 1 ? 'text-xl' : 'text-lg'}`}>
+                        {word.word}
+                      </p>
+                      {ageLevel > 1 && word.translation && (
+                        <p className="text-sm text-gray-400">{word.translation}</p>
+                      )}
+                      <div className="mt-1 flex gap-0.5" title={`Level ${word.mastery_level} of 5`}>
+                        {[1, 2, 3, 4, 5].map(level => (
+                          <span key={level} className={level <= word.mastery_level ? 'text-yellow-400' : 'text-gray-200'}>
+                            ★
+                          </span>
+                        ))}
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -42,6 +42,7 @@ export default function SceneItem({
   const scale = item.scale || 1
   const displayWidth = baseWidth * scale
   const displayHeight = baseHeight * scale
+  const imageUrl = item.sprite_url || item.vocabulary?.image_url
 
   return (
     <button
@@ -84,22 +85,35 @@ export default function SceneItem({
         </div>
       )}
 
-      {/* The sprite/image */}
-      <img
-        src={item.sprite_url || item.vocabulary?.image_url}
-        alt={item.vocabulary?.word || 'Interactive item'}
-        className={`
-          pointer-events-none select-none
-          ${isAnimating ? 'animate-item-touch' : ''}
-        `}
-        style={{
-          width: displayWidth,
-          height: displayHeight,
-          objectFit: 'contain',
-          filter: isDiscovered ? 'none' : 'drop-shadow(0 0 8px rgba(255, 215, 0, 0.5))'
-        }}
-        draggable={false}
-      />
+      {/* The sprite/image (a word card when the word has no picture yet) */}
+      {imageUrl ? (
+        <img
+          src={imageUrl}
+          alt={item.vocabulary?.word || 'Interactive item'}
+          className={`
+            pointer-events-none select-none
+            ${isAnimating ? 'animate-item-touch' : ''}
+          `}
+          style={{
+            width: displayWidth,
+            height: displayHeight,
+            objectFit: 'contain',
+            filter: isDiscovered ? 'none' : 'drop-shadow(0 0 8px rgba(255, 215, 0, 0.5))'
+          }}
+          draggable={false}
+        />
+      ) : (
+        <div
+          className={`
+            pointer-events-none select-none rounded-full bg-white/90 shadow-lg
+            flex items-center justify-center text-center font-bold text-gray-700
+            ${isAnimating ? 'animate-item-touch' : ''}
+          `}
+          style={{ width: displayWidth, height: displayHeight, fontSize: displayWidth / 5 }}
+        >
+          {isDiscovered ? item.vocabulary?.word : '?'}
+        </div>
+      )}
 
       {/* Discovery checkmark */}
       {isDiscovered && (
@@ -10,3 +10,4 @@ export { default as SceneItem } from './SceneItem'
 export { default as DiscoveryPopup } from './DiscoveryPopup'
 export { default as DiscoveryProgress } from './DiscoveryProgress'
 export { default as CharacterGuide } from './CharacterGuide'
+export { default as MyWordsBook } from './MyWordsBook'
@@ -1,5 +1,7 @@
 import { useState, useRef, useEffect, useCallback } from 'react'
 import { useLearningWorldStore } from '../../../stores/learningWorldStore'
+import { learningWorldsAPI, sessionsAPI } from '../../../services/api'
+import VocabularyHeatmap from './VocabularyHeatmap'
 
 /**
  * Teacher Control Panel
@@ -9,8 +11,11 @@ import { useLearningWorldStore } from '../../../stores/learningWorldStore'
  * - Join code display
  * - Control mode toggle (teacher/student touch)
  * - Age level adjustment
+ * - Student being played for (whose words and answers are recorded)
  * - Audio controls
  * - Navigation controls
+ * - Students' stories and reading answers
+ * - Class word heatmap and review lands
  * - Session management
  */
 export default function TeacherControlPanel({ joinCode, onEndSession }) {
@@ -22,15 +27,22 @@ export default function TeacherControlPanel({ joinCode, onEndSession }) {
     musicEnabled = true,
     currentView = 'world_map',
     worldSession = null,
+    currentWorld = null,
+    studentProgress = {},
+    playingStudentId = null,
+    setPlayingStudent = () => {},
     setControlMode = () => {},
     setAgeLevel = () => {},
     toggleAudio = () => {},
     toggleMusic = () => {},
     navigateToWorldMap = () => {},
-    goBack = () => {}
+    navigateToLand = () => {},
+    goBack = () => {},
+    fetchWorld = async () => {}
   } = storeState
 
   const [isExpanded, setIsExpanded] = useState(true)
+  const [showHeatmap, setShowHeatmap] = useState(false)
   const [isDragging, setIsDragging] = useState(false)
   const [position, setPosition] = useState({ x: 20, y: 100 })
   const dragOffsetRef = useRef({ x: 0, y: 0 })
@@ -222,6 +234,15 @@ export default function TeacherControlPanel({ joinCode, onEndSession }) {
               </div>
             </div>
 
+            {/* Student being played for */}
+            {worldSession?.session_id && (
+              <PlayingStudentPicker
+                classSessionId={worldSession.session_id}
+                playingStudentId={playingStudentId}
+                onChange={setPlayingStudent}
+              />
+            )}
+
             {/* Audio Controls */}
             <div className="flex items-center justify-between">
               <div className="flex items-center gap-4">
@@ -280,6 +301,24 @@ export default function TeacherControlPanel({ joinCode, onEndSession }) {
               </button>
             </div>
 
+            {/* Students' writing */}
+            {worldSession?.id && (
+              <WrittenResponses
+                worldSessionId={worldSession.id}
+                studentProgress={studentProgress}
+              />
+            )}
+
+            {/* Class word heatmap */}
+            {worldSession?.id && (
+              <button
+                onClick={() => setShowHeatmap(true)}
+                className="w-full px-3 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+              >
+                🗺️ Word Heatmap
+              </button>
+            )}
+
             {/* End Session */}
             <button
               onClick={onEndSession}
@@ -295,6 +334,142 @@ export default function TeacherControlPanel({ joinCode, onEndSession }) {
           </div>
         </div>
       )}
+
+      {showHeatmap && worldSession?.id && (
+        <VocabularyHeatmap
+          worldSessionId={worldSession.id}
+          onClose={() => setShowHeatmap(false)}
+          reviewLands={currentWorld?.reviewLands || []}
+          onReviewLandCreated={() => currentWorld?.id && fetchWorld(currentWorld.id)}
+          onOpenReviewLand={(land) => {
+            setShowHeatmap(false)
+            navigateToLand(land.id)
+          }}
+        />
+      )}
+    </div>
+  )
+}
+
+/**
+ * Choose the student whose turn it is on the class screen; their touches and
+ * answers go into their own word bank. The list is refreshed when opened, as
+ * students keep joining with the code.
+ */
+function PlayingStudentPicker({ classSessionId, playingStudentId, onChange }) {
+  const [students, setStudents] = useState([])
+
+  const loadStudents = useCallback(() => {
+    sessionsAPI.getStudents(classSessionId)
+      .then(data => setStudents(data.students || []))
+      .catch(err => console.error('Failed to load students:', err))
+  }, [classSessionId])
+
+  useEffect(() => {
+    loadStudents()
+  }, [loadStudents])
+
+  return (
+    <div>
+      <label className="block text-xs font-medium text-gray-500 mb-2">
+        PLAYING FOR
+      </label>
+      <select
+        value={playingStudentId || ''}
+        onFocus={loadStudents}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg text-sm text-gray-700 focus:border-sky-300 focus:outline-none"
+      >
+        <option value="">Whole class (not recorded)</option>
+        {students.map(student => (
+          <option key={student.id} value={student.id}>{student.student_name}</option>
+        ))}
+      </select>
+      {students.length === 0 && (
+        <p className="mt-1 text-xs text-gray-400">Students appear here once they join with the code</p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Stories and reading answers from the session, refreshed as students finish
+ */
+function WrittenResponses({ worldSessionId, studentProgress }) {
+  const [responses, setResponses] = useState([])
+  const [isOpen, setIsOpen] = useState(false)
+  const [expandedId, setExpandedId] = useState(null)
+
+  useEffect(() => {
+    learningWorldsAPI.getWrittenResponses(worldSessionId)
+      .then(data => setResponses(data.responses || []))
+      .catch(err => console.error('Failed to load written responses:', err))
+  }, [worldSessionId, studentProgress])
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-xs font-medium text-gray-500"
+      >
+        <span>STUDENT WRITING ({responses.length})</span>
+        <svg
+          className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-180' : ''}`}
+          fill="none" stroke="currentColor" viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 max-h-64 overflow-y-auto space-y-2">
+          {responses.length === 0 && (
+            <p className="text-xs text-gray-400 text-center py-2">No stories or readings yet</p>
+          )}
+          {responses.map(response => {
+            const data = response.response_data || {}
+            const expanded = expandedId === response.id
+
+            return (
+              <button
+                key={response.id}
+                onClick={() => setExpandedId(expanded ? null : response.id)}
+                className="w-full text-left bg-gray-50 rounded-lg p-2 hover:bg-gray-100 transition-colors"
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm font-medium text-gray-800 truncate">
+                    {response.activity_type === 'story_writing' ? '✍️' : '📚'} {response.student_name}
+                  </span>
+                  <span className="text-xs text-gray-500 flex-shrink-0">
+                    {response.score}/{response.max_score}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-400 truncate">{response.activity_title}</p>
+
+                {response.activity_type === 'story_writing' ? (
+                  <>
+                    <p className={`mt-1 text-sm text-gray-700 whitespace-pre-wrap ${expanded ? '' : 'line-clamp-2'}`}>
+                      {data.story}
+                    </p>
+                    {expanded && data.wordsUsed?.length > 0 && (
+                      <p className="mt-1 text-xs text-emerald-600">
+                        Word bank: {data.wordsUsed.join(', ')}
+                      </p>
+                    )}
+                  </>
+                ) : (
+                  expanded && (data.answers || []).map((answer, i) => (
+                    <p key={i} className={`mt-1 text-xs ${answer.firstTry ? 'text-emerald-600' : 'text-red-500'}`}>
+                      {answer.firstTry ? '✓' : '✗'} {answer.question}
+                      {!answer.firstTry && answer.chosen?.length > 0 && ` (chose: ${answer.chosen[0]})`}
+                    </p>
+                  ))
+                )}
+              </button>
+            )
+          })}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react'
+import { learningWorldsAPI } from '../../../services/api'
+
+/**
+ * Vocabulary Heatmap
+ *
+ * Class-wide view of which words each student has discovered or mastered.
+ * Rows are the world's words (grouped by land), columns are students.
+ * The totals on the right show which words the class still needs, to help
+ * plan the next land. A review land of the words due for practice can be
+ * made for the whole class or one student. Students' own review lands stay
+ * off the class world map and are opened from here.
+ */
+export default function VocabularyHeatmap({ worldSessionId, onClose, onReviewLandCreated, reviewLands = [], onOpenReviewLand }) {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [reviewStudentId, setReviewStudentId] = useState('')
+  const [generatingReview, setGeneratingReview] = useState(false)
+  const [reviewMessage, setReviewMessage] = useState(null)
+
+  useEffect(() => {
+    loadHeatmap()
+  }, [worldSessionId])
+
+  async function loadHeatmap() {
+    setLoading(true)
+    setError(null)
+    try {
+      setData(await learningWorldsAPI.getVocabularyHeatmap(worldSessionId))
+    } catch (err) {
+      console.error('Failed to load vocabulary heatmap:', err)
+      setError('Could not load the heatmap')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function handleGenerateReview() {
+    setGeneratingReview(true)
+    setReviewMessage(null)
+    try {
+      const result = await learningWorldsAPI.generateReviewLand(worldSessionId, {
+        studentId: reviewStudentId || undefined
+      })
+      setReviewMessage({
+        type: 'success',
+        text: `"${result.land.name}" is ready with ${result.words.length} words: ${result.words.map(w => w.word).join(', ')}`
+      })
+      onReviewLandCreated?.(result.land)
+    } catch (err) {
+      console.error('Failed to generate review land:', err)
+      setReviewMessage({
+        type: 'error',
+        text: err.response?.data?.message || 'Could not make a review land'
+      })
+    } finally {
+      setGeneratingReview(false)
+    }
+  }
+
+  const students = data?.students || []
+  const words = data?.words || []
+  const masteredLevel = data?.masteredLevel || 4
+  const cellsByKey = new Map((data?.cells || []).map(cell => [`${cell.vocabulary_id}:${cell.student_id}`, cell]))
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-6xl max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-bold text-gray-800">Class Word Heatmap</h2>
+            <p className="text-sm text-gray-500">Which words each student has discovered and mastered</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={loadHeatmap}
+              className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              Refresh
+            </button>
+            <button onClick={onClose} className="p-1.5 text-gray-400 hover:text-gray-600">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Review land */}
+        {students.length > 0 && (
+          <div className="px-4 py-2 border-b flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-600">Review land of words due for practice, for</span>
+            <select
+              value={reviewStudentId}
+              onChange={(e) => setReviewStudentId(e.target.value)}
+              className="px-2 py-1 border rounded-lg text-sm"
+            >
+              <option value="">Whole class</option>
+              {students.map(student => (
+                <option key={student.id} value={student.id}>{student.student_name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleGenerateReview}
+              disabled={generatingReview}
+              className="px-3 py-1 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 disabled:opacity-50"
+            >
+              {generatingReview ? 'Making...' : '🔁 Make Review Land'}
+            </button>
+            {reviewMessage && (
+              <span className={reviewMessage.type === 'error' ? 'text-red-600' : 'text-emerald-600'}>
+                {reviewMessage.text}
+              </span>
+            )}
+            {reviewLands.length > 0 && (
+              <div className="w-full flex flex-wrap items-center gap-2">
+                <span className="text-gray-600">Student review lands:</span>
+                {reviewLands.map(land => (
+                  <button
+                    key={land.id}
+                    onClick={() => onOpenReviewLand?.(land)}
+                    className="px-2 py-0.5 bg-indigo-50 text-indigo-700 rounded-full hover:bg-indigo-100"
+                    title={land.review_generated_at ? `Made ${new Date(land.review_generated_at).toLocaleString()}` : undefined}
+                  >
+                    🔁 {land.student_name}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Legend */}
+        <div className="px-4 py-2 border-b flex flex-wrap gap-4 text-xs text-gray-600">
+          <LegendSwatch className="bg-gray-100" label="Not found yet" />
+          <LegendSwatch className="bg-sky-200" label="Discovered" />
+          <LegendSwatch className="bg-amber-300" label="Practising" />
+          <LegendSwatch className="bg-emerald-500" label="Mastered" />
+        </div>
+
+        <div className="flex-1 overflow-auto p-4">
+          {loading ? (
+            <p className="py-8 text-center text-gray-500">Loading...</p>
+          ) : error ? (
+            <p className="py-8 text-center text-red-600">{error}</p>
+          ) : words.length === 0 || students.length === 0 ? (
+            <p className="py-8 text-center text-gray-500">
+              {words.length === 0 ? 'This world has no vocabulary yet.' : 'No students have joined yet.'}
+            </p>
+          ) : (
+            <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+              <thead>
+                <tr>
+                  <th className="sticky left-0 bg-white" />
+                  {students.map(student => (
+                    <th key={student.id} className="px-1 font-medium text-gray-600 align-bottom">
+                      <div className="w-6 mx-auto [writing-mode:vertical-rl] rotate-180 whitespace-nowrap">
+                        {student.student_name}
+                      </div>
+                    </th>
+                  ))}
+                  <th className="px-2 font-medium text-gray-600 align-bottom text-left">Class</th>
+                </tr>
+              </thead>
+              <tbody>
+                {words.map((word, i) => {
+                  const newLand = i === 0 || words[i - 1].land_id !== word.land_id
+                  return [
+                    newLand && (
+                      <tr key={`land-${word.land_id || 'none'}`}>
+                        <td colSpan={students.length + 2} className="pt-3 pb-1 font-semibold text-gray-700">
+                          {word.land_name || 'Whole world'}
+                        </td>
+                      </tr>
+                    ),
+                    <tr key={word.id}>
+                      <td className="sticky left-0 bg-white pr-3 text-gray-800 whitespace-nowrap">{word.word}</td>
+                      {students.map(student => {
+                        const cell = cellsByKey.get(`${word.id}:${student.id}`)
+                        return (
+                          <td
+                            key={student.id}
+                            className={`w-6 h-6 rounded ${cellColor(cell, masteredLevel)}`}
+                            title={cell
+                              ? `${student.student_name}: seen ${cell.times_seen}x, correct ${cell.times_correct}x, level ${cell.mastery_level}`
+                              : `${student.student_name}: not found yet`}
+                          />
+                        )
+                      })}
+                      <td className="px-2 text-gray-500 whitespace-nowrap">
+                        {word.discoveredCount}/{students.length} found
+                        {' · '}
+                        <span className={word.masteredCount === 0 ? 'text-red-500' : 'text-emerald-600'}>
+                          {word.masteredCount} mastered
+                        </span>
+                      </td>
+                    </tr>
+                  ]
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function LegendSwatch({ className, label }) {
+  return (
+    <span className="flex items-center gap-1">
+      <span className={`inline-block w-3 h-3 rounded ${className}`} />
+      {label}
+    </span>
+  )
+}
+
+/**
+ * Cell colour for a student's progress on a word
+ */
+function cellColor(cell, masteredLevel) {
+  if (!cell) return 'bg-gray-100'
+  if (cell.mastery_level >= masteredLevel) return 'bg-emerald-500'
+  if (cell.times_correct > 0) return 'bg-amber-300'
+  return 'bg-sky-200'
+}
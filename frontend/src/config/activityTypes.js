@@ -259,6 +259,7 @@ export const ACTIVITY_TYPES = {
     subjects: ['social_studies'],
     estimatedTime: '5-10 min',
     aiGeneratable: false,
+    requiresUpload: true,
     isNew: true
   },
 
@@ -287,6 +288,7 @@ export const ACTIVITY_TYPES = {
     subjects: ['social_studies'],
     estimatedTime: '12-18 min',
     aiGeneratable: true,
+    requiresUpload: true,
     isNew: true
   },
 
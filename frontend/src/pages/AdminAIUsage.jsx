@@ -0,0 +1,551 @@
+import { useState, useEffect } from 'react'
+import { adminAPI } from '../services/api'
+import { useToast } from '../components/Toast'
+
+/**
+ * AdminAIUsage Component
+ * Estimated AI spend by feature, model, teacher and school, AI cache hit
+ * rates, and the daily AI limits for teachers and schools. Admin accounts only.
+ */
+
+const RANGES = [7, 30, 90]
+
+// Names for the features recorded by the backend (services/llm/config.js)
+const FEATURE_LABELS = {
+  activity_generation: 'Activity & quiz generation',
+  world_activity_content: 'Learning World activities',
+  world_character_profile: 'Learning World characters',
+  student_help: 'Student help',
+  simpler_version: 'Simpler versions',
+  reverse_tutoring: 'Reverse tutoring',
+  reverse_tutoring_analysis: 'Reverse tutoring analysis',
+  reverse_tutoring_scaffolding: 'Reverse tutoring scaffolding',
+  collaboration: 'Collaboration',
+  document_summary: 'Document summaries',
+  document_activity: 'Activities from documents',
+  primary_source: 'Primary sources',
+  primary_source_feedback: 'Primary source feedback',
+  rubric_scoring: 'Rubric scoring',
+  story_feedback: 'Story feedback',
+  matching_generation: 'Matching generation',
+  sentence_ordering_generation: 'Sentence ordering generation',
+  video_questions: 'Video questions',
+  speech_transcription: 'Speech transcription (Whisper)',
+  video_transcription: 'Video transcription (Whisper)',
+  speech: 'Character voices (TTS)',
+  vocabulary_image: 'Vocabulary images (DALL·E)',
+  character_avatar: 'Character avatars (DALL·E)'
+}
+
+const CAPABILITY_LABELS = {
+  text: 'Text generation',
+  image: 'Images (DALL·E)',
+  transcription: 'Transcription (Whisper)',
+  tts: 'Speech (TTS)'
+}
+
+function formatCost(dollars) {
+  if (dollars > 0 && dollars < 0.01) return '< $0.01'
+  return `$${dollars.toFixed(2)}`
+}
+
+function formatNumber(value) {
+  return value.toLocaleString()
+}
+
+function formatPercent(rate) {
+  return rate === null ? '-' : `${Math.round(rate * 100)}%`
+}
+
+function formatTTL(hours) {
+  if (hours === 0) return 'Not cached'
+  return hours % 24 === 0 ? `${hours / 24} days` : `${hours} hours`
+}
+
+function featureLabel(feature) {
+  return FEATURE_LABELS[feature] || feature.replace(/_/g, ' ')
+}
+
+function describeUsage(row) {
+  switch (row.capability) {
+    case 'image': return `${formatNumber(row.images)} images`
+    case 'transcription':
+    case 'tts': return `${(row.audioSeconds / 60).toFixed(1)} min audio`
+    default: return `${formatNumber(row.inputTokens + row.outputTokens)} tokens`
+  }
+}
+
+export default function AdminAIUsage() {
+  const toast = useToast()
+
+  const [days, setDays] = useState(30)
+  const [usage, setUsage] = useState(null)
+  const [quotas, setQuotas] = useState(null)
+  const [cacheStats, setCacheStats] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  // Quota form
+  const [quotaScope, setQuotaScope] = useState('teacher')
+  const [quotaKey, setQuotaKey] = useState('')
+  const [quotaLimit, setQuotaLimit] = useState('')
+  const [savingQuota, setSavingQuota] = useState(false)
+
+  useEffect(() => {
+    loadUsage()
+    loadCacheStats()
+  }, [days])
+
+  useEffect(() => {
+    loadQuotas()
+  }, [])
+
+  async function loadUsage() {
+    try {
+      setLoading(true)
+      setUsage(await adminAPI.getAIUsage(days))
+    } catch (err) {
+      console.error('Failed to load AI usage:', err)
+      toast.error('Error', err.response?.data?.message || 'Failed to load AI usage')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function loadCacheStats() {
+    try {
+      setCacheStats(await adminAPI.getAICacheStats(days))
+    } catch (err) {
+      console.error('Failed to load AI cache stats:', err)
+    }
+  }
+
+  async function handleEvictCache() {
+    try {
+      const result = await adminAPI.evictAICache()
+      toast.success('Cache', result.message)
+      loadCacheStats()
+    } catch (err) {
+      toast.error('Error', err.response?.data?.message || 'Failed to evict cached entries')
+    }
+  }
+
+  async function handleClearCache(type) {
+    const what = type ? `all cached ${type} activities` : 'the whole AI cache'
+    if (!window.confirm(`Clear ${what}? Teachers will get newly generated content next time.`)) return
+
+    try {
+      const result = await adminAPI.clearAICache(type ? { type } : {})
+      toast.success('Cache', result.message)
+      loadCacheStats()
+    } catch (err) {
+      toast.error('Error', err.response?.data?.message || 'Failed to clear AI cache')
+    }
+  }
+
+  async function loadQuotas() {
+    try {
+      setQuotas(await adminAPI.getAIQuotas())
+    } catch (err) {
+      console.error('Failed to load AI limits:', err)
+      toast.error('Error', err.response?.data?.message || 'Failed to load AI limits')
+    }
+  }
+
+  async function handleSaveQuota(e) {
+    e.preventDefault()
+    if (!quotaKey) return
+
+    try {
+      setSavingQuota(true)
+      await adminAPI.setAIQuota(quotaScope, quotaKey, quotaLimit === '' ? null : Number(quotaLimit))
+      toast.success('Saved', 'AI limit saved')
+      setQuotaKey('')
+      setQuotaLimit('')
+      loadQuotas()
+    } catch (err) {
+      toast.error('Error', err.response?.data?.message || 'Failed to save AI limit')
+    } finally {
+      setSavingQuota(false)
+    }
+  }
+
+  async function handleRemoveQuota(quota) {
+    try {
+      await adminAPI.deleteAIQuota(quota.scope, quota.scopeKey)
+      toast.success('Removed', `${quota.label} is back on the default limit`)
+      loadQuotas()
+    } catch (err) {
+      toast.error('Error', err.response?.data?.message || 'Failed to remove AI limit')
+    }
+  }
+
+  // Spend per capability, from the per-feature rows
+  const byCapability = Object.entries(
+    (usage?.byFeature || []).reduce((totals, row) => {
+      totals[row.capability] = (totals[row.capability] || 0) + row.cost
+      return totals
+    }, {})
+  ).sort((a, b) => b[1] - a[1])
+
+  const maxFeatureCost = Math.max(...(usage?.byFeature || []).map(row => row.cost), 0)
+  const maxDayCost = Math.max(...(usage?.byDay || []).map(row => row.cost), 0)
+  const cacheRate = usage?.totals.calls ? Math.round((usage.totals.cachedCalls / usage.totals.calls) * 100) : 0
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">AI Usage</h1>
+          <p className="text-sm text-gray-600">Estimated spend from provider list prices</p>
+        </div>
+        <div className="flex gap-2" role="group" aria-label="Date range">
+          {RANGES.map(range => (
+            <button
+              key={range}
+              onClick={() => setDays(range)}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                days === range ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+              }`}
+              aria-pressed={days === range}
+            >
+              Last {range} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && !usage ? (
+        <div className="text-center py-16 text-gray-500">Loading AI usage...</div>
+      ) : usage && (
+        <div className="space-y-6">
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <SummaryCard label="Estimated spend" value={formatCost(usage.totals.cost)} />
+            <SummaryCard label="AI calls" value={formatNumber(usage.totals.calls)} detail={`${usage.totals.failedCalls} failed`} />
+            <SummaryCard label="Served from cache" value={`${cacheRate}%`} detail={`${formatNumber(usage.totals.cachedCalls)} calls`} />
+            <SummaryCard
+              label="Tokens"
+              value={formatNumber(usage.totals.inputTokens + usage.totals.outputTokens)}
+              detail={`${formatNumber(usage.totals.images)} images · ${(usage.totals.audioSeconds / 60).toFixed(1)} min audio`}
+            />
+          </div>
+
+          {/* By capability */}
+          {byCapability.length > 0 && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {byCapability.map(([capability, cost]) => (
+                <SummaryCard key={capability} label={CAPABILITY_LABELS[capability] || capability} value={formatCost(cost)} />
+              ))}
+            </div>
+          )}
+
+          {/* By feature */}
+          <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Spend by feature</h2>
+            {usage.byFeature.length === 0 ? (
+              <p className="text-gray-500">No AI calls in this period.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 font-medium">Feature</th>
+                    <th className="py-2 font-medium w-1/3">Spend</th>
+                    <th className="py-2 font-medium text-right">Calls</th>
+                    <th className="py-2 font-medium text-right hidden md:table-cell">Cached</th>
+                    <th className="py-2 font-medium text-right hidden md:table-cell">Usage</th>
+                    <th className="py-2 font-medium text-right hidden md:table-cell">Avg. time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.byFeature.map(row => (
+                    <tr key={`${row.feature}-${row.capability}`} className="border-b last:border-0">
+                      <td className="py-2 text-gray-900">{featureLabel(row.feature)}</td>
+                      <td className="py-2">
+                        <div className="flex items-center gap-2">
+                          <div className="flex-1 bg-gray-100 rounded h-2">
+                            <div
+                              className="bg-blue-600 h-2 rounded"
+                              style={{ width: `${maxFeatureCost ? (row.cost / maxFeatureCost) * 100 : 0}%` }}
+                            />
+                          </div>
+                          <span className="w-16 text-right text-gray-900">{formatCost(row.cost)}</span>
+                        </div>
+                      </td>
+                      <td className="py-2 text-right">{formatNumber(row.calls)}</td>
+                      <td className="py-2 text-right hidden md:table-cell">{formatNumber(row.cachedCalls)}</td>
+                      <td className="py-2 text-right text-gray-600 hidden md:table-cell">{describeUsage(row)}</td>
+                      <td className="py-2 text-right text-gray-600 hidden md:table-cell">
+                        {row.avgLatencyMs === null ? '-' : `${(row.avgLatencyMs / 1000).toFixed(1)}s`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            {/* By day */}
+            <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Daily spend</h2>
+              {usage.byDay.length === 0 ? (
+                <p className="text-gray-500">No AI calls in this period.</p>
+              ) : (
+                <div className="flex items-end gap-1 h-40" aria-label="Daily spend chart">
+                  {usage.byDay.map(row => (
+                    <div
+                      key={row.day}
+                      className="flex-1 bg-blue-500 rounded-t hover:bg-blue-700"
+                      style={{ height: `${maxDayCost ? Math.max((row.cost / maxDayCost) * 100, 2) : 2}%` }}
+                      title={`${new Date(row.day).toLocaleDateString()}: ${formatCost(row.cost)} (${row.calls} calls)`}
+                    />
+                  ))}
+                </div>
+              )}
+            </section>
+
+            {/* By model */}
+            <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Spend by model</h2>
+              <ul className="space-y-2 text-sm">
+                {usage.byModel.map(row => (
+                  <li key={`${row.provider}-${row.model}`} className="flex justify-between">
+                    <span className="text-gray-900">
+                      {row.model} <span className="text-gray-500">({row.provider})</span>
+                    </span>
+                    <span className="text-gray-700">{formatCost(row.cost)} · {formatNumber(row.calls)} calls</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            {/* By teacher */}
+            <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Top teachers</h2>
+              <ul className="space-y-2 text-sm">
+                {usage.byTeacher.map(row => (
+                  <li key={row.teacherId} className="flex justify-between gap-4">
+                    <button
+                      onClick={() => {
+                        setQuotaScope('teacher')
+                        setQuotaKey(row.teacherId)
+                      }}
+                      className="text-left text-blue-700 hover:underline truncate"
+                      title="Set a daily limit for this teacher"
+                    >
+                      {row.name} <span className="text-gray-500">{row.school || row.email}</span>
+                    </button>
+                    <span className="text-gray-700 whitespace-nowrap">
+                      {formatCost(row.cost)} <span className="text-gray-500">({formatCost(row.costToday)} today)</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+
+            {/* By school */}
+            <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Schools</h2>
+              {usage.bySchool.length === 0 ? (
+                <p className="text-gray-500">No school usage in this period.</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {usage.bySchool.map(row => (
+                    <li key={row.school} className="flex justify-between gap-4">
+                      <button
+                        onClick={() => {
+                          setQuotaScope('school')
+                          setQuotaKey(row.school)
+                        }}
+                        className="text-left text-blue-700 hover:underline truncate"
+                        title="Set a daily limit for this school"
+                      >
+                        {row.school} <span className="text-gray-500">({row.teachers} teachers)</span>
+                      </button>
+                      <span className="text-gray-700 whitespace-nowrap">
+                        {formatCost(row.cost)} <span className="text-gray-500">({formatCost(row.costToday)} today)</span>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          </div>
+        </div>
+      )}
+
+      {/* AI cache */}
+      {cacheStats && (
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">AI cache</h2>
+              <p className="text-sm text-gray-600">
+                {formatPercent(cacheStats.totals.hitRate)} of generated activities served from cache ·{' '}
+                {formatNumber(cacheStats.totals.entries)} entries · {formatNumber(cacheStats.totals.bypasses)} fresh regenerations
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={handleEvictCache}
+                className="px-3 py-2 text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Evict Expired
+              </button>
+              <button
+                onClick={() => handleClearCache()}
+                className="px-3 py-2 text-sm font-medium text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+              >
+                Clear All
+              </button>
+            </div>
+          </div>
+
+          {cacheStats.byType.length === 0 ? (
+            <p className="text-gray-500">Nothing has been cached in this period.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 font-medium">Content type</th>
+                  <th className="py-2 font-medium text-right">Hit rate</th>
+                  <th className="py-2 font-medium text-right">Hits</th>
+                  <th className="py-2 font-medium text-right">Misses</th>
+                  <th className="py-2 font-medium text-right hidden md:table-cell">Fresh</th>
+                  <th className="py-2 font-medium text-right hidden md:table-cell">Entries</th>
+                  <th className="py-2 font-medium text-right hidden md:table-cell">Kept for</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {cacheStats.byType.map(row => (
+                  <tr key={row.type} className="border-b last:border-0">
+                    <td className="py-2 text-gray-900 capitalize">{row.type.replace(/_/g, ' ')}</td>
+                    <td className="py-2 text-right font-medium">{formatPercent(row.hitRate)}</td>
+                    <td className="py-2 text-right">{formatNumber(row.hits)}</td>
+                    <td className="py-2 text-right">{formatNumber(row.misses)}</td>
+                    <td className="py-2 text-right hidden md:table-cell">{formatNumber(row.bypasses)}</td>
+                    <td className="py-2 text-right hidden md:table-cell">
+                      {formatNumber(row.entries)}
+                      {row.expiredEntries > 0 && <span className="text-gray-500"> (+{row.expiredEntries} expired)</span>}
+                    </td>
+                    <td className="py-2 text-right text-gray-600 hidden md:table-cell">{formatTTL(row.ttlHours)}</td>
+                    <td className="py-2 text-right">
+                      {row.entries + row.expiredEntries > 0 && (
+                        <button onClick={() => handleClearCache(row.type)} className="text-red-600 hover:underline">
+                          Clear
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      )}
+
+      {/* Daily limits */}
+      {quotas && (
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Daily AI limits</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Default: {quotas.defaults.teacher === null ? 'no limit' : `${formatCost(quotas.defaults.teacher)}`} per teacher,{' '}
+            {quotas.defaults.school === null ? 'no limit' : `${formatCost(quotas.defaults.school)}`} per school.
+            Teachers over a limit are told AI features are paused until tomorrow.
+          </p>
+
+          {quotas.quotas.length > 0 && (
+            <ul className="divide-y mb-4 text-sm">
+              {quotas.quotas.map(quota => (
+                <li key={`${quota.scope}-${quota.scopeKey}`} className="flex items-center justify-between py-2">
+                  <span>
+                    <span className="text-gray-500 capitalize">{quota.scope}:</span>{' '}
+                    <span className="text-gray-900">{quota.label}</span>
+                  </span>
+                  <span className="flex items-center gap-4">
+                    <span className="text-gray-700">
+                      {quota.dailyLimitUsd === null ? 'No limit' : `${formatCost(quota.dailyLimitUsd)} / day`}
+                    </span>
+                    <button
+                      onClick={() => handleRemoveQuota(quota)}
+                      className="text-red-600 hover:underline"
+                    >
+                      Use default
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleSaveQuota} className="flex flex-col md:flex-row gap-2">
+            <select
+              value={quotaScope}
+              onChange={e => {
+                setQuotaScope(e.target.value)
+                setQuotaKey('')
+              }}
+              className="px-3 py-2 border border-gray-300 rounded-lg"
+              aria-label="Limit applies to"
+            >
+              <option value="teacher">Teacher</option>
+              <option value="school">School</option>
+            </select>
+            {quotaScope === 'teacher' ? (
+              <select
+                value={quotaKey}
+                onChange={e => setQuotaKey(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                aria-label="Teacher"
+              >
+                <option value="">Choose a teacher...</option>
+                {(usage?.byTeacher || []).map(row => (
+                  <option key={row.teacherId} value={row.teacherId}>{row.name} ({row.email})</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={quotaKey}
+                onChange={e => setQuotaKey(e.target.value)}
+                placeholder="School name"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                aria-label="School"
+              />
+            )}
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={quotaLimit}
+              onChange={e => setQuotaLimit(e.target.value)}
+              placeholder="$ per day (blank = no limit)"
+              className="md:w-56 px-3 py-2 border border-gray-300 rounded-lg"
+              aria-label="Daily limit in dollars"
+            />
+            <button
+              type="submit"
+              disabled={!quotaKey || savingQuota}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {savingQuota ? 'Saving...' : 'Save Limit'}
+            </button>
+          </form>
+        </section>
+      )}
+    </div>
+  )
+}
+
+function SummaryCard({ label, value, detail }) {
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+      <div className="text-sm text-gray-600">{label}</div>
+      <div className="text-2xl font-bold text-gray-900">{value}</div>
+      {detail && <div className="text-xs text-gray-500 mt-1">{detail}</div>}
+    </div>
+  )
+}
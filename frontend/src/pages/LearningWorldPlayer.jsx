@@ -5,11 +5,15 @@ import { useLearningWorldSocket } from '../hooks/useLearningWorldSocket'
 import { useAudioManager } from '../hooks/useAudioManager'
 import WorldMapView from '../components/learning-worlds/WorldMapView'
 import LandView from '../components/learning-worlds/LandView'
+import { ExplorableLand, MyWordsBook } from '../components/learning-worlds/exploration'
+import { learningWorldsAPI } from '../services/api'
 import ActivityPlayer from '../components/learning-worlds/ActivityPlayer'
 import TeacherControlPanel from '../components/learning-worlds/teacher/TeacherControlPanel'
 import { LoadingSpinner } from '../components/LoadingStates'
 import { useNotifications } from '../components/Toast'
 
+const NO_DISCOVERIES = []
+
 /**
  * Learning World Player
  *
@@ -35,6 +39,7 @@ export default function LearningWorldPlayer() {
     controlMode = 'teacher',
     ageLevel = 2,
     isTeacher = true,
+    playingStudentId = null,
     loading = false,
     error = null,
     fetchWorld = async () => ({ success: false }),
@@ -44,7 +49,8 @@ export default function LearningWorldPlayer() {
     navigateToLand = () => {},
     navigateToActivity = () => {},
     goBack = () => {},
-    setAgeLevel = () => {}
+    setAgeLevel = () => {},
+    recordProgress = async () => ({ success: false })
   } = storeState
 
   // Socket connection for real-time sync
@@ -55,6 +61,53 @@ export default function LearningWorldPlayer() {
   const audioManager = useAudioManager() || {}
   const { playMusic, stopMusic, playSuccess } = audioManager
 
+  // Lands with placed scene items open on their explorable scene first
+  const [showLandActivities, setShowLandActivities] = useState(false)
+  const [discoveries, setDiscoveries] = useState({}) // { [landId]: [vocabularyId] }
+  const [showMyWords, setShowMyWords] = useState(false)
+
+  // Touches and answers are recorded for a signed-in student, or for the
+  // student the teacher is playing for on the class screen
+  const recordsProgress = !isTeacher || !!playingStudentId
+
+  // Students pick up where they left off: words found earlier stay found
+  useEffect(() => {
+    if (!worldSession?.id) return
+    if (!recordsProgress) {
+      setDiscoveries({})
+      return
+    }
+    learningWorldsAPI.getMyWords(worldSession.id, playingStudentId)
+      .then(data => {
+        const byLand = {}
+        for (const word of data.words || []) {
+          byLand[word.land_id] = [...(byLand[word.land_id] || []), word.vocabulary_id]
+        }
+        setDiscoveries(byLand)
+      })
+      .catch(err => console.error('Failed to load discovered words:', err))
+  }, [recordsProgress, worldSession?.id, playingStudentId])
+
+  useEffect(() => {
+    setShowLandActivities(false)
+  }, [currentLand?.id])
+
+  const hasScene = (currentLand?.sceneItems?.length || 0) > 0
+  const landCharacter = currentWorld?.characters?.find(c => c.id === currentLand?.mascot_character_id) || null
+
+  function handleDiscoverItem(item) {
+    setDiscoveries(prev => ({
+      ...prev,
+      [currentLand.id]: [...(prev[currentLand.id] || []), item.vocabulary_id]
+    }))
+  }
+
+  function handleTouchItem(item) {
+    if (!recordsProgress || !worldSession?.id) return
+    learningWorldsAPI.recordDiscovery(item.id, worldSession.id, playingStudentId)
+      .catch(err => console.error('Failed to record discovery:', err))
+  }
+
   // Session start modal
   const [showStartModal, setShowStartModal] = useState(false)
   const [startOptions, setStartOptions] = useState({
@@ -119,6 +172,17 @@ export default function LearningWorldPlayer() {
 
   function handleActivityComplete(activityId, result) {
     playSuccess()
+    // Students' results are saved; stars are worked out on the server
+    if (recordsProgress && result) {
+      recordProgress(activityId, {
+        score: result.score,
+        maxScore: result.maxScore,
+        isCompleted: true,
+        responseData: result.responseData || null,
+        timeSpentSeconds: result.timeSpentSeconds || 0,
+        wordResults: result.wordResults || []
+      })
+    }
     // Navigate back to land view
     goBack()
   }
@@ -170,11 +234,27 @@ export default function LearningWorldPlayer() {
           />
         )}
 
-        {currentView === 'land_view' && currentLand && (
+        {currentView === 'land_view' && currentLand && hasScene && !showLandActivities && (
+          <ExplorableLand
+            land={currentLand}
+            sceneItems={currentLand.sceneItems}
+            discoveredIds={discoveries[currentLand.id] || NO_DISCOVERIES}
+            onDiscoverItem={handleDiscoverItem}
+            onTouchItem={handleTouchItem}
+            onOpenActivities={() => setShowLandActivities(true)}
+            onBack={navigateToWorldMap}
+            ageLevel={ageLevel}
+            character={landCharacter}
+            sessionId={worldSession?.id}
+          />
+        )}
+
+        {currentView === 'land_view' && currentLand && (!hasScene || showLandActivities) && (
           <LandView
             land={currentLand}
             onSelectActivity={navigateToActivity}
             onBack={navigateToWorldMap}
+            onExplore={hasScene ? () => setShowLandActivities(false) : undefined}
             ageLevel={ageLevel}
           />
         )}
@@ -217,6 +297,26 @@ export default function LearningWorldPlayer() {
         />
       )}
 
+      {/* Student word bank */}
+      {recordsProgress && worldSession && currentView !== 'activity' && (
+        <button
+          onClick={() => setShowMyWords(true)}
+          className="fixed bottom-4 left-4 z-40 flex items-center gap-2 px-5 py-3 bg-white rounded-full shadow-xl font-bold text-gray-700 hover:scale-105 transition-transform"
+        >
+          <span className="text-2xl">📖</span>
+          My Words
+        </button>
+      )}
+
+      {showMyWords && worldSession && (
+        <MyWordsBook
+          worldSessionId={worldSession.id}
+          studentId={playingStudentId}
+          onClose={() => setShowMyWords(false)}
+          ageLevel={ageLevel}
+        />
+      )}
+
       {/* Connection Status */}
       {!isConnected && worldSession && (
         <div className="fixed top-4 left-1/2 transform -translate-x-1/2 bg-yellow-100 text-yellow-800 px-4 py-2 rounded-full text-sm flex items-center gap-2 z-50">
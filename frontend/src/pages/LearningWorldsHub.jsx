@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuthStore } from '../stores/authStore'
 import { useLearningWorldStore } from '../stores/learningWorldStore'
@@ -13,6 +13,7 @@ import { useNotifications } from '../components/Toast'
  * - View all worlds
  * - Create new worlds
  * - Edit existing worlds
+ * - Export worlds as .zip packages and import them
  * - Start teaching sessions
  */
 export default function LearningWorldsHub() {
@@ -24,6 +25,8 @@ export default function LearningWorldsHub() {
   const [showCreateModal, setShowCreateModal] = useState(false)
   const [templates, setTemplates] = useState([])
   const [loadingTemplates, setLoadingTemplates] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const importInputRef = useRef(null)
 
   // Load worlds on mount
   useEffect(() => {
@@ -65,6 +68,32 @@ export default function LearningWorldsHub() {
     }
   }
 
+  async function handleExportWorld(worldId) {
+    try {
+      await learningWorldsAPI.exportWorld(worldId)
+    } catch (error) {
+      console.error('Failed to export world:', error)
+      notifyError('Failed to export world')
+    }
+  }
+
+  async function handleImportWorld(e) {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setImporting(true)
+    try {
+      const data = await learningWorldsAPI.importWorld(file)
+      notifySuccess(`"${data.world.name}" imported with ${data.counts.lands} lands`)
+      fetchWorlds()
+    } catch (error) {
+      console.error('Failed to import world:', error)
+      notifyError(error.response?.data?.message || 'Failed to import world')
+    }
+    setImporting(false)
+  }
+
   function handleStartSession(worldId) {
     navigate(`/worlds/${worldId}/play`)
   }
@@ -93,15 +122,31 @@ export default function LearningWorldsHub() {
               <p className="text-sm text-gray-500">Interactive adventures for young learners</p>
             </div>
           </div>
-          <button
-            onClick={() => setShowCreateModal(true)}
-            className="px-6 py-3 bg-emerald-500 text-white rounded-xl font-semibold hover:bg-emerald-600 transition-colors flex items-center gap-2"
-          >
-            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-            </svg>
-            Create World
-          </button>
+          <div className="flex items-center gap-3">
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".zip,application/zip"
+              onChange={handleImportWorld}
+              className="hidden"
+            />
+            <button
+              onClick={() => importInputRef.current?.click()}
+              disabled={importing}
+              className="px-5 py-3 bg-white text-gray-700 border border-gray-200 rounded-xl font-semibold hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : 'Import World'}
+            </button>
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="px-6 py-3 bg-emerald-500 text-white rounded-xl font-semibold hover:bg-emerald-600 transition-colors flex items-center gap-2"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+              </svg>
+              Create World
+            </button>
+          </div>
         </div>
       </header>
 
@@ -138,6 +183,7 @@ export default function LearningWorldsHub() {
                   world={world}
                   onStart={() => handleStartSession(world.id)}
                   onEdit={() => handleEditWorld(world.id)}
+                  onExport={() => handleExportWorld(world.id)}
                   onDelete={() => handleDeleteWorld(world.id)}
                 />
               ))}
@@ -178,7 +224,7 @@ export default function LearningWorldsHub() {
 /**
  * World Card Component
  */
-function WorldCard({ world, onStart, onEdit, onDelete }) {
+function WorldCard({ world, onStart, onEdit, onExport, onDelete }) {
   const themeColors = {
     fantasy: 'from-purple-400 to-pink-400',
     nature: 'from-green-400 to-emerald-400',
@@ -240,6 +286,19 @@ function WorldCard({ world, onStart, onEdit, onDelete }) {
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
             </svg>
           </button>
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation()
+              onExport()
+            }}
+            className="px-3 py-2 bg-gray-100 text-gray-600 rounded-lg hover:bg-gray-200 transition-colors"
+            title="Export World"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+            </svg>
+          </button>
           <button
             type="button"
             onClick={(e) => {
@@ -566,7 +566,7 @@ export default function ReverseTutoring() {
       formData.append('audio', audioBlob, 'recording.webm')
 
       const response = await axios.post(
-        `${API_URL}/api/reverse-tutoring/transcribe?language=en&topic=${encodeURIComponent(selectedTopic?.topic || 'the lesson')}`,
+        `${API_URL}/api/reverse-tutoring/transcribe?sessionId=${sessionId}&language=en&topic=${encodeURIComponent(selectedTopic?.topic || 'the lesson')}`,
         formData,
         {
           headers: { 'Content-Type': 'multipart/form-data' }
@@ -578,7 +578,7 @@ export default function ReverseTutoring() {
 
     } catch (error) {
       console.error('Transcription error:', error)
-      toast.error('Transcription Failed', 'Please try again or switch to typing')
+      toast.error('Transcription Failed', error.response?.data?.message || 'Please try again or switch to typing')
       setIsTranscribing(false)
     }
   }
@@ -10,9 +10,32 @@ import ConfusionButton from '../components/ConfusionButton'
 import InteractiveVideoPlayer from '../components/InteractiveVideoPlayer'
 import SentenceOrderingActivity from '../components/SentenceOrderingActivity'
 import MatchingActivity from '../components/MatchingActivity'
+import VocabularyContextActivity from '../components/VocabularyContextActivity'
+import CauseEffectActivity from '../components/CauseEffectActivity'
+import TextEvidenceActivity from '../components/TextEvidenceActivity'
+import TimelineActivity from '../components/TimelineActivity'
+import VennDiagramActivity from '../components/VennDiagramActivity'
+import PrimarySourceActivity from '../components/PrimarySourceActivity'
+import ClassificationActivity from '../components/ClassificationActivity'
+import CharacterPerspectiveActivity from '../components/CharacterPerspectiveActivity'
+import MapInteractionActivity from '../components/MapInteractionActivity'
 import LivePoll from '../components/LivePoll'
 import Leaderboard from '../components/Leaderboard'
 import LessonFlowView from '../components/LessonFlowView'
+import { isClassificationType } from '../utils/classification'
+
+// Multiple choice types answered one question at a time, with help on wrong answers
+const QUIZ_STYLE_TYPES = ['questions', 'quiz', 'analogy', 'quote_attribution']
+
+// Types whose items carry an explanation to read before moving on
+const EXPLAINED_TYPES = ['analogy', 'quote_attribution']
+
+const QUIZ_STYLE_TITLES = {
+  quiz: 'Quiz',
+  questions: 'Questions',
+  analogy: 'Analogies',
+  quote_attribution: 'Who Said It?'
+}
 
 export default function StudentView() {
   const { joinCode } = useParams()
@@ -519,7 +542,7 @@ function ActivityDisplay({ activity, student, studentId, sessionId, emit, onSubm
     }
 
     // For questions/quiz, check correctness and offer help if wrong
-    if (activity.type === 'questions' || activity.type === 'quiz') {
+    if (QUIZ_STYLE_TYPES.includes(activity.type)) {
       const questions = activity.content?.questions || activity.content?.quiz || []
       const currentQuestion = questions[currentQuestionIndex]
 
@@ -585,21 +608,11 @@ function ActivityDisplay({ activity, student, studentId, sessionId, emit, onSubm
       }
 
       if (correct) {
+        // Explained items wait for the student to read the explanation
+        if (EXPLAINED_TYPES.includes(activity.type) && currentQuestion.explanation) return
+
         // Correct answer - celebrate and continue
-        setTimeout(() => {
-          // Auto-advance or submit
-          if (currentQuestionIndex < questions.length - 1) {
-            handleNextQuestion()
-          } else {
-            // Submit final quiz
-            const submitData = {
-              answers: [...answers, selectedAnswer],
-              attemptNumber,
-              timeSpent
-            }
-            onSubmit(submitData)
-          }
-        }, 1500) // Show success message briefly
+        setTimeout(() => advanceAfterCorrect(timeSpent), 1500) // Show success message briefly
       } else {
         // Wrong answer - request AI help
         await requestHelp(currentQuestion, timeSpent)
@@ -611,6 +624,23 @@ function ActivityDisplay({ activity, student, studentId, sessionId, emit, onSubm
     }
   }
 
+  // Auto-advance or submit the final answer
+  const advanceAfterCorrect = (timeSpent) => {
+    const questions = activity.content?.questions || activity.content?.quiz || []
+
+    if (currentQuestionIndex < questions.length - 1) {
+      handleNextQuestion()
+    } else {
+      // Submit final quiz
+      const submitData = {
+        answers: [...answers, selectedAnswer],
+        attemptNumber,
+        timeSpent
+      }
+      onSubmit(submitData)
+    }
+  }
+
   // Request help from AI when student gets question wrong
   const requestHelp = async (question, timeSpent) => {
     try {
@@ -771,16 +801,17 @@ function ActivityDisplay({ activity, student, studentId, sessionId, emit, onSubm
     )
   }
 
-  if (activity.type === 'questions' || activity.type === 'quiz') {
+  if (QUIZ_STYLE_TYPES.includes(activity.type)) {
     const questions = activity.content?.questions || activity.content?.quiz || []
     const currentQuestion = questions[currentQuestionIndex]
     const isLastQuestion = currentQuestionIndex === questions.length - 1
+    const showExplanation = isCorrect === true && EXPLAINED_TYPES.includes(activity.type) && currentQuestion?.explanation
 
     return (
       <div className="card">
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-xl font-bold text-gray-900">
-            {activity.type === 'quiz' ? 'Quiz' : 'Questions'}
+            {QUIZ_STYLE_TITLES[activity.type]}
           </h3>
           <span className="text-sm text-gray-600">
             Question {currentQuestionIndex + 1} of {questions.length}
@@ -789,7 +820,32 @@ function ActivityDisplay({ activity, student, studentId, sessionId, emit, onSubm
 
         {currentQuestion && (
           <div className="space-y-4">
-            <p className="text-lg font-medium text-gray-800">{currentQuestion.question}</p>
+            {activity.type === 'analogy' ? (
+              <div className="p-4 bg-indigo-50 border border-indigo-200 rounded-lg text-center">
+                <p className="text-lg font-medium text-gray-800">
+                  <span className="font-bold">{currentQuestion.a}</span>
+                  <span className="mx-2 text-indigo-500">:</span>
+                  <span className="font-bold">{currentQuestion.b}</span>
+                  <span className="mx-3 text-indigo-500">::</span>
+                  <span className="font-bold">{currentQuestion.c}</span>
+                  <span className="mx-2 text-indigo-500">:</span>
+                  <span className="inline-block min-w-[4rem] border-b-2 border-indigo-400">?</span>
+                </p>
+                <p className="text-sm text-gray-600 mt-1">{currentQuestion.question}</p>
+              </div>
+            ) : activity.type === 'quote_attribution' ? (
+              <div>
+                <blockquote className="p-4 border-l-4 border-amber-400 bg-amber-50 rounded-r-lg text-lg italic text-gray-800">
+                  "{currentQuestion.quote}"
+                </blockquote>
+                {currentQuestion.context && (
+                  <p className="text-sm text-gray-600 mt-2">{currentQuestion.context}</p>
+                )}
+                <p className="font-medium text-gray-800 mt-3">Who said this?</p>
+              </div>
+            ) : (
+              <p className="text-lg font-medium text-gray-800">{currentQuestion.question}</p>
+            )}
 
             {currentQuestion.options ? (
               <div className="space-y-2">
@@ -862,8 +918,22 @@ function ActivityDisplay({ activity, student, studentId, sessionId, emit, onSubm
               />
             )}
 
+            {/* Explanation to read before moving on */}
+            {showExplanation && (
+              <div className="bg-green-50 border-l-4 border-green-500 rounded-r-lg p-4 animate-fade-in">
+                <p className="font-semibold text-green-900">Correct!</p>
+                <p className="text-sm text-green-800 mt-1">{currentQuestion.explanation}</p>
+                <button
+                  onClick={() => advanceAfterCorrect(Math.floor((Date.now() - startTime) / 1000))}
+                  className="btn-primary mt-3"
+                >
+                  {isLastQuestion ? 'Finish' : 'Next'}
+                </button>
+              </div>
+            )}
+
             {/* Success message when answer is correct */}
-            {isCorrect === true && (
+            {isCorrect === true && !showExplanation && (
               <div className="bg-green-50 border-l-4 border-green-500 rounded-r-lg p-4 animate-fade-in">
                 <div className="flex items-center gap-3">
                   <svg className="w-6 h-6 text-green-600" fill="currentColor" viewBox="0 0 20 20">
@@ -990,6 +1060,96 @@ function ActivityDisplay({ activity, student, studentId, sessionId, emit, onSubm
     )
   }
 
+  if (activity.type === 'vocabulary_context') {
+    return (
+      <VocabularyContextActivity
+        activity={activity}
+        onSubmit={onSubmit}
+        studentId={studentId}
+      />
+    )
+  }
+
+  if (activity.type === 'cause_effect') {
+    return (
+      <CauseEffectActivity
+        activity={activity}
+        onSubmit={onSubmit}
+        studentId={studentId}
+      />
+    )
+  }
+
+  if (activity.type === 'text_evidence') {
+    return (
+      <TextEvidenceActivity
+        activity={activity}
+        onSubmit={onSubmit}
+        studentId={studentId}
+      />
+    )
+  }
+
+  if (activity.type === 'timeline') {
+    return (
+      <TimelineActivity
+        activity={activity}
+        onSubmit={onSubmit}
+        studentId={studentId}
+      />
+    )
+  }
+
+  if (activity.type === 'venn_diagram') {
+    return (
+      <VennDiagramActivity
+        activity={activity}
+        onSubmit={onSubmit}
+        studentId={studentId}
+      />
+    )
+  }
+
+  if (isClassificationType(activity.type)) {
+    return (
+      <ClassificationActivity
+        activity={activity}
+        onSubmit={onSubmit}
+        studentId={studentId}
+      />
+    )
+  }
+
+  if (activity.type === 'map_interaction') {
+    return (
+      <MapInteractionActivity
+        activity={activity}
+        onSubmit={onSubmit}
+        studentId={studentId}
+      />
+    )
+  }
+
+  if (activity.type === 'character_perspective') {
+    return (
+      <CharacterPerspectiveActivity
+        activity={activity}
+        onSubmit={onSubmit}
+        studentId={studentId}
+      />
+    )
+  }
+
+  if (activity.type === 'primary_source') {
+    return (
+      <PrimarySourceActivity
+        activity={activity}
+        onSubmit={onSubmit}
+        studentId={studentId}
+      />
+    )
+  }
+
   if (activity.type === 'matching') {
     return (
       <MatchingActivity
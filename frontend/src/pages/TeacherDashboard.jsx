@@ -13,9 +13,30 @@ import ConfusionMeter from '../components/ConfusionMeter'
 import SaveToLibraryButton from '../components/SaveToLibraryButton'
 import MediaUpload from '../components/MediaUpload'
 import GenerateFromDocumentModal from '../components/GenerateFromDocumentModal'
+import ActivityPreviewModal from '../components/ActivityPreviewModal'
 import GenerateFromVideoModal from '../components/GenerateFromVideoModal'
 import ActivityEditor from '../components/ActivityEditor'
 import QuizEditor from '../components/QuizEditor'
+import VocabularyContextEditor from '../components/VocabularyContextEditor'
+import CauseEffectEditor from '../components/CauseEffectEditor'
+import CauseEffectAnalytics from '../components/CauseEffectAnalytics'
+import TextEvidenceEditor from '../components/TextEvidenceEditor'
+import TimelineEditor from '../components/TimelineEditor'
+import VennDiagramEditor from '../components/VennDiagramEditor'
+import PrimarySourceEditor from '../components/PrimarySourceEditor'
+import ClassificationEditor from '../components/ClassificationEditor'
+import AnalogyEditor from '../components/AnalogyEditor'
+import QuoteAttributionEditor from '../components/QuoteAttributionEditor'
+import CharacterPerspectiveEditor from '../components/CharacterPerspectiveEditor'
+import MapInteractionEditor from '../components/MapInteractionEditor'
+import MapImage, { HotspotShape, MapMarker, hotspotCenter } from '../components/MapImage'
+import MisclassificationInsights from '../components/MisclassificationInsights'
+import VennDiagramLiveResults from '../components/VennDiagramLiveResults'
+import VennDiagram from '../components/VennDiagram'
+import { formatYear } from '../utils/timeline'
+import { getVennRegions, regionLabel } from '../utils/venn'
+import { SOURCE_CATEGORIES, sourceImageUrl } from '../utils/primarySource'
+import { isClassificationType, bucketColor, bucketLabel } from '../utils/classification'
 import ReadingEditor from '../components/ReadingEditor'
 import DiscussionQuestionsEditor from '../components/DiscussionQuestionsEditor'
 import DiscussionPromptsEditor from '../components/DiscussionPromptsEditor'
@@ -24,6 +45,7 @@ import InteractiveVideoEditor from '../components/InteractiveVideoEditor'
 import SentenceOrderingEditor from '../components/SentenceOrderingEditor'
 import MatchingEditor from '../components/MatchingEditor'
 import PollEditor from '../components/PollEditor'
+import PrimarySourceCreator from '../components/PrimarySourceCreator'
 import LessonFlowBuilder from '../components/LessonFlowBuilder'
 import TeacherLessonFlowPreview from '../components/TeacherLessonFlowPreview'
 import Leaderboard from '../components/Leaderboard'
@@ -526,6 +548,8 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
   const [activeTab, setActiveTab] = useState('overview') // Tab navigation state
   const [generatedContent, setGeneratedContent] = useState(null)
   const [generating, setGenerating] = useState(false)
+  const [generationPreview, setGenerationPreview] = useState(null) // { title, type, content } while AI writes
+  const generationAbortRef = useRef(null)
   const [prompt, setPrompt] = useState('')
   const [type, setType] = useState('reading')
   const [difficulty, setDifficulty] = useState('medium')
@@ -544,6 +568,7 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
   const [showSentenceOrderingEditor, setShowSentenceOrderingEditor] = useState(false)
   const [showMatchingEditor, setShowMatchingEditor] = useState(false)
   const [showPollEditor, setShowPollEditor] = useState(false)
+  const [showPrimarySourceCreator, setShowPrimarySourceCreator] = useState(false)
   const [showLessonFlowBuilder, setShowLessonFlowBuilder] = useState(null) // null or { preselectedVideo?: activity }
   const [helpHistory, setHelpHistory] = useState([])
   const [loadingHelpHistory, setLoadingHelpHistory] = useState(false)
@@ -873,6 +898,57 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
     }
   }, [session, joinSession, on, off])
 
+  // Stop a running generation if the teacher leaves the session view
+  useEffect(() => {
+    return () => generationAbortRef.current?.abort()
+  }, [])
+
+  /**
+   * Generate an activity, showing it in the preview modal as it is written
+   * Rejects with an AbortError if the teacher cancels.
+   */
+  async function streamActivity(request, title) {
+    const controller = new AbortController()
+    generationAbortRef.current = controller
+    setGenerationPreview({ title, type: request.type, content: null })
+
+    try {
+      return await aiAPI.generateStream(request, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'text') {
+            setGenerationPreview(prev => ({ ...prev, content: (prev.content || '') + data.delta }))
+          } else if (event === 'partial') {
+            setGenerationPreview(prev => ({ ...prev, content: data.content }))
+          } else if (event === 'retry') {
+            // The reply is being regenerated from scratch
+            setGenerationPreview(prev => ({ ...prev, content: null }))
+          }
+        }
+      })
+    } finally {
+      generationAbortRef.current = null
+      setGenerationPreview(null)
+    }
+  }
+
+  function cancelGeneration() {
+    generationAbortRef.current?.abort()
+  }
+
+  // Generation request for the form's prompt, type and difficulty
+  function generationRequest(activityPrompt, activityType, activityDifficulty) {
+    return {
+      sessionId: session.id,
+      prompt: activityPrompt,
+      type: activityType,
+      subject: session.subject,
+      difficulty: activityDifficulty,
+      length: activityType === 'reading' ? 500 : activityType === 'text_evidence' ? 300 : undefined,
+      count: activityType === 'questions' || activityType === 'quiz' ? 5 : activityType === 'analogy' || activityType === 'quote_attribution' ? 6 : activityType === 'character_perspective' ? 4 : activityType === 'vocabulary_context' || activityType === 'timeline' || activityType === 'venn_diagram' || isClassificationType(activityType) ? 8 : undefined
+    }
+  }
+
   async function handleGenerate(e) {
     e.preventDefault()
 
@@ -885,15 +961,7 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
       setGenerating(true)
       setError('')
 
-      const data = await aiAPI.generate({
-        sessionId: session.id,
-        prompt: prompt.trim(),
-        type,
-        subject: session.subject,
-        difficulty,
-        length: type === 'reading' ? 500 : undefined,
-        count: type === 'questions' || type === 'quiz' ? 5 : undefined
-      })
+      const data = await streamActivity(generationRequest(prompt.trim(), type, difficulty), prompt.trim())
 
       setGeneratedContent(data.activity)
       setPrompt('')
@@ -903,6 +971,8 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
       setSessionActivities(activitiesData.activities || [])
 
     } catch (err) {
+      // Cancelled by the teacher - nothing was saved
+      if (err.name === 'AbortError') return
       setError(err.response?.data?.message || 'Failed to generate content')
     } finally {
       setGenerating(false)
@@ -927,6 +997,34 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
     }
   }
 
+  // Generate a cached activity again, skipping the AI cache
+  async function handleRegenerateFresh() {
+    if (!generatedContent) return
+
+    try {
+      setGenerating(true)
+      setError('')
+
+      const data = await streamActivity({
+        ...generationRequest(generatedContent.prompt, generatedContent.type, generatedContent.difficulty_level || difficulty),
+        fresh: true
+      }, generatedContent.prompt)
+
+      setGeneratedContent(data.activity)
+
+      // Reload activities to include the newly generated one
+      const activitiesData = await sessionsAPI.getActivities(session.id)
+      setSessionActivities(activitiesData.activities || [])
+
+    } catch (err) {
+      // Cancelled by the teacher - nothing was saved
+      if (err.name === 'AbortError') return
+      setError(err.response?.data?.message || 'Failed to generate content')
+    } finally {
+      setGenerating(false)
+    }
+  }
+
   async function handleGenerateFromContent(contentType) {
     if (!generatedContent) return
 
@@ -943,14 +1041,14 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
         ? `${basePrompt}Generate 5 comprehension questions about this content.`
         : `${basePrompt}Generate a 5-question quiz about this content.`
 
-      const data = await aiAPI.generate({
+      const data = await streamActivity({
         sessionId: session.id,
         prompt: contextPrompt,
         type: contentType,
         subject: session.subject,
         difficulty: difficulty,
         count: 5
-      })
+      }, contentType === 'questions' ? 'Comprehension questions' : 'Quiz')
 
       setGeneratedContent(data.activity)
 
@@ -959,6 +1057,8 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
       setSessionActivities(activitiesData.activities || [])
 
     } catch (err) {
+      // Cancelled by the teacher - nothing was saved
+      if (err.name === 'AbortError') return
       setError(err.response?.data?.message || 'Failed to generate content')
     } finally {
       setGenerating(false)
@@ -1258,11 +1358,15 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
               handleGenerate={handleGenerate}
               handlePush={handlePush}
               handleGenerateFromContent={handleGenerateFromContent}
+              handleRegenerateFresh={handleRegenerateFresh}
               handleSelectPreviousActivity={handleSelectPreviousActivity}
               setShowVideoEditor={setShowVideoEditor}
               setShowSentenceOrderingEditor={setShowSentenceOrderingEditor}
               setShowMatchingEditor={setShowMatchingEditor}
               setShowPollEditor={setShowPollEditor}
+              setShowPrimarySourceCreator={setShowPrimarySourceCreator}
+              on={on}
+              off={off}
             />
           )}
 
@@ -1349,6 +1453,34 @@ function ActiveSessionView({ session, onEnd, onReactivate, onUpdate, setClickedI
           }}
         />
       )}
+
+      {/* Primary Source Creator */}
+      {showPrimarySourceCreator && session && (
+        <PrimarySourceCreator
+          sessionId={session.id}
+          onClose={() => setShowPrimarySourceCreator(false)}
+          onSaved={async (activity) => {
+            // Reload activities to show the new source analysis
+            try {
+              const activitiesData = await sessionsAPI.getActivities(session.id)
+              setSessionActivities(activitiesData.activities || [])
+            } catch (err) {
+              console.error('Failed to reload activities:', err)
+            }
+            setShowPrimarySourceCreator(false)
+          }}
+        />
+      )}
+
+      {/* Live preview while AI generates an activity */}
+      {generationPreview && (
+        <ActivityPreviewModal
+          item={generationPreview}
+          generating
+          onCancel={cancelGeneration}
+          onClose={cancelGeneration}
+        />
+      )}
     </div>
   )
 }
@@ -1938,9 +2070,9 @@ function ActivitiesTab({
   session, generatedContent, setGeneratedContent, generating, setGenerating,
   prompt, setPrompt, type, setType, difficulty, setDifficulty, error, setError,
   sessionActivities, setSessionActivities, loadingActivities,
-  handleGenerate, handlePush, handleGenerateFromContent, handleSelectPreviousActivity,
+  handleGenerate, handlePush, handleGenerateFromContent, handleRegenerateFresh, handleSelectPreviousActivity,
   setShowVideoEditor, setShowSentenceOrderingEditor, setShowMatchingEditor, setShowPollEditor,
-  showLessonFlowBuilder, setShowLessonFlowBuilder
+  setShowPrimarySourceCreator, showLessonFlowBuilder, setShowLessonFlowBuilder, on, off
 }) {
   const { notifySuccess, notifyError} = useNotifications()
   const [generateModal, setGenerateModal] = useState(null)
@@ -1978,6 +2110,61 @@ function ActivitiesTab({
 
     const content = typeof activity.content === 'string' ? JSON.parse(activity.content) : activity.content
 
+    // All sorting activities share one preview
+    if (isClassificationType(activity.type)) {
+      const sortBuckets = content.buckets || []
+      const sortStatements = content.statements || []
+      return (
+        <div className="space-y-1">
+          <p className="text-sm font-medium text-gray-800">{sortBuckets.map(b => b.label).join(' / ')}</p>
+          {sortStatements.slice(0, 3).map(statement => (
+            <div key={statement.id} className="p-2 bg-gray-50 rounded border text-sm">
+              <span className="text-gray-700">{statement.text}</span>
+              <span className="ml-2 text-xs text-blue-700">({bucketLabel(sortBuckets, statement.bucket)})</span>
+            </div>
+          ))}
+          {sortStatements.length > 3 && (
+            <p className="text-xs text-gray-500 italic">...and {sortStatements.length - 3} more statements</p>
+          )}
+        </div>
+      )
+    }
+
+    if (activity.type === 'map_interaction') {
+      const regions = content.hotspots || []
+      return (
+        <div className="space-y-2">
+          <MapImage map={content.map} className="max-w-xs">
+            {regions.map(h => (
+              <HotspotShape key={h.id} hotspot={h} strokeWidth={1} />
+            ))}
+          </MapImage>
+          <p className="text-xs text-gray-600">
+            {regions.length > 0
+              ? regions.map(h => h.label).join(', ')
+              : 'No regions yet - edit the map to place them'}
+          </p>
+        </div>
+      )
+    }
+
+    if (activity.type === 'character_perspective') {
+      const passages = content.questions || []
+      return (
+        <div className="space-y-2">
+          {passages.slice(0, 3).map((q, idx) => (
+            <div key={idx} className="p-2 bg-gray-50 rounded border text-sm">
+              <p className="text-gray-800 line-clamp-2">{idx + 1}. {q.passage}</p>
+              <p className="text-xs text-green-600 font-medium mt-1">{q.options?.[q.correct]} ✓</p>
+            </div>
+          ))}
+          {passages.length > 3 && (
+            <p className="text-xs text-gray-500 italic">...and {passages.length - 3} more passages</p>
+          )}
+        </div>
+      )
+    }
+
     switch (activity.type) {
       case 'reading':
         return (
@@ -1990,6 +2177,8 @@ function ActivitiesTab({
 
       case 'questions':
       case 'quiz':
+      case 'analogy':
+      case 'quote_attribution':
         const questions = content.questions || content.quiz || []
         return (
           <div className="space-y-2">
@@ -2013,6 +2202,104 @@ function ActivitiesTab({
           </div>
         )
 
+      case 'vocabulary_context':
+        const vocabItems = content.items || []
+        return (
+          <div className="space-y-2">
+            {vocabItems.slice(0, 3).map((item, idx) => (
+              <div key={idx} className="p-2 bg-gray-50 rounded border text-sm">
+                <p className="text-gray-800">{idx + 1}. {item.sentence}</p>
+                <p className="mt-1 ml-3 text-xs text-green-600 font-medium">
+                  {item.word}: {item.options?.[item.correct]}
+                </p>
+              </div>
+            ))}
+            {vocabItems.length > 3 && (
+              <p className="text-xs text-gray-500 italic">...and {vocabItems.length - 3} more words</p>
+            )}
+          </div>
+        )
+
+      case 'cause_effect':
+        const ceEffects = content.effects || []
+        const ceCauses = content.causes || []
+        return (
+          <div className="space-y-2">
+            {ceEffects.slice(0, 3).map(effect => (
+              <div key={effect.id} className="p-2 bg-gray-50 rounded border text-sm">
+                <p className="font-medium text-gray-800">{effect.text}</p>
+                <p className="mt-1 ml-3 text-xs text-gray-600">
+                  ← {ceCauses.filter(c => c.effectId === effect.id).map(c => c.text).join('; ')}
+                </p>
+              </div>
+            ))}
+            {ceEffects.length > 3 && (
+              <p className="text-xs text-gray-500 italic">...and {ceEffects.length - 3} more effects</p>
+            )}
+          </div>
+        )
+
+      case 'venn_diagram':
+        const vennSets = content.sets || []
+        const vennStatements = content.statements || []
+        return (
+          <div className="space-y-1">
+            <p className="text-sm font-medium text-gray-800">{vennSets.map(s => s.label).join(' vs. ')}</p>
+            {vennStatements.slice(0, 3).map(statement => (
+              <div key={statement.id} className="p-2 bg-gray-50 rounded border text-sm">
+                <span className="text-gray-700">{statement.text}</span>
+                <span className="ml-2 text-xs text-blue-700">({regionLabel(statement.region, vennSets)})</span>
+              </div>
+            ))}
+            {vennStatements.length > 3 && (
+              <p className="text-xs text-gray-500 italic">...and {vennStatements.length - 3} more statements</p>
+            )}
+          </div>
+        )
+
+      case 'primary_source':
+        const sourceQuestions = content.questions || []
+        return (
+          <div className="space-y-1">
+            <p className="text-sm font-medium text-gray-800">{content.source?.title || 'Primary source'}</p>
+            {sourceQuestions.slice(0, 3).map(question => (
+              <div key={question.id} className="p-2 bg-gray-50 rounded border text-sm">
+                <span className="text-xs font-semibold text-gray-500 uppercase mr-2">{SOURCE_CATEGORIES[question.category]?.label}</span>
+                <span className="text-gray-700">{question.question}</span>
+              </div>
+            ))}
+            {sourceQuestions.length > 3 && (
+              <p className="text-xs text-gray-500 italic">...and {sourceQuestions.length - 3} more questions</p>
+            )}
+          </div>
+        )
+
+      case 'timeline':
+        const timelineEvents = [...(content.events || [])].sort((a, b) => a.year - b.year)
+        return (
+          <div className="space-y-1">
+            {timelineEvents.slice(0, 4).map(event => (
+              <div key={event.id} className="p-2 bg-gray-50 rounded border text-sm flex gap-2">
+                <span className="font-medium text-blue-700 whitespace-nowrap">{event.dateLabel || formatYear(event.year)}</span>
+                <span className="text-gray-700">{event.text}</span>
+              </div>
+            ))}
+            {timelineEvents.length > 4 && (
+              <p className="text-xs text-gray-500 italic">...and {timelineEvents.length - 4} more events</p>
+            )}
+          </div>
+        )
+
+      case 'text_evidence':
+        return (
+          <div className="p-2 bg-gray-50 rounded border text-sm">
+            <p className="font-medium text-gray-800">Claim: {content.claim}</p>
+            <p className="mt-1 text-xs text-gray-600">
+              {(content.evidence || []).length} evidence spans in a {(content.passage || '').split(/\s+/).length}-word passage
+            </p>
+          </div>
+        )
+
       case 'discussion':
         const prompts = Array.isArray(content) ? content : content.prompts || []
         return (
@@ -2465,7 +2752,20 @@ function ActivitiesTab({
                 <option value="quiz">Multiple Choice Quiz</option>
                 <option value="mixed">Mixed Questions (Both Types)</option>
                 <option value="discussion">Discussion Prompts</option>
+                <option value="vocabulary_context">Vocabulary in Context</option>
+                <option value="cause_effect">Cause & Effect</option>
+                <option value="text_evidence">Text Evidence</option>
+                <option value="timeline">Timeline Builder</option>
+                <option value="venn_diagram">Venn Diagram</option>
+                <option value="fact_opinion">Fact vs. Opinion</option>
+                <option value="perspective_sort">Perspective Sort</option>
+                <option value="analogy">Analogies</option>
+                <option value="quote_attribution">Quote Attribution</option>
+                <option value="character_perspective">Character Perspective</option>
               </select>
+              {(type === 'analogy' || type === 'quote_attribution') && (
+                <p className="text-xs text-gray-500 mt-1">Written from the documents uploaded to this session</p>
+              )}
             </div>
 
             <div>
@@ -2560,6 +2860,19 @@ function ActivitiesTab({
               </div>
               <span className="text-sm">Video + Questions</span>
             </button>
+
+            {/* Primary Source Analysis */}
+            <button
+              onClick={() => setShowPrimarySourceCreator(true)}
+              className="px-4 py-3 bg-white border-2 border-gray-200 rounded-lg font-medium text-gray-700 hover:border-stone-500 hover:bg-stone-50 transition-all flex items-center gap-2"
+            >
+              <div className="w-8 h-8 rounded-lg bg-stone-100 flex items-center justify-center">
+                <svg className="w-4 h-4 text-stone-600" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                </svg>
+              </div>
+              <span className="text-sm">Source Analysis</span>
+            </button>
           </div>
         </div>
 
@@ -2759,6 +3072,16 @@ function ActivitiesTab({
                   </svg>
                   Delete
                 </button>
+                {generatedContent.cached && (
+                  <button
+                    onClick={handleRegenerateFresh}
+                    disabled={generating}
+                    className="px-3 py-2 text-sm font-medium text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50"
+                    title="This was reused from an earlier identical request - generate new content instead"
+                  >
+                    Regenerate Fresh
+                  </button>
+                )}
                 <SaveToLibraryButton
                   activity={generatedContent}
                   variant="button"
@@ -2828,6 +3151,14 @@ function ActivitiesTab({
               </div>
             )}
 
+            {generatedContent.type === 'cause_effect' && generatedContent.id && (
+              <CauseEffectAnalytics activityId={generatedContent.id} />
+            )}
+
+            {generatedContent.type === 'venn_diagram' && generatedContent.id && (
+              <VennDiagramLiveResults activity={generatedContent} on={on} off={off} />
+            )}
+
             {/* Generate from Content Options */}
             {generatedContent.type === 'reading' && (
               <div className="mt-4 p-4 bg-blue-50 border-2 border-blue-200 rounded-lg">
@@ -3304,6 +3635,10 @@ function ActivitiesTab({
           onSaved: handleActivityEdited
         }
 
+        if (isClassificationType(editActivityModal.type)) {
+          return <ClassificationEditor {...editorProps} />
+        }
+
         switch (editActivityModal.type) {
           case 'quiz':
             return <QuizEditor {...editorProps} />
@@ -3313,6 +3648,26 @@ function ActivitiesTab({
             return <DiscussionQuestionsEditor {...editorProps} />
           case 'discussion':
             return <DiscussionPromptsEditor {...editorProps} />
+          case 'vocabulary_context':
+            return <VocabularyContextEditor {...editorProps} />
+          case 'cause_effect':
+            return <CauseEffectEditor {...editorProps} />
+          case 'text_evidence':
+            return <TextEvidenceEditor {...editorProps} />
+          case 'timeline':
+            return <TimelineEditor {...editorProps} />
+          case 'venn_diagram':
+            return <VennDiagramEditor {...editorProps} />
+          case 'primary_source':
+            return <PrimarySourceEditor {...editorProps} />
+          case 'analogy':
+            return <AnalogyEditor {...editorProps} />
+          case 'quote_attribution':
+            return <QuoteAttributionEditor {...editorProps} />
+          case 'character_perspective':
+            return <CharacterPerspectiveEditor {...editorProps} />
+          case 'map_interaction':
+            return <MapInteractionEditor {...editorProps} />
           default:
             return <ActivityEditor {...editorProps} />
         }
@@ -3753,6 +4108,9 @@ function AnalyticsTab({ analytics, loadingAnalytics, selectedInstance, session,
           })}
         </div>
       </div>
+
+      {/* Sorting activity misclassifications */}
+      <MisclassificationInsights sessionId={session.id} instanceId={selectedInstance?.id} />
     </div>
   )
 }
@@ -3771,7 +4129,7 @@ function ContentPreview({ content, type }) {
     )
   }
 
-  if (type === 'questions' || type === 'quiz') {
+  if (type === 'questions' || type === 'quiz' || type === 'analogy' || type === 'quote_attribution') {
     const questions = content.questions || content.quiz || []
     return (
       <div className="space-y-4">
@@ -3794,6 +4152,62 @@ function ContentPreview({ content, type }) {
                 Sample: {q.sampleAnswer}
               </div>
             )}
+            {q.explanation && (type === 'analogy' || type === 'quote_attribution') && (
+              <div className="ml-4 mt-1 text-sm text-gray-500">{q.explanation}</div>
+            )}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  if (type === 'map_interaction') {
+    const regions = content.hotspots || []
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-gray-600">
+          {content.mode === 'locate' ? 'Students click each named location' : 'Students drag labels onto the map'}
+        </p>
+        <MapImage map={content.map}>
+          {regions.map(h => (
+            <HotspotShape key={h.id} hotspot={h} strokeWidth={2} />
+          ))}
+          {regions.map(h => (
+            <MapMarker key={`label-${h.id}`} map={content.map} point={hotspotCenter(h)} label={h.label} className="fill-lime-700" />
+          ))}
+        </MapImage>
+        {regions.length === 0 && (
+          <p className="text-sm text-amber-700">No regions yet - edit the activity to place them on the map.</p>
+        )}
+      </div>
+    )
+  }
+
+  if (type === 'character_perspective') {
+    const passages = content.questions || []
+    return (
+      <div className="space-y-4">
+        {content.rubric?.length > 0 && (
+          <div className="p-3 bg-violet-50 rounded border border-violet-200 text-sm">
+            <div className="font-medium text-violet-900 mb-1">Rubric</div>
+            {content.rubric.map(c => (
+              <div key={c.id} className="text-violet-800">{c.label} ({c.maxPoints} pts){c.description ? ` - ${c.description}` : ''}</div>
+            ))}
+          </div>
+        )}
+        {passages.map((q, i) => (
+          <div key={i} className="border-b pb-3">
+            <div className="text-gray-900 mb-2">{i + 1}. {q.passage}</div>
+            <div className="ml-4 text-sm text-gray-600">
+              {q.options.map((opt, j) => (
+                <span key={j} className={`mr-3 ${j === q.correct ? 'text-green-600 font-medium' : ''}`}>
+                  {opt} {j === q.correct && '✓'}
+                </span>
+              ))}
+            </div>
+            {q.lookFor && (
+              <div className="ml-4 mt-1 text-sm text-gray-500">Look for: {q.lookFor}</div>
+            )}
           </div>
         ))}
       </div>
@@ -3879,6 +4293,223 @@ function ContentPreview({ content, type }) {
     )
   }
 
+  if (type === 'vocabulary_context') {
+    const items = content.items || []
+    return (
+      <div className="space-y-4">
+        {items.map((item, i) => (
+          <div key={i} className="border-b pb-3">
+            <div className="font-medium text-gray-900 mb-2">
+              {i + 1}. {item.sentence}
+            </div>
+            <div className="ml-4 text-sm text-gray-500 mb-1">Word: <span className="font-semibold text-gray-800">{item.word}</span></div>
+            {item.options && (
+              <div className="ml-4 space-y-1">
+                {item.options.map((opt, j) => (
+                  <div key={j} className={`text-sm ${j === item.correct ? 'text-green-600 font-medium' : 'text-gray-600'}`}>
+                    {String.fromCharCode(65 + j)}. {opt} {j === item.correct && '✓'}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  if (type === 'cause_effect') {
+    const effects = content.effects || []
+    const causes = content.causes || []
+    return (
+      <div className="space-y-4">
+        {content.instructions && (
+          <div className="text-sm text-gray-600 italic">{content.instructions}</div>
+        )}
+        {effects.map(effect => (
+          <div key={effect.id} className="p-3 bg-orange-50 rounded-lg border border-orange-200">
+            <div className="font-medium text-orange-900 mb-2">{effect.text}</div>
+            <div className="ml-4 space-y-1">
+              {causes.filter(c => c.effectId === effect.id).map(cause => (
+                <div key={cause.id} className="text-sm text-gray-700">← {cause.text}</div>
+              ))}
+            </div>
+          </div>
+        ))}
+        <div className="text-xs text-gray-500">
+          {causes.length} causes • {effects.length} effects
+        </div>
+      </div>
+    )
+  }
+
+  if (type === 'text_evidence') {
+    const passage = content.passage || ''
+    const evidence = [...(content.evidence || [])].sort((a, b) => a.start - b.start)
+    const parts = []
+    let cursor = 0
+    evidence.forEach((span, i) => {
+      if (span.start < cursor) return
+      parts.push(<span key={`t${i}`}>{passage.slice(cursor, span.start)}</span>)
+      parts.push(<mark key={`e${i}`} className="bg-green-200 rounded">{passage.slice(span.start, span.end)}</mark>)
+      cursor = span.end
+    })
+    parts.push(<span key="tail">{passage.slice(cursor)}</span>)
+
+    return (
+      <div className="space-y-4">
+        <div className="p-3 bg-blue-50 border-l-4 border-blue-500 rounded">
+          <div className="text-xs font-semibold text-blue-700 uppercase">Claim</div>
+          <div className="font-medium text-gray-900">{content.claim}</div>
+        </div>
+        <div className="text-sm leading-relaxed whitespace-pre-wrap">{parts}</div>
+        <div className="text-xs text-gray-500">
+          {evidence.length} accepted evidence spans (highlighted)
+        </div>
+      </div>
+    )
+  }
+
+  if (type === 'venn_diagram') {
+    const sets = content.sets || []
+    const statements = content.statements || []
+    return (
+      <div className="space-y-4">
+        {content.instructions && (
+          <div className="text-sm text-gray-600 italic">{content.instructions}</div>
+        )}
+        <div className="max-w-sm mx-auto">
+          <VennDiagram
+            sets={sets}
+            renderRegion={(region) => statements
+              .filter(s => s.region === region)
+              .map(s => (
+                <span key={s.id} className="w-5 h-5 rounded-full bg-white border border-gray-400 text-xs font-bold flex items-center justify-center">
+                  {statements.indexOf(s) + 1}
+                </span>
+              ))}
+          />
+        </div>
+        {getVennRegions(sets).map(region => {
+          const inRegion = statements.filter(s => s.region === region)
+          if (inRegion.length === 0) return null
+          return (
+            <div key={region} className="p-3 bg-gray-50 rounded-lg border">
+              <div className="font-medium text-gray-900 mb-1">{regionLabel(region, sets)}</div>
+              {inRegion.map(s => (
+                <div key={s.id} className="text-sm text-gray-700">{statements.indexOf(s) + 1}. {s.text}</div>
+              ))}
+            </div>
+          )
+        })}
+        <div className="text-xs text-gray-500">
+          {statements.length} statements • {sets.length} categories
+        </div>
+      </div>
+    )
+  }
+
+  if (isClassificationType(type)) {
+    const buckets = content.buckets || []
+    const statements = content.statements || []
+    return (
+      <div className="space-y-4">
+        {content.instructions && (
+          <div className="text-sm text-gray-600 italic">{content.instructions}</div>
+        )}
+        <div className={`grid gap-3 ${buckets.length > 2 ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+          {buckets.map(bucket => {
+            const color = bucketColor(buckets, bucket.id)
+            return (
+              <div key={bucket.id} className={`rounded-lg border ${color.border} ${color.bg}`}>
+                <div className={`px-3 py-2 rounded-t-lg font-medium ${color.header}`}>{bucket.label}</div>
+                <div className="p-2 space-y-1">
+                  {statements.filter(s => s.bucket === bucket.id).map(s => (
+                    <div key={s.id} className="text-sm text-gray-700">{s.text}</div>
+                  ))}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+        <div className="text-xs text-gray-500">
+          {statements.length} statements • {buckets.length} categories
+        </div>
+      </div>
+    )
+  }
+
+  if (type === 'primary_source') {
+    const source = content.source || {}
+    const questions = content.questions || []
+    return (
+      <div className="space-y-4">
+        {content.instructions && (
+          <div className="text-sm text-gray-600 italic">{content.instructions}</div>
+        )}
+        {source.kind === 'image' ? (
+          <img
+            src={sourceImageUrl(source.imageUrl)}
+            alt={source.title || 'Primary source'}
+            className="max-h-64 mx-auto rounded-lg border border-gray-200"
+          />
+        ) : (
+          <div className="p-3 bg-stone-50 border border-stone-200 rounded-lg text-sm leading-relaxed whitespace-pre-wrap max-h-48 overflow-y-auto font-serif">
+            {source.text}
+          </div>
+        )}
+        {source.citation && (
+          <div className="text-sm text-gray-600 italic">{source.citation}</div>
+        )}
+        {questions.map((question, i) => (
+          <div key={question.id} className="p-3 bg-gray-50 rounded-lg border">
+            <div className="flex items-center gap-2 mb-1">
+              <span className="text-sm font-semibold text-gray-500">{i + 1}.</span>
+              {SOURCE_CATEGORIES[question.category] && (
+                <span className={`px-2 py-0.5 rounded text-xs font-semibold ${SOURCE_CATEGORIES[question.category].className}`}>
+                  {SOURCE_CATEGORIES[question.category].label}
+                </span>
+              )}
+            </div>
+            <div className="font-medium text-gray-900">{question.question}</div>
+            {question.type === 'open' ? (
+              question.lookFor && <div className="mt-1 text-sm text-gray-600">Look for: {question.lookFor}</div>
+            ) : (
+              <ul className="mt-1 space-y-0.5 text-sm">
+                {(question.options || []).map((option, j) => (
+                  <li key={j} className={j === question.correct ? 'text-green-700 font-medium' : 'text-gray-700'}>
+                    {String.fromCharCode(65 + j)}. {option}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  if (type === 'timeline') {
+    const events = [...(content.events || [])].sort((a, b) => a.year - b.year)
+    return (
+      <div className="space-y-4">
+        {content.title && <div className="font-medium text-gray-900">{content.title}</div>}
+        <div className="relative border-l-2 border-blue-300 ml-3 space-y-3">
+          {events.map(event => (
+            <div key={event.id} className="relative pl-6">
+              <span className="absolute -left-[7px] top-1.5 w-3 h-3 bg-blue-600 rounded-full" />
+              <div className="text-sm font-semibold text-blue-700">{event.dateLabel || formatYear(event.year)}</div>
+              <div className="text-gray-900">{event.text}</div>
+            </div>
+          ))}
+        </div>
+        <div className="text-xs text-gray-500">
+          {events.length} events • Students place these on a scaled timeline
+        </div>
+      </div>
+    )
+  }
+
   // Handle video type content
   if (type === 'video' || type === 'interactive_video') {
     const videoData = parsedContent
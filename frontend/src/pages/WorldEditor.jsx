@@ -15,6 +15,7 @@ import ActivityContentEditor from '../components/learning-worlds/ActivityContent
  * - Add/edit lands with positions on map
  * - Add characters as guides
  * - Add activities to lands
+ * - Place vocabulary in each land's explorable scene
  * - Import from templates
  */
 export default function WorldEditor() {
@@ -346,6 +347,11 @@ export default function WorldEditor() {
                 onRefresh={loadWorld}
               />
             )}
+
+            {/* Explorable scene for the selected land */}
+            {selectedLand && (
+              <ScenePlacementEditor land={selectedLand} worldId={worldId} />
+            )}
           </div>
         </div>
       </div>
@@ -971,6 +977,415 @@ function LandEditor({ land, characters, onUpdate, onAddActivity, onEditContent,
   )
 }
 
+/**
+ * Scene Placement Panel
+ *
+ * Place the land's vocabulary in its explorable scene. Drag a word onto
+ * the scene (or pick it and click where it goes), drag placed items to
+ * move them, and pick an item to change how it moves and unlocks.
+ */
+function ScenePlacementEditor({ land, worldId }) {
+  const { notifyError } = useNotifications()
+  const sceneRef = useRef(null)
+  const [sceneItems, setSceneItems] = useState([])
+  const [vocabulary, setVocabulary] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [placingWord, setPlacingWord] = useState(null) // Word picked for click placement
+  const [selectedItemId, setSelectedItemId] = useState(null)
+  const [dragging, setDragging] = useState(null) // { itemId, x, y } while moving a placed item
+  const [newWord, setNewWord] = useState('')
+
+  useEffect(() => {
+    setSelectedItemId(null)
+    setPlacingWord(null)
+    loadScene()
+  }, [land.id])
+
+  async function loadScene() {
+    setLoading(true)
+    try {
+      const [landData, vocabData] = await Promise.all([
+        learningWorldsAPI.getLand(land.id),
+        learningWorldsAPI.getWorldVocabulary(worldId)
+      ])
+      setSceneItems(landData.sceneItems || [])
+      // This land's words first, then words not tied to any land
+      const words = (vocabData.vocabulary || []).filter(v => v.land_id === land.id || !v.land_id)
+      setVocabulary(words.sort((a, b) => (b.land_id === land.id) - (a.land_id === land.id)))
+    } catch (error) {
+      console.error('Failed to load scene:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Convert pixel position to scene percentage
+  const pixelToPercent = useCallback((clientX, clientY) => {
+    if (!sceneRef.current) return { x: 50, y: 50 }
+    const rect = sceneRef.current.getBoundingClientRect()
+    const x = Math.max(0, Math.min(100, ((clientX - rect.left) / rect.width) * 100))
+    const y = Math.max(0, Math.min(100, ((clientY - rect.top) / rect.height) * 100))
+    return { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10 }
+  }, [])
+
+  async function placeWord(vocabularyId, pos) {
+    try {
+      const result = await learningWorldsAPI.createSceneItem(land.id, {
+        vocabularyId,
+        positionX: pos.x,
+        positionY: pos.y
+      })
+      setSceneItems(prev => [...prev, result.sceneItem])
+      setSelectedItemId(result.sceneItem.id)
+      setPlacingWord(null)
+    } catch (error) {
+      console.error('Failed to place word:', error)
+      notifyError(error.response?.data?.message || 'Failed to place word')
+    }
+  }
+
+  async function updateItem(itemId, updates) {
+    try {
+      const result = await learningWorldsAPI.updateSceneItem(itemId, updates)
+      setSceneItems(prev => prev.map(item => (item.id === itemId ? result.sceneItem : item)))
+    } catch (error) {
+      console.error('Failed to update scene item:', error)
+      notifyError(error.response?.data?.message || 'Failed to update scene item')
+    }
+  }
+
+  async function handleDeleteItem(itemId) {
+    if (!window.confirm('Remove this item from the scene?')) return
+    try {
+      await learningWorldsAPI.deleteSceneItem(itemId)
+      setSelectedItemId(null)
+      // Items that waited for this one no longer do
+      setSceneItems(prev => prev
+        .filter(item => item.id !== itemId)
+        .map(item => (item.unlock_after_item_id === itemId ? { ...item, unlock_after_item_id: null } : item)))
+    } catch (error) {
+      console.error('Failed to delete scene item:', error)
+      notifyError('Failed to delete scene item')
+    }
+  }
+
+  async function handleAddWord(e) {
+    e.preventDefault()
+    const word = newWord.trim()
+    if (!word) return
+    try {
+      const result = await learningWorldsAPI.addVocabulary(worldId, { word, landId: land.id })
+      setVocabulary(prev => [result.vocabulary, ...prev])
+      setPlacingWord(result.vocabulary)
+      setNewWord('')
+    } catch (error) {
+      console.error('Failed to add word:', error)
+      notifyError('Failed to add word')
+    }
+  }
+
+  // Words dropped from the word list
+  function handleDrop(e) {
+    e.preventDefault()
+    const vocabularyId = e.dataTransfer.getData('text/plain')
+    if (!vocabularyId) return
+    placeWord(vocabularyId, pixelToPercent(e.clientX, e.clientY))
+  }
+
+  // Click to place the picked word
+  function handleSceneClick(e) {
+    if (!placingWord) {
+      setSelectedItemId(null)
+      return
+    }
+    placeWord(placingWord.id, pixelToPercent(e.clientX, e.clientY))
+  }
+
+  // Moving placed items (mouse and touch)
+  function handleItemDragStart(e, item) {
+    e.stopPropagation()
+    setSelectedItemId(item.id)
+    setDragging({ itemId: item.id, x: item.position_x, y: item.position_y, moved: false })
+  }
+
+  useEffect(() => {
+    if (!dragging) return
+
+    const handleMove = (e) => {
+      e.preventDefault()
+      const clientX = e.touches ? e.touches[0].clientX : e.clientX
+      const clientY = e.touches ? e.touches[0].clientY : e.clientY
+      setDragging(prev => prev && { ...prev, ...pixelToPercent(clientX, clientY), moved: true })
+    }
+    const handleEnd = () => {
+      if (dragging.moved) {
+        setSceneItems(prev => prev.map(item => (
+          item.id === dragging.itemId ? { ...item, position_x: dragging.x, position_y: dragging.y } : item
+        )))
+        updateItem(dragging.itemId, { positionX: dragging.x, positionY: dragging.y })
+      }
+      setDragging(null)
+    }
+
+    window.addEventListener('mousemove', handleMove)
+    window.addEventListener('mouseup', handleEnd)
+    window.addEventListener('touchmove', handleMove, { passive: false })
+    window.addEventListener('touchend', handleEnd)
+
+    return () => {
+      window.removeEventListener('mousemove', handleMove)
+      window.removeEventListener('mouseup', handleEnd)
+      window.removeEventListener('touchmove', handleMove)
+      window.removeEventListener('touchend', handleEnd)
+    }
+  }, [dragging, pixelToPercent])
+
+  const selectedItem = sceneItems.find(item => item.id === selectedItemId)
+  const placedWordIds = new Set(sceneItems.map(item => item.vocabulary_id))
+  const sceneBackground = land.scene_background_url || land.background_url
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+      <div className="p-4 border-b bg-gray-50">
+        <h3 className="font-semibold text-gray-800">Explore Scene</h3>
+        <p className="text-sm text-gray-500">
+          Drag words into the scene for students to discover. Drag placed items to move them.
+        </p>
+      </div>
+
+      <div className="p-4 grid grid-cols-1 md:grid-cols-4 gap-4">
+        {/* Word list */}
+        <div className="md:col-span-1">
+          <form onSubmit={handleAddWord} className="flex gap-1 mb-2">
+            <input
+              type="text"
+              value={newWord}
+              onChange={(e) => setNewWord(e.target.value)}
+              placeholder="Add a word"
+              className="flex-1 min-w-0 px-2 py-1 text-sm border rounded"
+            />
+            <button type="submit" className="px-2 py-1 text-sm bg-emerald-500 text-white rounded hover:bg-emerald-600">
+              Add
+            </button>
+          </form>
+          <div className="space-y-1 max-h-72 overflow-y-auto">
+            {vocabulary.length === 0 && !loading && (
+              <p className="text-xs text-gray-500">No words yet. Add one above.</p>
+            )}
+            {vocabulary.map(vocab => (
+              <div
+                key={vocab.id}
+                draggable
+                onDragStart={(e) => e.dataTransfer.setData('text/plain', vocab.id)}
+                onClick={() => setPlacingWord(placingWord?.id === vocab.id ? null : vocab)}
+                className={`px-2 py-1.5 rounded border text-sm cursor-grab flex items-center gap-2 ${
+                  placingWord?.id === vocab.id
+                    ? 'border-blue-500 bg-blue-50'
+                    : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                {vocab.image_url ? (
+                  <img src={vocab.image_url} alt="" className="w-6 h-6 object-contain pointer-events-none" />
+                ) : (
+                  <span className="w-6 text-center">🔤</span>
+                )}
+                <span className="flex-1 truncate">{vocab.word}</span>
+                {placedWordIds.has(vocab.id) && <span className="text-xs text-emerald-600">✓</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Scene */}
+        <div className="md:col-span-3">
+          <div
+            ref={sceneRef}
+            className="relative w-full aspect-video rounded-lg overflow-hidden select-none bg-cover bg-center"
+            style={{
+              backgroundImage: sceneBackground
+                ? `url(${sceneBackground})`
+                : 'linear-gradient(180deg, #87CEEB 0%, #98D8C8 60%, #7CB342 100%)',
+              cursor: placingWord ? 'crosshair' : 'default'
+            }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={handleDrop}
+            onClick={handleSceneClick}
+          >
+            {sceneItems.map(item => {
+              const isDragging = dragging?.itemId === item.id
+              const x = isDragging ? dragging.x : item.position_x
+              const y = isDragging ? dragging.y : item.position_y
+              const size = 48 * (item.scale || 1)
+              return (
+                <div
+                  key={item.id}
+                  className={`absolute transform -translate-x-1/2 -translate-y-1/2 flex flex-col items-center ${
+                    isDragging ? 'cursor-grabbing' : 'cursor-grab'
+                  }`}
+                  style={{ left: `${x}%`, top: `${y}%`, zIndex: isDragging ? 50 : item.z_index || 10 }}
+                  onMouseDown={(e) => handleItemDragStart(e, item)}
+                  onTouchStart={(e) => handleItemDragStart(e, item)}
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <div className={`rounded-lg p-1 ${
+                    selectedItemId === item.id ? 'ring-4 ring-blue-400 bg-white/40' : item.is_hidden ? 'opacity-50' : ''
+                  }`}>
+                    {item.sprite_url || item.vocabulary?.image_url ? (
+                      <img
+                        src={item.sprite_url || item.vocabulary?.image_url}
+                        alt={item.vocabulary?.word}
+                        style={{ width: size, height: size, objectFit: 'contain' }}
+                        className="pointer-events-none"
+                        draggable={false}
+                      />
+                    ) : (
+                      <div
+                        className="rounded-full bg-white/90 shadow flex items-center justify-center text-lg"
+                        style={{ width: size, height: size }}
+                      >
+                        🔤
+                      </div>
+                    )}
+                  </div>
+                  <span className="mt-0.5 px-1.5 rounded bg-white/90 text-xs font-medium shadow whitespace-nowrap">
+                    {item.vocabulary?.word}
+                  </span>
+                </div>
+              )
+            })}
+
+            {sceneItems.length === 0 && !loading && (
+              <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+                <div className="bg-black/40 text-white text-sm px-4 py-2 rounded-full">
+                  {placingWord ? `Click to place "${placingWord.word}"` : 'Drag a word here to place it'}
+                </div>
+              </div>
+            )}
+            {placingWord && sceneItems.length > 0 && (
+              <div className="absolute top-2 left-1/2 -translate-x-1/2 bg-blue-500 text-white text-xs px-3 py-1 rounded-full pointer-events-none">
+                Click to place "{placingWord.word}"
+              </div>
+            )}
+          </div>
+
+          {/* Selected item settings */}
+          {selectedItem && (
+            <SceneItemSettings
+              key={selectedItem.id}
+              item={selectedItem}
+              sceneItems={sceneItems}
+              onUpdate={(updates) => updateItem(selectedItem.id, updates)}
+              onDelete={() => handleDeleteItem(selectedItem.id)}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Settings for one placed scene item
+ */
+function SceneItemSettings({ item, sceneItems, onUpdate, onDelete }) {
+  const [responseText, setResponseText] = useState(item.touch_response_text || '')
+  const [scale, setScale] = useState(Number(item.scale) || 1)
+
+  return (
+    <div className="mt-3 p-3 border rounded-lg bg-gray-50 grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+      <div className="col-span-2 md:col-span-3 flex items-center justify-between">
+        <span className="font-semibold text-gray-800">{item.vocabulary?.word}</span>
+        <button onClick={onDelete} className="px-2 py-1 text-xs text-red-600 hover:bg-red-100 rounded">
+          Remove from scene
+        </button>
+      </div>
+
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-600">Idle animation</span>
+        <select
+          value={item.idle_animation || 'none'}
+          onChange={(e) => onUpdate({ idleAnimation: e.target.value })}
+          className="px-2 py-1 border rounded"
+        >
+          {['none', 'bounce', 'sway', 'float', 'breathe'].map(a => <option key={a} value={a}>{a}</option>)}
+        </select>
+      </label>
+
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-600">Touch animation</span>
+        <select
+          value={item.touch_animation || 'bounce'}
+          onChange={(e) => onUpdate({ touchAnimation: e.target.value })}
+          className="px-2 py-1 border rounded"
+        >
+          {['bounce', 'grow', 'shake', 'spin', 'wiggle', 'jump'].map(a => <option key={a} value={a}>{a}</option>)}
+        </select>
+      </label>
+
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-600">Size ({scale.toFixed(1)}x)</span>
+        <input
+          type="range"
+          min="0.5"
+          max="2.5"
+          step="0.1"
+          value={scale}
+          onChange={(e) => setScale(Number(e.target.value))}
+          onMouseUp={() => onUpdate({ scale })}
+          onTouchEnd={() => onUpdate({ scale })}
+          onKeyUp={() => onUpdate({ scale })}
+        />
+      </label>
+
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-600">Unlocks after</span>
+        <select
+          value={item.unlock_after_item_id || ''}
+          onChange={(e) => onUpdate({ unlockAfterItemId: e.target.value || null })}
+          className="px-2 py-1 border rounded"
+        >
+          <option value="">Always visible</option>
+          {sceneItems
+            .filter(other => other.id !== item.id)
+            .map(other => <option key={other.id} value={other.id}>{other.vocabulary?.word}</option>)}
+        </select>
+      </label>
+
+      <label className="flex flex-col gap-1">
+        <span className="text-gray-600">Discovery points</span>
+        <input
+          type="number"
+          min="0"
+          defaultValue={item.discovery_points ?? 10}
+          onBlur={(e) => onUpdate({ discoveryPoints: parseInt(e.target.value) || 0 })}
+          className="px-2 py-1 border rounded"
+        />
+      </label>
+
+      <label className="flex items-center gap-2 mt-5">
+        <input
+          type="checkbox"
+          checked={!!item.is_hidden}
+          onChange={(e) => onUpdate({ isHidden: e.target.checked })}
+        />
+        <span className="text-gray-600">Hidden</span>
+      </label>
+
+      <label className="col-span-2 md:col-span-3 flex flex-col gap-1">
+        <span className="text-gray-600">What it says when touched</span>
+        <input
+          type="text"
+          value={responseText}
+          onChange={(e) => setResponseText(e.target.value)}
+          onBlur={() => responseText !== (item.touch_response_text || '') && onUpdate({ touchResponseText: responseText })}
+          placeholder={`e.g. "I am a ${item.vocabulary?.word}!"`}
+          className="px-2 py-1 border rounded"
+        />
+      </label>
+    </div>
+  )
+}
+
 /**
  * Calculate non-overlapping position for a new land
  * Uses preset positions in a pleasing arrangement
@@ -1204,6 +1619,13 @@ function ActivityModal({ landId, onSave, onClose }) {
     description: config.description
   }))
 
+  // Start from the ages the activity type is made for
+  function handleSelectType(value) {
+    setType(value)
+    setMinAge(ACTIVITY_TYPES[value]?.minAgeLevel || 1)
+    setMaxAge(ACTIVITY_TYPES[value]?.maxAgeLevel || 3)
+  }
+
   async function handleSubmit(e) {
     e.preventDefault()
     setSaving(true)
@@ -1245,7 +1667,7 @@ function ActivityModal({ landId, onSave, onClose }) {
                 <button
                   key={at.value}
                   type="button"
-                  onClick={() => setType(at.value)}
+                  onClick={() => handleSelectType(at.value)}
                   className={`p-3 rounded-lg border-2 text-left transition-colors ${
                     type === at.value
                       ? 'border-blue-500 bg-blue-50'
@@ -50,6 +50,11 @@ export const sessionsAPI = {
     return response.data
   },
 
+  getStudents: async (sessionId) => {
+    const response = await api.get(`/sessions/${sessionId}/students`)
+    return response.data
+  },
+
   end: async (sessionId) => {
     const response = await api.post(`/sessions/${sessionId}/end`)
     return response.data
@@ -130,6 +135,66 @@ export const sessionsAPI = {
   }
 }
 
+/**
+ * POST to a streaming (Server-Sent Events) generation route
+ * Calls onEvent(event, data) for each progress event and resolves with the
+ * data of the final "done" event. Abort `signal` to cancel the generation;
+ * the promise then rejects with an AbortError.
+ * Errors carry `response.data.message` like axios errors.
+ */
+export async function streamGeneration(url, data, { onEvent, signal } = {}) {
+  const token = JSON.parse(localStorage.getItem('auth-storage') || '{}')?.state?.token
+
+  const response = await fetch(`${API_URL}/api${url}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(data),
+    signal
+  })
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}))
+    throw streamError(body.message || 'Failed to generate content', response.status)
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+
+    // Events are separated by a blank line
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      const event = rawEvent.match(/^event: (.*)$/m)?.[1]
+      const payload = rawEvent.match(/^data: (.*)$/m)?.[1]
+      if (!event || payload === undefined) continue
+      const eventData = JSON.parse(payload)
+
+      if (event === 'done') return eventData
+      if (event === 'error') throw streamError(eventData.message, 500)
+      onEvent?.(event, eventData)
+    }
+  }
+
+  throw streamError('The connection closed before generation finished', 0)
+}
+
+function streamError(message, status) {
+  const error = new Error(message)
+  error.response = { status, data: { message } }
+  return error
+}
+
 // AI API
 export const aiAPI = {
   generate: async (data) => {
@@ -137,6 +202,9 @@ export const aiAPI = {
     return response.data
   },
 
+  // Same as generate, with live preview events (see streamGeneration)
+  generateStream: (data, options) => streamGeneration('/ai/generate/stream', data, options),
+
   adapt: async (activityId, studentId, direction) => {
     const response = await api.post('/ai/adapt', { activityId, studentId, direction })
     return response.data
@@ -182,6 +250,15 @@ export const analyticsAPI = {
   getStudentAnalytics: async (studentId) => {
     const response = await api.get(`/students/${studentId}/analytics`)
     return response.data
+  },
+
+  // Per-statement misclassification rates for sorting activities (fact/opinion, perspectives, ...)
+  getMisclassifications: async (sessionId, instanceId = null) => {
+    const url = instanceId
+      ? `/sessions/${sessionId}/classification/misclassifications?instanceId=${instanceId}`
+      : `/sessions/${sessionId}/classification/misclassifications`
+    const response = await api.get(url)
+    return response.data
   }
 }
 
@@ -399,8 +476,8 @@ export const learningWorldsAPI = {
     return response.data
   },
 
-  getWorld: async (worldId) => {
-    const response = await api.get(`/learning-worlds/${worldId}`)
+  getWorld: async (worldId, params = {}) => {
+    const response = await api.get(`/learning-worlds/${worldId}`, { params })
     return response.data
   },
 
@@ -414,6 +491,39 @@ export const learningWorldsAPI = {
     return response.data
   },
 
+  // Download a world (with its images and audio) as a .zip package
+  exportWorld: async (worldId) => {
+    const response = await api.get(`/learning-worlds/${worldId}/export`, { responseType: 'blob' })
+
+    const contentDisposition = response.headers['content-disposition']
+    const filename = contentDisposition
+      ? contentDisposition.split('filename=')[1].replace(/"/g, '')
+      : 'world.zip'
+
+    const downloadUrl = window.URL.createObjectURL(response.data)
+    const link = document.createElement('a')
+    link.href = downloadUrl
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    window.URL.revokeObjectURL(downloadUrl)
+
+    return { success: true, filename }
+  },
+
+  importWorld: async (file) => {
+    const formData = new FormData()
+    formData.append('package', file)
+
+    const response = await api.post('/learning-worlds/import', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    })
+    return response.data
+  },
+
   // Characters
   createCharacter: async (worldId, data) => {
     const response = await api.post(`/learning-worlds/${worldId}/characters`, data)
@@ -451,6 +561,32 @@ export const learningWorldsAPI = {
     return response.data
   },
 
+  // Scene items
+  getSceneItems: async (landId) => {
+    const response = await api.get(`/lands/${landId}/scene-items`)
+    return response.data
+  },
+
+  createSceneItem: async (landId, data) => {
+    const response = await api.post(`/lands/${landId}/scene-items`, data)
+    return response.data
+  },
+
+  updateSceneItem: async (itemId, data) => {
+    const response = await api.put(`/scene-items/${itemId}`, data)
+    return response.data
+  },
+
+  deleteSceneItem: async (itemId) => {
+    const response = await api.delete(`/scene-items/${itemId}`)
+    return response.data
+  },
+
+  recordDiscovery: async (itemId, worldSessionId, studentId = null) => {
+    const response = await api.post(`/scene-items/${itemId}/discover`, { worldSessionId, studentId })
+    return response.data
+  },
+
   // Activities
   createActivity: async (landId, data) => {
     const response = await api.post(`/lands/${landId}/activities`, data)
@@ -510,6 +646,29 @@ export const learningWorldsAPI = {
     return response.data
   },
 
+  getWrittenResponses: async (sessionId) => {
+    const response = await api.get(`/world-sessions/${sessionId}/written-responses`)
+    return response.data
+  },
+
+  // Vocabulary discovery
+  getMyWords: async (sessionId, studentId = null) => {
+    const response = await api.get(`/world-sessions/${sessionId}/my-words`, {
+      params: studentId ? { studentId } : {}
+    })
+    return response.data
+  },
+
+  getVocabularyHeatmap: async (sessionId) => {
+    const response = await api.get(`/world-sessions/${sessionId}/vocabulary-heatmap`)
+    return response.data
+  },
+
+  generateReviewLand: async (sessionId, data = {}) => {
+    const response = await api.post(`/world-sessions/${sessionId}/review-land`, data)
+    return response.data
+  },
+
   // Progress
   recordActivityResponse: async (activityId, data) => {
     const response = await api.post(`/world-activities/${activityId}/respond`, data)
@@ -538,6 +697,43 @@ export const learningWorldsAPI = {
     return response.data
   },
 
+  buildVocabularyContent: async (activityId) => {
+    const response = await api.post(`/world-activities/${activityId}/vocabulary-content`)
+    return response.data
+  },
+
+  checkDictationAnswer: async (activityId, data) => {
+    const response = await api.post(`/world-activities/${activityId}/dictation/check`, data)
+    return response.data
+  },
+
+  // Send a spoken reply (audio blob) or a chosen reply (choice) to a dialogue line
+  checkDialogueReply: async (activityId, { itemIndex, worldSessionId, studentId, audio, choice }) => {
+    const formData = new FormData()
+    formData.append('itemIndex', itemIndex)
+    if (worldSessionId) formData.append('worldSessionId', worldSessionId)
+    if (studentId) formData.append('studentId', studentId)
+    if (audio) formData.append('audio', audio, 'reply.webm')
+    if (choice !== undefined) formData.append('choice', choice)
+
+    const response = await api.post(`/world-activities/${activityId}/dialogue/reply`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    })
+    return response.data
+  },
+
+  getStoryFeedback: async (activityId, story) => {
+    const response = await api.post(`/world-activities/${activityId}/story-feedback`, { story })
+    return response.data
+  },
+
+  getSpellingPatterns: async (activityId, worldSessionId = null) => {
+    const response = await api.get(`/world-activities/${activityId}/spelling-patterns${worldSessionId ? `?worldSessionId=${worldSessionId}` : ''}`)
+    return response.data
+  },
+
   // Get single activity
   getActivity: async (activityId) => {
     const response = await api.get(`/world-activities/${activityId}`)
@@ -556,6 +752,47 @@ export const learningWorldsAPI = {
   }
 }
 
+// Admin API - AI usage and daily AI limits (admin accounts only)
+export const adminAPI = {
+  getAIUsage: async (days = 30) => {
+    const response = await api.get(`/admin/ai-usage?days=${days}`)
+    return response.data
+  },
+
+  getAIQuotas: async () => {
+    const response = await api.get('/admin/ai-quotas')
+    return response.data
+  },
+
+  // dailyLimitUsd null = no limit for this teacher or school
+  setAIQuota: async (scope, scopeKey, dailyLimitUsd) => {
+    const response = await api.put('/admin/ai-quotas', { scope, scopeKey, dailyLimitUsd })
+    return response.data
+  },
+
+  // Go back to the default limit
+  deleteAIQuota: async (scope, scopeKey) => {
+    const response = await api.delete(`/admin/ai-quotas/${scope}/${encodeURIComponent(scopeKey)}`)
+    return response.data
+  },
+
+  getAICacheStats: async (days = 30) => {
+    const response = await api.get(`/admin/ai-cache?days=${days}`)
+    return response.data
+  },
+
+  // filters: { type, teacherId } - none clears the whole cache
+  clearAICache: async (filters = {}) => {
+    const response = await api.delete('/admin/ai-cache', { params: filters })
+    return response.data
+  },
+
+  evictAICache: async () => {
+    const response = await api.post('/admin/ai-cache/evict')
+    return response.data
+  }
+}
+
 // Collaboration API
 export const collaborationAPI = {
   // Join waiting room for Tag-Team matching
@@ -29,6 +29,9 @@ export const useLearningWorldStore = create(
       sessionId: null, // Main session ID for join codes
       joinCode: null,
       isTeacher: true,
+      // Student the teacher is playing for on the class screen; their touches
+      // and answers are recorded against them
+      playingStudentId: null,
 
       // Navigation
       currentView: 'world_map', // 'world_map' | 'land_view' | 'activity'
@@ -72,11 +75,14 @@ export const useLearningWorldStore = create(
       fetchWorld: async (worldId) => {
         set({ loading: true, error: null })
         try {
-          const data = await learningWorldsAPI.getWorld(worldId)
+          // Review lands belong to the class playing the current session
+          const sessionId = get().worldSession?.session_id
+          const data = await learningWorldsAPI.getWorld(worldId, sessionId ? { sessionId } : {})
           // Merge lands and characters into the world object for easy access
           const worldWithData = {
             ...data.world,
             lands: data.lands || [],
+            reviewLands: data.reviewLands || [],
             characters: data.characters || []
           }
           set({
@@ -151,11 +157,12 @@ export const useLearningWorldStore = create(
         set({ loading: true, error: null })
         try {
           const data = await learningWorldsAPI.getLand(landId)
-          // Merge activities and vocabulary into the land object for easy access
+          // Merge activities, vocabulary and scene items into the land object for easy access
           const landWithData = {
             ...data.land,
             activities: data.activities || [],
-            vocabulary: data.vocabulary || []
+            vocabulary: data.vocabulary || [],
+            sceneItems: data.sceneItems || []
           }
           set({
             currentLand: landWithData,
@@ -284,6 +291,7 @@ export const useLearningWorldStore = create(
             musicEnabled: data.worldSession.music_enabled,
             currentView: 'world_map',
             isTeacher: true,
+            playingStudentId: data.reused ? get().playingStudentId : null,
             loading: false
           })
           return { success: true, data }
@@ -320,6 +328,7 @@ export const useLearningWorldStore = create(
             worldSession: null,
             sessionId: null,
             joinCode: null,
+            playingStudentId: null,
             currentView: 'world_map',
             currentLand: null,
             currentActivity: null
@@ -455,13 +464,16 @@ export const useLearningWorldStore = create(
       // PROGRESS ACTIONS
       // ============================================================
 
+      setPlayingStudent: (studentId) => set({ playingStudentId: studentId }),
+
       recordProgress: async (activityId, progressData) => {
-        const { worldSession } = get()
+        const { worldSession, playingStudentId } = get()
         if (!worldSession) return { success: false, error: 'No active session' }
 
         try {
           const data = await learningWorldsAPI.recordActivityResponse(activityId, {
             worldSessionId: worldSession.id,
+            studentId: playingStudentId,
             ...progressData
           })
           return { success: true, progress: data.progress }
@@ -529,7 +541,8 @@ export const useLearningWorldStore = create(
                 currentLand: {
                   ...result.land,
                   activities: result.activities || [],
-                  vocabulary: result.vocabulary || []
+                  vocabulary: result.vocabulary || [],
+                  sceneItems: result.sceneItems || []
                 }
               })
             }
@@ -609,6 +622,7 @@ export const useLearningWorldStore = create(
         worldSession: state.worldSession,
         sessionId: state.sessionId,
         joinCode: state.joinCode,
+        playingStudentId: state.playingStudentId,
         currentView: state.currentView,
         ageLevel: state.ageLevel,
         controlMode: state.controlMode,
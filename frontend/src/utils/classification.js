@@ -0,0 +1,51 @@
+/**
+ * Classification activity helpers for the student player, editor and analytics
+ * Every "sort statements into labelled buckets" type is configured here and
+ * shares the same components.
+ */
+
+export const CLASSIFICATION_TYPES = {
+  fact_opinion: {
+    label: 'Fact vs. Opinion',
+    // Fixed buckets - the editor only changes statements
+    buckets: [
+      { id: 'fact', label: 'Fact', description: 'Can be checked and proven true or false' },
+      { id: 'opinion', label: 'Opinion', description: 'A belief, feeling or judgement' }
+    ],
+    instructions: 'Sort each statement into Fact or Opinion'
+  },
+  perspective_sort: {
+    label: 'Perspective Sort',
+    buckets: null,
+    minBuckets: 2,
+    maxBuckets: 4,
+    instructions: 'Sort each statement by whose perspective it represents'
+  }
+}
+
+export const BUCKET_COLORS = [
+  { border: 'border-blue-300', bg: 'bg-blue-50', header: 'bg-blue-100 text-blue-900', bar: 'bg-blue-500' },
+  { border: 'border-orange-300', bg: 'bg-orange-50', header: 'bg-orange-100 text-orange-900', bar: 'bg-orange-500' },
+  { border: 'border-green-300', bg: 'bg-green-50', header: 'bg-green-100 text-green-900', bar: 'bg-green-500' },
+  { border: 'border-fuchsia-300', bg: 'bg-fuchsia-50', header: 'bg-fuchsia-100 text-fuchsia-900', bar: 'bg-fuchsia-500' }
+]
+
+export function isClassificationType(type) {
+  return Object.prototype.hasOwnProperty.call(CLASSIFICATION_TYPES, type)
+}
+
+export function bucketColor(buckets, bucketId) {
+  const index = buckets.findIndex(b => b.id === bucketId)
+  return BUCKET_COLORS[(index === -1 ? 0 : index) % BUCKET_COLORS.length]
+}
+
+export function bucketLabel(buckets, bucketId) {
+  return buckets.find(b => b.id === bucketId)?.label || bucketId || 'Unsorted'
+}
+
+/**
+ * Make a bucket id from a label, matching the server's normalization
+ */
+export function toBucketId(label) {
+  return String(label ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+}
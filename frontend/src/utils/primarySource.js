@@ -0,0 +1,19 @@
+/**
+ * Shared display helpers for primary source activities
+ */
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+export const SOURCE_CATEGORIES = {
+  sourcing: { label: 'Sourcing', className: 'bg-amber-100 text-amber-800' },
+  context: { label: 'Context', className: 'bg-blue-100 text-blue-800' },
+  corroboration: { label: 'Corroboration', className: 'bg-purple-100 text-purple-800' },
+  close_reading: { label: 'Close Reading', className: 'bg-green-100 text-green-800' }
+}
+
+/**
+ * Uploaded images are stored as paths on the API server
+ */
+export function sourceImageUrl(url = '') {
+  return url.startsWith('http') ? url : `${API_URL}${url}`
+}
@@ -0,0 +1,33 @@
+/**
+ * Character-span helpers for text evidence activities
+ * Spans are { start, end } offsets into the passage (end exclusive),
+ * matching backend/src/utils/textSpans.js
+ */
+
+/**
+ * Split a passage into sentence spans, keeping original offsets
+ */
+export function splitSentences(passage = '') {
+  const sentences = []
+  const pattern = /[^.!?\n]+(?:[.!?]+["'”’)\]]*|\n|$)/g
+  let match
+
+  while ((match = pattern.exec(passage)) !== null) {
+    const raw = match[0]
+    const leading = raw.length - raw.trimStart().length
+    const text = raw.trim()
+    if (!text) continue
+
+    const start = match.index + leading
+    sentences.push({ start, end: start + text.length, text })
+  }
+
+  return sentences
+}
+
+/**
+ * Whether two spans share any characters
+ */
+export function spansOverlap(a, b) {
+  return Math.min(a.end, b.end) > Math.max(a.start, b.start)
+}
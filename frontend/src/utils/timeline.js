@@ -0,0 +1,47 @@
+/**
+ * Timeline helpers, matching backend/src/utils/timeline.js
+ * Years are numbers; negative years are BCE.
+ */
+
+/**
+ * Axis range: the teacher's override if set, otherwise the event range padded by 10%
+ */
+export function getTimelineAxis(content) {
+  if (Number.isFinite(content.axis?.start) && Number.isFinite(content.axis?.end) &&
+      content.axis.end > content.axis.start) {
+    return { start: content.axis.start, end: content.axis.end }
+  }
+
+  const years = (content.events || []).map(e => Number(e.year)).filter(Number.isFinite)
+  if (years.length === 0) return { start: 0, end: 100 }
+
+  const min = Math.min(...years)
+  const max = Math.max(...years)
+  const padding = Math.max(1, Math.round((max - min) * 0.1))
+
+  return { start: min - padding, end: max + padding }
+}
+
+/**
+ * Display a numeric year, e.g. 1776, 490 BCE, 65,000,000 BCE
+ */
+export function formatYear(year) {
+  const rounded = Math.round(year)
+  if (rounded < 0) return `${Math.abs(rounded).toLocaleString()} BCE`
+  return rounded >= 10000 ? rounded.toLocaleString() : String(rounded)
+}
+
+/**
+ * Evenly spaced, rounded tick values for an axis
+ */
+export function getAxisTicks({ start, end }, count = 6) {
+  const rawStep = (end - start) / count
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)))
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rawStep) || rawStep
+
+  const ticks = []
+  for (let t = Math.ceil(start / step) * step; t <= end; t += step) {
+    ticks.push(t)
+  }
+  return ticks
+}
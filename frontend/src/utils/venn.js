@@ -0,0 +1,90 @@
+/**
+ * Venn diagram helpers for the student player, editor and live results
+ * Regions are keyed by the ids of the sets they sit inside ("A", "AB", "ABC").
+ */
+
+export const SET_COLORS = {
+  A: { fill: 'rgba(59, 130, 246, 0.2)', stroke: '#3b82f6', text: 'text-blue-700' },
+  B: { fill: 'rgba(234, 88, 12, 0.2)', stroke: '#ea580c', text: 'text-orange-700' },
+  C: { fill: 'rgba(22, 163, 74, 0.2)', stroke: '#16a34a', text: 'text-green-700' }
+}
+
+// Circle geometry and region label positions in a 400 x 300 viewBox
+const LAYOUTS = {
+  2: {
+    circles: {
+      A: { cx: 150, cy: 150, r: 110 },
+      B: { cx: 250, cy: 150, r: 110 }
+    },
+    labels: { A: { x: 95, y: 30 }, B: { x: 305, y: 30 } },
+    centers: {
+      A: { x: 95, y: 150 },
+      B: { x: 305, y: 150 },
+      AB: { x: 200, y: 150 }
+    }
+  },
+  3: {
+    circles: {
+      A: { cx: 160, cy: 120, r: 95 },
+      B: { cx: 240, cy: 120, r: 95 },
+      C: { cx: 200, cy: 190, r: 95 }
+    },
+    labels: { A: { x: 95, y: 14 }, B: { x: 305, y: 14 }, C: { x: 200, y: 298 } },
+    centers: {
+      A: { x: 115, y: 95 },
+      B: { x: 285, y: 95 },
+      C: { x: 200, y: 245 },
+      AB: { x: 200, y: 80 },
+      AC: { x: 140, y: 178 },
+      BC: { x: 260, y: 178 },
+      ABC: { x: 200, y: 140 }
+    }
+  }
+}
+
+export function getVennLayout(sets = []) {
+  return LAYOUTS[sets.length === 3 ? 3 : 2]
+}
+
+/**
+ * All regions for a diagram, single sets first, then overlaps
+ */
+export function getVennRegions(sets = []) {
+  const ids = sets.map(s => s.id)
+  const regions = []
+
+  for (let mask = 1; mask < (1 << ids.length); mask++) {
+    regions.push(ids.filter((_, i) => mask & (1 << i)).join(''))
+  }
+
+  return regions.sort((a, b) => a.length - b.length || a.localeCompare(b))
+}
+
+/**
+ * Region under a point in viewBox coordinates, or null if outside every circle
+ */
+export function regionAtPoint(sets, x, y) {
+  const { circles } = getVennLayout(sets)
+  const region = sets
+    .map(s => s.id)
+    .filter(id => {
+      const c = circles[id]
+      return c && (x - c.cx) ** 2 + (y - c.cy) ** 2 <= c.r ** 2
+    })
+    .join('')
+
+  return region || null
+}
+
+/**
+ * Human-readable region name, e.g. "Only Frogs", "Frogs & Toads", "All three"
+ */
+export function regionLabel(region, sets = []) {
+  if (!region) return 'Not placed'
+
+  const labels = region.split('').map(id => sets.find(s => s.id === id)?.label || id)
+
+  if (labels.length === 1) return `Only ${labels[0]}`
+  if (labels.length === sets.length && sets.length === 3) return 'All three'
+  return labels.join(' & ')
+}